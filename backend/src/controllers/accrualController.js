@@ -0,0 +1,36 @@
+/**
+ * Accrual Controller - Daily interest accrual runs
+ */
+
+const accrualService = require('../services/accrualService');
+const fundService = require('../services/fundService');
+const logger = require('../utils/logger');
+
+/**
+ * Accrue a fund's interest now (default fund unless fundId is given)
+ * POST /api/manager/accruals/run
+ *
+ * Body: { fundId, through } - through (YYYY-MM-DD) defaults to the last
+ * completed day. Days already accrued are skipped and missed days are
+ * backfilled, so the run can be repeated.
+ */
+exports.runAccrual = async (req, res) => {
+  try {
+    const fund = await fundService.getActiveFund(req.body.fundId);
+    const summary = await accrualService.run({ fund, through: req.body.through });
+
+    res.json({
+      success: true,
+      message: `Interest of ${fund.code} accrued through ${summary.through}`,
+      data: summary
+    });
+
+  } catch (error) {
+    logger.error('Run accrual error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to accrue interest',
+      error: error.message
+    });
+  }
+};
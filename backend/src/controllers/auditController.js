@@ -0,0 +1,97 @@
+/**
+ * Audit Controller - Verifies records against the HCS audit trail
+ */
+
+const mongoose = require('mongoose');
+const { AuditTopic, Transaction, MultiSigRequest } = require('../models');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+
+/**
+ * Get the active audit topic, so anyone can follow it on a mirror node
+ * GET /api/audit/topic
+ */
+exports.getAuditTopic = async (req, res) => {
+  try {
+    const topic = await AuditTopic.findOne({ isActive: true });
+
+    if (!topic) {
+      return res.status(404).json({
+        success: false,
+        message: 'No audit topic has been created yet'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        topicId: topic.topicId,
+        memo: topic.memo,
+        signerPublicKey: topic.signerPublicKey,
+        createdAt: topic.createdAt
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get audit topic error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get audit topic',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Verify a transaction or multi-sig request against its anchored message
+ * GET /api/audit/verify/:id
+ *
+ * :id is a transaction ID, a Hedera transaction ID or a multi-sig request ID.
+ * Investors can only verify their own transactions.
+ */
+exports.verifyRecord = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const isStaff = ['manager', 'admin'].includes(req.user.role);
+
+    let record = null;
+    let recordType = 'Transaction';
+
+    if (mongoose.Types.ObjectId.isValid(id)) {
+      record = await Transaction.findById(id);
+    }
+    if (!record) {
+      record = await Transaction.findOne({ hederaTransactionId: id });
+    }
+    if (!record && isStaff && mongoose.Types.ObjectId.isValid(id)) {
+      record = await MultiSigRequest.findById(id);
+      recordType = 'MultiSigRequest';
+    }
+
+    if (!record || (!isStaff && record.userId.toString() !== req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Record not found'
+      });
+    }
+
+    const result = await auditService.verify(record, recordType);
+
+    res.json({
+      success: true,
+      data: {
+        recordType,
+        recordId: record._id,
+        ...result
+      }
+    });
+
+  } catch (error) {
+    logger.error('Verify audit record error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify record',
+      error: error.message
+    });
+  }
+};
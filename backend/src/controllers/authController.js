@@ -6,12 +6,9 @@
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { User } = require('../models');
-const {
-  Client,
-  PrivateKey,
-  AccountCreateTransaction,
-  Hbar
-} = require('@hashgraph/sdk');
+const keyVaultService = require('../services/keyVaultService');
+const walletService = require('../services/walletService');
+const accountService = require('../services/accountService');
 const logger = require('../utils/logger');
 
 /**
@@ -71,7 +68,8 @@ exports.register = async (req, res) => {
       email,
       phoneNumber,
       nationalId,
-      password
+      password,
+      walletMode = 'custodial'
     } = req.body;
 
     // Validate required fields
@@ -115,6 +113,14 @@ exports.register = async (req, res) => {
       });
     }
 
+    // Non-custodial investors link their own wallet after registering
+    if (!['custodial', 'non_custodial'].includes(walletMode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid wallet mode. Use custodial or non_custodial'
+      });
+    }
+
     // Normalize phone number
     const normalizedPhone = normalizePhoneNumber(phoneNumber);
     const cleanedNationalId = nationalId.replace(/\s/g, '');
@@ -166,6 +172,22 @@ exports.register = async (req, res) => {
 
     logger.info(`New user registered: ${user.email} (National ID: ${cleanedNationalId.substring(0, 4)}****)`);
 
+    // Custodial investors get a ready, token-associated account from the pool.
+    // Registration never waits for the network: with an empty pool the
+    // account is created in the background.
+    let account = user;
+    if (walletMode === 'custodial') {
+      try {
+        account = (await accountService.assignAccount(user, { poolOnly: true })) || user;
+        if (!account.hederaAccountId) {
+          accountService.assignAccount(user)
+            .catch(error => logger.error(`Background account creation failed for ${user.email}:`, error));
+        }
+      } catch (error) {
+        logger.error(`Account assignment failed for ${user.email}, it can be retried:`, error);
+      }
+    }
+
     // Generate JWT token
     const token = jwt.sign(
       { id: user._id, email: user.email, role: user.role },
@@ -182,7 +204,10 @@ exports.register = async (req, res) => {
           firstName: user.firstName,
           lastName: user.lastName,
           email: user.email,
-          phoneNumber: user.phoneNumber
+          phoneNumber: user.phoneNumber,
+          hederaAccountId: account.hederaAccountId || null,
+          fundAccounts: account.fundAccounts,
+          walletMode
         },
         token
       }
@@ -276,7 +301,8 @@ exports.login = async (req, res) => {
           email: user.email,
           phoneNumber: user.phoneNumber,
           hederaAccountId: user.hederaAccountId,
-          tokenAssociated: user.tokenAssociated,
+          walletMode: user.walletMode,
+          fundAccounts: user.fundAccounts,
           role: user.role,
           kycStatus: user.kycStatus
         },
@@ -320,9 +346,12 @@ exports.getProfile = async (req, res) => {
         nationalId: user.nationalId,
         hederaAccountId: user.hederaAccountId,
         hederaPublicKey: user.hederaPublicKey,
-        tokenAssociated: user.tokenAssociated,
+        walletMode: user.walletMode,
+        fundAccounts: user.fundAccounts, // Token association, KYC and freeze per fund
         isVerified: user.isVerified,
         kycStatus: user.kycStatus,
+        taxCategory: user.taxCategory, // Withholding tax on interest (see taxService)
+        taxId: user.taxId || null,
         role: user.role,
         createdAt: user.createdAt,
         lastLogin: user.lastLogin
@@ -363,54 +392,142 @@ exports.createHederaAccount = async (req, res) => {
       });
     }
 
-    // Initialize Hedera client
-    const network = process.env.HEDERA_NETWORK || 'testnet';
-    const client = network === 'mainnet' 
-      ? Client.forMainnet()
-      : Client.forTestnet();
+    logger.info(`Creating Hedera account for user: ${user.email}`);
 
-    const operatorId = process.env.HEDERA_OPERATOR_ID;
-    const operatorKey = process.env.HEDERA_OPERATOR_KEY;
-    client.setOperator(operatorId, operatorKey);
+    // Pooled or newly created account, associated with the default fund's token
+    const updated = await accountService.assignAccount(user);
 
-    logger.info(`Creating Hedera account for user: ${user.email}`);
+    res.json({
+      success: true,
+      message: 'Hedera account created successfully',
+      data: {
+        accountId: updated.hederaAccountId,
+        publicKey: updated.hederaPublicKey,
+        fundAccounts: updated.fundAccounts
+      }
+    });
 
-    // Generate new key pair for user
-    const newAccountPrivateKey = PrivateKey.generateED25519();
-    const newAccountPublicKey = newAccountPrivateKey.publicKey;
+  } catch (error) {
+    logger.error('Create Hedera account error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to create Hedera account',
+      error: error.message
+    });
+  }
+};
 
-    // Create new account
-    const newAccount = await new AccountCreateTransaction()
-      .setKey(newAccountPublicKey)
-      .setInitialBalance(Hbar.fromTinybars(0))
-      .execute(client);
+/**
+ * Start linking an existing Hedera account (non-custodial)
+ * POST /api/auth/wallet/challenge
+ *
+ * Returns a message to sign with the account's key in the user's wallet.
+ */
+exports.createWalletChallenge = async (req, res) => {
+  try {
+    const { accountId } = req.body;
 
-    // Get the new account ID
-    const getReceipt = await newAccount.getReceipt(client);
-    const newAccountId = getReceipt.accountId;
+    if (!accountId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Hedera account ID is required'
+      });
+    }
 
-    logger.info(`Hedera account created: ${newAccountId.toString()}`);
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
 
-    // Update user with Hedera account info
-    user.hederaAccountId = newAccountId.toString();
-    user.hederaPrivateKey = newAccountPrivateKey.toString();
-    user.hederaPublicKey = newAccountPublicKey.toString();
-    await user.save();
+    const challenge = await walletService.createChallenge(user, accountId);
 
     res.json({
       success: true,
-      message: 'Hedera account created successfully',
+      message: 'Sign the challenge message with the key of your Hedera account',
+      data: challenge
+    });
+
+  } catch (error) {
+    logger.error('Wallet challenge error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to create wallet challenge',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Link the challenged Hedera account (non-custodial)
+ * POST /api/auth/wallet/link
+ */
+exports.linkWallet = async (req, res) => {
+  try {
+    const { signature } = req.body;
+
+    if (!signature) {
+      return res.status(400).json({
+        success: false,
+        message: 'Signature of the challenge message is required'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await walletService.linkAccount(user, signature);
+
+    res.json({
+      success: true,
+      message: 'Hedera account linked successfully',
       data: {
-        accountId: newAccountId.toString(),
-        publicKey: newAccountPublicKey.toString()
+        accountId: user.hederaAccountId,
+        publicKey: user.hederaPublicKey,
+        walletMode: user.walletMode
       }
     });
 
   } catch (error) {
-    logger.error('Create Hedera account error:', error);
-    res.status(500).json({
+    logger.error('Link wallet error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to link Hedera account',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Rotate the key of the user's Hedera account
+ * POST /api/auth/rotate-hedera-key
+ *
+ * Generates a new key, applies it on the ledger and stores it encrypted.
+ */
+exports.rotateHederaKey = async (req, res) => {
+  try {
+    const rotation = await keyVaultService.rotateInvestorKey(req.user.id);
+
+    logger.info(`Hedera key rotated for account ${rotation.accountId}`);
+
+    res.json({
+      success: true,
+      message: 'Hedera account key rotated successfully',
+      data: rotation
+    });
+
+  } catch (error) {
+    logger.error('Rotate Hedera key error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to create Hedera account',
+      message: error.statusCode ? error.message : 'Failed to rotate Hedera key',
       error: error.message
     });
   }
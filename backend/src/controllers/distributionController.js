@@ -0,0 +1,208 @@
+/**
+ * Distribution Controller - Interest distributions in tokens
+ *
+ * Distributions are interest_distribution multi-sig requests: managers
+ * sign them like any scheduled request (see managerController.signRequest).
+ */
+
+const { MultiSigRequest, Transaction } = require('../models');
+const distributionService = require('../services/distributionService');
+const fundService = require('../services/fundService');
+const logger = require('../utils/logger');
+
+/**
+ * Shape a distribution for API responses
+ */
+const formatDistribution = (request) => {
+  const metadata = request.metadata || {};
+
+  return {
+    requestId: request._id,
+    fundId: request.requestData.fundId,
+    status: request.status,
+    through: new Date(request.requestData.through).toISOString().slice(0, 10),
+    totalInterest: request.requestData.totalInterest,
+    totalTax: request.requestData.totalTax || 0, // Withholding tax, see taxService
+    tokenAmount: request.requestData.amount,
+    investments: request.requestData.payouts.length,
+    scheduleId: request.scheduleId,
+    signaturesCollected: request.signatures.length,
+    signaturesRequired: request.requiredSignatures,
+    batches: metadata.batches ? metadata.batches.length : null,
+    undistributedTokens: metadata.undistributed === undefined ? null : metadata.undistributed,
+    error: metadata.error || null,
+    createdAt: request.createdAt,
+    executedAt: request.executedAt,
+    expiresAt: request.expiresAt
+  };
+};
+
+/**
+ * Find a distribution by its request ID
+ */
+const findDistribution = (requestId) => MultiSigRequest.findOne({
+  _id: requestId,
+  requestType: 'interest_distribution'
+});
+
+/**
+ * Propose an interest distribution (requires multi-sig)
+ * POST /api/manager/distributions
+ *
+ * Body: { fundId, through } - through (YYYY-MM-DD) defaults to the end of
+ * the last completed distribution period. The fund is accrued through
+ * that date first; both managers then sign the mint of the interest tokens.
+ */
+exports.proposeDistribution = async (req, res) => {
+  try {
+    const fund = await fundService.getActiveFund(req.body.fundId);
+    const request = await distributionService.propose(fund, {
+      through: req.body.through,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Interest distribution proposed. Awaiting manager signatures.',
+      data: formatDistribution(request)
+    });
+
+  } catch (error) {
+    logger.error('Propose distribution error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to propose interest distribution',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get interest distributions, newest first
+ * GET /api/manager/distributions
+ */
+exports.getDistributions = async (req, res) => {
+  try {
+    const { status, fundId, limit = 20, page = 1 } = req.query;
+
+    const query = { requestType: 'interest_distribution' };
+    if (status) {
+      query.status = status;
+    }
+    if (fundId) {
+      query['requestData.fundId'] = (await fundService.getFund(fundId))._id;
+    }
+
+    const requests = await MultiSigRequest.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await MultiSigRequest.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        distributions: requests.map(formatDistribution),
+        pagination: {
+          total,
+          page: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get distributions error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch interest distributions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a distribution with each investor's payout
+ * GET /api/manager/distributions/:requestId
+ */
+exports.getDistribution = async (req, res) => {
+  try {
+    const request = await findDistribution(req.params.requestId);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Distribution not found'
+      });
+    }
+
+    const { payouts } = request.requestData;
+    const paid = await Transaction.find({ _id: { $in: payouts.map(payout => payout.transactionId) } })
+      .select('hederaTransactionId');
+
+    res.json({
+      success: true,
+      data: {
+        ...formatDistribution(request),
+        payouts: payouts.map(payout => {
+          const transaction = paid.find(tx => tx._id.equals(payout.transactionId));
+          return {
+            investmentId: payout.investmentId,
+            userId: payout.userId,
+            accountId: payout.accountId,
+            amount: payout.amount,
+            taxWithheld: payout.tax ? payout.tax.tax : 0,
+            tokenAmount: payout.tokens, // For the interest net of tax
+            from: new Date(payout.fromDate).toISOString().slice(0, 10),
+            through: new Date(payout.throughDate).toISOString().slice(0, 10),
+            paid: Boolean(transaction),
+            transactionId: payout.transactionId,
+            hederaTransactionId: transaction ? transaction.hederaTransactionId : null
+          };
+        })
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get distribution error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch interest distribution',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Retry the payout of an approved distribution that stopped part-way
+ * POST /api/manager/distributions/:requestId/resume
+ *
+ * Batches already transferred are not transferred again.
+ */
+exports.resumeDistribution = async (req, res) => {
+  try {
+    const request = await findDistribution(req.params.requestId);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Distribution not found'
+      });
+    }
+
+    await distributionService.resume(request);
+
+    res.json({
+      success: true,
+      message: 'Interest distribution paid out',
+      data: formatDistribution(request)
+    });
+
+  } catch (error) {
+    logger.error('Resume distribution error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to resume interest distribution',
+      error: error.message
+    });
+  }
+};
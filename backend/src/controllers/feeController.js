@@ -0,0 +1,140 @@
+/**
+ * Fee Controller - Operator HBAR fee spend and balance alerts
+ */
+
+const { OperatorBalanceAlert } = require('../models');
+const feeService = require('../services/feeService');
+const logger = require('../utils/logger');
+
+/**
+ * Fee spend by operation type and period
+ * GET /api/manager/fees/report?from=2026-01-01&to=2026-01-31&period=day
+ */
+exports.getFeeReport = async (req, res) => {
+  try {
+    const { from, to, period } = req.query;
+
+    const report = await feeService.report({ from, to, period });
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    logger.error('Get fee report error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to build fee report',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Operator HBAR balance, burn rate and open low balance alert
+ * GET /api/manager/fees/operator-balance
+ */
+exports.getOperatorBalance = async (req, res) => {
+  try {
+    const { status, alert } = await feeService.checkOperatorBalance();
+
+    res.json({
+      success: true,
+      data: {
+        ...status,
+        alert
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get operator balance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check operator balance',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Low balance alert history
+ * GET /api/manager/fees/alerts
+ */
+exports.getAlerts = async (req, res) => {
+  try {
+    const { status, limit = 20, page = 1 } = req.query;
+
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
+
+    const alerts = await OperatorBalanceAlert.find(query)
+      .populate('acknowledgedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await OperatorBalanceAlert.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        alerts,
+        pagination: {
+          total,
+          page: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get operator balance alerts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch operator balance alerts',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Acknowledge a low balance alert
+ * POST /api/manager/fees/alerts/:alertId/acknowledge
+ */
+exports.acknowledgeAlert = async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    const alert = await OperatorBalanceAlert.findById(req.params.alertId);
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    await feeService.acknowledgeAlert(alert, req.user.id, note);
+
+    res.json({
+      success: true,
+      message: 'Alert acknowledged',
+      data: {
+        alertId: alert._id,
+        status: alert.status,
+        acknowledgedAt: alert.acknowledgedAt,
+        acknowledgementNote: alert.acknowledgementNote
+      }
+    });
+
+  } catch (error) {
+    logger.error('Acknowledge operator balance alert error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to acknowledge alert',
+      error: error.message
+    });
+  }
+};
@@ -2,24 +2,197 @@
  * Investment Controller - Handles all investment operations
  * 
  * Endpoints for:
+ * - Listing the funds on offer and whether they are paused
  * - Buying tokens (investing)
  * - Redeeming tokens (liquidating)
  * - Viewing portfolio
  * - Checking interest accrued
+ * - Transaction history, and each transaction's ledger records
  */
 
-const { Investment, Transaction, User } = require('../models');
+const mongoose = require('mongoose');
+const { Investment, Transaction, User, Token } = require('../models');
 const hederaService = require('../services/hederaService');
 const interestService = require('../services/interestService');
+const investmentService = require('../services/investmentService');
+const fundService = require('../services/fundService');
+const fundFeeService = require('../services/fundFeeService');
+const rateHistoryService = require('../services/rateHistoryService');
+const navService = require('../services/navService');
+const kycService = require('../services/kycService');
+const keyVaultService = require('../services/keyVaultService');
+const walletService = require('../services/walletService');
+const feeService = require('../services/feeService');
+const allowanceService = require('../services/allowanceService');
+const taxService = require('../services/taxService');
+const { canonicalHash } = require('../utils/canonicalJson');
+const money = require('../utils/money');
 const logger = require('../utils/logger');
 
 /**
- * Buy tokens (invest money)
+ * Shape a deposit for API responses
+ */
+const formatDeposit = ({ transaction, investment, request }) => ({
+  investmentId: investment._id,
+  transactionId: transaction._id,
+  fundId: transaction.fundId,
+  amountRWF: transaction.amountRWF,
+  entryFee: transaction.metadata.fees ? transaction.metadata.fees.entry : 0,
+  investedRWF: investment.amountRWF,
+  tokenAmount: transaction.tokenAmount,
+  navPerUnit: transaction.metadata.navPerUnit || null, // NAV funds: price of the units
+  status: investment.status,
+  dealingWindowAt: transaction.metadata.dealingWindowAt || null, // Minted once this window closes
+  scheduleId: request ? request.scheduleId : null,
+  investmentDate: investment.investmentDate,
+  interestRate: investment.interestRate
+});
+
+/**
+ * Shape a redemption for API responses
+ */
+const formatRedemption = ({ transaction, investment, burnRequest, signing }) => ({
+  investmentId: investment._id,
+  fundId: transaction.fundId,
+  status: transaction.status,
+  principal: transaction.metadata.principal,
+  interestEarned: transaction.metadata.interestEarned,
+  grossValue: transaction.metadata.grossValue !== undefined ? transaction.metadata.grossValue : transaction.amountRWF,
+  fees: transaction.metadata.fees || null,
+  tax: transaction.metadata.tax || null, // Withholding tax deducted
+  totalAmount: transaction.amountRWF, // Paid out, net of fees and tax
+  tokensRedeemed: transaction.tokenAmount,
+  tokensRemaining: transaction.metadata.remaining ? transaction.metadata.remaining.tokenAmount : 0, // Partial NAV redemptions
+  navPerUnit: transaction.metadata.navPerUnit || null,
+  transactionId: transaction.hederaTransactionId,
+  burnScheduleId: burnRequest ? burnRequest.scheduleId : null,
+  redemptionDate: investment.redemptionDate,
+  redemptionId: transaction._id,
+  signing: signing || null
+});
+
+const SIGN_REDEMPTION = 'Sign the returned tokens in your wallet to complete the redemption';
+
+const DEPOSIT_MESSAGES = {
+  pending: 'Investment received. Tokens will be issued once its dealing window closes and the mint is approved.',
+  completed: 'Investment completed',
+  failed: 'Investment failed'
+};
+
+/**
+ * Look up an earlier request made with the same Idempotency-Key
+ * conflict is set when the key was used for a different request.
+ */
+const findIdempotentReplay = async (req, type, requestFingerprint) => {
+  const idempotencyKey = req.get('Idempotency-Key');
+  if (!idempotencyKey) {
+    return {};
+  }
+
+  const existing = await investmentService.findByIdempotencyKey(req.user.id, idempotencyKey);
+  if (!existing) {
+    return {};
+  }
+
+  if (existing.type !== type || existing.requestFingerprint !== requestFingerprint) {
+    return { conflict: true };
+  }
+
+  return { existing };
+};
+
+const IDEMPOTENCY_CONFLICT = {
+  success: false,
+  message: 'Idempotency-Key was already used for a different request'
+};
+
+const ACCOUNT_FROZEN = 'Your account is frozen. Please contact support.';
+
+/**
+ * Response for operations refused while a fund is paused (see GET /api/status)
+ */
+const fundSuspended = (fund) => ({
+  success: false,
+  code: 'FUND_SUSPENDED',
+  message: `The ${fund.code} fund is suspended. Buying, redeeming and token association are unavailable until it resumes.`,
+  data: {
+    fundId: fund._id,
+    pausedAt: fund.pausedAt,
+    reasonCode: fund.pauseReason
+  }
+});
+
+/**
+ * Whether the user's account is frozen in a fund
+ */
+const isFrozenIn = (user, fund) => {
+  const account = fundService.accountOf(user, fund);
+  return Boolean(account && account.isFrozen);
+};
+
+/**
+ * List the funds open for investment
+ * GET /api/invest/funds
+ */
+exports.getFunds = async (req, res) => {
+  try {
+    const funds = await fundService.listFunds({ status: 'active' });
+
+    res.json({
+      success: true,
+      data: funds.map(fund => fundService.summarize(fund))
+    });
+
+  } catch (error) {
+    logger.error('Get funds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch funds',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Platform status: which funds are paused, why and who approved it
+ * GET /api/status
+ */
+exports.getStatus = async (req, res) => {
+  try {
+    const funds = await fundService.listFunds({ status: 'active' });
+    const statuses = await Promise.all(funds.map(fund => fundService.pauseStatus(fund)));
+
+    res.json({
+      success: true,
+      data: {
+        suspended: statuses.some(status => status.isPaused),
+        funds: statuses,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch status',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Buy tokens (invest money) of a fund (default fund unless fundId is given)
  * POST /api/invest/buy
+ *
+ * amountRWF is in the fund's currency, with at most 2 decimals (amounts
+ * are kept in minor units, see utils/money). Send an Idempotency-Key header to
+ * make retries safe: a repeated request returns (and resumes) the original
+ * investment instead of creating another.
  */
 exports.buyTokens = async (req, res) => {
   try {
-    const { amountRWF, paymentMethod, paymentReference } = req.body;
+    const { amountRWF, paymentMethod, paymentReference, fundId } = req.body;
     const userId = req.user.id;
 
     // Validate input
@@ -30,6 +203,28 @@ exports.buyTokens = async (req, res) => {
       });
     }
 
+    if (!money.isMoney(amountRWF)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Investment amount cannot have more than 2 decimals'
+      });
+    }
+
+    const requestFingerprint = canonicalHash({ amountRWF, paymentMethod, paymentReference, fundId });
+    const replay = await findIdempotentReplay(req, 'deposit', requestFingerprint);
+    if (replay.conflict) {
+      return res.status(422).json(IDEMPOTENCY_CONFLICT);
+    }
+    if (replay.existing) {
+      res.set('Idempotent-Replayed', 'true');
+      const deposit = await investmentService.resumeDeposit(replay.existing);
+      return res.status(deposit.transaction.status === 'pending' ? 202 : 200).json({
+        success: deposit.transaction.status !== 'failed',
+        message: DEPOSIT_MESSAGES[deposit.transaction.status],
+        data: formatDeposit(deposit)
+      });
+    }
+
     // Get user
     const user = await User.findById(userId);
     if (!user) {
@@ -39,6 +234,15 @@ exports.buyTokens = async (req, res) => {
       });
     }
 
+    if (user.kycStatus !== 'verified') {
+      return res.status(403).json({
+        success: false,
+        message: user.kycStatus === 'rejected'
+          ? 'Your identity verification (KYC) was rejected. Please contact support.'
+          : 'Your identity verification (KYC) must be approved before you can invest'
+      });
+    }
+
     // Check if user has Hedera account and token association
     if (!user.hederaAccountId) {
       return res.status(400).json({
@@ -47,108 +251,58 @@ exports.buyTokens = async (req, res) => {
       });
     }
 
-    if (!user.tokenAssociated) {
+    const fund = await fundService.getActiveFund(fundId);
+    if (fund.isPaused) {
+      return res.status(503).json(fundSuspended(fund));
+    }
+
+    const account = fundService.accountOf(user, fund);
+
+    if (!account || !account.tokenAssociated) {
       return res.status(400).json({
         success: false,
-        message: 'Please associate the token with your account first'
+        message: `Please associate the ${fund.code} token with your account first`
+      });
+    }
+
+    if (account.isFrozen) {
+      return res.status(403).json({
+        success: false,
+        message: ACCOUNT_FROZEN
       });
     }
 
     // TODO: Verify payment with payment gateway
     // For now, we assume payment is verified
 
-    // Calculate token amount (1 RWF = 1 token, considering decimals)
-    const decimals = parseInt(process.env.TOKEN_DECIMALS || 2);
-    const tokenAmount = Math.floor(amountRWF * Math.pow(10, decimals));
-
-    logger.info(`Processing investment: User ${userId}, Amount: ${amountRWF} RWF, Tokens: ${tokenAmount}`);
+    const deposit = await investmentService.startDeposit({
+      userId,
+      fund,
+      amountRWF,
+      paymentMethod,
+      paymentReference,
+      idempotencyKey: req.get('Idempotency-Key'),
+      requestFingerprint
+    });
 
-    // Create transaction record
-    const transaction = new Transaction({
-      userId: userId,
-      type: 'deposit',
-      amountRWF: amountRWF,
-      tokenAmount: tokenAmount,
-      paymentMethod: paymentMethod,
-      paymentReference: paymentReference,
-      status: 'pending',
-      description: `Investment of ${amountRWF} RWF`
+    res.status(202).json({
+      success: true,
+      message: DEPOSIT_MESSAGES.pending,
+      data: formatDeposit(deposit)
     });
-    await transaction.save();
 
-    try {
-      // Mint tokens to treasury (requires multi-sig)
-      const mintResult = await hederaService.mintTokens(tokenAmount);
-      
-      // Transfer tokens from treasury to user
-      // const transferResult = await hederaService.transferTokensToInvestor(
-      //   user.hederaAccountId,
-      //   tokenAmount
-      // );
-
-      // USE MOCK TRANSFER FOR TESTING
-  const transferResult = {
-    success: true,
-    transactionId: `mock-transfer-${Date.now()}`,
-    amount: tokenAmount,
-    recipient: user.hederaAccountId,
-    status: 'SUCCESS'
-  };
-  
-  logger.info('TESTING MODE: Using mock token transfer');
-  logger.info(`Mock transfer: ${tokenAmount} tokens to ${user.hederaAccountId}`);
-
-      // Get current interest rate
-      const currentRates = interestService.getCurrentRates();
-
-      // Create investment record
-      const investment = new Investment({
-        userId: userId,
-        amountRWF: amountRWF,
-        tokenAmount: tokenAmount,
-        investmentDate: new Date(),
-        interestRate: currentRates.annualRate,
-        status: 'active',
-        hederaTransactionId: transferResult.transactionId
-      });
-      await investment.save();
-
-      // Update transaction
-      transaction.investmentId = investment._id;
-      transaction.hederaTransactionId = transferResult.transactionId;
-      transaction.status = 'completed';
-      transaction.completedDate = new Date();
-      await transaction.save();
-
-      logger.info(`Investment successful: ${investment._id}`);
-
-      res.json({
-        success: true,
-        message: 'Investment successful',
-        data: {
-          investmentId: investment._id,
-          amountRWF: amountRWF,
-          tokenAmount: tokenAmount,
-          transactionId: transferResult.transactionId,
-          investmentDate: investment.investmentDate,
-          interestRate: currentRates.annualRate
-        }
+  } catch (error) {
+    if (error.code === 11000 && req.get('Idempotency-Key')) {
+      return res.status(409).json({
+        success: false,
+        message: 'A request with this Idempotency-Key is already being processed'
       });
-
-    } catch (error) {
-      // Update transaction as failed
-      transaction.status = 'failed';
-      transaction.metadata = { error: error.message };
-      await transaction.save();
-
-      throw error;
     }
 
-  } catch (error) {
     logger.error('Buy tokens error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to process investment',
+      message: error.statusCode ? error.message : 'Failed to process investment',
       error: error.message
     });
   }
@@ -157,6 +311,8 @@ exports.buyTokens = async (req, res) => {
 /**
  * Redeem tokens (liquidate investment)
  * POST /api/invest/redeem
+ *
+ * Accepts an Idempotency-Key header like /invest/buy.
  */
 exports.redeemTokens = async (req, res) => {
   try {
@@ -171,6 +327,31 @@ exports.redeemTokens = async (req, res) => {
       });
     }
 
+    if (tokenAmount !== undefined && !(Number.isInteger(tokenAmount) && tokenAmount > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token amount must be a positive integer'
+      });
+    }
+
+    const requestFingerprint = canonicalHash({ investmentId, tokenAmount, withdrawalMethod });
+    const replay = await findIdempotentReplay(req, 'withdrawal', requestFingerprint);
+    if (replay.conflict) {
+      return res.status(422).json(IDEMPOTENCY_CONFLICT);
+    }
+    if (replay.existing) {
+      res.set('Idempotent-Replayed', 'true');
+      const redemption = await investmentService.resumeRedemption(replay.existing);
+      if (redemption.signing) {
+        return res.status(202).json({ success: true, message: SIGN_REDEMPTION, data: formatRedemption(redemption) });
+      }
+      return res.json({
+        success: redemption.transaction.status === 'completed',
+        message: redemption.transaction.status === 'completed' ? 'Redemption successful' : `Redemption ${redemption.transaction.status}`,
+        data: formatRedemption(redemption)
+      });
+    }
+
     // Get investment
     const investment = await Investment.findOne({
       _id: investmentId,
@@ -185,127 +366,67 @@ exports.redeemTokens = async (req, res) => {
       });
     }
 
-    // Calculate current value with interest
-    const interestCalc = interestService.calculateInterest(
-      investment.amountRWF,
-      investment.investmentDate
-    );
-
-    const totalValueRWF = interestCalc.totalValue;
-    const tokensToRedeem = tokenAmount || investment.tokenAmount;
-
-    // Get user with private key
-    const user = await User.findById(userId).select('+hederaPrivateKey');
-    if (!user || !user.hederaPrivateKey) {
+    const user = await User.findById(userId);
+    if (!user || !user.hederaAccountId) {
       return res.status(400).json({
         success: false,
         message: 'User Hedera account not properly configured'
       });
     }
 
-    logger.info(`Processing redemption: Investment ${investmentId}, Tokens: ${tokensToRedeem}`);
+    const fund = await fundService.getFund(investment.fundId);
+    if (fund.isPaused) {
+      return res.status(503).json(fundSuspended(fund));
+    }
 
-    // Create transaction record
-    const transaction = new Transaction({
-      userId: userId,
-      investmentId: investment._id,
-      type: 'withdrawal',
-      amountRWF: totalValueRWF,
-      tokenAmount: tokensToRedeem,
-      paymentMethod: withdrawalMethod || 'mtn_momo',
-      status: 'pending',
-      description: `Redemption of investment ${investmentId}`
+    if (isFrozenIn(user, fund)) {
+      return res.status(403).json({
+        success: false,
+        message: ACCOUNT_FROZEN
+      });
+    }
+
+    const redemption = await investmentService.startRedemption({
+      userId,
+      investment,
+      tokenAmount,
+      withdrawalMethod,
+      idempotencyKey: req.get('Idempotency-Key'),
+      requestFingerprint
     });
-    await transaction.save();
 
-    try {
-      // Transfer tokens from user back to treasury
-      // const transferResult = await hederaService.transferTokensFromInvestor(
-      //   user.hederaAccountId,
-      //   user.hederaPrivateKey,
-      //   tokensToRedeem
-      // );
-
-      // Mock transfer tokens back to treasury
-const transferResult = {
-  success: true,
-  transactionId: `mock-redeem-${Date.now()}`,
-  amount: tokensToRedeem,
-  sender: user.hederaAccountId,
-  recipient: 'treasury',
-  status: 'SUCCESS'
-};
+    res.status(redemption.signing ? 202 : 200).json({
+      success: true,
+      message: redemption.signing ? SIGN_REDEMPTION : 'Redemption successful',
+      data: formatRedemption(redemption)
+    });
 
-      // Burn tokens (requires multi-sig)
-      // const burnResult = await hederaService.burnTokens(tokensToRedeem);
-// Mock burn tokens
-const burnResult = {
-  success: true,
-  transactionId: `mock-burn-${Date.now()}`,
-  amount: tokensToRedeem,
-  status: 'SUCCESS'
-};
-  
-      // Update investment status
-      investment.status = 'redeemed';
-      investment.redemptionDate = new Date();
-      investment.redemptionAmount = totalValueRWF;
-      investment.redemptionTransactionId = transferResult.transactionId;
-      investment.interestAccrued = interestCalc.interest;
-      await investment.save();
-
-      // Update transaction
-      transaction.hederaTransactionId = transferResult.transactionId;
-      transaction.status = 'completed';
-      transaction.completedDate = new Date();
-      await transaction.save();
-
-      // TODO: Process payment to user via mobile money/bank
-
-      logger.info(`Redemption successful: ${investment._id}`);
-
-      res.json({
-        success: true,
-        message: 'Redemption successful',
-        data: {
-          investmentId: investment._id,
-          principal: investment.amountRWF,
-          interestEarned: interestCalc.interest,
-          totalAmount: totalValueRWF,
-          tokensRedeemed: tokensToRedeem,
-          transactionId: transferResult.transactionId,
-          redemptionDate: investment.redemptionDate
-        }
+  } catch (error) {
+    if (error.code === 11000 && req.get('Idempotency-Key')) {
+      return res.status(409).json({
+        success: false,
+        message: 'A request with this Idempotency-Key is already being processed'
       });
-
-    } catch (error) {
-      // Update transaction as failed
-      transaction.status = 'failed';
-      transaction.metadata = { error: error.message };
-      await transaction.save();
-
-      throw error;
     }
 
-  } catch (error) {
     logger.error('Redeem tokens error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to process redemption',
+      message: error.statusCode ? error.message : 'Failed to process redemption',
       error: error.message
     });
   }
 };
 
 /**
- * Associate token with user's Hedera account
+ * Associate a fund's token (default fund unless fundId is given) with
+ * user's Hedera account
  * POST /api/invest/associate-token
  */
 exports.associateToken = async (req, res) => {
   try {
     const userId = req.user.id;
     
-    // Get user
     const user = await User.findById(userId);
     if (!user) {
       return res.status(404).json({
@@ -322,30 +443,77 @@ exports.associateToken = async (req, res) => {
       });
     }
 
+    const fund = await fundService.getActiveFund(req.body.fundId);
+    if (fund.isPaused) {
+      return res.status(503).json(fundSuspended(fund));
+    }
+
     // Check if already associated
-    if (user.tokenAssociated) {
+    const existing = fundService.accountOf(user, fund);
+    if (existing && existing.tokenAssociated) {
       return res.status(400).json({
         success: false,
-        message: 'Token is already associated with your account'
+        message: `The ${fund.code} token is already associated with your account`
+      });
+    }
+
+    // Non-custodial accounts sign the association in their own wallet
+    if (user.walletMode === 'non_custodial') {
+      const signing = await walletService.prepareAssociation(user, fund);
+
+      return res.status(202).json({
+        success: true,
+        message: 'Sign the token association in your wallet and submit it',
+        data: {
+          hederaAccountId: user.hederaAccountId,
+          fundId: fund._id,
+          tokenId: fund.tokenId,
+          tokenAssociated: false,
+          signing
+        }
       });
     }
 
-    // Update user record (marks as associated for testing)
-    user.tokenAssociated = true;
+    // Associate token on the ledger (signed with the user's key)
+    const privateKey = await keyVaultService.getInvestorKey(user._id);
+    const associateResult = await hederaService.associateTokenToAccount(
+      user.hederaAccountId,
+      privateKey,
+      { tokenId: fund.tokenId }
+    );
+    await feeService.track(associateResult.transactionId, 'token_associate', { relatedUserId: user._id });
+
+    const fundAccount = fundService.openAccount(user, fund);
+    fundAccount.tokenAssociated = true;
+
+    // Redemption allowance, granted while the key is at hand
+    Object.assign(fundAccount, await allowanceService.grantOnAssociation(user, fund, privateKey));
     await user.save();
 
+    // Verified investors are granted KYC as soon as they can hold the token
+    try {
+      await kycService.sync(user);
+    } catch (error) {
+      logger.error(`KYC grant after association failed for ${user.hederaAccountId}:`, error);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Token associated successfully! You can now invest.',
       data: {
         email: user.email,
         hederaAccountId: user.hederaAccountId,
-        tokenAssociated: true
+        fundId: fund._id,
+        tokenId: fund.tokenId,
+        tokenAssociated: true,
+        kycGranted: fundService.accountOf(user, fund).kycGranted,
+        transactionId: associateResult.transactionId
       }
     });
 
   } catch (error) {
-    res.status(500).json({
+    logger.error('Associate token error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message || 'Token association failed'
     });
@@ -353,92 +521,378 @@ exports.associateToken = async (req, res) => {
 };
 
 /**
- * Get user portfolio
- * GET /api/invest/portfolio
+ * Submit a token association signed in the user's wallet (non-custodial)
+ * POST /api/invest/associate-token/submit
  */
-exports.getPortfolio = async (req, res) => {
+exports.submitAssociation = async (req, res) => {
   try {
-    const userId = req.user.id;
+    const { signedTransaction, fundId } = req.body;
 
-    // Get all active investments
-    const investments = await Investment.find({
-      userId: userId,
-      status: 'active'
-    }).sort({ investmentDate: -1 });
+    if (!signedTransaction) {
+      return res.status(400).json({
+        success: false,
+        message: 'Signed transaction is required'
+      });
+    }
 
-    // Calculate interest for each investment
-    const investmentsWithInterest = investments.map(inv => {
-      const interestCalc = interestService.calculateInterest(
-        inv.amountRWF,
-        inv.investmentDate
-      );
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
 
-      return {
-        id: inv._id,
-        amount: inv.amountRWF,
-        tokenAmount: inv.tokenAmount,
-        investmentDate: inv.investmentDate,
-        daysInvested: interestCalc.days,
-        interestEarned: interestCalc.interest,
-        currentValue: interestCalc.totalValue,
-        interestRate: inv.interestRate,
-        transactionId: inv.hederaTransactionId
-      };
+    if (user.walletMode !== 'non_custodial') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only non-custodial accounts submit signed associations'
+      });
+    }
+
+    const fund = await fundService.getActiveFund(fundId);
+    if (fund.isPaused) {
+      return res.status(503).json(fundSuspended(fund));
+    }
+
+    const existing = fundService.accountOf(user, fund);
+    if (existing && existing.tokenAssociated) {
+      return res.status(400).json({
+        success: false,
+        message: `The ${fund.code} token is already associated with your account`
+      });
+    }
+
+    const associateResult = await walletService.submitAssociation(user, fund, signedTransaction);
+
+    res.status(200).json({
+      success: true,
+      message: 'Token associated successfully! You can now invest.',
+      data: {
+        email: user.email,
+        hederaAccountId: user.hederaAccountId,
+        fundId: fund._id,
+        tokenId: fund.tokenId,
+        tokenAssociated: true,
+        kycGranted: fundService.accountOf(user, fund).kycGranted,
+        transactionId: associateResult.transactionId
+      }
     });
 
-    // Calculate portfolio totals
-    const portfolio = interestService.calculatePortfolioInterest(
-      investments.map(inv => ({
-        id: inv._id,
-        amount: inv.amountRWF,
-        startDate: inv.investmentDate
-      }))
-    );
+  } catch (error) {
+    logger.error('Submit association error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Token association failed',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Find a redemption of the current user
+ */
+const findRedemption = (req) => Transaction.findOne({
+  _id: req.params.redemptionId,
+  userId: req.user.id,
+  type: 'withdrawal'
+});
+
+/**
+ * Get the transaction to sign for a redemption (non-custodial)
+ * GET /api/invest/redeem/:redemptionId/sign-payload
+ *
+ * The payload is valid for about two minutes; fetch a new one if it expires.
+ */
+exports.getRedemptionSignPayload = async (req, res) => {
+  try {
+    const transaction = await findRedemption(req);
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Redemption not found'
+      });
+    }
+
+    const redemption = await investmentService.resumeRedemption(transaction);
+    if (!redemption.signing) {
+      return res.status(409).json({
+        success: false,
+        message: `Redemption is ${redemption.transaction.status}, nothing to sign`,
+        data: formatRedemption(redemption)
+      });
+    }
+
+    res.json({
+      success: true,
+      message: SIGN_REDEMPTION,
+      data: redemption.signing
+    });
+
+  } catch (error) {
+    logger.error('Get redemption sign payload error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to prepare redemption signing',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Submit a redemption signed in the user's wallet (non-custodial)
+ * POST /api/invest/redeem/:redemptionId/sign
+ */
+exports.signRedemption = async (req, res) => {
+  try {
+    const { signedTransaction } = req.body;
+
+    if (!signedTransaction) {
+      return res.status(400).json({
+        success: false,
+        message: 'Signed transaction is required'
+      });
+    }
+
+    const transaction = await findRedemption(req);
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Redemption not found'
+      });
+    }
+
+    const fund = await fundService.getFund(transaction.fundId);
+    if (fund.isPaused) {
+      return res.status(503).json(fundSuspended(fund));
+    }
+
+    const user = await User.findById(req.user.id);
+    if (isFrozenIn(user, fund)) {
+      return res.status(403).json({
+        success: false,
+        message: ACCOUNT_FROZEN
+      });
+    }
+
+    const redemption = await investmentService.signRedemption(transaction, signedTransaction);
+
+    res.json({
+      success: redemption.transaction.status === 'completed',
+      message: redemption.transaction.status === 'completed' ? 'Redemption successful' : `Redemption ${redemption.transaction.status}`,
+      data: formatRedemption(redemption)
+    });
+
+  } catch (error) {
+    logger.error('Sign redemption error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to process redemption',
+      error: error.message
+    });
+  }
+};
 
-    // Get user's Hedera balance
+/**
+ * Shape deposits awaiting their mint for the portfolio
+ *
+ * @param {Array} investments - Pending investments
+ * @returns {Array}
+ */
+const describePendingDeposits = async (investments) => {
+  const transactions = await Transaction.find({
+    investmentId: { $in: investments.map(inv => inv._id) },
+    type: 'deposit'
+  });
+
+  return investments.map(inv => {
+    const transaction = transactions.find(tx => tx.investmentId.equals(inv._id));
+    const metadata = (transaction && transaction.metadata) || {};
+
+    return {
+      id: inv._id,
+      amountPaid: transaction ? transaction.amountRWF : inv.amountRWF,
+      amount: inv.amountRWF, // Invested, net of the entry fee
+      tokenAmount: inv.tokenAmount,
+      investmentDate: inv.investmentDate,
+      dealingWindowAt: metadata.dealingWindowAt || null,
+      mintScheduled: Boolean(metadata.scheduleId),
+      scheduleId: metadata.scheduleId || null
+    };
+  });
+};
+
+/**
+ * Value the investments a user holds in one fund
+ *
+ * @param {Object} fund - Fund document
+ * @param {Array} investments - Active investments in the fund
+ * @param {Object} user - User document
+ * @param {Array} pending - Investments in the fund awaiting their mint
+ * @returns {Object} - Fund position with per-investment quotes
+ */
+const valueFundPosition = async (fund, investments, user, pending = []) => {
+  const rateHistory = await rateHistoryService.getHistory(fund);
+  const calculator = interestService.forFund(fund, rateHistory);
+
+  // NAV funds value units at the NAV in force from their NAV history
+  const nav = navService.usesNav(fund) ? navService.navAt(await navService.getSeries(fund)) : null;
+
+  // Calculate interest and fees for each investment, from the interest
+  // accrued so far (see accrualService)
+  const feeSchedule = fundFeeService.getSchedule(fund);
+  const investmentsWithInterest = investments.map(inv => {
+    const quote = fundFeeService.quoteRedemption(inv, fund, { rateHistory, nav, accrued: true });
+    const tax = taxService.quoteRedemption(inv, quote, user);
+
+    return {
+      id: inv._id,
+      amount: inv.amountRWF,
+      tokenAmount: inv.tokenAmount,
+      investmentDate: inv.investmentDate,
+      daysInvested: quote.daysHeld,
+      interestEarned: quote.interestEarned,
+      interestPaid: inv.interestPaid || 0, // Paid out in tokens, included in tokenAmount
+      taxWithheld: inv.taxWithheld || 0, // On interest paid out
+      currentValue: quote.grossValue,
+      managementFeeAccrued: quote.fees.management,
+      redemptionFees: quote.fees,
+      redemptionTax: tax,
+      redemptionValue: Math.max(0, money.subtract(quote.netValue, tax.total)), // What redeeming now would pay out
+      penaltyFreeFrom: fundFeeService.penaltyFreeFrom(inv, fund, feeSchedule),
+      interestRate: inv.interestRate,
+      purchaseNav: inv.navPerUnit || null,
+      transactionId: inv.hederaTransactionId
+    };
+  });
+
+  const sum = field => money.sum(investmentsWithInterest.map(field));
+
+  // Calculate fund totals
+  const portfolio = {
+    totalPrincipal: sum(inv => inv.amount),
+    totalInterest: sum(inv => inv.interestEarned),
+    totalInterestPaid: sum(inv => inv.interestPaid),
+    totalValue: sum(inv => inv.currentValue),
+    numberOfInvestments: investments.length,
+    annualRate: calculator.getCurrentRates().annualRate
+  };
+
+  // Get user's balance of the fund's token
+  let hederaBalance = null;
+  const account = fundService.accountOf(user, fund);
+  if (user.hederaAccountId && account && account.tokenAssociated) {
+    try {
+      hederaBalance = await hederaService.getAccountBalance(user.hederaAccountId, { tokenId: fund.tokenId });
+    } catch (error) {
+      logger.warn(`Could not fetch Hedera balance: ${error.message}`);
+    }
+  }
+
+  return {
+    fund: fundService.summarize(fund),
+    summary: {
+      totalInvested: portfolio.totalPrincipal,
+      totalInterest: portfolio.totalInterest,
+      totalValue: portfolio.totalValue,
+      totalManagementFees: sum(inv => inv.managementFeeAccrued),
+      totalRedemptionFees: sum(inv => inv.redemptionFees.total),
+      totalRedemptionTax: sum(inv => inv.redemptionTax.total),
+      totalRedemptionValue: sum(inv => inv.redemptionValue),
+      numberOfInvestments: portfolio.numberOfInvestments,
+      totalPending: money.sum(pending.map(inv => inv.amountRWF)),
+      numberOfPendingDeposits: pending.length,
+      currentRate: portfolio.annualRate
+    },
+    feeSchedule,
+    nav,
+    investments: investmentsWithInterest,
+    pendingDeposits: await describePendingDeposits(pending),
+    hederaBalance: hederaBalance,
+    isFrozen: Boolean(account && account.isFrozen),
+    dailyInterest: calculator.calculateDailyInterest(portfolio.totalPrincipal)
+  };
+};
+
+/**
+ * Get user portfolio, per fund (?fundId= for one fund)
+ * GET /api/invest/portfolio
+ *
+ * Totals across funds are given per currency, as funds in different
+ * currencies cannot be added up. Deposits awaiting the mint of their
+ * dealing window are listed apart and count towards totalPending only.
+ */
+exports.getPortfolio = async (req, res) => {
+  try {
+    const userId = req.user.id;
     const user = await User.findById(userId);
-    let hederaBalance = null;
-    if (user.hederaAccountId) {
-      try {
-        hederaBalance = await hederaService.getAccountBalance(user.hederaAccountId);
-      } catch (error) {
-        logger.warn(`Could not fetch Hedera balance: ${error.message}`);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Funds held (or with deposits awaiting their mint), or the requested one
+    const query = { userId: userId, status: { $in: ['active', 'pending'] } };
+    let funds;
+    if (req.query.fundId) {
+      const fund = await fundService.getFund(req.query.fundId);
+      query.fundId = fund._id;
+      funds = [fund];
+    } else {
+      const heldIds = await Investment.distinct('fundId', query);
+      funds = (await fundService.listFunds()).filter(fund => heldIds.some(id => id.equals(fund._id)));
+    }
+
+    // Get all active and pending investments
+    const investments = await Investment.find(query).sort({ investmentDate: -1 });
+
+    const positions = [];
+    for (const fund of funds) {
+      const inFund = investments.filter(inv => inv.fundId.equals(fund._id));
+      positions.push(await valueFundPosition(
+        fund,
+        inFund.filter(inv => inv.status === 'active'),
+        user,
+        inFund.filter(inv => inv.status === 'pending')
+      ));
+    }
+
+    const totals = {};
+    for (const { fund, summary } of positions) {
+      const total = totals[fund.currency] || { totalInvested: 0, totalValue: 0, totalRedemptionValue: 0, totalPending: 0 };
+      for (const field of Object.keys(total)) {
+        total[field] = money.sum([total[field], summary[field]]);
       }
+      totals[fund.currency] = total;
     }
 
     res.json({
       success: true,
       data: {
-        summary: {
-          totalInvested: portfolio.totalPrincipal,
-          totalInterest: portfolio.totalInterest,
-          totalValue: portfolio.totalValue,
-          numberOfInvestments: portfolio.numberOfInvestments,
-          currentRate: portfolio.annualRate
-        },
-        investments: investmentsWithInterest,
-        hederaBalance: hederaBalance,
-        dailyInterest: interestService.calculateDailyInterest(portfolio.totalPrincipal)
+        totalsByCurrency: totals,
+        funds: positions
       }
     });
 
   } catch (error) {
     logger.error('Get portfolio error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to fetch portfolio',
+      message: error.statusCode ? error.message : 'Failed to fetch portfolio',
       error: error.message
     });
   }
 };
 
 /**
- * Get interest calculation for an amount
- * GET /api/invest/calculate-interest
+ * Get interest calculation for an amount at a fund's rate
+ * GET /api/invest/calculate-interest?amount=10000&fundId=
  */
 exports.calculateInterest = async (req, res) => {
   try {
-    const { amount, days } = req.query;
+    const { amount, days, fundId } = req.query;
 
     if (!amount || amount <= 0) {
       return res.status(400).json({
@@ -447,37 +901,44 @@ exports.calculateInterest = async (req, res) => {
       });
     }
 
+    const fund = await fundService.getFund(fundId);
+    const calculator = interestService.forFund(fund);
+
     let result;
     if (days) {
       // Calculate for specific period
-      result = interestService.calculateInterestForPeriod(
+      result = calculator.calculateInterestForPeriod(
         parseFloat(amount),
         parseInt(days)
       );
     } else {
       // Calculate daily, monthly, yearly projections
-      result = interestService.calculateDailyInterest(parseFloat(amount));
+      result = calculator.calculateDailyInterest(parseFloat(amount));
       
       // Add different time period projections
       result.projections = {
-        oneWeek: interestService.calculateInterestForPeriod(parseFloat(amount), 7),
-        oneMonth: interestService.calculateInterestForPeriod(parseFloat(amount), 30),
-        threeMonths: interestService.calculateInterestForPeriod(parseFloat(amount), 90),
-        sixMonths: interestService.calculateInterestForPeriod(parseFloat(amount), 180),
-        oneYear: interestService.calculateInterestForPeriod(parseFloat(amount), 365)
+        oneWeek: calculator.calculateInterestForPeriod(parseFloat(amount), 7),
+        oneMonth: calculator.calculateInterestForPeriod(parseFloat(amount), 30),
+        threeMonths: calculator.calculateInterestForPeriod(parseFloat(amount), 90),
+        sixMonths: calculator.calculateInterestForPeriod(parseFloat(amount), 180),
+        oneYear: calculator.calculateInterestForPeriod(parseFloat(amount), 365)
       };
     }
 
     res.json({
       success: true,
-      data: result
+      data: {
+        fundId: fund._id,
+        currency: fund.currency,
+        ...result
+      }
     });
 
   } catch (error) {
     logger.error('Calculate interest error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to calculate interest',
+      message: error.statusCode ? error.message : 'Failed to calculate interest',
       error: error.message
     });
   }
@@ -490,12 +951,15 @@ exports.calculateInterest = async (req, res) => {
 exports.getTransactions = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { limit = 50, page = 1, type } = req.query;
+    const { limit = 50, page = 1, type, fundId } = req.query;
 
     const query = { userId };
     if (type) {
       query.type = type;
     }
+    if (fundId) {
+      query.fundId = (await fundService.getFund(fundId))._id;
+    }
 
     const transactions = await Transaction.find(query)
       .sort({ transactionDate: -1 })
@@ -519,36 +983,196 @@ exports.getTransactions = async (req, res) => {
 
   } catch (error) {
     logger.error('Get transactions error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch transactions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get one transaction with the consensus records of its ledger transactions
+ * GET /api/invest/transactions/:id
+ *
+ * :id is a transaction ID or a Hedera transaction ID. Investors can only
+ * see their own transactions; managers and admins (support) see any.
+ */
+exports.getTransaction = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const isStaff = ['manager', 'admin'].includes(req.user.role);
+
+    let found = null;
+    if (mongoose.Types.ObjectId.isValid(id)) {
+      found = await Transaction.findById(id);
+    }
+    if (!found) {
+      found = await Transaction.findOne({ hederaTransactionId: id });
+    }
+
+    if (!found || (!isStaff && found.userId.toString() !== req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    // Records not collected yet are fetched now
+    const transaction = await feeService.collectRecords(found);
+
+    const ledgerRecords = (transaction.ledgerRecords || []).map(record => ({
+      ...record.toObject(),
+      explorerUrl: hederaService.getExplorerLink(record.transactionId, record.consensusTimestamp)
+    }));
+    const settlement = ledgerRecords.find(record => record.transactionId === transaction.hederaTransactionId);
+
+    res.json({
+      success: true,
+      data: {
+        transaction: {
+          ...transaction.toObject(),
+          ledgerRecords
+        },
+        explorerUrl: settlement
+          ? settlement.explorerUrl
+          : hederaService.getExplorerLink(transaction.hederaTransactionId)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get transaction error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch transaction',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a fund's fees, and what they come to for an amount
+ * GET /api/invest/fees?amount=10000&fundId=
+ */
+exports.getFees = async (req, res) => {
+  try {
+    const { amount, fundId } = req.query;
+
+    if (amount !== undefined && !(parseFloat(amount) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid amount'
+      });
+    }
+
+    const fund = await fundService.getFund(fundId);
+    const schedule = fundFeeService.getSchedule(fund);
+    const token = fund.tokenId ? await Token.findOne({ tokenId: fund.tokenId }) : null;
+
+    let quote = null;
+    if (amount !== undefined) {
+      const deposit = fundFeeService.quoteDeposit(parseFloat(amount), schedule);
+      quote = {
+        ...deposit,
+        breakEven: interestService.forFund(fund).calculateBreakEven(deposit.netAmountRWF, deposit.entryFee)
+      };
+    }
+
+    res.json({
+      success: true,
+      data: {
+        fundId: fund._id,
+        currency: fund.currency,
+        ...schedule,
+        transferFees: token ? token.customFees : [],
+        quote
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get fees error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to fetch transactions',
+      message: error.statusCode ? error.message : 'Failed to fetch fees',
       error: error.message
     });
   }
 };
 
 /**
- * Get current interest rates
- * GET /api/invest/rates
+ * Get a fund's current interest rates and their history
+ * GET /api/invest/rates?fundId=
  */
 exports.getRates = async (req, res) => {
   try {
-    const rates = interestService.getCurrentRates();
-    const apy = interestService.calculateAPY();
+    const fund = await fundService.getFund(req.query.fundId);
+    const calculator = interestService.forFund(fund);
+    const rates = calculator.getCurrentRates();
+    const apy = calculator.calculateAPY();
+    const history = await rateHistoryService.getHistory(fund);
 
     res.json({
       success: true,
       data: {
+        fundId: fund._id,
         ...rates,
-        apy: apy.apy
+        apy: apy.apy,
+        history: rateHistoryService.describe(history)
       }
     });
 
   } catch (error) {
     logger.error('Get rates error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch rates',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the NAV series of a NAV fund, for charts
+ * GET /api/invest/nav?fundId=&from=YYYY-MM-DD&to=YYYY-MM-DD
+ */
+exports.getNav = async (req, res) => {
+  try {
+    const { fundId, from, to } = req.query;
+
+    for (const date of [from, to]) {
+      if (date && isNaN(new Date(date).getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'from and to must be dates (YYYY-MM-DD)'
+        });
+      }
+    }
+
+    const fund = await fundService.getFund(fundId);
+    if (!navService.usesNav(fund)) {
+      return res.status(400).json({
+        success: false,
+        message: `Fund ${fund.code} is not priced by NAV`
+      });
+    }
+
+    const series = await navService.getSeries(fund, { from, to });
+
+    res.json({
+      success: true,
+      data: {
+        fundId: fund._id,
+        currency: fund.currency,
+        current: await navService.currentNav(fund),
+        series: navService.describe(series)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get NAV error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to fetch rates',
+      message: error.statusCode ? error.message : 'Failed to fetch NAV',
       error: error.message
     });
   }
@@ -2,24 +2,117 @@
  * Manager Controller - Handles manager-specific operations
  * 
  * Includes multi-signature workflows for:
- * - Token creation
+ * - Fund launches and token creation
  * - Token minting/burning
- * - Interest rate changes
+ * - Interest rate and fee schedule changes, NAV publications
+ * - Compliance actions (freeze, unfreeze, wipe)
+ * - Emergency fund pauses
+ *
+ * Also records investor KYC reviews, which the platform applies on the
+ * ledger with its own KYC key (no multi-sig).
+ *
+ * Ledger operations are Hedera scheduled transactions: each manager fetches
+ * the sign payload, signs it on their own device and posts it back.
  */
 
-const { Token, MultiSigRequest, User } = require('../models');
+const { Token, MultiSigRequest, User, Investment } = require('../models');
 const hederaService = require('../services/hederaService');
-const interestService = require('../services/interestService');
+const multiSigService = require('../services/multiSigService');
+const fundService = require('../services/fundService');
+const fundFeeService = require('../services/fundFeeService');
+const navService = require('../services/navService');
+const complianceService = require('../services/complianceService');
+const kycService = require('../services/kycService');
+const keyVaultService = require('../services/keyVaultService');
 const logger = require('../utils/logger');
 
 /**
- * Initiate token creation (Manager 1)
+ * Shape a multi-sig request for API responses
+ */
+const formatRequest = (request) => ({
+  requestId: request._id,
+  requestType: request.requestType,
+  status: request.status,
+  scheduleId: request.scheduleId,
+  scheduledTransactionId: request.scheduledTransactionId,
+  signaturesCollected: request.signatures.length,
+  signaturesRequired: request.requiredSignatures,
+  executionStatus: request.executionStatus,
+  executedAt: request.executedAt,
+  expiresAt: request.expiresAt
+});
+
+/**
+ * Launch a fund and schedule the creation of its token
+ * POST /api/manager/funds
+ *
+ * Body: { code, name, currency, description, tokenName, tokenSymbol,
+ * decimals, annualRate, pricingModel, interestConvention, feeSchedule,
+ * limits, initialSupply, transferFee }
+ * The fund opens for investment once both managers signed the token
+ * creation.
+ */
+exports.launchFund = async (req, res) => {
+  try {
+    const manager = await User.findById(req.user.id);
+    const { fund, request } = await fundService.launchFund(req.body, manager);
+
+    res.status(201).json({
+      success: true,
+      message: `Fund ${fund.code} launched. Each manager must sign the creation of its token.`,
+      data: {
+        fund: fundService.summarize(fund),
+        request: formatRequest(request)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Launch fund error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to launch fund',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List every fund, whatever its status
+ * GET /api/manager/funds
+ */
+exports.getFunds = async (req, res) => {
+  try {
+    const funds = await fundService.listFunds({ status: req.query.status });
+
+    res.json({
+      success: true,
+      data: funds.map(fund => ({
+        ...fundService.summarize(fund),
+        creationRequestId: fund.creationRequestId
+      }))
+    });
+
+  } catch (error) {
+    logger.error('Get funds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch funds',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Initiate the token creation of a fund without a token (Manager 1)
  * POST /api/manager/initiate-token-creation
+ *
+ * Body: { fundId, initialSupply, transferFee } (default fund unless fundId
+ * is given); tokenName, tokenSymbol and decimals override the fund's.
  */
 exports.initiateTokenCreation = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { tokenName, tokenSymbol, decimals, initialSupply } = req.body;
+    const { fundId, tokenName, tokenSymbol, decimals, initialSupply, transferFee } = req.body;
 
     // Check if user is a manager
     const user = await User.findById(userId);
@@ -30,86 +123,118 @@ exports.initiateTokenCreation = async (req, res) => {
       });
     }
 
-    // Check if token already exists
-    const existingToken = await Token.findOne({});
-    if (existingToken) {
+    // Check if the fund's token already exists
+    const fund = await fundService.getFund(fundId);
+    if (fund.tokenId) {
       return res.status(400).json({
         success: false,
-        message: 'Token already exists'
+        message: `Fund ${fund.code} already has a token`
       });
     }
 
-    // Create multi-sig request
-    const expiresAt = new Date();
-    expiresAt.setHours(expiresAt.getHours() + 24); // 24 hour expiry
-
-    const multiSigRequest = new MultiSigRequest({
-      requestType: 'token_creation',
-      description: 'Create Pezzy Money Market Token',
-      requestData: {
-        tokenName: tokenName || process.env.TOKEN_NAME,
-        tokenSymbol: tokenSymbol || process.env.TOKEN_SYMBOL,
-        decimals: decimals || parseInt(process.env.TOKEN_DECIMALS),
-        initialSupply: initialSupply || 0
-      },
-      requiredSignatures: 2,
-      signatures: [{
-        managerId: userId,
-        managerAccountId: user.hederaAccountId,
-        signedAt: new Date()
-      }],
-      status: 'pending',
-      createdBy: userId,
-      expiresAt: expiresAt
-    });
+    if (tokenName) {
+      fund.tokenName = tokenName;
+    }
+    if (tokenSymbol) {
+      fund.tokenSymbol = tokenSymbol;
+    }
+    if (decimals !== undefined) {
+      fund.decimals = decimals;
+    }
 
-    await multiSigRequest.save();
+    // Schedule token creation; both managers sign the schedule themselves
+    const multiSigRequest = await fundService.requestTokenCreation(fund, { initialSupply, transferFee }, user);
 
-    logger.info(`Token creation initiated by manager: ${user.email}`);
+    logger.info(`Token creation of fund ${fund.code} initiated by manager: ${user.email}`);
 
     res.json({
       success: true,
-      message: 'Token creation initiated. Awaiting second manager approval.',
+      message: 'Token creation scheduled. Each manager must sign the schedule.',
       data: {
-        requestId: multiSigRequest._id,
-        requestType: multiSigRequest.requestType,
-        status: multiSigRequest.status,
-        signaturesCollected: 1,
-        signaturesRequired: 2,
-        expiresAt: multiSigRequest.expiresAt
+        ...formatRequest(multiSigRequest),
+        fundId: fund._id
       }
     });
 
   } catch (error) {
     logger.error('Initiate token creation error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to initiate token creation',
+      message: error.statusCode ? error.message : 'Failed to initiate token creation',
       error: error.message
     });
   }
 };
 
 /**
- * Approve and execute token creation (Manager 2)
+ * Approve token creation
  * POST /api/manager/approve-token-creation
+ * Kept for existing clients; same as signing the request.
  */
 exports.approveTokenCreation = async (req, res) => {
+  req.params.requestId = req.body.requestId;
+  return exports.signRequest(req, res);
+};
+
+/**
+ * Get the transaction a manager must sign for a request
+ * GET /api/manager/requests/:requestId/sign-payload
+ *
+ * Returns a frozen ScheduleSignTransaction (base64). The manager signs it
+ * on their own device, e.g. Transaction.fromBytes(bytes).sign(key), and
+ * posts the signed bytes to /api/manager/requests/:requestId/sign.
+ */
+exports.getSignPayload = async (req, res) => {
+  try {
+    const multiSigRequest = await MultiSigRequest.findById(req.params.requestId);
+    if (!multiSigRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found'
+      });
+    }
+
+    const payload = await multiSigService.getSignPayload(multiSigRequest);
+
+    res.json({
+      success: true,
+      data: payload
+    });
+
+  } catch (error) {
+    logger.error('Get sign payload error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to build sign payload',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Sign (approve) a multi-sig request
+ * POST /api/manager/requests/:requestId/sign
+ *
+ * Body: { signedTransaction } - signed sign-payload bytes (base64). Omit it
+ * if the manager submitted their ScheduleSignTransaction directly to Hedera.
+ * The request executes once both managers have signed.
+ */
+exports.signRequest = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { requestId } = req.body;
+    const { signedTransaction } = req.body;
 
     // Check if user is a manager
     const user = await User.findById(userId);
     if (!user || user.role !== 'manager') {
       return res.status(403).json({
         success: false,
-        message: 'Only managers can approve token creation'
+        message: 'Only managers can sign requests'
       });
     }
 
     // Get multi-sig request
-    const multiSigRequest = await MultiSigRequest.findById(requestId);
+    const multiSigRequest = await MultiSigRequest.findById(req.params.requestId);
     if (!multiSigRequest) {
       return res.status(404).json({
         success: false,
@@ -117,105 +242,25 @@ exports.approveTokenCreation = async (req, res) => {
       });
     }
 
-    // Check if request is still pending
-    if (multiSigRequest.status !== 'pending') {
-      return res.status(400).json({
-        success: false,
-        message: `Request is already ${multiSigRequest.status}`
-      });
-    }
-
-    // Check if request has expired
-    if (new Date() > multiSigRequest.expiresAt) {
-      multiSigRequest.status = 'rejected';
-      await multiSigRequest.save();
-      return res.status(400).json({
-        success: false,
-        message: 'Request has expired'
-      });
-    }
+    await multiSigService.signRequest(multiSigRequest, user, signedTransaction);
 
-    // Check if this manager already signed
-    const alreadySigned = multiSigRequest.signatures.some(
-      sig => sig.managerId.toString() === userId
-    );
-
-    if (alreadySigned) {
-      return res.status(400).json({
-        success: false,
-        message: 'You have already signed this request'
-      });
-    }
+    const messages = {
+      pending: 'Signature recorded. Awaiting second manager signature.',
+      approved: 'Request approved. Awaiting execution on Hedera.',
+      executed: 'Request approved and executed successfully'
+    };
 
-    // Add second signature
-    multiSigRequest.signatures.push({
-      managerId: userId,
-      managerAccountId: user.hederaAccountId,
-      signedAt: new Date()
+    res.json({
+      success: true,
+      message: messages[multiSigRequest.status] || `Request is ${multiSigRequest.status}`,
+      data: formatRequest(multiSigRequest)
     });
 
-    multiSigRequest.status = 'approved';
-    await multiSigRequest.save();
-
-    logger.info(`Token creation approved by second manager: ${user.email}`);
-
-    // Execute token creation on Hedera
-    try {
-      const tokenResult = await hederaService.createTokenWithMultiSig(
-        multiSigRequest.requestData
-      );
-
-      // Save token information
-      const token = new Token({
-        tokenId: tokenResult.tokenId,
-        name: tokenResult.name,
-        symbol: tokenResult.symbol,
-        decimals: tokenResult.decimals,
-        totalSupply: tokenResult.initialSupply.toString(),
-        treasuryAccountId: tokenResult.treasuryAccount,
-        manager1AccountId: tokenResult.managers[0],
-        manager2AccountId: tokenResult.managers[1],
-        creationTransactionId: tokenResult.transactionId,
-        isActive: true
-      });
-
-      await token.save();
-
-      // Update multi-sig request
-      multiSigRequest.status = 'executed';
-      multiSigRequest.executedAt = new Date();
-      multiSigRequest.executionTransactionId = tokenResult.transactionId;
-      await multiSigRequest.save();
-
-      // Set token ID in Hedera service
-      hederaService.setTokenId(tokenResult.tokenId);
-
-      logger.info(`Token created successfully: ${tokenResult.tokenId}`);
-
-      res.json({
-        success: true,
-        message: 'Token creation approved and executed successfully',
-        data: {
-          tokenId: tokenResult.tokenId,
-          tokenName: tokenResult.name,
-          tokenSymbol: tokenResult.symbol,
-          transactionId: tokenResult.transactionId,
-          treasuryAccount: tokenResult.treasuryAccount
-        }
-      });
-
-    } catch (error) {
-      multiSigRequest.status = 'rejected';
-      multiSigRequest.metadata = { error: error.message };
-      await multiSigRequest.save();
-      throw error;
-    }
-
   } catch (error) {
-    logger.error('Approve token creation error:', error);
-    res.status(500).json({
+    logger.error('Sign request error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to approve token creation',
+      message: error.statusCode ? error.message : 'Failed to sign request',
       error: error.message
     });
   }
@@ -317,30 +362,31 @@ exports.getAllRequests = async (req, res) => {
 };
 
 /**
- * Get token information
+ * Get the token information of a fund (default fund unless ?fundId=)
  * GET /api/manager/token-info
  */
 exports.getTokenInfo = async (req, res) => {
   try {
     // Get token from database
-    const token = await Token.findOne({ isActive: true });
+    const fund = await fundService.getFund(req.query.fundId);
+    const token = fund.tokenId ? await Token.findOne({ tokenId: fund.tokenId }) : null;
     
     if (!token) {
       return res.status(404).json({
         success: false,
-        message: 'Token not found. Please create token first.'
+        message: `Token of fund ${fund.code} not found. Please create token first.`
       });
     }
 
     // Get real-time info from Hedera
     try {
-      hederaService.setTokenId(token.tokenId);
-      const hederaInfo = await hederaService.getTokenInfo();
+      const hederaInfo = await hederaService.getTokenInfo({ tokenId: token.tokenId });
 
       res.json({
         success: true,
         data: {
           ...hederaInfo,
+          fundId: fund._id,
           createdAt: token.createdAt,
           creationTransactionId: token.creationTransactionId,
           manager1: token.manager1AccountId,
@@ -353,6 +399,7 @@ exports.getTokenInfo = async (req, res) => {
         success: true,
         data: {
           tokenId: token.tokenId,
+          fundId: fund._id,
           name: token.name,
           symbol: token.symbol,
           decimals: token.decimals,
@@ -369,22 +416,24 @@ exports.getTokenInfo = async (req, res) => {
 
   } catch (error) {
     logger.error('Get token info error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to fetch token info',
+      message: error.statusCode ? error.message : 'Failed to fetch token info',
       error: error.message
     });
   }
 };
 
 /**
- * Update interest rate (requires multi-sig)
+ * Update a fund's interest rate (requires multi-sig)
  * POST /api/manager/update-interest-rate
+ *
+ * Body: { newRate, fundId } (default fund unless fundId is given)
  */
 exports.updateInterestRate = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { newRate } = req.body;
+    const { newRate, fundId } = req.body;
 
     // Check if user is a manager
     const user = await User.findById(userId);
@@ -403,37 +452,33 @@ exports.updateInterestRate = async (req, res) => {
       });
     }
 
-    // Create multi-sig request
-    const expiresAt = new Date();
-    expiresAt.setHours(expiresAt.getHours() + 24);
+    const fund = await fundService.getFund(fundId);
 
-    const multiSigRequest = new MultiSigRequest({
+    // Rate changes are approved off-ledger; the initiator approves on creation
+    const multiSigRequest = await multiSigService.createRequest({
       requestType: 'rate_change',
-      description: `Change interest rate to ${newRate}%`,
+      description: `Change interest rate of ${fund.code} to ${newRate}%`,
       requestData: {
+        fundId: fund._id,
         newRate: newRate,
-        previousRate: parseFloat(process.env.FUND_ANNUAL_INTEREST_RATE || 8.5)
+        previousRate: fund.annualRate
       },
-      requiredSignatures: 2,
+      createdBy: userId,
       signatures: [{
         managerId: userId,
         managerAccountId: user.hederaAccountId,
         signedAt: new Date()
-      }],
-      status: 'pending',
-      createdBy: userId,
-      expiresAt: expiresAt
+      }]
     });
 
-    await multiSigRequest.save();
-
-    logger.info(`Interest rate change initiated: ${newRate}%`);
+    logger.info(`Interest rate change of ${fund.code} initiated: ${newRate}%`);
 
     res.json({
       success: true,
       message: 'Interest rate change initiated. Awaiting second manager approval.',
       data: {
         requestId: multiSigRequest._id,
+        fundId: fund._id,
         newRate: newRate,
         status: 'pending'
       }
@@ -441,9 +486,381 @@ exports.updateInterestRate = async (req, res) => {
 
   } catch (error) {
     logger.error('Update interest rate error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update interest rate',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Change a fund's fee schedule (requires multi-sig)
+ * POST /api/manager/fee-schedule
+ *
+ * Send only the fields to change: managementFeeRate, entryFeeRate,
+ * exitFeeRate, earlyRedemptionPenaltyRate (percentages), earlyRedemptionDays,
+ * and fundId (default fund unless given).
+ */
+exports.updateFeeSchedule = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const user = await User.findById(userId);
+
+    const fund = await fundService.getFund(req.body.fundId);
+    const previousSchedule = fundFeeService.getSchedule(fund);
+    const schedule = fundFeeService.validateSchedule(req.body, previousSchedule);
+
+    // Approved off-ledger like rate changes; the initiator approves on creation
+    const multiSigRequest = await multiSigService.createRequest({
+      requestType: 'fee_schedule_change',
+      description: `Change fee schedule of ${fund.code} to ${JSON.stringify(schedule)}`,
+      requestData: {
+        fundId: fund._id,
+        schedule,
+        previousSchedule
+      },
+      createdBy: userId,
+      signatures: [{
+        managerId: userId,
+        managerAccountId: user.hederaAccountId,
+        signedAt: new Date()
+      }]
+    });
+
+    logger.info(`Fee schedule change of ${fund.code} initiated by ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Fee schedule change initiated. Awaiting second manager approval.',
+      data: {
+        ...formatRequest(multiSigRequest),
+        schedule,
+        previousSchedule
+      }
+    });
+
+  } catch (error) {
+    logger.error('Update fee schedule error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update fee schedule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Publish the NAV per unit of a NAV fund (requires multi-sig)
+ * POST /api/manager/nav
+ *
+ * Body: { navPerUnit, valuationDate (YYYY-MM-DD), fundId } (default fund
+ * unless fundId is given). Deposits and redemptions are priced at the new
+ * NAV once the second manager approves.
+ */
+exports.publishNav = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const user = await User.findById(userId);
+
+    const fund = await fundService.getFund(req.body.fundId);
+    const requestData = await navService.validatePublication(fund, req.body);
+    const valuationDate = requestData.valuationDate.toISOString().slice(0, 10);
+
+    // Approved off-ledger like rate changes; the initiator approves on creation
+    const multiSigRequest = await multiSigService.createRequest({
+      requestType: 'nav_publication',
+      description: `Publish NAV of ${fund.code} for ${valuationDate}: ${requestData.navPerUnit} ${fund.currency}`,
+      requestData,
+      createdBy: userId,
+      signatures: [{
+        managerId: userId,
+        managerAccountId: user.hederaAccountId,
+        signedAt: new Date()
+      }]
+    });
+
+    logger.info(`NAV publication of ${fund.code} for ${valuationDate} initiated by ${user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'NAV publication initiated. Awaiting second manager approval.',
+      data: {
+        ...formatRequest(multiSigRequest),
+        navPerUnit: requestData.navPerUnit,
+        previousNav: requestData.previousNav,
+        valuationDate
+      }
+    });
+
+  } catch (error) {
+    logger.error('Publish NAV error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to publish NAV',
+      error: error.message
+    });
+  }
+};
+
+// ============================================================
+// Compliance actions
+// ============================================================
+
+/**
+ * Propose a freeze or unfreeze of an investor's account in a fund
+ * Shared by freezeAccount and unfreezeAccount.
+ */
+const proposeFreezeChange = async (req, res, action) => {
+  try {
+    const { userId, fundId, reasonCode, note } = req.body;
+
+    if (!userId || !reasonCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'userId and reasonCode are required'
+      });
+    }
+
+    const manager = await User.findById(req.user.id);
+    const investor = await User.findById(userId);
+    if (!investor) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const fund = await fundService.getActiveFund(fundId);
+    const multiSigRequest = action === 'freeze'
+      ? await complianceService.proposeFreeze(investor, fund, { reasonCode, note }, manager)
+      : await complianceService.proposeUnfreeze(investor, fund, { reasonCode, note }, manager);
+
+    res.status(201).json({
+      success: true,
+      message: `Account ${action} scheduled. Each manager must sign the schedule.`,
+      data: formatRequest(multiSigRequest)
+    });
+
+  } catch (error) {
+    logger.error(`Propose account ${action} error:`, error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : `Failed to propose account ${action}`,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Freeze an investor's token account (requires multi-sig)
+ * POST /api/manager/compliance/freeze
+ *
+ * Body: { userId, fundId, reasonCode, note } (default fund unless fundId is given)
+ */
+exports.freezeAccount = (req, res) => proposeFreezeChange(req, res, 'freeze');
+
+/**
+ * Unfreeze an investor's token account (requires multi-sig)
+ * POST /api/manager/compliance/unfreeze
+ *
+ * Body: { userId, fundId, reasonCode, note } (default fund unless fundId is given)
+ */
+exports.unfreezeAccount = (req, res) => proposeFreezeChange(req, res, 'unfreeze');
+
+/**
+ * Wipe the tokens of an investment from the investor's account
+ * (requires multi-sig), e.g. after a reversed mobile-money deposit
+ * POST /api/manager/compliance/wipe
+ *
+ * Body: { investmentId, reasonCode, note }
+ */
+exports.wipeTokens = async (req, res) => {
+  try {
+    const { investmentId, reasonCode, note } = req.body;
+
+    if (!investmentId || !reasonCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'investmentId and reasonCode are required'
+      });
+    }
+
+    const investment = await Investment.findById(investmentId);
+    if (!investment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Investment not found'
+      });
+    }
+
+    const manager = await User.findById(req.user.id);
+    const investor = await User.findById(investment.userId);
+
+    const multiSigRequest = await complianceService.proposeWipe(
+      investor,
+      investment,
+      { reasonCode, note },
+      manager
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Token wipe scheduled. Each manager must sign the schedule.',
+      data: formatRequest(multiSigRequest)
+    });
+
+  } catch (error) {
+    logger.error('Propose token wipe error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to propose token wipe',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Propose a pause or unpause of a fund's token
+ * Shared by pauseFund and unpauseFund.
+ */
+const proposePauseChange = async (req, res, action) => {
+  try {
+    const { reasonCode, note } = req.body;
+
+    if (!reasonCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'reasonCode is required'
+      });
+    }
+
+    const manager = await User.findById(req.user.id);
+    const fund = await fundService.getActiveFund(req.params.fundId);
+    const multiSigRequest = action === 'pause'
+      ? await complianceService.proposePause(fund, { reasonCode, note }, manager)
+      : await complianceService.proposeUnpause(fund, { reasonCode, note }, manager);
+
+    res.status(201).json({
+      success: true,
+      message: `Fund ${action} scheduled. Each manager must sign the schedule.`,
+      data: formatRequest(multiSigRequest)
+    });
+
+  } catch (error) {
+    logger.error(`Propose fund ${action} error:`, error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : `Failed to propose fund ${action}`,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Pause a fund's token (requires multi-sig), e.g. after a key leak or a
+ * pricing error
+ * POST /api/manager/funds/:fundId/pause
+ *
+ * Body: { reasonCode, note } - the note is shown on GET /api/status
+ */
+exports.pauseFund = (req, res) => proposePauseChange(req, res, 'pause');
+
+/**
+ * Unpause a fund's token (requires multi-sig)
+ * POST /api/manager/funds/:fundId/unpause
+ *
+ * Body: { reasonCode, note }
+ */
+exports.unpauseFund = (req, res) => proposePauseChange(req, res, 'unpause');
+
+// ============================================================
+// Investor accounts (KYC, custodial keys)
+// ============================================================
+
+/**
+ * Record an investor's KYC review
+ * POST /api/manager/users/:userId/kyc
+ *
+ * Body: { status: 'verified' | 'rejected', note }
+ * Verified investors are granted KYC on the token of every fund they are
+ * associated with, rejected ones have it revoked, so the ledger refuses
+ * transfers to them.
+ */
+exports.reviewKyc = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        message: 'status is required'
+      });
+    }
+
+    const investor = await User.findById(req.params.userId);
+    if (!investor) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const reviewer = await User.findById(req.user.id);
+    const { synced } = await kycService.review(investor, status, reviewer, note);
+
+    res.json({
+      success: true,
+      message: synced
+        ? `KYC ${status}`
+        : `KYC ${status}. The ledger update failed and will be retried.`,
+      data: {
+        userId: investor._id,
+        kycStatus: investor.kycStatus,
+        fundAccounts: investor.fundAccounts,
+        kycReviewedAt: investor.kycReviewedAt
+      }
+    });
+
+  } catch (error) {
+    logger.error('KYC review error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to record KYC review',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Rotate an investor's custodial key (e.g. suspected compromise)
+ * POST /api/manager/users/:userId/rotate-key
+ */
+exports.rotateInvestorKey = async (req, res) => {
+  try {
+    const investor = await User.findById(req.params.userId);
+    if (!investor) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const rotation = await keyVaultService.rotateInvestorKey(investor._id);
+
+    logger.info(`Key of ${rotation.accountId} rotated by manager ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Investor key rotated successfully',
+      data: rotation
+    });
+
+  } catch (error) {
+    logger.error('Rotate investor key error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to update interest rate',
+      message: error.statusCode ? error.message : 'Failed to rotate investor key',
       error: error.message
     });
   }
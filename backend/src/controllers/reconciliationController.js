@@ -0,0 +1,160 @@
+/**
+ * Reconciliation Controller - On-chain vs database reconciliation reports
+ */
+
+const { ReconciliationReport } = require('../models');
+const reconciliationService = require('../services/reconciliationService');
+const fundService = require('../services/fundService');
+const logger = require('../utils/logger');
+
+/**
+ * Run a reconciliation of a fund now (default fund unless fundId is given)
+ * POST /api/manager/reconciliation/run
+ */
+exports.runReconciliation = async (req, res) => {
+  try {
+    const report = await reconciliationService.run({
+      trigger: 'manual',
+      triggeredBy: req.user.id,
+      fund: await fundService.getActiveFund(req.body.fundId)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: report.status === 'clean'
+        ? 'Database and ledger are in agreement'
+        : `Reconciliation finished: ${report.status}`,
+      data: report
+    });
+
+  } catch (error) {
+    logger.error('Run reconciliation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to run reconciliation',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get reconciliation reports (history)
+ * GET /api/manager/reconciliation/reports
+ */
+exports.getReports = async (req, res) => {
+  try {
+    const { status, acknowledged, fundId, limit = 20, page = 1 } = req.query;
+
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
+    if (fundId) {
+      query.fundId = (await fundService.getFund(fundId))._id;
+    }
+    if (acknowledged !== undefined) {
+      query.acknowledged = acknowledged === 'true';
+    }
+
+    const reports = await ReconciliationReport.find(query)
+      .select('-discrepancies')
+      .populate('triggeredBy', 'firstName lastName email')
+      .populate('acknowledgedBy', 'firstName lastName email')
+      .sort({ startedAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await ReconciliationReport.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        reports,
+        pagination: {
+          total,
+          page: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get reconciliation reports error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch reconciliation reports',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a reconciliation report with its discrepancies
+ * GET /api/manager/reconciliation/reports/:reportId
+ */
+exports.getReport = async (req, res) => {
+  try {
+    const report = await ReconciliationReport.findById(req.params.reportId)
+      .populate('triggeredBy', 'firstName lastName email')
+      .populate('acknowledgedBy', 'firstName lastName email')
+      .populate('discrepancies.userId', 'firstName lastName email hederaAccountId');
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    logger.error('Get reconciliation report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reconciliation report',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Acknowledge a reconciliation report
+ * POST /api/manager/reconciliation/reports/:reportId/acknowledge
+ */
+exports.acknowledgeReport = async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    const report = await ReconciliationReport.findById(req.params.reportId);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    await reconciliationService.acknowledge(report, req.user.id, note);
+
+    res.json({
+      success: true,
+      message: 'Report acknowledged',
+      data: {
+        reportId: report._id,
+        acknowledgedAt: report.acknowledgedAt,
+        acknowledgementNote: report.acknowledgementNote
+      }
+    });
+
+  } catch (error) {
+    logger.error('Acknowledge reconciliation report error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to acknowledge report',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,114 @@
+/**
+ * Tax Controller - Withholding tax categories, remittance report and
+ * annual tax certificates
+ */
+
+const { User } = require('../models');
+const taxService = require('../services/taxService');
+const logger = require('../utils/logger');
+
+/**
+ * Set an investor's tax category
+ * POST /api/manager/users/:userId/tax
+ *
+ * Body: { taxCategory: individual | company | non_resident | exempt,
+ * taxId, exemptionReference (required for exempt) }. Applies to interest
+ * paid from now on.
+ */
+exports.updateTaxCategory = async (req, res) => {
+  try {
+    const investor = await User.findById(req.params.userId);
+    if (!investor) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const manager = await User.findById(req.user.id);
+    await taxService.setCategory(investor, req.body, manager);
+
+    res.json({
+      success: true,
+      message: `Tax category set to ${investor.taxCategory}`,
+      data: {
+        userId: investor._id,
+        taxCategory: investor.taxCategory,
+        taxRate: taxService.rateFor(investor).rate,
+        taxId: investor.taxId || null,
+        exemptionReference: investor.taxExemptionReference || null,
+        updatedAt: investor.taxCategoryUpdatedAt
+      }
+    });
+
+  } catch (error) {
+    logger.error('Update tax category error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update tax category',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Tax withheld over a period, for remittance
+ * GET /api/manager/tax/report?from=2026-09-01&to=2026-09-30
+ *
+ * Defaults to the last completed month.
+ */
+exports.getTaxReport = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    const report = await taxService.report({ from, to });
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    logger.error('Get tax report error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to build tax report',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Annual tax certificate of the signed-in investor
+ * GET /api/invest/tax-certificate?year=2026&format=text
+ *
+ * year defaults to the last completed year; format=text downloads the
+ * certificate as a text document instead of JSON.
+ */
+exports.getTaxCertificate = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const year = req.query.year || new Date().getUTCFullYear() - 1;
+
+    const certificate = await taxService.certificate(user, year);
+
+    if (req.query.format === 'text') {
+      res.set('Content-Type', 'text/plain; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="pezzy-tax-certificate-${certificate.year}.txt"`);
+      return res.send(taxService.renderCertificate(certificate));
+    }
+
+    res.json({
+      success: true,
+      data: certificate
+    });
+
+  } catch (error) {
+    logger.error('Get tax certificate error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to build tax certificate',
+      error: error.message
+    });
+  }
+};
@@ -3,6 +3,152 @@
  */
 
 const mongoose = require('mongoose');
+const money = require('../utils/money');
+
+/**
+ * Money field: stored as integer minor units, read and written in currency
+ * units (see utils/money)
+ */
+const moneyField = options => ({
+  type: Number,
+  get: money.fromMinor,
+  set: money.toMinor,
+  ...options
+});
+
+// Unit of the stored money fields (documents from before minor units were
+// converted by fundService.migrateMoneyUnits)
+const moneyUnitsField = {
+  type: String,
+  enum: ['minor'],
+  default: 'minor'
+};
+
+// Serialize money fields in currency units
+const moneyOptions = {
+  toJSON: { getters: true, virtuals: false },
+  toObject: { getters: true, virtuals: false }
+};
+
+/**
+ * Key Envelope Schema
+ * An investor private key encrypted with its own data key, which is in
+ * turn encrypted (wrapped) by a versioned master key (see keyVaultService)
+ */
+const keyEnvelopeSchema = new mongoose.Schema({
+  algorithm: {
+    type: String,
+    default: 'aes-256-gcm'
+  },
+  ciphertext: {
+    type: String,
+    required: true
+  },
+  iv: {
+    type: String,
+    required: true
+  },
+  authTag: {
+    type: String,
+    required: true
+  },
+  
+  // Data key wrapped by the master key
+  wrappedKey: {
+    type: String,
+    required: true
+  },
+  keyProvider: {
+    type: String,
+    required: true
+  },
+  keyVersion: {
+    type: Number,
+    required: true
+  },
+  encryptedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+/**
+ * Wallet Challenge Schema
+ * Message an investor signs with the key of an existing Hedera account to
+ * prove they control it (see walletService)
+ */
+const walletChallengeSchema = new mongoose.Schema({
+  accountId: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  _id: false
+});
+
+/**
+ * Fund Account Schema
+ * A user's relationship with one fund's token: association, KYC flag and
+ * compliance freeze are per token on the ledger
+ */
+const fundAccountSchema = new mongoose.Schema({
+  fundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fund',
+    required: true
+  },
+  tokenId: {
+    type: String,
+    required: true
+  },
+  tokenAssociated: {
+    type: Boolean,
+    default: false
+  },
+  kycGranted: {
+    type: Boolean,
+    default: false // KYC flag on the token relationship (ledger)
+  },
+  
+  // Token allowance granted to the treasury (custodial accounts, see allowanceService)
+  allowanceTokens: {
+    type: Number // Tokens the treasury may still transfer, as tracked
+  },
+  allowanceApprovedAt: {
+    type: Date
+  },
+  allowanceTransactionId: {
+    type: String // Last approval
+  },
+  
+  // Compliance (set when a multi-sig freeze/unfreeze request executes)
+  isFrozen: {
+    type: Boolean,
+    default: false
+  },
+  frozenAt: {
+    type: Date
+  },
+  freezeReason: {
+    type: String // Reason code of the freeze request
+  },
+  freezeRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MultiSigRequest' // Last executed freeze or unfreeze request
+  }
+}, {
+  _id: false
+});
 
 /**
  * User Schema
@@ -54,14 +200,33 @@ const userSchema = new mongoose.Schema({
   },
   hederaPrivateKey: {
     type: String,
-    select: false // Don't return by default for security
+    select: false // Legacy plaintext key, replaced by hederaKeyEnvelope on first use
+  },
+  hederaKeyEnvelope: {
+    type: keyEnvelopeSchema,
+    select: false // Encrypted private key
+  },
+  pendingKeyEnvelope: {
+    type: keyEnvelopeSchema,
+    select: false // New key while a key rotation is being applied on the ledger
+  },
+  keyRotatedAt: {
+    type: Date
   },
   hederaPublicKey: {
     type: String
   },
-  tokenAssociated: {
-    type: Boolean,
-    default: false
+  walletMode: {
+    type: String,
+    enum: ['custodial', 'non_custodial'],
+    default: 'custodial' // non_custodial: the investor holds the key and signs in their wallet
+  },
+  walletChallenge: {
+    type: walletChallengeSchema,
+    select: false // Open challenge while linking a non-custodial account
+  },
+  fundAccounts: {
+    type: [fundAccountSchema] // One per fund token the account is associated with
   },
   
   // Account Status
@@ -78,6 +243,36 @@ const userSchema = new mongoose.Schema({
     enum: ['pending', 'verified', 'rejected'],
     default: 'pending'
   },
+  kycReviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  kycReviewedAt: {
+    type: Date
+  },
+  kycNote: {
+    type: String
+  },
+  
+  // Withholding tax on interest (see taxService)
+  taxCategory: {
+    type: String,
+    enum: ['individual', 'company', 'non_resident', 'exempt'],
+    default: 'individual'
+  },
+  taxId: {
+    type: String // TIN, shown on tax certificates
+  },
+  taxExemptionReference: {
+    type: String // Exemption certificate of exempt investors
+  },
+  taxCategoryUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  taxCategoryUpdatedAt: {
+    type: Date
+  },
   
   // Role
   role: {
@@ -111,12 +306,17 @@ const investmentSchema = new mongoose.Schema({
     index: true
   },
   
+  // Fund the investment is in
+  fundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fund'
+  },
+  
   // Investment Details
-  amountRWF: {
-    type: Number,
+  amountRWF: moneyField({
     required: true,
-    min: 0
-  },
+    min: 0 // In the fund's currency
+  }),
   tokenAmount: {
     type: Number,
     required: true,
@@ -135,40 +335,131 @@ const investmentSchema = new mongoose.Schema({
   },
   
   // Interest Tracking
-  interestAccrued: {
-    type: Number,
+  interestAccrued: moneyField({
     default: 0
-  },
+  }),
   interestRate: {
     type: Number,
     required: true // Store rate at time of investment
   },
+  navPerUnit: {
+    type: Number // NAV funds: price the units were issued at
+  },
+  
+  // Interest paid out in tokens (see distributionService); tokenAmount
+  // includes the tokens paid
+  interestPaid: moneyField({
+    default: 0 // Gross of taxWithheld
+  }),
+  taxWithheld: moneyField({
+    default: 0 // Withholding tax on interest paid out or redeemed (see taxService)
+  }),
+  interestPaidThrough: {
+    type: Date // Last accrual date paid out
+  },
   
   // Status
   status: {
     type: String,
-    enum: ['active', 'redeemed', 'pending'],
+    enum: ['active', 'redeemed', 'pending', 'cancelled', 'wiped'],
     default: 'active'
   },
   
-  // Hedera Transaction Reference
+  // Hedera Transaction Reference (set once the mint is scheduled)
   hederaTransactionId: {
-    type: String,
-    required: true
+    type: String
   },
   
   // Redemption Details (if redeemed)
   redemptionDate: {
     type: Date
   },
-  redemptionAmount: {
+  redemptionAmount: moneyField(),
+  redemptionTransactionId: {
+    type: String
+  },
+  
+  // Wipe Details (if the tokens were wiped by a multi-sig request)
+  wipedAt: {
+    type: Date
+  },
+  wipeRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MultiSigRequest'
+  },
+  
+  moneyUnits: moneyUnitsField
+}, {
+  timestamps: true,
+  ...moneyOptions
+});
+
+/**
+ * Audit Anchor Schema
+ * Where a record's audit message was anchored on the HCS audit topic
+ */
+const auditAnchorSchema = new mongoose.Schema({
+  topicId: {
+    type: String
+  },
+  sequenceNumber: {
     type: Number
   },
-  redemptionTransactionId: {
+  consensusTimestamp: {
+    type: String
+  },
+  transactionId: {
+    type: String
+  },
+  recordHash: {
     type: String
+  },
+  anchoredAt: {
+    type: Date
   }
 }, {
-  timestamps: true
+  _id: false
+});
+
+/**
+ * Ledger Record Schema
+ * Consensus record of a ledger transaction performed for a Transaction,
+ * as read back from the network once it reached consensus
+ */
+const ledgerRecordSchema = new mongoose.Schema({
+  operation: {
+    type: String // e.g. transfer_to_investor, token_mint, topic_message
+  },
+  transactionId: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String // e.g. SUCCESS, INSUFFICIENT_TOKEN_BALANCE
+  },
+  consensusTimestamp: {
+    type: String // seconds.nanoseconds
+  },
+  consensusAt: {
+    type: Date
+  },
+  feeTinybars: {
+    type: Number
+  },
+  memo: {
+    type: String
+  },
+  tokenTransfers: [{
+    _id: false,
+    tokenId: String,
+    accountId: String,
+    amount: Number
+  }],
+  recordedAt: {
+    type: Date
+  }
+}, {
+  _id: false
 });
 
 /**
@@ -189,17 +480,20 @@ const transactionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Investment'
   },
+  fundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fund'
+  },
   
   // Transaction Details
   type: {
     type: String,
-    enum: ['deposit', 'withdrawal', 'interest_payment', 'fee'],
-    required: true
-  },
-  amountRWF: {
-    type: Number,
+    enum: ['deposit', 'withdrawal', 'interest_payment', 'fee', 'tax'],
     required: true
   },
+  amountRWF: moneyField({
+    required: true // In the fund's currency
+  }),
   tokenAmount: {
     type: Number
   },
@@ -225,6 +519,11 @@ const transactionSchema = new mongoose.Schema({
   hederaTransactionId: {
     type: String
   },
+  networkFeeTinybars: {
+    type: Number,
+    default: 0 // HBAR fees the operator paid for this record's ledger transactions (see LedgerFee)
+  },
+  ledgerRecords: [ledgerRecordSchema], // Consensus records of its ledger transactions
   
   // Additional Info
   description: {
@@ -234,6 +533,28 @@ const transactionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed
   },
   
+  // Idempotency (Idempotency-Key header of the API request)
+  idempotencyKey: {
+    type: String
+  },
+  requestFingerprint: {
+    type: String // Hash of the request body the key was first used with
+  },
+  
+  // HCS Audit Trail
+  audit: {
+    type: auditAnchorSchema
+  },
+  
+  // Interest accrual (interest_payment: the accrual day it covers, see accrualService)
+  accrualDate: {
+    type: Date
+  },
+  distributionRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MultiSigRequest' // interest_distribution that paid the accrual out in tokens, or made the payout
+  },
+  
   // Timestamps
   transactionDate: {
     type: Date,
@@ -241,45 +562,259 @@ const transactionSchema = new mongoose.Schema({
   },
   completedDate: {
     type: Date
+  },
+  
+  moneyUnits: moneyUnitsField
+}, {
+  timestamps: true,
+  ...moneyOptions
+});
+
+/**
+ * Fee Schedule Schema
+ * Fees the fund charges investors (rates are percentages, see fundFeeService)
+ */
+const feeScheduleSchema = new mongoose.Schema({
+  managementFeeRate: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100 // Annual, accrued daily on the investment's value
+  },
+  entryFeeRate: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100 // Of the deposited amount
+  },
+  exitFeeRate: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100 // Of the redeemed value
+  },
+  earlyRedemptionPenaltyRate: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100 // Of the redeemed value, within earlyRedemptionDays
+  },
+  earlyRedemptionDays: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  updatedAt: {
+    type: Date
   }
 }, {
-  timestamps: true
+  _id: false
 });
 
 /**
- * Token Schema
- * Stores token configuration and metadata
+ * Interest Convention Schema
+ * How a fund counts days and compounds interest (see interestService)
  */
-const tokenSchema = new mongoose.Schema({
-  // Token Details
-  tokenId: {
+const interestConventionSchema = new mongoose.Schema({
+  dayCount: {
+    type: String,
+    enum: ['ACT/365', 'ACT/360', '30/360'],
+    default: 'ACT/365'
+  },
+  compounding: {
+    type: String,
+    enum: ['daily', 'monthly', 'simple'],
+    default: 'daily'
+  },
+  accrualCutoff: {
+    type: String,
+    default: '00:00' // HH:MM, Africa/Kigali time; a day accrues as it passes
+  }
+}, {
+  _id: false
+});
+
+/**
+ * Fund Limits Schema
+ * Amounts in the fund's currency; null means no limit
+ */
+const fundLimitsSchema = new mongoose.Schema({
+  minInvestment: moneyField({
+    default: 0,
+    min: 0 // Per deposit
+  }),
+  maxInvestment: moneyField({
+    default: null,
+    min: 0 // Per deposit
+  }),
+  maxHoldingPerInvestor: moneyField({
+    default: null,
+    min: 0 // Invested amount across an investor's open investments
+  })
+}, {
+  _id: false,
+  ...moneyOptions
+});
+
+/**
+ * Fund Schema
+ * A money market fund with its own HTS token, rate, fees and limits
+ * (see fundService)
+ */
+const fundSchema = new mongoose.Schema({
+  // Fund Details
+  code: {
     type: String,
     required: true,
-    unique: true
+    unique: true,
+    uppercase: true,
+    trim: true // e.g. RWF-MMF; accepted wherever a fundId is
   },
   name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true // ISO 4217; one token unit per currency unit
+  },
+  description: {
+    type: String
+  },
+  
+  // Token (tokenId is set once the token_creation request executes)
+  tokenName: {
     type: String,
     required: true
   },
-  symbol: {
+  tokenSymbol: {
     type: String,
     required: true
   },
   decimals: {
     type: Number,
-    required: true
+    required: true,
+    min: 0,
+    max: 18
   },
-  
-  // Supply Information
-  totalSupply: {
+  tokenId: {
     type: String,
-    default: '0'
+    default: null
+  },
+  creationRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MultiSigRequest'
   },
   
-  // Treasury
-  treasuryAccountId: {
+  // Terms
+  annualRate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100 // Percentage, compounded per interestConvention
+  },
+  pricingModel: {
     type: String,
-    required: true
+    enum: ['fixed', 'nav'],
+    default: 'fixed' // fixed: 1 token = 1 currency unit; nav: units priced at the published NAV
+  },
+  interestConvention: {
+    type: interestConventionSchema // Unset: FUND_DAY_COUNT, FUND_COMPOUNDING, FUND_ACCRUAL_CUTOFF
+  },
+  feeSchedule: {
+    type: feeScheduleSchema // Unset: FUND_*_FEE_* environment defaults
+  },
+  limits: {
+    type: fundLimitsSchema,
+    default: () => ({})
+  },
+  
+  // Status
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'closed'],
+    default: 'pending' // pending until its token exists
+  },
+  isDefault: {
+    type: Boolean,
+    default: false // Used when a request names no fund
+  },
+  
+  // Emergency pause (set once a fund_pause request executes on the token)
+  isPaused: {
+    type: Boolean,
+    default: false // Buying, redeeming and associating are refused while set
+  },
+  pausedAt: {
+    type: Date
+  },
+  pauseReason: {
+    type: String // Reason code (see complianceService)
+  },
+  pauseNote: {
+    type: String // Shown publicly on /api/status
+  },
+  pauseApprovedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Managers who signed the pause
+  }],
+  pauseRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MultiSigRequest' // Last fund_pause or fund_unpause request
+  },
+  
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
+  moneyUnits: moneyUnitsField // Of its limits
+}, {
+  timestamps: true,
+  ...moneyOptions
+});
+
+/**
+ * Token Schema
+ * Stores token configuration and metadata
+ */
+const tokenSchema = new mongoose.Schema({
+  // Token Details
+  tokenId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  fundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fund'
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  symbol: {
+    type: String,
+    required: true
+  },
+  decimals: {
+    type: Number,
+    required: true
+  },
+  
+  // Supply Information
+  totalSupply: {
+    type: String,
+    default: '0'
+  },
+  
+  // Treasury
+  treasuryAccountId: {
+    type: String,
+    required: true
   },
   
   // Manager Accounts
@@ -302,6 +837,11 @@ const tokenSchema = new mongoose.Schema({
     default: Date.now
   },
   
+  // Fees (the fee schedule is on the Fund)
+  customFees: {
+    type: [mongoose.Schema.Types.Mixed] // HTS custom fees set at creation (transfer fee)
+  },
+  
   // Status
   isActive: {
     type: Boolean,
@@ -319,7 +859,20 @@ const multiSigRequestSchema = new mongoose.Schema({
   // Request Type
   requestType: {
     type: String,
-    enum: ['token_creation', 'token_mint', 'token_burn', 'interest_distribution', 'rate_change'],
+    enum: [
+      'token_creation',
+      'token_mint',
+      'token_burn',
+      'interest_distribution',
+      'rate_change',
+      'fee_schedule_change',
+      'account_freeze',
+      'account_unfreeze',
+      'token_wipe',
+      'fund_pause',
+      'fund_unpause',
+      'nav_publication'
+    ],
     required: true
   },
   
@@ -352,9 +905,26 @@ const multiSigRequestSchema = new mongoose.Schema({
     },
     signature: {
       type: String
+    },
+    publicKey: {
+      type: String
+    },
+    transactionId: {
+      type: String // ScheduleSignTransaction that carried the signature
     }
   }],
   
+  // Hedera Schedule (for operations executed on the ledger)
+  scheduleId: {
+    type: String
+  },
+  scheduledTransactionId: {
+    type: String
+  },
+  scheduleCreateTransactionId: {
+    type: String
+  },
+  
   // Status
   status: {
     type: String,
@@ -369,12 +939,26 @@ const multiSigRequestSchema = new mongoose.Schema({
   executionTransactionId: {
     type: String
   },
+  executionStatus: {
+    type: String // Receipt status of the scheduled transaction
+  },
+  networkFeeTinybars: {
+    type: Number,
+    default: 0 // HBAR fees the operator paid for this request's ledger transactions (see LedgerFee)
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
   
-  // Created By
+  // HCS Audit Trail
+  audit: {
+    type: auditAnchorSchema
+  },
+  
+  // Created By (unset for requests the platform raises, e.g. batched mints)
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
+    ref: 'User'
   },
   
   // Expiry
@@ -386,26 +970,496 @@ const multiSigRequestSchema = new mongoose.Schema({
   timestamps: true
 });
 
+/**
+ * Ledger Operation Schema
+ * A ledger transaction submitted for a business flow. The transaction ID
+ * is recorded before submission, so an operation interrupted by a crash
+ * can be looked up on the ledger and resolved instead of resubmitted.
+ */
+const ledgerOperationSchema = new mongoose.Schema({
+  operationType: {
+    type: String,
+    enum: ['schedule_create', 'transfer_to_investor', 'transfer_from_investor', 'account_key_update', 'distribution_transfer'],
+    required: true
+  },
+  
+  // Intended Hedera transaction ID
+  transactionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  
+  // Status
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  receiptStatus: {
+    type: String
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    type: String
+  },
+  resolvedAt: {
+    type: Date
+  },
+  
+  // Records the operation belongs to
+  relatedTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  relatedInvestmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Investment'
+  },
+  relatedRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MultiSigRequest'
+  },
+  relatedUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  batchIndex: {
+    type: Number // Batch of a request settled in several transactions (interest distributions)
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Audit Topic Schema
+ * HCS topic that anchors the fund's audit trail
+ */
+const auditTopicSchema = new mongoose.Schema({
+  topicId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  memo: {
+    type: String
+  },
+  
+  // Key that signs every audit message
+  signerPublicKey: {
+    type: String,
+    required: true
+  },
+  
+  // Creation Details
+  creationTransactionId: {
+    type: String,
+    required: true
+  },
+  
+  // Status
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Reconciliation Report Schema
+ * Result of comparing database positions with on-chain balances
+ */
+const reconciliationReportSchema = new mongoose.Schema({
+  // Run Details
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    required: true
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  completedAt: {
+    type: Date
+  },
+  fundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fund'
+  },
+  tokenId: {
+    type: String
+  },
+  
+  // Outcome
+  status: {
+    type: String,
+    enum: ['clean', 'discrepancies', 'failed'],
+    required: true
+  },
+  summary: {
+    accountsChecked: { type: Number, default: 0 },
+    dbOutstandingTokens: { type: Number, default: 0 }, // Active investments
+    dbTreasuryTokens: { type: Number, default: 0 },    // Redeemed, awaiting burn
+    ledgerInvestorTokens: { type: Number, default: 0 },
+    ledgerTreasuryTokens: { type: Number, default: 0 },
+    ledgerTotalSupply: { type: Number, default: 0 }
+  },
+  discrepancies: [{
+    type: {
+      type: String,
+      enum: ['investor_balance', 'treasury_balance', 'total_supply', 'unknown_holders', 'ledger_error'],
+      required: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    accountId: {
+      type: String
+    },
+    expected: {
+      type: Number // Database figure (token smallest units)
+    },
+    actual: {
+      type: Number // Ledger figure (token smallest units)
+    },
+    difference: {
+      type: Number // actual - expected
+    },
+    message: {
+      type: String
+    }
+  }],
+  error: {
+    type: String
+  },
+  
+  // Acknowledgement
+  acknowledged: {
+    type: Boolean,
+    default: false
+  },
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acknowledgedAt: {
+    type: Date
+  },
+  acknowledgementNote: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Pooled Account Schema
+ * Custodial account created ahead of registration, so onboarding does not
+ * wait for the network (see accountService)
+ */
+const pooledAccountSchema = new mongoose.Schema({
+  accountId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  publicKey: {
+    type: String,
+    required: true
+  },
+  keyEnvelope: {
+    type: keyEnvelopeSchema,
+    select: false // Encrypted private key, bound to this entry until assigned
+  },
+  
+  // Token the account is associated with (null before the token exists)
+  tokenId: {
+    type: String,
+    default: null
+  },
+  
+  // Assignment
+  status: {
+    type: String,
+    enum: ['available', 'assigned'],
+    default: 'available'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assignedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Ledger Fee Schema
+ * Network fee the operator actually paid for a ledger transaction, read
+ * from the transaction record once it reached consensus (see feeService)
+ */
+const ledgerFeeSchema = new mongoose.Schema({
+  transactionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  operationType: {
+    type: String,
+    required: true // e.g. transfer_to_investor, schedule_sign, token_mint (scheduled)
+  },
+  
+  // Status
+  status: {
+    type: String,
+    enum: ['pending', 'collected', 'not_charged'],
+    default: 'pending'
+  },
+  feeTinybars: {
+    type: Number
+  },
+  consensusAt: {
+    type: Date
+  },
+  collectedAt: {
+    type: Date
+  },
+  
+  // Records the fee is charged to
+  relatedTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  relatedRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MultiSigRequest'
+  },
+  relatedUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Operator Balance Alert Schema
+ * Raised when the operator's HBAR balance will run out within the warning
+ * horizon at the current fee burn rate; resolved once it no longer will
+ */
+const operatorBalanceAlertSchema = new mongoose.Schema({
+  accountId: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  
+  // Latest check while open
+  balanceTinybars: {
+    type: Number,
+    required: true
+  },
+  dailyBurnTinybars: {
+    type: Number,
+    required: true
+  },
+  daysRemaining: {
+    type: Number,
+    required: true
+  },
+  thresholdDays: {
+    type: Number,
+    required: true
+  },
+  lastCheckedAt: {
+    type: Date
+  },
+  resolvedAt: {
+    type: Date
+  },
+  
+  // Acknowledgement
+  acknowledged: {
+    type: Boolean,
+    default: false
+  },
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acknowledgedAt: {
+    type: Date
+  },
+  acknowledgementNote: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Rate History Schema
+ * Annual interest rate of a fund from effectiveFrom until the next entry;
+ * interest is computed piecewise across the entries an investment spans
+ */
+const rateHistorySchema = new mongoose.Schema({
+  fundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fund',
+    required: true
+  },
+  annualRate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100 // Percentage
+  },
+  previousRate: {
+    type: Number
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  
+  // Origin: the fund's rate when history began, or an executed rate_change
+  source: {
+    type: String,
+    enum: ['initial', 'rate_change'],
+    required: true
+  },
+  requestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MultiSigRequest'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * NAV History Schema
+ * Net asset value per unit of a NAV fund, published for a valuation date
+ * through a nav_publication multi-sig request (see navService)
+ */
+const navHistorySchema = new mongoose.Schema({
+  fundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fund',
+    required: true
+  },
+  valuationDate: {
+    type: Date,
+    required: true // Midnight UTC of the valued day (Africa/Kigali calendar)
+  },
+  navPerUnit: {
+    type: Number,
+    required: true,
+    min: 0 // In the fund's currency
+  },
+  previousNav: {
+    type: Number
+  },
+  
+  // Publication
+  requestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MultiSigRequest'
+  },
+  publishedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
 // Create indexes for better query performance
 userSchema.index({ email: 1 });
 userSchema.index({ hederaAccountId: 1 });
+userSchema.index({ 'fundAccounts.fundId': 1 });
 investmentSchema.index({ userId: 1, status: 1 });
 investmentSchema.index({ investmentDate: 1 });
+investmentSchema.index({ fundId: 1, status: 1 });
+fundSchema.index({ status: 1, isDefault: 1 });
 transactionSchema.index({ userId: 1, transactionDate: -1 });
 transactionSchema.index({ status: 1 });
+transactionSchema.index({ hederaTransactionId: 1 });
+transactionSchema.index(
+  { userId: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+transactionSchema.index(
+  { investmentId: 1, accrualDate: 1 },
+  { unique: true, partialFilterExpression: { type: 'interest_payment', accrualDate: { $exists: true } } }
+);
+transactionSchema.index({ distributionRequestId: 1 });
+transactionSchema.index({ type: 1, transactionDate: 1 });
 multiSigRequestSchema.index({ status: 1, expiresAt: 1 });
+multiSigRequestSchema.index({ scheduleId: 1 });
+multiSigRequestSchema.index({ 'requestData.userId': 1, status: 1 });
+ledgerOperationSchema.index({ status: 1, createdAt: 1 });
+ledgerOperationSchema.index({ operationType: 1, relatedTransactionId: 1 });
+ledgerOperationSchema.index({ operationType: 1, relatedRequestId: 1 });
+ledgerOperationSchema.index({ operationType: 1, relatedUserId: 1 });
+reconciliationReportSchema.index({ startedAt: -1 });
+reconciliationReportSchema.index({ status: 1, acknowledged: 1 });
+pooledAccountSchema.index({ status: 1, tokenId: 1, createdAt: 1 });
+ledgerFeeSchema.index({ status: 1, createdAt: 1 });
+ledgerFeeSchema.index({ consensusAt: 1, operationType: 1 });
+ledgerFeeSchema.index({ relatedTransactionId: 1 });
+ledgerFeeSchema.index({ relatedRequestId: 1 });
+operatorBalanceAlertSchema.index({ status: 1, createdAt: -1 });
+rateHistorySchema.index({ fundId: 1, effectiveFrom: 1 });
+navHistorySchema.index({ fundId: 1, valuationDate: 1 }, { unique: true });
+rateHistorySchema.index(
+  { requestId: 1 },
+  { unique: true, partialFilterExpression: { requestId: { $type: 'objectId' } } }
+);
 
 // Create models
 const User = mongoose.model('User', userSchema);
 const Investment = mongoose.model('Investment', investmentSchema);
 const Transaction = mongoose.model('Transaction', transactionSchema);
+const Fund = mongoose.model('Fund', fundSchema);
 const Token = mongoose.model('Token', tokenSchema);
 const MultiSigRequest = mongoose.model('MultiSigRequest', multiSigRequestSchema);
+const LedgerOperation = mongoose.model('LedgerOperation', ledgerOperationSchema);
+const AuditTopic = mongoose.model('AuditTopic', auditTopicSchema);
+const ReconciliationReport = mongoose.model('ReconciliationReport', reconciliationReportSchema);
+const PooledAccount = mongoose.model('PooledAccount', pooledAccountSchema);
+const LedgerFee = mongoose.model('LedgerFee', ledgerFeeSchema);
+const OperatorBalanceAlert = mongoose.model('OperatorBalanceAlert', operatorBalanceAlertSchema);
+const RateHistory = mongoose.model('RateHistory', rateHistorySchema);
+const NavHistory = mongoose.model('NavHistory', navHistorySchema);
 
 module.exports = {
   User,
   Investment,
   Transaction,
+  Fund,
   Token,
-  MultiSigRequest
+  MultiSigRequest,
+  LedgerOperation,
+  AuditTopic,
+  ReconciliationReport,
+  PooledAccount,
+  LedgerFee,
+  OperatorBalanceAlert,
+  RateHistory,
+  NavHistory
 };
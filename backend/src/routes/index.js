@@ -9,6 +9,12 @@ const router = express.Router();
 const authController = require('../controllers/authController');
 const investmentController = require('../controllers/investmentController');
 const managerController = require('../controllers/managerController');
+const auditController = require('../controllers/auditController');
+const reconciliationController = require('../controllers/reconciliationController');
+const feeController = require('../controllers/feeController');
+const accrualController = require('../controllers/accrualController');
+const distributionController = require('../controllers/distributionController');
+const taxController = require('../controllers/taxController');
 
 // Middleware
 const { authenticate, isManager } = require('../middleware/auth');
@@ -22,6 +28,9 @@ router.get('/health', (req, res) => {
   });
 });
 
+// Public fund status (emergency pauses)
+router.get('/status', investmentController.getStatus);
+
 // ============================================================
 // Authentication Routes
 // ============================================================
@@ -30,26 +39,71 @@ router.post('/auth/login', authController.login);
 router.get('/auth/profile', authenticate, authController.getProfile);
 router.post('/auth/create-hedera-account', authenticate, authController.createHederaAccount);
 router.post('/auth/change-password', authenticate, authController.changePassword);
+router.post('/auth/rotate-hedera-key', authenticate, authController.rotateHederaKey);
+router.post('/auth/wallet/challenge', authenticate, authController.createWalletChallenge);
+router.post('/auth/wallet/link', authenticate, authController.linkWallet);
 
 // ============================================================
 // Investment Routes (Protected)
 // ============================================================
+router.get('/invest/funds', investmentController.getFunds);
 router.post('/invest/buy', authenticate, investmentController.buyTokens);
 router.post('/invest/redeem', authenticate, investmentController.redeemTokens);
+router.get('/invest/redeem/:redemptionId/sign-payload', authenticate, investmentController.getRedemptionSignPayload);
+router.post('/invest/redeem/:redemptionId/sign', authenticate, investmentController.signRedemption);
 router.get('/invest/portfolio', authenticate, investmentController.getPortfolio);
 router.get('/invest/transactions', authenticate, investmentController.getTransactions);
+router.get('/invest/transactions/:id', authenticate, investmentController.getTransaction);
 router.get('/invest/calculate-interest', investmentController.calculateInterest);
 router.get('/invest/rates', investmentController.getRates);
+router.get('/invest/nav', investmentController.getNav);
+router.get('/invest/fees', investmentController.getFees);
+router.get('/invest/tax-certificate', authenticate, taxController.getTaxCertificate);
 router.post('/invest/associate-token', authenticate, investmentController.associateToken);
+router.post('/invest/associate-token/submit', authenticate, investmentController.submitAssociation);
 
 // ============================================================
 // Manager Routes (Protected - Manager Only)
 // ============================================================
+router.get('/manager/funds', authenticate, isManager, managerController.getFunds);
+router.post('/manager/funds', authenticate, isManager, managerController.launchFund);
+router.post('/manager/funds/:fundId/pause', authenticate, isManager, managerController.pauseFund);
+router.post('/manager/funds/:fundId/unpause', authenticate, isManager, managerController.unpauseFund);
 router.post('/manager/initiate-token-creation', authenticate, isManager, managerController.initiateTokenCreation);
 router.post('/manager/approve-token-creation', authenticate, isManager, managerController.approveTokenCreation);
 router.get('/manager/pending-requests', authenticate, isManager, managerController.getPendingRequests);
 router.get('/manager/requests', authenticate, isManager, managerController.getAllRequests);
+router.get('/manager/requests/:requestId/sign-payload', authenticate, isManager, managerController.getSignPayload);
+router.post('/manager/requests/:requestId/sign', authenticate, isManager, managerController.signRequest);
 router.get('/manager/token-info', authenticate, isManager, managerController.getTokenInfo);
 router.post('/manager/update-interest-rate', authenticate, isManager, managerController.updateInterestRate);
+router.post('/manager/fee-schedule', authenticate, isManager, managerController.updateFeeSchedule);
+router.post('/manager/nav', authenticate, isManager, managerController.publishNav);
+router.post('/manager/compliance/freeze', authenticate, isManager, managerController.freezeAccount);
+router.post('/manager/compliance/unfreeze', authenticate, isManager, managerController.unfreezeAccount);
+router.post('/manager/compliance/wipe', authenticate, isManager, managerController.wipeTokens);
+router.post('/manager/users/:userId/kyc', authenticate, isManager, managerController.reviewKyc);
+router.post('/manager/users/:userId/rotate-key', authenticate, isManager, managerController.rotateInvestorKey);
+router.post('/manager/users/:userId/tax', authenticate, isManager, taxController.updateTaxCategory);
+router.post('/manager/reconciliation/run', authenticate, isManager, reconciliationController.runReconciliation);
+router.get('/manager/reconciliation/reports', authenticate, isManager, reconciliationController.getReports);
+router.get('/manager/reconciliation/reports/:reportId', authenticate, isManager, reconciliationController.getReport);
+router.post('/manager/reconciliation/reports/:reportId/acknowledge', authenticate, isManager, reconciliationController.acknowledgeReport);
+router.post('/manager/accruals/run', authenticate, isManager, accrualController.runAccrual);
+router.get('/manager/distributions', authenticate, isManager, distributionController.getDistributions);
+router.post('/manager/distributions', authenticate, isManager, distributionController.proposeDistribution);
+router.get('/manager/distributions/:requestId', authenticate, isManager, distributionController.getDistribution);
+router.post('/manager/distributions/:requestId/resume', authenticate, isManager, distributionController.resumeDistribution);
+router.get('/manager/tax/report', authenticate, isManager, taxController.getTaxReport);
+router.get('/manager/fees/report', authenticate, isManager, feeController.getFeeReport);
+router.get('/manager/fees/operator-balance', authenticate, isManager, feeController.getOperatorBalance);
+router.get('/manager/fees/alerts', authenticate, isManager, feeController.getAlerts);
+router.post('/manager/fees/alerts/:alertId/acknowledge', authenticate, isManager, feeController.acknowledgeAlert);
+
+// ============================================================
+// Audit Routes
+// ============================================================
+router.get('/audit/topic', auditController.getAuditTopic);
+router.get('/audit/verify/:id', authenticate, auditController.verifyRecord);
 
 module.exports = router;
@@ -0,0 +1,48 @@
+/**
+ * Backfill the default fund's token association of existing accounts
+ *
+ * Accounts created before association was part of onboarding may be
+ * associated on the ledger without a fund account saying so, or not
+ * associated at all. The flag is set from the ledger, unassociated
+ * custodial accounts are associated, and KYC is granted to verified
+ * investors. Non-custodial accounts are left for the investor to sign.
+ *
+ * Usage: npm run accounts:backfill-association [-- --dry-run]
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const hederaService = require('../services/hederaService');
+const fundService = require('../services/fundService');
+const accountService = require('../services/accountService');
+const logger = require('../utils/logger');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    await hederaService.initialize();
+
+    const fund = await fundService.migrateLegacy();
+    if (!fund.tokenId) {
+      throw new Error(`Fund ${fund.code} has no token yet`);
+    }
+    hederaService.setTokenId(fund.tokenId);
+
+    const summary = await accountService.backfillAssociations({ dryRun });
+
+    logger.info(`Token association backfill finished${dryRun ? ' (dry run)' : ''}`, { summary });
+    process.exitCode = summary.failed > 0 ? 1 : 0;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+// The ledger client keeps connections open, so exit explicitly
+main().then(() => process.exit()).catch(error => {
+  logger.error('Token association backfill failed:', error);
+  process.exit(1);
+});
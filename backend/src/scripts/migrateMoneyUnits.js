@@ -0,0 +1,35 @@
+/**
+ * Convert stored amounts to minor units
+ *
+ * Investments, transactions and fund limits stored in currency units are
+ * converted to integer minor units (rounded half to even, see utils/money)
+ * and marked as converted. The server also runs this on start; run it
+ * before deploying to see what will change.
+ *
+ * Usage: npm run money:migrate [-- --dry-run]
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const fundService = require('../services/fundService');
+const logger = require('../utils/logger');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    const summary = await fundService.migrateMoneyUnits({ dryRun });
+
+    logger.info(`Money migration finished${dryRun ? ' (dry run)' : ''}`, { documents: summary });
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().then(() => process.exit()).catch(error => {
+  logger.error('Money migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,36 @@
+/**
+ * Re-encrypt custodial investor keys
+ *
+ * Re-wraps every key envelope with the current master key version and
+ * encrypts legacy plaintext keys. With --rotate-master a new master key
+ * version is created first, so the previous one can be retired once this
+ * finishes without failures.
+ *
+ * Usage: npm run keys:reencrypt [-- --rotate-master]
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const keyVaultService = require('../services/keyVaultService');
+const logger = require('../utils/logger');
+
+async function main() {
+  const rotateMaster = process.argv.includes('--rotate-master');
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    const summary = await keyVaultService.reencryptAll({ rotateMaster });
+
+    logger.info('Key re-encryption finished', { summary });
+    process.exitCode = summary.failed > 0 ? 1 : 0;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(error => {
+  logger.error('Key re-encryption failed:', error);
+  process.exit(1);
+});
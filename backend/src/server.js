@@ -13,6 +13,15 @@ const rateLimit = require('express-rate-limit');
 const routes = require('./routes');
 const logger = require('./utils/logger');
 const hederaService = require('./services/hederaService');
+const auditService = require('./services/auditService');
+const reconciliationService = require('./services/reconciliationService');
+const feeService = require('./services/feeService');
+const accountService = require('./services/accountService');
+const fundService = require('./services/fundService');
+const recoveryService = require('./services/recoveryService');
+const dealingService = require('./services/dealingService');
+const accrualService = require('./services/accrualService');
+const distributionService = require('./services/distributionService');
 
 // Create Express app
 const app = express();
@@ -96,6 +105,9 @@ async function connectDatabase() {
     });
     
     logger.info('MongoDB connected successfully');
+
+    // Amounts are stored in minor units; convert documents stored before
+    await fundService.migrateMoneyUnits();
   } catch (error) {
     logger.error('MongoDB connection error:', error);
     process.exit(1);
@@ -110,16 +122,26 @@ async function initializeHedera() {
     await hederaService.initialize();
     logger.info('Hedera service initialized successfully');
     
-    // Check if token already exists and set it
-    const { Token } = require('./models');
-    const existingToken = await Token.findOne({ isActive: true });
+    // Attach single-fund data to the default fund and use its token as
+    // the ledger's current token
+    const defaultFund = await fundService.migrateLegacy();
     
-    if (existingToken) {
-      hederaService.setTokenId(existingToken.tokenId);
-      logger.info(`Using existing token: ${existingToken.tokenId}`);
+    if (defaultFund.tokenId) {
+      hederaService.setTokenId(defaultFund.tokenId);
+      logger.info(`Using token ${defaultFund.tokenId} of default fund ${defaultFund.code}`);
     } else {
-      logger.info('No token found. Managers need to create token.');
+      logger.info(`Fund ${defaultFund.code} has no token. Managers need to create token.`);
     }
+
+    // Resume buy/redeem flows and ledger operations interrupted by a restart,
+    // then anchor records that completed while the audit topic was unreachable
+    recoveryService.run()
+      .catch(error => logger.error('Recovery error:', error))
+      .then(() => auditService.anchorMissing())
+      .catch(error => logger.error('Audit backfill error:', error));
+
+    // Pre-create custodial accounts so registration does not wait for them
+    accountService.refillInBackground();
   } catch (error) {
     logger.error('Hedera initialization error:', error);
     logger.warn('Server will start but Hedera operations may fail');
@@ -138,6 +160,21 @@ async function startServer() {
     
     // Initialize Hedera
     await initializeHedera();
+
+    // Start scheduled on-chain vs database reconciliation
+    reconciliationService.start();
+
+    // Start operator fee collection and HBAR balance monitoring
+    feeService.start();
+
+    // Start minting deposits in batches as dealing windows close
+    dealingService.start();
+
+    // Start the daily interest accrual (backfills days missed while down)
+    accrualService.start();
+
+    // Start proposing periodic interest distributions in tokens
+    distributionService.start();
     
     // Start server
     app.listen(PORT, () => {
@@ -0,0 +1,429 @@
+/**
+ * Account Service - Custodial investor accounts
+ *
+ * This service handles:
+ * - Provisioning a custodial account: the account is created with
+ *   ACCOUNT_MAX_AUTO_ASSOCIATIONS automatic association slots and
+ *   associated with the default fund's token straight away, so the
+ *   investor never has a separate association step for it
+ * - A pool of accounts created ahead of registration (ACCOUNT_POOL_SIZE,
+ *   0 disables), so onboarding only claims one instead of waiting for the
+ *   network; the pool is topped up in the background
+ * - Granting the redemption allowance of the default fund's token at
+ *   onboarding (REDEMPTION_ALLOWANCES, see allowanceService)
+ * - Backfilling the default fund association for accounts created before
+ *   association was part of onboarding (npm run accounts:backfill-association)
+ *
+ * The token has a KYC key, so the explicit association is still needed:
+ * an automatic association happens during the first transfer, which fails
+ * because KYC can only be granted to an associated account.
+ *
+ * Pooled keys are encrypted by keyVaultService bound to the pool entry,
+ * and re-encrypted for the user when the entry is assigned.
+ */
+
+const { PrivateKey } = require('@hashgraph/sdk');
+const { User, Fund, PooledAccount } = require('../models');
+const hederaService = require('./hederaService');
+const keyVaultService = require('./keyVaultService');
+const kycService = require('./kycService');
+const fundService = require('./fundService');
+const feeService = require('./feeService');
+const allowanceService = require('./allowanceService');
+const logger = require('../utils/logger');
+
+const DEFAULT_POOL_SIZE = 5;
+
+/**
+ * Build an error carrying the HTTP status code for the controller
+ */
+function accountError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+class AccountService {
+  constructor() {
+    this.refilling = null;
+  }
+
+  /**
+   * Number of unassigned accounts kept in the pool
+   */
+  poolSize() {
+    const size = parseInt(process.env.ACCOUNT_POOL_SIZE || DEFAULT_POOL_SIZE, 10);
+    return Number.isInteger(size) && size > 0 ? size : 0;
+  }
+
+  /**
+   * Token of the default fund, or null before it exists
+   */
+  currentTokenId() {
+    return hederaService.tokenId ? hederaService.tokenId.toString() : null;
+  }
+
+  // ============================================================
+  // Provisioning
+  // ============================================================
+
+  /**
+   * Create a custodial account associated with the token (when it exists)
+   * A failed association leaves the account unassociated, to be retried
+   * when it is assigned.
+   *
+   * @param {Object} refs - Fee tracking references
+   * @returns {Object} - { accountId, privateKey, publicKey, tokenId }
+   */
+  async provisionAccount(refs = {}) {
+    await hederaService.ensureInitialized();
+
+    const privateKey = PrivateKey.generateED25519();
+    const created = await hederaService.createAccount(privateKey.publicKey.toString());
+    await feeService.track(created.transactionId, 'account_create', refs);
+
+    const account = {
+      accountId: created.accountId,
+      privateKey: privateKey.toString(),
+      publicKey: privateKey.publicKey.toString(),
+      tokenId: null
+    };
+
+    try {
+      await this.associate(account, refs);
+    } catch (error) {
+      logger.error(`Account ${account.accountId} created but not associated:`, error);
+    }
+
+    return account;
+  }
+
+  /**
+   * Associate a custodial account with the current token, if not yet
+   *
+   * @param {Object} account - { accountId, privateKey, tokenId }
+   * @param {Object} refs - Fee tracking references
+   * @returns {boolean} - Whether the account is associated
+   */
+  async associate(account, refs = {}) {
+    const tokenId = this.currentTokenId();
+    if (!tokenId) {
+      return false;
+    }
+    if (account.tokenId === tokenId) {
+      return true;
+    }
+
+    try {
+      const result = await hederaService.associateTokenToAccount(account.accountId, account.privateKey);
+      await feeService.track(result.transactionId, 'token_associate', refs);
+    } catch (error) {
+      if (error.status !== 'TOKEN_ALREADY_ASSOCIATED_TO_ACCOUNT') {
+        throw error;
+      }
+    }
+
+    account.tokenId = tokenId;
+    return true;
+  }
+
+  // ============================================================
+  // Assignment
+  // ============================================================
+
+  /**
+   * Give a user a custodial account, associated with the token
+   * A pooled account is used when available; otherwise one is created,
+   * unless poolOnly is set.
+   *
+   * @param {Object} user - User document without a Hedera account
+   * @param {Object} options - { poolOnly } returns null instead of creating
+   * @returns {Object|null} - Updated user, or null (poolOnly, pool empty)
+   */
+  async assignAccount(user, { poolOnly = false } = {}) {
+    if (user.hederaAccountId) {
+      throw accountError('User already has a Hedera account');
+    }
+
+    const refs = { relatedUserId: user._id };
+    const entry = await this.claimPooled(user);
+
+    let account;
+    if (entry) {
+      account = await this.readPooled(entry);
+    } else if (poolOnly) {
+      return null;
+    } else {
+      account = await this.provisionAccount(refs);
+    }
+
+    const fundAccounts = [];
+    let fund = null;
+    try {
+      if (await this.associate(account, refs)) {
+        fund = await Fund.findOne({ tokenId: account.tokenId });
+        if (fund) {
+          fundAccounts.push({ fundId: fund._id, tokenId: fund.tokenId, tokenAssociated: true });
+        }
+      }
+    } catch (error) {
+      logger.error(`Association of ${account.accountId} failed, the user can retry it:`, error);
+    }
+
+    // Only set the account if no other request gave the user one meanwhile
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, hederaAccountId: null },
+      {
+        $set: {
+          hederaAccountId: account.accountId,
+          hederaKeyEnvelope: await keyVaultService.encrypt(account.privateKey, user._id),
+          hederaPublicKey: account.publicKey,
+          walletMode: 'custodial',
+          fundAccounts
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      await this.returnToPool(entry, account);
+      throw accountError('User already has a Hedera account', 409);
+    }
+
+    if (entry) {
+      // The user's envelope is now the only copy of the key
+      await PooledAccount.updateOne({ _id: entry._id }, { $unset: { keyEnvelope: 1 } });
+    }
+
+    logger.info(`Account ${account.accountId} assigned to user ${user._id}${entry ? ' from the pool' : ''}`);
+
+    // Redemption allowance, granted while the key is at hand
+    if (fundAccounts.length > 0) {
+      const allowance = await allowanceService.grantOnAssociation(updated, fund, account.privateKey);
+      if (allowance) {
+        await allowanceService.store(updated, fund, allowance);
+      }
+    }
+
+    // Verified investors are granted KYC as soon as they can hold the token
+    try {
+      await kycService.sync(updated);
+    } catch (error) {
+      logger.error(`KYC grant after onboarding failed for ${account.accountId}:`, error);
+    }
+
+    this.refillInBackground();
+    return updated;
+  }
+
+  /**
+   * Atomically claim an available pooled account, preferring one already
+   * associated with the current token
+   */
+  async claimPooled(user) {
+    const claim = filter => PooledAccount.findOneAndUpdate(
+      { status: 'available', ...filter },
+      { $set: { status: 'assigned', assignedTo: user._id, assignedAt: new Date() } },
+      { sort: { createdAt: 1 }, new: true }
+    ).select('+keyEnvelope');
+
+    const tokenId = this.currentTokenId();
+    return (tokenId && await claim({ tokenId })) || claim({});
+  }
+
+  /**
+   * Decrypt a pooled account
+   */
+  async readPooled(entry) {
+    return {
+      accountId: entry.accountId,
+      privateKey: await keyVaultService.decrypt(entry.keyEnvelope, entry._id),
+      publicKey: entry.publicKey,
+      tokenId: entry.tokenId
+    };
+  }
+
+  /**
+   * Put an account that could not be assigned (back) into the pool
+   */
+  async returnToPool(entry, account) {
+    if (entry) {
+      await PooledAccount.updateOne(
+        { _id: entry._id },
+        { $set: { status: 'available', tokenId: account.tokenId }, $unset: { assignedTo: 1, assignedAt: 1 } }
+      );
+    } else {
+      await this.addToPool(account);
+    }
+  }
+
+  // ============================================================
+  // Pool
+  // ============================================================
+
+  /**
+   * Store a provisioned account as available
+   */
+  async addToPool(account) {
+    const entry = new PooledAccount({
+      accountId: account.accountId,
+      publicKey: account.publicKey,
+      tokenId: account.tokenId
+    });
+    entry.keyEnvelope = await keyVaultService.encrypt(account.privateKey, entry._id);
+    await entry.save();
+    return entry;
+  }
+
+  /**
+   * Associate available accounts created before the token, then create
+   * accounts until the pool holds ACCOUNT_POOL_SIZE
+   * Concurrent calls share the same run.
+   *
+   * @returns {Object} - { available, created, associated }
+   */
+  async refill() {
+    if (!this.refilling) {
+      this.refilling = this.fillPool().finally(() => {
+        this.refilling = null;
+      });
+    }
+    return this.refilling;
+  }
+
+  async fillPool() {
+    const summary = { available: 0, created: 0, associated: 0 };
+    const target = this.poolSize();
+    if (!target) {
+      return summary;
+    }
+
+    await hederaService.ensureInitialized();
+
+    const tokenId = this.currentTokenId();
+    if (tokenId) {
+      const stale = await PooledAccount.find({ status: 'available', tokenId: { $ne: tokenId } })
+        .select('+keyEnvelope');
+
+      for (const entry of stale) {
+        try {
+          const account = await this.readPooled(entry);
+          await this.associate(account);
+          await PooledAccount.updateOne({ _id: entry._id, status: 'available' }, { $set: { tokenId } });
+          summary.associated += 1;
+        } catch (error) {
+          logger.error(`Failed to associate pooled account ${entry.accountId}:`, error);
+        }
+      }
+    }
+
+    summary.available = await PooledAccount.countDocuments({ status: 'available' });
+    while (summary.available < target) {
+      await this.addToPool(await this.provisionAccount());
+      summary.available += 1;
+      summary.created += 1;
+    }
+
+    if (summary.created || summary.associated) {
+      logger.info(`Account pool refilled: ${JSON.stringify(summary)}`);
+    }
+    return summary;
+  }
+
+  /**
+   * Refill without waiting; failures are logged and retried on the next claim
+   */
+  refillInBackground() {
+    this.refill().catch(error => logger.error('Account pool refill error:', error));
+  }
+
+  /**
+   * Pool size and availability
+   */
+  async getPoolStatus() {
+    const tokenId = this.currentTokenId();
+    const [available, associated] = await Promise.all([
+      PooledAccount.countDocuments({ status: 'available' }),
+      tokenId ? PooledAccount.countDocuments({ status: 'available', tokenId }) : 0
+    ]);
+
+    return { target: this.poolSize(), available, associated };
+  }
+
+  // ============================================================
+  // Migration
+  // ============================================================
+
+  /**
+   * Backfill the association with the default fund's token from the
+   * ledger for accounts created before association was part of onboarding
+   * Unassociated custodial accounts are associated; non-custodial ones are
+   * left for the investor to sign.
+   *
+   * @param {Object} options - { dryRun } reports without changing anything
+   * @returns {Object} - Counts per outcome
+   */
+  async backfillAssociations({ dryRun = false } = {}) {
+    await hederaService.ensureInitialized();
+
+    const fund = await fundService.defaultFund();
+    const { tokenId } = fund;
+    if (!tokenId) {
+      throw accountError(`Fund ${fund.code} has no token yet`);
+    }
+
+    const summary = { dryRun, fund: fund.code, checked: 0, flagged: 0, associated: 0, awaitingWallet: 0, failed: 0 };
+    const users = await User.find({
+      hederaAccountId: { $ne: null },
+      fundAccounts: { $not: { $elemMatch: { fundId: fund._id, tokenAssociated: true } } }
+    });
+
+    for (const user of users) {
+      summary.checked += 1;
+
+      try {
+        const { tokenAssociated } = await hederaService.getAccountBalance(user.hederaAccountId, { tokenId });
+
+        if (!tokenAssociated && user.walletMode === 'non_custodial') {
+          summary.awaitingWallet += 1;
+          continue;
+        }
+
+        if (dryRun) {
+          summary[tokenAssociated ? 'flagged' : 'associated'] += 1;
+          continue;
+        }
+
+        if (!tokenAssociated) {
+          const result = await hederaService.associateTokenToAccount(
+            user.hederaAccountId,
+            await keyVaultService.getInvestorKey(user._id),
+            { tokenId }
+          );
+          await feeService.track(result.transactionId, 'token_associate', { relatedUserId: user._id });
+        }
+
+        fundService.openAccount(user, fund).tokenAssociated = true;
+        await user.save();
+        summary[tokenAssociated ? 'flagged' : 'associated'] += 1;
+      } catch (error) {
+        logger.error(`Failed to backfill association of ${user.hederaAccountId}:`, error);
+        summary.failed += 1;
+        continue;
+      }
+
+      // Missed grants are also retried by the startup KYC sync
+      try {
+        await kycService.sync(user);
+      } catch (error) {
+        logger.error(`KYC sync after association backfill failed for ${user.hederaAccountId}:`, error);
+      }
+    }
+
+    logger.info(`Association backfill finished: ${JSON.stringify(summary)}`);
+    return summary;
+  }
+}
+
+// Export singleton instance
+module.exports = new AccountService();
@@ -0,0 +1,245 @@
+/**
+ * Accrual Service - Daily interest accrual ledger
+ *
+ * This service handles:
+ * - Accruing each active investment's interest for every completed
+ *   accrual day (see InterestService.accrualDay): one interest_payment
+ *   transaction per investment and day, keyed on its accrualDate
+ * - Keeping Investment.interestAccrued and lastInterestCalculation up to
+ *   date, so portfolios read accrued figures instead of recomputing them
+ * - Backfilling days missed while the server was down: each investment
+ *   resumes after its last entry
+ *
+ * A day's interest is the growth of the investment's total interest over
+ * that day, at the fund's rate history and interest convention. Entries
+ * are rounded from the running total (half to even, see utils/money), so
+ * they always add up to interestAccrued. Runs are safe to repeat for the
+ * same date.
+ *
+ * Runs every ACCRUAL_INTERVAL_MINUTES (0 disables) for every active fund,
+ * and on demand. NAV funds accrue no interest: their value is in the NAV
+ * (see navService).
+ */
+
+const { Investment, Transaction } = require('../models');
+const interestService = require('./interestService');
+const rateHistoryService = require('./rateHistoryService');
+const navService = require('./navService');
+const fundService = require('./fundService');
+const auditService = require('./auditService');
+const money = require('../utils/money');
+const logger = require('../utils/logger');
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+/**
+ * Build an error carrying the HTTP status code for the controller
+ */
+function accrualError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+const dateString = date => date.toISOString().slice(0, 10);
+
+class AccrualService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  // ============================================================
+  // Scheduling
+  // ============================================================
+
+  /**
+   * Start the scheduled accrual
+   */
+  start() {
+    const minutes = parseFloat(process.env.ACCRUAL_INTERVAL_MINUTES || DEFAULT_INTERVAL_MINUTES);
+    if (!minutes || minutes <= 0) {
+      logger.info('Scheduled interest accrual disabled');
+      return;
+    }
+
+    this.stop();
+    this.timer = setInterval(() => this.runScheduled(), minutes * 60 * 1000);
+    this.timer.unref();
+
+    logger.info(`Scheduled interest accrual every ${minutes} minutes`);
+  }
+
+  /**
+   * Stop the scheduled accrual
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Scheduled run of every active fund through its last completed day:
+   * skipped while another run is in progress
+   *
+   * @returns {Array} - Run summaries
+   */
+  async runScheduled() {
+    if (this.running) {
+      return [];
+    }
+
+    const results = [];
+    try {
+      for (const fund of await fundService.listFunds({ status: 'active' })) {
+        if (!navService.usesNav(fund)) {
+          results.push(await this.run({ fund }));
+        }
+      }
+    } catch (error) {
+      logger.error('Scheduled interest accrual error:', error);
+    }
+    return results;
+  }
+
+  // ============================================================
+  // Accrual
+  // ============================================================
+
+  /**
+   * Accrue a fund's active investments through an accrual date
+   *
+   * @param {Object} options - Run options
+   * @param {Object} options.fund - Fund document
+   * @param {string} options.through - Last accrual date to accrue,
+   *   YYYY-MM-DD (default: the last completed day)
+   * @returns {Object} - { fundId, through, investments, entries }
+   */
+  async run({ fund, through } = {}) {
+    if (navService.usesNav(fund)) {
+      throw accrualError(`Fund ${fund.code} is priced by NAV and accrues no interest`);
+    }
+
+    const calculator = interestService.forFund(fund, await rateHistoryService.getHistory(fund));
+    const lastCompletedDay = calculator.accrualDay(new Date()) - 1;
+    const throughDay = through ? calculator.dayOfAccrualDate(through) : lastCompletedDay;
+
+    if (isNaN(throughDay)) {
+      throw accrualError('through must be a date (YYYY-MM-DD)');
+    }
+    if (throughDay > lastCompletedDay) {
+      throw accrualError(`Interest of ${fund.code} can be accrued up to ${dateString(calculator.accrualDate(lastCompletedDay))}`);
+    }
+
+    if (this.running) {
+      throw accrualError('An interest accrual is already running', 409);
+    }
+    this.running = true;
+
+    const summary = {
+      fundId: fund._id,
+      through: dateString(calculator.accrualDate(throughDay)),
+      investments: 0,
+      entries: 0
+    };
+
+    try {
+      // Investments not yet accrued through the day's cut-off
+      const cutoff = calculator.cutoffOf(throughDay);
+      const investments = await Investment.find({
+        fundId: fund._id,
+        status: 'active',
+        investmentDate: { $lt: cutoff },
+        $or: [
+          { lastInterestCalculation: { $lt: cutoff } },
+          { lastInterestCalculation: { $exists: false } }
+        ]
+      });
+
+      for (const investment of investments) {
+        summary.entries += await this.accrueInvestment(investment, fund, calculator, throughDay);
+        summary.investments += 1;
+      }
+    } finally {
+      this.running = false;
+    }
+
+    if (summary.entries > 0) {
+      logger.info(`Accrued interest of ${fund.code} through ${summary.through}: ${summary.entries} entries for ${summary.investments} investment(s)`);
+    }
+    return summary;
+  }
+
+  /**
+   * Accrue one investment from the day after its last entry through a day
+   *
+   * @param {Object} investment - Active Investment document
+   * @param {Object} fund - Fund of the investment
+   * @param {InterestService} calculator - The fund's calculator, with its rate history
+   * @param {number} throughDay - Last accrual day to accrue
+   * @returns {number} - Entries created
+   */
+  async accrueInvestment(investment, fund, calculator, throughDay) {
+    const start = new Date(investment.investmentDate);
+
+    const last = await Transaction.findOne({
+      investmentId: investment._id,
+      type: 'interest_payment',
+      accrualDate: { $exists: true }
+    }).sort({ accrualDate: -1 });
+    const firstDay = last ? calculator.dayOfAccrualDate(last.accrualDate) + 1 : calculator.accrualDay(start);
+    let accrued = last ? last.metadata.interestAccrued : 0;
+
+    // Accrual entries carry the payment method of the deposit they grow
+    const deposit = await Transaction.findOne({ investmentId: investment._id, type: 'deposit' }).select('paymentMethod');
+    const paymentMethod = deposit ? deposit.paymentMethod : 'mtn_momo';
+
+    let created = 0;
+    for (const growth of calculator.dailyGrowth(start, firstDay, throughDay)) {
+      const { day } = growth;
+      const total = money.round(investment.amountRWF * (growth.factor - 1));
+      const accrualDate = calculator.accrualDate(day);
+
+      const result = await Transaction.updateOne(
+        { investmentId: investment._id, type: 'interest_payment', accrualDate },
+        {
+          $setOnInsert: {
+            userId: investment.userId,
+            fundId: fund._id,
+            amountRWF: money.subtract(total, accrued),
+            paymentMethod,
+            status: 'completed',
+            description: `Interest on investment ${investment._id} for ${dateString(accrualDate)}`,
+            metadata: {
+              interestAccrued: total,
+              daysAccrued: growth.days,
+              annualRate: Math.round(growth.annualRate * 10000) / 100
+            },
+            transactionDate: calculator.cutoffOf(day),
+            completedDate: new Date()
+          }
+        },
+        { upsert: true }
+      );
+
+      if (result.upsertedCount > 0) {
+        created += 1;
+        await auditService.recordTransaction(await Transaction.findById(result.upsertedId));
+      }
+      accrued = total;
+    }
+
+    // Redeemed investments keep the interest their redemption settled
+    await Investment.updateOne(
+      { _id: investment._id, status: 'active' },
+      { interestAccrued: accrued, lastInterestCalculation: calculator.cutoffOf(Math.max(firstDay - 1, throughDay)) }
+    );
+
+    return created;
+  }
+}
+
+// Export singleton instance
+module.exports = new AccrualService();
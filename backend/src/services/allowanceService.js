@@ -0,0 +1,202 @@
+/**
+ * Allowance Service - Token allowances custodial investors grant the treasury
+ *
+ * With REDEMPTION_ALLOWANCES=true, a custodial account allows the treasury
+ * to transfer its tokens of a fund (AccountAllowanceApproveTransaction) as
+ * soon as it is associated with the fund's token. Redemptions are then
+ * approved transfers signed by the treasury alone, so the investor's key is
+ * only decrypted to grant or top up the allowance instead of for every
+ * redemption.
+ *
+ * This service handles:
+ * - Granting the allowance at association time
+ * - Tracking what is left of it (User.fundAccounts[].allowanceTokens)
+ * - Topping it up to REDEMPTION_ALLOWANCE_AMOUNT (in the fund's currency)
+ *   when a redemption needs more than is left, or when the ledger refuses
+ *   an approved transfer the tracked amount allowed
+ *
+ * Accounts associated before allowances were enabled get theirs at their
+ * first redemption. Non-custodial investors keep signing each redemption
+ * in their wallet.
+ */
+
+const { User } = require('../models');
+const hederaService = require('./hederaService');
+const ledgerOperationService = require('./ledgerOperationService');
+const keyVaultService = require('./keyVaultService');
+const fundService = require('./fundService');
+const feeService = require('./feeService');
+const money = require('../utils/money');
+const logger = require('../utils/logger');
+
+const DEFAULT_ALLOWANCE_AMOUNT = 1000000;
+
+// Statuses of an approved transfer the allowance did not cover
+const ALLOWANCE_STATUSES = ['SPENDER_DOES_NOT_HAVE_ALLOWANCE', 'AMOUNT_EXCEEDS_ALLOWANCE'];
+
+class AllowanceService {
+  /**
+   * Whether redemptions of custodial accounts use allowances
+   */
+  enabled() {
+    return process.env.REDEMPTION_ALLOWANCES === 'true';
+  }
+
+  /**
+   * Whether an account redeems under an allowance
+   */
+  appliesTo(user) {
+    return this.enabled() && user.walletMode !== 'non_custodial';
+  }
+
+  /**
+   * Allowance granted or topped up to, in the fund's token units
+   *
+   * @param {Object} fund - Fund document
+   * @returns {number}
+   */
+  targetTokens(fund) {
+    const amount = parseFloat(process.env.REDEMPTION_ALLOWANCE_AMOUNT || DEFAULT_ALLOWANCE_AMOUNT);
+    return money.toTokens(amount, fund.decimals).tokens;
+  }
+
+  // ============================================================
+  // Granting
+  // ============================================================
+
+  /**
+   * Approve an allowance on the ledger, replacing what was left of the
+   * previous one
+   *
+   * @param {Object} user - User document
+   * @param {Object} fund - Fund document
+   * @param {string} privateKey - The investor's private key
+   * @param {number} amount - Tokens the treasury may transfer
+   * @returns {Object} - Fund account fields to store
+   */
+  async approve(user, fund, privateKey, amount) {
+    const result = await hederaService.approveTokenAllowance(
+      user.hederaAccountId,
+      privateKey,
+      amount,
+      { tokenId: fund.tokenId }
+    );
+    await feeService.track(result.transactionId, 'token_allowance_approve', { relatedUserId: user._id });
+
+    return {
+      allowanceTokens: amount,
+      allowanceApprovedAt: new Date(),
+      allowanceTransactionId: result.transactionId
+    };
+  }
+
+  /**
+   * Grant the allowance of an account just associated with a fund's token
+   * Never throws: a missing allowance is granted at the first redemption.
+   *
+   * @param {Object} user - User document
+   * @param {Object} fund - Fund document
+   * @param {string} privateKey - The investor's private key, decrypted for the association
+   * @returns {Object|null} - Fund account fields to store, or null
+   */
+  async grantOnAssociation(user, fund, privateKey) {
+    if (!this.appliesTo(user)) {
+      return null;
+    }
+
+    try {
+      return await this.approve(user, fund, privateKey, this.targetTokens(fund));
+    } catch (error) {
+      logger.error(`Allowance of ${user.hederaAccountId} for ${fund.code} not granted:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Store allowance fields on a user's fund account
+   */
+  async store(user, fund, fields) {
+    const update = {};
+    for (const [field, value] of Object.entries(fields)) {
+      update[`fundAccounts.$.${field}`] = value;
+    }
+    await User.updateOne({ _id: user._id, 'fundAccounts.fundId': fund._id }, { $set: update });
+  }
+
+  /**
+   * Make sure the allowance covers an amount, topping it up (with the
+   * investor's key) when it does not
+   *
+   * @param {Object} user - User document
+   * @param {Object} fund - Fund document
+   * @param {number} amount - Tokens about to be transferred
+   * @param {Object} options - { force } tops up whatever is tracked
+   */
+  async ensure(user, fund, amount, { force = false } = {}) {
+    const account = fundService.accountOf(user, fund);
+    if (!force && account && account.allowanceTokens >= amount) {
+      return;
+    }
+
+    const privateKey = await keyVaultService.getInvestorKey(user._id);
+    const fields = await this.approve(user, fund, privateKey, Math.max(this.targetTokens(fund), amount));
+    await this.store(user, fund, fields);
+
+    logger.info(`Allowance of ${user.hederaAccountId} for ${fund.code} topped up to ${fields.allowanceTokens}`);
+  }
+
+  // ============================================================
+  // Redemption
+  // ============================================================
+
+  /**
+   * Return a redemption's tokens to the treasury under the allowance
+   * Runs at most once per redemption, like the signed transfer it replaces.
+   *
+   * @param {Object} transaction - Pending withdrawal Transaction document
+   * @param {Object} user - User document
+   * @param {Object} fund - Fund document
+   * @returns {Object} - Transfer result
+   */
+  async transferFromInvestor(transaction, user, fund) {
+    const refs = { relatedTransactionId: transaction._id };
+    const amount = transaction.tokenAmount;
+
+    const previous = await ledgerOperationService.previousResult('transfer_from_investor', refs);
+    if (previous) {
+      return previous;
+    }
+
+    const submit = ledgerTransactionId => hederaService.transferApprovedFromInvestor(
+      user.hederaAccountId,
+      amount,
+      { transactionId: ledgerTransactionId, tokenId: fund.tokenId, memo: `Pezzy redemption ${transaction._id}` }
+    );
+
+    await this.ensure(user, fund, amount);
+
+    let result;
+    try {
+      result = await ledgerOperationService.run('transfer_from_investor', refs, submit);
+    } catch (error) {
+      if (!ALLOWANCE_STATUSES.includes(error.status)) {
+        throw error;
+      }
+
+      // Less was left on the ledger than tracked
+      logger.warn(`Allowance of ${user.hederaAccountId} for ${fund.code} ran out (${error.status}), topping up`);
+      await this.ensure(user, fund, amount, { force: true });
+      result = await ledgerOperationService.run('transfer_from_investor', refs, submit);
+    }
+
+    await User.updateOne(
+      { _id: user._id, 'fundAccounts.fundId': fund._id },
+      { $inc: { 'fundAccounts.$.allowanceTokens': -amount } }
+    );
+
+    return result;
+  }
+}
+
+// Export singleton instance
+module.exports = new AllowanceService();
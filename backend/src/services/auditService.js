@@ -0,0 +1,345 @@
+/**
+ * Audit Service - Hedera Consensus Service (HCS) audit trail
+ *
+ * This service handles:
+ * - Creating the fund audit topic
+ * - Anchoring a signed, canonical JSON message for every deposit,
+ *   redemption, mint, burn, rate change and multi-sig execution
+ * - Verifying database records against their anchored messages
+ *
+ * Messages carry a SHA-256 hash of the record rather than the record
+ * itself, so the public topic reveals no investor details while still
+ * proving the record has not changed since it was anchored.
+ */
+
+const { PrivateKey, PublicKey } = require('@hashgraph/sdk');
+const { AuditTopic, Transaction, MultiSigRequest } = require('../models');
+const hederaService = require('./hederaService');
+const feeService = require('./feeService');
+const { canonicalize, canonicalHash } = require('../utils/canonicalJson');
+const logger = require('../utils/logger');
+
+const AUDIT_MESSAGE_VERSION = 1;
+const AUDIT_TOPIC_MEMO = 'Pezzy fund audit trail';
+
+// Audit event names per Transaction.type
+const TRANSACTION_EVENTS = {
+  deposit: 'deposit',
+  withdrawal: 'redemption',
+  interest_payment: 'interest_payment',
+  fee: 'fee',
+  tax: 'withholding_tax'
+};
+
+// Audit event names per MultiSigRequest.requestType
+const REQUEST_EVENTS = {
+  token_creation: 'token_creation',
+  token_mint: 'mint',
+  token_burn: 'burn',
+  interest_distribution: 'interest_distribution',
+  rate_change: 'rate_change',
+  fee_schedule_change: 'fee_schedule_change'
+};
+
+class AuditService {
+  constructor() {
+    this.topic = null;
+    this.topicPromise = null;
+  }
+
+  /**
+   * Key used to sign audit messages
+   * AUDIT_SIGNING_KEY, else the operator key (or the simulator's operator key)
+   */
+  getSigningKey() {
+    const keyString = process.env.AUDIT_SIGNING_KEY || process.env.HEDERA_OPERATOR_KEY;
+    if (keyString) {
+      return PrivateKey.fromString(keyString);
+    }
+
+    if (hederaService.operatorKey) {
+      return hederaService.operatorKey;
+    }
+
+    throw new Error('AUDIT_SIGNING_KEY is not configured');
+  }
+
+  /**
+   * Get the active audit topic, creating it on first use
+   * A new topic is created whenever the signing key changes, so every
+   * topic is signed by exactly one key.
+   *
+   * @returns {Object} - AuditTopic document
+   */
+  async ensureTopic() {
+    const signerPublicKey = this.getSigningKey().publicKey.toString();
+
+    if (this.topic && this.topic.signerPublicKey === signerPublicKey) {
+      return this.topic;
+    }
+
+    if (!this.topicPromise) {
+      this.topicPromise = (async () => {
+        let topic = await AuditTopic.findOne({ isActive: true, signerPublicKey });
+
+        if (!topic) {
+          const result = await hederaService.createTopic(AUDIT_TOPIC_MEMO);
+          await feeService.track(result.transactionId, 'topic_create');
+
+          await AuditTopic.updateMany({ isActive: true }, { isActive: false });
+          topic = await AuditTopic.create({
+            topicId: result.topicId,
+            memo: AUDIT_TOPIC_MEMO,
+            signerPublicKey,
+            creationTransactionId: result.transactionId
+          });
+
+          logger.info(`Audit topic created: ${topic.topicId}`);
+        }
+
+        this.topic = topic;
+        return topic;
+      })().finally(() => {
+        this.topicPromise = null;
+      });
+    }
+
+    return this.topicPromise;
+  }
+
+  // ============================================================
+  // Record snapshots (what the anchored hash covers)
+  // ============================================================
+
+  /**
+   * Audited fields of a Transaction
+   */
+  transactionSnapshot(transaction) {
+    return {
+      recordType: 'Transaction',
+      recordId: transaction._id,
+      userId: transaction.userId,
+      investmentId: transaction.investmentId,
+      type: transaction.type,
+      amountRWF: transaction.amountRWF,
+      tokenAmount: transaction.tokenAmount,
+      paymentMethod: transaction.paymentMethod,
+      paymentReference: transaction.paymentReference,
+      status: transaction.status,
+      hederaTransactionId: transaction.hederaTransactionId,
+      transactionDate: transaction.transactionDate,
+      completedDate: transaction.completedDate
+    };
+  }
+
+  /**
+   * Audited fields of a MultiSigRequest
+   */
+  requestSnapshot(request) {
+    return {
+      recordType: 'MultiSigRequest',
+      recordId: request._id,
+      requestType: request.requestType,
+      requestData: request.requestData,
+      status: request.status,
+      scheduleId: request.scheduleId,
+      scheduledTransactionId: request.scheduledTransactionId,
+      executionStatus: request.executionStatus,
+      executionTransactionId: request.executionTransactionId,
+      executedAt: request.executedAt,
+      signatures: request.signatures.map(sig => ({
+        managerId: sig.managerId,
+        publicKey: sig.publicKey,
+        transactionId: sig.transactionId
+      }))
+    };
+  }
+
+  // ============================================================
+  // Anchoring
+  // ============================================================
+
+  /**
+   * Sign and submit an audit message for a record, then store the anchor
+   */
+  async anchor(record, event, snapshot, occurredAt) {
+    const topic = await this.ensureTopic();
+    const recordHash = canonicalHash(snapshot);
+
+    const body = {
+      v: AUDIT_MESSAGE_VERSION,
+      event,
+      recordType: snapshot.recordType,
+      recordId: record._id.toString(),
+      recordHash,
+      occurredAt: new Date(occurredAt || Date.now()).toISOString()
+    };
+    const signature = Buffer.from(
+      this.getSigningKey().sign(Buffer.from(canonicalize(body)))
+    ).toString('hex');
+
+    const result = await hederaService.submitTopicMessage(
+      topic.topicId,
+      canonicalize({ ...body, signature })
+    );
+    await feeService.track(result.transactionId, 'topic_message', snapshot.recordType === 'Transaction'
+      ? { relatedTransactionId: record._id }
+      : { relatedRequestId: record._id });
+
+    record.audit = {
+      topicId: topic.topicId,
+      sequenceNumber: result.sequenceNumber,
+      consensusTimestamp: result.consensusTimestamp,
+      transactionId: result.transactionId,
+      recordHash,
+      anchoredAt: new Date()
+    };
+    await record.save();
+
+    logger.info(`Audit event ${event} anchored: ${topic.topicId} #${result.sequenceNumber}`);
+    return record.audit;
+  }
+
+  /**
+   * Anchor a completed Transaction (deposit, redemption, ...)
+   * Never throws: a missing anchor is picked up by anchorMissing().
+   *
+   * @param {Object} transaction - Transaction document
+   */
+  async recordTransaction(transaction) {
+    try {
+      return await this.anchor(
+        transaction,
+        TRANSACTION_EVENTS[transaction.type] || transaction.type,
+        this.transactionSnapshot(transaction),
+        transaction.completedDate
+      );
+    } catch (error) {
+      logger.error(`Failed to anchor transaction ${transaction._id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Anchor an executed MultiSigRequest (mint, burn, rate change, ...)
+   * Never throws: a missing anchor is picked up by anchorMissing().
+   *
+   * @param {Object} request - MultiSigRequest document
+   */
+  async recordRequest(request) {
+    try {
+      return await this.anchor(
+        request,
+        REQUEST_EVENTS[request.requestType] || request.requestType,
+        this.requestSnapshot(request),
+        request.executedAt
+      );
+    } catch (error) {
+      logger.error(`Failed to anchor multi-sig request ${request._id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Anchor completed records that have no audit anchor yet
+   * (e.g. the topic was unreachable when they completed)
+   *
+   * @returns {Object} - Number of records anchored
+   */
+  async anchorMissing() {
+    const unanchored = { $or: [{ audit: { $exists: false } }, { audit: null }] };
+    let anchored = 0;
+
+    const transactions = await Transaction.find({ status: 'completed', ...unanchored })
+      .sort({ completedDate: 1 });
+    for (const transaction of transactions) {
+      if (await this.recordTransaction(transaction)) {
+        anchored += 1;
+      }
+    }
+
+    const requests = await MultiSigRequest.find({ status: 'executed', ...unanchored })
+      .sort({ executedAt: 1 });
+    for (const request of requests) {
+      if (await this.recordRequest(request)) {
+        anchored += 1;
+      }
+    }
+
+    if (anchored > 0) {
+      logger.info(`Anchored ${anchored} previously unanchored audit records`);
+    }
+
+    return { anchored };
+  }
+
+  // ============================================================
+  // Verification
+  // ============================================================
+
+  /**
+   * Verify a record against its anchored audit message
+   *
+   * @param {Object} record - Transaction or MultiSigRequest document
+   * @param {string} recordType - 'Transaction' or 'MultiSigRequest'
+   * @returns {Object} - Verification result with individual checks
+   */
+  async verify(record, recordType) {
+    const snapshot = recordType === 'Transaction'
+      ? this.transactionSnapshot(record)
+      : this.requestSnapshot(record);
+    const recordHash = canonicalHash(snapshot);
+
+    if (!record.audit || !record.audit.sequenceNumber) {
+      return {
+        verified: false,
+        checks: { anchored: false },
+        recordHash,
+        record: JSON.parse(canonicalize(snapshot))
+      };
+    }
+
+    const { topicId, sequenceNumber, consensusTimestamp } = record.audit;
+    const topic = await AuditTopic.findOne({ topicId });
+    const anchoredMessage = await hederaService.getTopicMessage(topicId, sequenceNumber);
+
+    let envelope = null;
+    try {
+      envelope = JSON.parse(anchoredMessage.message);
+    } catch (error) {
+      logger.warn(`Audit message ${topicId} #${sequenceNumber} is not valid JSON`);
+    }
+
+    const { signature, ...body } = envelope || {};
+    let signatureValid = false;
+    if (topic && signature) {
+      signatureValid = PublicKey.fromString(topic.signerPublicKey).verify(
+        Buffer.from(canonicalize(body)),
+        Buffer.from(signature, 'hex')
+      );
+    }
+
+    const checks = {
+      anchored: true,
+      recordMatches: body.recordType === recordType && body.recordId === record._id.toString(),
+      hashMatches: body.recordHash === recordHash,
+      signatureValid,
+      timestampMatches: anchoredMessage.consensusTimestamp === consensusTimestamp
+    };
+
+    return {
+      verified: Object.values(checks).every(Boolean),
+      checks,
+      topicId,
+      sequenceNumber,
+      consensusTimestamp: anchoredMessage.consensusTimestamp,
+      signerPublicKey: topic ? topic.signerPublicKey : null,
+      recordHash,
+      anchoredMessage: envelope,
+      record: JSON.parse(canonicalize(snapshot))
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new AuditService();
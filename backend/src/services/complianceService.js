@@ -0,0 +1,274 @@
+/**
+ * Compliance Service - Freezing, unfreezing and wiping investor accounts,
+ * and pausing funds
+ *
+ * This service handles:
+ * - Validating compliance actions and their reason codes
+ * - Proposing them as multi-sig requests, scheduled on the ledger with the
+ *   token's freeze, wipe and pause keys (both managers must sign)
+ *
+ * Actions apply to one fund: the investor's account is frozen, unfrozen or
+ * wiped on that fund's token only, and a pause stops all activity on the
+ * fund's token (the emergency circuit breaker).
+ *
+ * The User, Investment and Fund records change only once the ledger has
+ * executed the request (see the multiSigService handlers).
+ */
+
+const { MultiSigRequest } = require('../models');
+const hederaService = require('./hederaService');
+const multiSigService = require('./multiSigService');
+const fundService = require('./fundService');
+const logger = require('../utils/logger');
+
+// Reason codes accepted per request type ('other' requires a note)
+const REASON_CODES = {
+  account_freeze: ['suspected_fraud', 'court_order', 'regulatory_request', 'kyc_review', 'other'],
+  account_unfreeze: ['investigation_cleared', 'court_order_lifted', 'regulatory_request', 'kyc_resolved', 'other'],
+  token_wipe: ['reversed_deposit', 'court_order', 'fraud_recovery', 'other'],
+  fund_pause: ['key_compromise', 'pricing_error', 'regulatory_request', 'security_incident', 'other'],
+  fund_unpause: ['incident_resolved', 'regulatory_request', 'other']
+};
+
+// Request types that target an investor's account
+const ACCOUNT_REQUESTS = ['account_freeze', 'account_unfreeze', 'token_wipe'];
+
+// Request types that pause or unpause a fund
+const PAUSE_REQUESTS = ['fund_pause', 'fund_unpause'];
+
+/**
+ * Build an error carrying the HTTP status code for the controller
+ */
+function complianceError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+class ComplianceService {
+  /**
+   * Check the reason code (and note) given for an action
+   */
+  assertReason(requestType, reasonCode, note) {
+    if (!REASON_CODES[requestType].includes(reasonCode)) {
+      throw complianceError(`Invalid reason code. Use one of: ${REASON_CODES[requestType].join(', ')}`);
+    }
+
+    if (reasonCode === 'other' && !note) {
+      throw complianceError('A note is required when the reason code is "other"');
+    }
+  }
+
+  /**
+   * Check that an investor's account can be targeted on the fund's token
+   * and has no other compliance request in progress in the fund
+   *
+   * @returns {Object} - The investor's fund account (user.fundAccounts entry)
+   */
+  async assertActionable(user, fund) {
+    if (user.role !== 'investor') {
+      throw complianceError('Compliance actions apply to investor accounts only');
+    }
+
+    const account = fundService.accountOf(user, fund);
+    if (!user.hederaAccountId || !account || !account.tokenAssociated) {
+      throw complianceError(`Investor has no Hedera account associated with the ${fund.code} token`);
+    }
+
+    const open = await MultiSigRequest.exists({
+      requestType: { $in: ACCOUNT_REQUESTS },
+      'requestData.userId': user._id,
+      'requestData.fundId': fund._id,
+      status: { $in: ['pending', 'approved'] }
+    });
+    if (open) {
+      throw complianceError(`A compliance request for this investor in ${fund.code} is already in progress`, 409);
+    }
+
+    return account;
+  }
+
+  /**
+   * Propose a compliance action as a multi-sig request
+   */
+  async propose(requestType, description, requestData, manager) {
+    const request = await multiSigService.createRequest({
+      requestType,
+      description,
+      requestData: {
+        ...requestData,
+        requestedBy: manager._id
+      },
+      createdBy: manager._id
+    });
+
+    logger.info(`${requestType} proposed by ${manager.email}: ${description}`);
+
+    return request;
+  }
+
+  /**
+   * Propose freezing an investor's account on a fund's token
+   *
+   * @param {Object} user - Investor (User document)
+   * @param {Object} fund - Fund document
+   * @param {Object} params - { reasonCode, note }
+   * @param {Object} manager - Proposing manager (User document)
+   * @returns {Object} - MultiSigRequest
+   */
+  async proposeFreeze(user, fund, { reasonCode, note }, manager) {
+    this.assertReason('account_freeze', reasonCode, note);
+    const account = await this.assertActionable(user, fund);
+
+    if (account.isFrozen) {
+      throw complianceError(`Account is already frozen in ${fund.code}`);
+    }
+
+    return this.propose(
+      'account_freeze',
+      `Freeze account ${user.hederaAccountId} in ${fund.code} (${reasonCode})`,
+      { userId: user._id, fundId: fund._id, tokenId: fund.tokenId, accountId: user.hederaAccountId, reasonCode, note },
+      manager
+    );
+  }
+
+  /**
+   * Propose unfreezing an investor's account on a fund's token
+   *
+   * @param {Object} user - Investor (User document)
+   * @param {Object} fund - Fund document
+   * @param {Object} params - { reasonCode, note }
+   * @param {Object} manager - Proposing manager (User document)
+   * @returns {Object} - MultiSigRequest
+   */
+  async proposeUnfreeze(user, fund, { reasonCode, note }, manager) {
+    this.assertReason('account_unfreeze', reasonCode, note);
+    const account = await this.assertActionable(user, fund);
+
+    if (!account.isFrozen) {
+      throw complianceError(`Account is not frozen in ${fund.code}`);
+    }
+
+    return this.propose(
+      'account_unfreeze',
+      `Unfreeze account ${user.hederaAccountId} in ${fund.code} (${reasonCode})`,
+      { userId: user._id, fundId: fund._id, tokenId: fund.tokenId, accountId: user.hederaAccountId, reasonCode, note },
+      manager
+    );
+  }
+
+  /**
+   * Propose wiping the tokens of an investment from the investor's account
+   * (e.g. a reversed mobile-money deposit)
+   *
+   * @param {Object} user - Investor (User document)
+   * @param {Object} investment - Active Investment document of the investor
+   * @param {Object} params - { reasonCode, note }
+   * @param {Object} manager - Proposing manager (User document)
+   * @returns {Object} - MultiSigRequest
+   */
+  async proposeWipe(user, investment, { reasonCode, note }, manager) {
+    this.assertReason('token_wipe', reasonCode, note);
+    const fund = await fundService.getFund(investment.fundId);
+    const account = await this.assertActionable(user, fund);
+
+    if (investment.status !== 'active') {
+      throw complianceError(`Investment is ${investment.status}; only active investments can be wiped`);
+    }
+
+    // The ledger rejects wiping a frozen account
+    if (account.isFrozen) {
+      throw complianceError(`Unfreeze the account in ${fund.code} before wiping its tokens`);
+    }
+
+    return this.propose(
+      'token_wipe',
+      `Wipe ${investment.tokenAmount} ${fund.tokenSymbol} of investment ${investment._id} from ${user.hederaAccountId} (${reasonCode})`,
+      {
+        userId: user._id,
+        fundId: fund._id,
+        tokenId: fund.tokenId,
+        accountId: user.hederaAccountId,
+        investmentId: investment._id,
+        amount: investment.tokenAmount,
+        reasonCode,
+        note
+      },
+      manager
+    );
+  }
+
+  /**
+   * Check that a fund's token can be paused or unpaused and has no other
+   * pause request in progress
+   */
+  async assertPausable(fund) {
+    const open = await MultiSigRequest.exists({
+      requestType: { $in: PAUSE_REQUESTS },
+      'requestData.fundId': fund._id,
+      status: { $in: ['pending', 'approved'] }
+    });
+    if (open) {
+      throw complianceError(`A pause request for ${fund.code} is already in progress`, 409);
+    }
+
+    // Tokens created before the pause key was added cannot be paused
+    const tokenInfo = await hederaService.getTokenInfo({ tokenId: fund.tokenId });
+    if (!tokenInfo.pauseKey) {
+      throw complianceError(`The ${fund.code} token was created without a pause key and cannot be paused`, 409);
+    }
+  }
+
+  /**
+   * Propose pausing a fund's token
+   * Once executed, no transfer, mint or burn of the token succeeds and the
+   * platform refuses buying, redeeming and associating in the fund.
+   *
+   * @param {Object} fund - Active Fund document
+   * @param {Object} params - { reasonCode, note }; the note is shown publicly
+   * @param {Object} manager - Proposing manager (User document)
+   * @returns {Object} - MultiSigRequest
+   */
+  async proposePause(fund, { reasonCode, note }, manager) {
+    this.assertReason('fund_pause', reasonCode, note);
+
+    if (fund.isPaused) {
+      throw complianceError(`Fund ${fund.code} is already paused`);
+    }
+    await this.assertPausable(fund);
+
+    return this.propose(
+      'fund_pause',
+      `Pause fund ${fund.code} (token ${fund.tokenId}) (${reasonCode})`,
+      { fundId: fund._id, tokenId: fund.tokenId, reasonCode, note },
+      manager
+    );
+  }
+
+  /**
+   * Propose unpausing a fund's token
+   *
+   * @param {Object} fund - Active Fund document
+   * @param {Object} params - { reasonCode, note }
+   * @param {Object} manager - Proposing manager (User document)
+   * @returns {Object} - MultiSigRequest
+   */
+  async proposeUnpause(fund, { reasonCode, note }, manager) {
+    this.assertReason('fund_unpause', reasonCode, note);
+
+    if (!fund.isPaused) {
+      throw complianceError(`Fund ${fund.code} is not paused`);
+    }
+    await this.assertPausable(fund);
+
+    return this.propose(
+      'fund_unpause',
+      `Unpause fund ${fund.code} (token ${fund.tokenId}) (${reasonCode})`,
+      { fundId: fund._id, tokenId: fund.tokenId, reasonCode, note },
+      manager
+    );
+  }
+}
+
+// Export singleton instance
+module.exports = new ComplianceService();
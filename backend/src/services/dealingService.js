@@ -0,0 +1,273 @@
+/**
+ * Dealing Service - Batched minting of deposits per dealing window
+ *
+ * This service handles:
+ * - Placing each deposit in a dealing window (Transaction.metadata.dealingWindowAt)
+ * - Closing windows: the deposits of a fund whose window has closed are
+ *   minted with one token_mint multi-sig request, and the minted tokens are
+ *   distributed to each investor once it executes
+ *   (see multiSigService.completeMint)
+ * - Resuming batches whose mint request was not created (crash, ledger
+ *   outage)
+ *
+ * Windows close every DEALING_WINDOW_MINUTES (aligned to the clock, e.g.
+ * :00, :15, :30, :45), or once a day at DEALING_CUTOFF_TIME (HH:MM,
+ * Africa/Kigali time) when set. DEALING_WINDOW_MINUTES=0 mints each
+ * deposit as it arrives, and retries every IMMEDIATE_RETRY_MINUTES the
+ * batches whose mint request could not be created. Paused funds keep their
+ * deposits queued until they resume.
+ *
+ * Deposits are assigned their batch's request ID before the request is
+ * created, so repeating a close never mints a deposit twice.
+ */
+
+const mongoose = require('mongoose');
+const { Transaction, MultiSigRequest } = require('../models');
+const multiSigService = require('./multiSigService');
+const fundService = require('./fundService');
+const money = require('../utils/money');
+const logger = require('../utils/logger');
+
+const DEFAULT_WINDOW_MINUTES = 15;
+
+// Retry of unscheduled batches when each deposit is minted as it arrives
+const IMMEDIATE_RETRY_MINUTES = 5;
+
+// Africa/Kigali is UTC+2 all year (no daylight saving)
+const KIGALI_UTC_OFFSET_MINUTES = 120;
+
+const CUTOFF_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+class DealingService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Dealing window settings, from the environment
+   *
+   * @returns {Object} - { windowMinutes, cutoff: { hours, minutes } | null }
+   */
+  config() {
+    const cutoffTime = process.env.DEALING_CUTOFF_TIME;
+    if (cutoffTime) {
+      const match = CUTOFF_PATTERN.exec(cutoffTime);
+      if (!match) {
+        throw new Error(`DEALING_CUTOFF_TIME must be HH:MM, got ${cutoffTime}`);
+      }
+      return { windowMinutes: null, cutoff: { hours: Number(match[1]), minutes: Number(match[2]) } };
+    }
+
+    const windowMinutes = parseFloat(process.env.DEALING_WINDOW_MINUTES || DEFAULT_WINDOW_MINUTES);
+    return { windowMinutes: windowMinutes > 0 ? windowMinutes : 0, cutoff: null };
+  }
+
+  /**
+   * Whether each deposit is minted as it arrives
+   */
+  isImmediate() {
+    const { windowMinutes, cutoff } = this.config();
+    return !cutoff && !windowMinutes;
+  }
+
+  /**
+   * When the dealing window open at a given time closes
+   *
+   * @param {Date} at - Time within the window (default: now)
+   * @returns {Date}
+   */
+  windowClose(at = new Date()) {
+    const { windowMinutes, cutoff } = this.config();
+
+    if (cutoff) {
+      // The cut-off on the Kigali day of at, then the next day once passed
+      const offsetMs = KIGALI_UTC_OFFSET_MINUTES * 60 * 1000;
+      const close = new Date(at.getTime() + offsetMs);
+      close.setUTCHours(cutoff.hours, cutoff.minutes, 0, 0);
+      if (close.getTime() - offsetMs <= at.getTime()) {
+        close.setUTCDate(close.getUTCDate() + 1);
+      }
+      return new Date(close.getTime() - offsetMs);
+    }
+
+    if (!windowMinutes) {
+      return new Date(at);
+    }
+
+    const windowMs = windowMinutes * 60 * 1000;
+    return new Date(Math.floor(at.getTime() / windowMs) * windowMs + windowMs);
+  }
+
+  // ============================================================
+  // Batches
+  // ============================================================
+
+  /**
+   * Close the due windows of a fund: batch its queued deposits and create
+   * the mint request of every batch that has none yet
+   *
+   * @param {Object} fund - Fund document
+   * @param {Date} now - Deposits in windows closed by then are batched
+   * @returns {Array} - MultiSigRequests created
+   */
+  async closeWindow(fund, now = new Date()) {
+    if (!fund.tokenId || fund.status !== 'active' || fund.isPaused) {
+      return [];
+    }
+
+    const queued = {
+      fundId: fund._id,
+      type: 'deposit',
+      status: 'pending'
+    };
+
+    const requestId = new mongoose.Types.ObjectId();
+    const batched = await Transaction.updateMany(
+      { ...queued, 'metadata.dealingWindowAt': { $lte: now }, 'metadata.multiSigRequestId': { $exists: false } },
+      { $set: { 'metadata.multiSigRequestId': requestId } }
+    );
+    if (batched.modifiedCount > 0) {
+      logger.info(`Dealing window of ${fund.code} closed: ${batched.modifiedCount} deposit(s) in batch ${requestId}`);
+    }
+
+    // The new batch, and any earlier one whose request was not created
+    const requestIds = await Transaction.distinct('metadata.multiSigRequestId', {
+      ...queued,
+      'metadata.multiSigRequestId': { $exists: true }
+    });
+    const existing = await MultiSigRequest.find({ _id: { $in: requestIds } }).distinct('_id');
+    const missing = requestIds.filter(id => !existing.some(existingId => existingId.equals(id)));
+
+    const requests = [];
+    for (const id of missing) {
+      try {
+        requests.push(await this.requestMint(fund, id));
+      } catch (error) {
+        // The deposits stay in their batch and are retried at the next close
+        logger.error(`Could not schedule mint of batch ${id} of ${fund.code}:`, error);
+      }
+    }
+    return requests;
+  }
+
+  /**
+   * Create the aggregated mint request of a batch of deposits
+   *
+   * @param {Object} fund - Fund document
+   * @param {ObjectId} requestId - Request ID assigned to the batch's deposits
+   * @returns {Object} - MultiSigRequest
+   */
+  async requestMint(fund, requestId) {
+    const transactions = await Transaction.find({
+      type: 'deposit',
+      status: 'pending',
+      'metadata.multiSigRequestId': requestId
+    }).sort({ transactionDate: 1 });
+
+    const deposits = transactions.map(transaction => ({
+      investmentId: transaction.investmentId,
+      transactionId: transaction._id,
+      amount: transaction.tokenAmount
+    }));
+    const amount = deposits.reduce((total, deposit) => total + deposit.amount, 0);
+    const totalRWF = money.sum(transactions.map(transaction => transaction.amountRWF));
+
+    const request = await multiSigService.createRequest({
+      requestType: 'token_mint',
+      description: `Mint ${amount} ${fund.tokenSymbol} for ${deposits.length} deposit(s) of ${totalRWF} ${fund.currency} in ${fund.code}`,
+      requestData: {
+        fundId: fund._id,
+        tokenId: fund.tokenId,
+        amount,
+        deposits
+      },
+      requestId
+    });
+
+    await Transaction.updateMany(
+      { 'metadata.multiSigRequestId': requestId },
+      { $set: { 'metadata.scheduleId': request.scheduleId } }
+    );
+
+    logger.info(`Batch mint of ${amount} ${fund.tokenSymbol} scheduled for ${deposits.length} deposit(s) in ${fund.code}`);
+    return request;
+  }
+
+  /**
+   * Close the due windows of every active fund
+   *
+   * @returns {number} - Mint requests created
+   */
+  async closeDue() {
+    let created = 0;
+    for (const fund of await fundService.listFunds({ status: 'active' })) {
+      created += (await this.closeWindow(fund)).length;
+    }
+    return created;
+  }
+
+  // ============================================================
+  // Scheduling
+  // ============================================================
+
+  /**
+   * Start closing windows as they end (when minting each deposit as it
+   * arrives: retrying the batches whose mint request was not created)
+   */
+  start() {
+    this.stop();
+    this.scheduleNext();
+
+    const { windowMinutes, cutoff } = this.config();
+    if (this.isImmediate()) {
+      logger.info(`Dealing windows disabled: each deposit is minted as it arrives, unscheduled batches retried every ${IMMEDIATE_RETRY_MINUTES} minutes`);
+    } else {
+      logger.info(cutoff
+        ? `Dealing window closes daily at ${process.env.DEALING_CUTOFF_TIME} Africa/Kigali time`
+        : `Dealing window closes every ${windowMinutes} minutes`);
+    }
+  }
+
+  /**
+   * Stop closing windows
+   */
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Arm the timer for the end of the current window, or the next retry
+   */
+  scheduleNext() {
+    const delay = this.isImmediate()
+      ? IMMEDIATE_RETRY_MINUTES * 60 * 1000
+      : Math.max(this.windowClose().getTime() - Date.now(), 1000);
+    this.timer = setTimeout(() => this.runScheduled().finally(() => this.scheduleNext()), delay);
+    this.timer.unref();
+  }
+
+  /**
+   * Scheduled close: skipped while another close is in progress
+   */
+  async runScheduled() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      await this.closeDue();
+    } catch (error) {
+      logger.error('Dealing window close error:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new DealingService();
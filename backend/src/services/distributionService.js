@@ -0,0 +1,376 @@
+/**
+ * Distribution Service - Interest paid out in tokens
+ *
+ * This service handles:
+ * - Proposing interest_distribution requests: every active investment's
+ *   accrued interest not yet paid out (see accrualService) through an
+ *   accrual date, in tokens
+ * - Proposing one distribution per completed period of every active fund
+ *   (INTEREST_DISTRIBUTION_PERIOD: monthly, quarterly or none), checked
+ *   hourly
+ * - Resuming distributions whose payout was interrupted
+ *
+ * Withholding tax is deducted from each payout (see taxService): the
+ * investor receives tokens for the interest net of tax.
+ *
+ * A distribution is a scheduled mint of its tokens: once both managers
+ * sign, multiSigService transfers them to the investors in batched
+ * transfers, marks the accruals paid and records interest_payment
+ * transactions (see MultiSigService.completeDistribution).
+ *
+ * Paid tokens join the investment's tokenAmount and are returned with it
+ * on redemption, which pays out principal plus all interest: the tokens
+ * represent interest the investment already holds, so nothing is paid
+ * twice. NAV funds accrue no interest and distribute nothing.
+ */
+
+const mongoose = require('mongoose');
+const { Investment, Transaction, User, MultiSigRequest } = require('../models');
+const multiSigService = require('./multiSigService');
+const accrualService = require('./accrualService');
+const interestService = require('./interestService');
+const navService = require('./navService');
+const fundService = require('./fundService');
+const taxService = require('./taxService');
+const money = require('../utils/money');
+const logger = require('../utils/logger');
+
+const DISTRIBUTION_CHECK_MINUTES = 60;
+
+// Months per distribution period
+const PERIOD_MONTHS = {
+  monthly: 1,
+  quarterly: 3
+};
+
+/**
+ * Build an error carrying the HTTP status code for the controller
+ */
+function distributionError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+const dateString = date => new Date(date).toISOString().slice(0, 10);
+
+class DistributionService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Distribution period from INTEREST_DISTRIBUTION_PERIOD: monthly
+   * (default), quarterly or none
+   *
+   * @returns {string}
+   */
+  period() {
+    const period = process.env.INTEREST_DISTRIBUTION_PERIOD || 'monthly';
+    return PERIOD_MONTHS[period] ? period : 'none';
+  }
+
+  /**
+   * Last accrual date of the last completed distribution period
+   *
+   * @param {InterestService} calculator - The fund's calculator
+   * @param {Date} at - Moment (default: now)
+   * @returns {Date}
+   */
+  periodEnd(calculator, at = new Date()) {
+    const months = PERIOD_MONTHS[this.period()] || 1;
+    const today = calculator.accrualDate(calculator.accrualDay(at));
+    const firstMonth = today.getUTCMonth() - today.getUTCMonth() % months;
+
+    // Day 0 of the period's first month is the last day of the one before
+    return new Date(Date.UTC(today.getUTCFullYear(), firstMonth, 0));
+  }
+
+  // ============================================================
+  // Proposals
+  // ============================================================
+
+  /**
+   * Interest accrued through a date and not yet paid out, per active
+   * investment of a fund
+   *
+   * @param {Object} fund - Fund document
+   * @param {Date} through - Last accrual date
+   * @returns {Array} - Payouts: [{ investmentId, userId, accountId,
+   *   transactionId, amount (gross interest), tax (see
+   *   TaxService.withhold), taxTransactionId, tokens (for the net
+   *   interest), roundingResidual, fromDate, throughDate, accruals,
+   *   paymentMethod }]
+   */
+  async undistributed(fund, through) {
+    const accruals = await Transaction.aggregate([
+      {
+        $match: {
+          fundId: fund._id,
+          type: 'interest_payment',
+          accrualDate: { $lte: through },
+          distributionRequestId: { $exists: false }
+        }
+      },
+      { $sort: { accrualDate: 1 } },
+      {
+        $group: {
+          _id: '$investmentId',
+          amount: { $sum: '$amountRWF' }, // Minor units
+          fromDate: { $first: '$accrualDate' },
+          throughDate: { $last: '$accrualDate' },
+          accruals: { $sum: 1 },
+          paymentMethod: { $last: '$paymentMethod' }
+        }
+      }
+    ]);
+
+    // Redeemed investments were paid their interest by the redemption
+    const investments = await Investment.find({
+      _id: { $in: accruals.map(accrual => accrual._id) },
+      status: 'active'
+    }).select('userId');
+    const users = await User.find({
+      _id: { $in: investments.map(investment => investment.userId) }
+    }).select('hederaAccountId taxCategory');
+
+    const payouts = [];
+    for (const accrual of accruals) {
+      const investment = investments.find(inv => inv._id.equals(accrual._id));
+      const user = investment && users.find(u => u._id.equals(investment.userId));
+      if (!user || !user.hederaAccountId) {
+        continue;
+      }
+
+      const amount = money.fromMinor(accrual.amount);
+      const tax = taxService.withhold(user, amount);
+      const { tokens, residual } = money.toTokens(money.subtract(amount, tax.tax), fund.decimals);
+      if (tokens <= 0) {
+        continue;
+      }
+
+      payouts.push({
+        investmentId: investment._id,
+        userId: user._id,
+        accountId: user.hederaAccountId,
+        transactionId: new mongoose.Types.ObjectId(),
+        amount,
+        tax,
+        taxTransactionId: tax.tax > 0 ? new mongoose.Types.ObjectId() : undefined,
+        tokens,
+        roundingResidual: residual, // Interest the tokens do not represent
+        fromDate: accrual.fromDate,
+        throughDate: accrual.throughDate,
+        accruals: accrual.accruals,
+        paymentMethod: accrual.paymentMethod
+      });
+    }
+    return payouts;
+  }
+
+  /**
+   * Propose the distribution of a fund's undistributed interest
+   * Accrues the fund through the date first, so no day is left out.
+   *
+   * @param {Object} fund - Active fund
+   * @param {Object} options - { through (YYYY-MM-DD, default: the end of
+   *   the last completed period, or the last completed day without one),
+   *   createdBy (manager user ID, unset for scheduled proposals) }
+   * @returns {Object} - interest_distribution MultiSigRequest
+   */
+  async propose(fund, { through, createdBy } = {}) {
+    if (navService.usesNav(fund)) {
+      throw distributionError(`Fund ${fund.code} is priced by NAV and accrues no interest`);
+    }
+
+    const open = await MultiSigRequest.exists({
+      requestType: 'interest_distribution',
+      'requestData.fundId': fund._id,
+      $or: [
+        { status: 'approved' },
+        { status: 'pending', expiresAt: { $gt: new Date() } }
+      ]
+    });
+    if (open) {
+      throw distributionError(`An interest distribution of ${fund.code} is already in progress`, 409);
+    }
+
+    const calculator = interestService.forFund(fund);
+    if (!through && this.period() !== 'none') {
+      through = dateString(this.periodEnd(calculator));
+    }
+
+    const accrued = await accrualService.run({ fund, through });
+    const throughDate = new Date(`${accrued.through}T00:00:00Z`);
+
+    const payouts = await this.undistributed(fund, throughDate);
+    if (payouts.length === 0) {
+      throw distributionError(`No undistributed interest in ${fund.code} through ${accrued.through}`);
+    }
+
+    const amount = payouts.reduce((total, payout) => total + payout.tokens, 0);
+    const totalInterest = money.sum(payouts.map(payout => payout.amount));
+    const totalTax = money.sum(payouts.map(payout => payout.tax.tax));
+
+    const request = await multiSigService.createRequest({
+      requestType: 'interest_distribution',
+      description: `Distribute ${totalInterest} ${fund.currency} of interest through ${accrued.through} ` +
+        `to ${payouts.length} investment(s) of ${fund.code} (${amount} ${fund.tokenSymbol}, ` +
+        `${totalTax} ${fund.currency} withholding tax)`,
+      requestData: {
+        fundId: fund._id,
+        tokenId: fund.tokenId,
+        amount,
+        totalInterest,
+        totalTax,
+        through: throughDate,
+        payouts
+      },
+      createdBy
+    });
+
+    logger.info(`Interest distribution of ${fund.code} through ${accrued.through} proposed: ${totalInterest} ${fund.currency} to ${payouts.length} investment(s)`);
+    return request;
+  }
+
+  /**
+   * Propose the distribution of a fund's last completed period, unless
+   * one was already proposed for it (managers propose again by hand
+   * after a rejection)
+   *
+   * @param {Object} fund - Active fund
+   * @returns {Object|null} - New request, if any
+   */
+  async proposeDue(fund) {
+    const through = this.periodEnd(interestService.forFund(fund));
+
+    const proposed = await MultiSigRequest.exists({
+      requestType: 'interest_distribution',
+      'requestData.fundId': fund._id,
+      'requestData.through': { $gte: through }
+    });
+    if (proposed) {
+      return null;
+    }
+
+    try {
+      return await this.propose(fund, { through: dateString(through) });
+    } catch (error) {
+      if (error.statusCode === 400) {
+        // Nothing to distribute for the period
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // ============================================================
+  // Payout
+  // ============================================================
+
+  /**
+   * Pay out an approved distribution whose payout was interrupted
+   * Batches already transferred are not transferred again.
+   *
+   * @param {Object} request - interest_distribution MultiSigRequest
+   * @returns {Object} - Updated request
+   */
+  async resume(request) {
+    if (request.status !== 'approved') {
+      throw distributionError(`Distribution is ${request.status}, only approved distributions can be resumed`, 409);
+    }
+    return multiSigService.executeRequest(request);
+  }
+
+  /**
+   * Resume every approved distribution
+   *
+   * @returns {number} - Distributions completed
+   */
+  async resumeApproved() {
+    let completed = 0;
+    const approved = await MultiSigRequest.find({ requestType: 'interest_distribution', status: 'approved' });
+
+    for (const request of approved) {
+      try {
+        await this.resume(request);
+        completed += 1;
+      } catch (error) {
+        logger.error(`Interest distribution ${request._id} not completed:`, error);
+      }
+    }
+    return completed;
+  }
+
+  // ============================================================
+  // Scheduling
+  // ============================================================
+
+  /**
+   * Start proposing distributions as periods complete
+   */
+  start() {
+    if (this.period() === 'none') {
+      logger.info('Scheduled interest distribution disabled');
+      return;
+    }
+
+    this.stop();
+    this.timer = setInterval(() => this.runScheduled(), DISTRIBUTION_CHECK_MINUTES * 60 * 1000);
+    this.timer.unref();
+
+    logger.info(`Scheduled ${this.period()} interest distribution`);
+  }
+
+  /**
+   * Stop proposing distributions
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Scheduled run: resume interrupted payouts, then propose the due
+   * distribution of every active fund; skipped while another run is in
+   * progress
+   *
+   * @returns {Array} - Requests proposed
+   */
+  async runScheduled() {
+    if (this.running) {
+      return [];
+    }
+
+    this.running = true;
+    const proposed = [];
+    try {
+      await this.resumeApproved();
+
+      for (const fund of await fundService.listFunds({ status: 'active' })) {
+        if (navService.usesNav(fund)) {
+          continue;
+        }
+        try {
+          const request = await this.proposeDue(fund);
+          if (request) {
+            proposed.push(request);
+          }
+        } catch (error) {
+          logger.error(`Interest distribution of ${fund.code} not proposed:`, error);
+        }
+      }
+    } catch (error) {
+      logger.error('Scheduled interest distribution error:', error);
+    } finally {
+      this.running = false;
+    }
+    return proposed;
+  }
+}
+
+// Export singleton instance
+module.exports = new DistributionService();
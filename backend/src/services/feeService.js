@@ -0,0 +1,492 @@
+/**
+ * Fee Service - Network fees paid by the operator (treasury) account
+ *
+ * This service handles:
+ * - Tracking every ledger transaction the operator pays for, against the
+ *   Transaction, MultiSigRequest or user it belongs to
+ * - Collecting the fee actually charged from the transaction record once
+ *   it reached consensus (setMaxTransactionFee is only a cap)
+ * - Keeping that record (status, consensus timestamp, fee, memo, token
+ *   transfers) on the Transactions it was performed for
+ * - Reporting fee spend by operation type and period
+ * - Watching the operator's HBAR balance: an alert is raised when it will
+ *   run out within OPERATOR_LOW_BALANCE_DAYS at the current burn rate
+ *
+ * Collection and the balance check run every FEE_MONITOR_INTERVAL_MINUTES
+ * (0 disables). Amounts are in tinybars (1 HBAR = 100,000,000 tinybars).
+ */
+
+const { LedgerFee, Transaction, MultiSigRequest, OperatorBalanceAlert } = require('../models');
+const hederaService = require('./hederaService');
+const logger = require('../utils/logger');
+
+const DEFAULT_INTERVAL_MINUTES = 15;
+const DEFAULT_LOW_BALANCE_DAYS = 14;
+const DEFAULT_BURN_WINDOW_DAYS = 7;
+
+// Transactions not found this long after they were tracked never reached
+// consensus (precheck failure, expired) and cost nothing
+const NOT_CHARGED_AFTER_MS = 60 * 60 * 1000;
+
+const TINYBARS_PER_HBAR = 100000000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+/**
+ * Build an error carrying the HTTP status code for the controller
+ */
+function feeError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+const toHbar = tinybars => tinybars / TINYBARS_PER_HBAR;
+
+class FeeService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  // ============================================================
+  // Tracking and collection
+  // ============================================================
+
+  /**
+   * Track a ledger transaction paid by the operator
+   * Never throws: fee tracking must not fail the flow that paid the fee.
+   *
+   * @param {string} transactionId - Ledger transaction ID
+   * @param {string} operationType - What the transaction did
+   * @param {Object} refs - { relatedTransactionId, relatedRequestId, relatedUserId }
+   */
+  async track(transactionId, operationType, refs = {}) {
+    if (!transactionId) {
+      return;
+    }
+
+    try {
+      await LedgerFee.updateOne(
+        { transactionId },
+        { $setOnInsert: { transactionId, operationType, status: 'pending', ...refs } },
+        { upsert: true }
+      );
+    } catch (error) {
+      logger.error(`Failed to track fee of ${transactionId}:`, error);
+    }
+  }
+
+  /**
+   * Collect the charged fee of pending tracked transactions
+   *
+   * @param {Object} options - { limit } transactions per run
+   * @returns {Object} - Counts of collected, not charged and still pending fees
+   */
+  async collect({ limit = 200 } = {}) {
+    const pending = await LedgerFee.find({ status: 'pending' })
+      .sort({ createdAt: 1 })
+      .limit(limit);
+
+    const summary = { collected: 0, notCharged: 0, pending: 0 };
+
+    for (const fee of pending) {
+      try {
+        const record = await hederaService.getTransactionRecord(fee.transactionId);
+
+        if (record.found) {
+          await this.applyFee(fee, record);
+          summary.collected += 1;
+        } else if (Date.now() - fee.createdAt.getTime() > NOT_CHARGED_AFTER_MS) {
+          fee.status = 'not_charged';
+          fee.feeTinybars = 0;
+          fee.collectedAt = new Date();
+          await fee.save();
+          summary.notCharged += 1;
+        } else {
+          summary.pending += 1;
+        }
+      } catch (error) {
+        logger.error(`Failed to collect fee of ${fee.transactionId}:`, error);
+        summary.pending += 1;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Store a collected fee and add it to the records it belongs to
+   *
+   * @param {Object} fee - Pending LedgerFee
+   * @param {Object} record - Consensus record (see getTransactionRecord)
+   */
+  async applyFee(fee, record) {
+    // Claim the fee first so it is never added twice
+    const claimed = await LedgerFee.updateOne(
+      { _id: fee._id, status: 'pending' },
+      {
+        status: 'collected',
+        feeTinybars: record.feeTinybars,
+        consensusAt: record.consensusAt,
+        collectedAt: new Date()
+      }
+    );
+    if (claimed.modifiedCount === 0) {
+      return;
+    }
+
+    const increment = { $inc: { networkFeeTinybars: record.feeTinybars } };
+    if (fee.relatedTransactionId) {
+      await Transaction.updateOne({ _id: fee.relatedTransactionId }, increment);
+    }
+    if (fee.relatedRequestId) {
+      await MultiSigRequest.updateOne({ _id: fee.relatedRequestId }, increment);
+    }
+
+    await this.storeRecord(fee, record);
+  }
+
+  // ============================================================
+  // Transaction records
+  // ============================================================
+
+  /**
+   * Transactions a tracked ledger transaction was performed for: its own
+   * Transaction, or those settled by the multi-sig request it executed
+   * (the deposits of a batch mint, the redemption of a burn)
+   *
+   * @param {Object} fee - LedgerFee
+   * @returns {Object|null} - Transaction filter, or null when there are none
+   */
+  relatedTransactions(fee) {
+    if (fee.relatedTransactionId) {
+      return { _id: fee.relatedTransactionId };
+    }
+    if (fee.relatedRequestId && fee.operationType === 'token_mint') {
+      return { type: 'deposit', 'metadata.multiSigRequestId': fee.relatedRequestId };
+    }
+    if (fee.relatedRequestId && fee.operationType === 'token_burn') {
+      return { type: 'withdrawal', 'metadata.burnRequestId': fee.relatedRequestId };
+    }
+    return null;
+  }
+
+  /**
+   * Add a consensus record to the Transactions it was performed for
+   * A record already stored is left as is.
+   *
+   * @param {Object} fee - LedgerFee
+   * @param {Object} record - Consensus record (see getTransactionRecord)
+   */
+  async storeRecord(fee, record) {
+    const filter = this.relatedTransactions(fee);
+    if (!filter) {
+      return;
+    }
+
+    await Transaction.updateMany(
+      { ...filter, 'ledgerRecords.transactionId': { $ne: fee.transactionId } },
+      {
+        $push: {
+          ledgerRecords: {
+            operation: fee.operationType,
+            transactionId: fee.transactionId,
+            status: record.status,
+            consensusTimestamp: record.consensusTimestamp,
+            consensusAt: record.consensusAt,
+            feeTinybars: record.feeTinybars,
+            memo: record.memo,
+            tokenTransfers: record.tokenTransfers,
+            recordedAt: new Date()
+          }
+        }
+      }
+    );
+  }
+
+  /**
+   * Fetch the consensus records of a Transaction's ledger transactions that
+   * it does not hold yet (still pending collection, or collected before
+   * records were kept)
+   * Never throws: the Transaction is returned with what could be fetched.
+   *
+   * @param {Object} transaction - Transaction document
+   * @returns {Object} - The Transaction, reloaded when records were added
+   */
+  async collectRecords(transaction) {
+    const { multiSigRequestId, burnRequestId } = transaction.metadata || {};
+    const requestIds = [multiSigRequestId, burnRequestId].filter(Boolean);
+    const stored = (transaction.ledgerRecords || []).map(record => record.transactionId);
+
+    try {
+      const fees = await LedgerFee.find({
+        transactionId: { $nin: stored },
+        status: { $ne: 'not_charged' },
+        $or: [
+          { relatedTransactionId: transaction._id },
+          { relatedRequestId: { $in: requestIds }, operationType: { $in: ['token_mint', 'token_burn'] } }
+        ]
+      });
+
+      let added = 0;
+      for (const fee of fees) {
+        const record = await hederaService.getTransactionRecord(fee.transactionId);
+        if (!record.found) {
+          continue;
+        }
+
+        if (fee.status === 'pending') {
+          await this.applyFee(fee, record);
+        } else {
+          await this.storeRecord(fee, record);
+        }
+        added += 1;
+      }
+
+      return added > 0 ? await Transaction.findById(transaction._id) : transaction;
+    } catch (error) {
+      logger.error(`Failed to collect ledger records of transaction ${transaction._id}:`, error);
+      return transaction;
+    }
+  }
+
+  // ============================================================
+  // Reporting
+  // ============================================================
+
+  /**
+   * Fee spend by operation type and by period
+   *
+   * @param {Object} options - { from, to, period: 'day' | 'week' | 'month' }
+   * @returns {Object} - Totals, per operation type and per period
+   */
+  async report({ from, to, period = 'day' } = {}) {
+    if (!PERIOD_FORMATS[period]) {
+      throw feeError(`Invalid period. Use one of: ${Object.keys(PERIOD_FORMATS).join(', ')}`);
+    }
+
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - 30 * DAY_MS);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || start > end) {
+      throw feeError('Invalid date range');
+    }
+
+    const match = { status: 'collected', consensusAt: { $gte: start, $lte: end } };
+
+    const [byOperationType, byPeriod, pending] = await Promise.all([
+      LedgerFee.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$operationType',
+            count: { $sum: 1 },
+            totalTinybars: { $sum: '$feeTinybars' },
+            averageTinybars: { $avg: '$feeTinybars' }
+          }
+        },
+        { $sort: { totalTinybars: -1 } }
+      ]),
+      LedgerFee.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: { $dateToString: { format: PERIOD_FORMATS[period], date: '$consensusAt', timezone: 'Africa/Kigali' } },
+            count: { $sum: 1 },
+            totalTinybars: { $sum: '$feeTinybars' }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]),
+      LedgerFee.countDocuments({ status: 'pending' })
+    ]);
+
+    const totalTinybars = byOperationType.reduce((sum, row) => sum + row.totalTinybars, 0);
+
+    return {
+      from: start,
+      to: end,
+      period,
+      totalTransactions: byOperationType.reduce((sum, row) => sum + row.count, 0),
+      totalTinybars,
+      totalHbar: toHbar(totalTinybars),
+      byOperationType: byOperationType.map(row => ({
+        operationType: row._id,
+        count: row.count,
+        totalTinybars: row.totalTinybars,
+        totalHbar: toHbar(row.totalTinybars),
+        averageTinybars: Math.round(row.averageTinybars)
+      })),
+      byPeriod: byPeriod.map(row => ({
+        period: row._id,
+        count: row.count,
+        totalTinybars: row.totalTinybars,
+        totalHbar: toHbar(row.totalTinybars)
+      })),
+      pendingCollection: pending
+    };
+  }
+
+  // ============================================================
+  // Operator balance monitor
+  // ============================================================
+
+  /**
+   * Operator HBAR balance, fee burn rate and expected runway
+   *
+   * @returns {Object} - Balance, daily burn and days remaining (null when
+   *   nothing was spent in the burn window)
+   */
+  async getOperatorStatus() {
+    await hederaService.ensureInitialized();
+
+    const accountId = hederaService.treasuryId.toString();
+    const windowDays = parseFloat(process.env.OPERATOR_BURN_WINDOW_DAYS || DEFAULT_BURN_WINDOW_DAYS);
+    const thresholdDays = parseFloat(process.env.OPERATOR_LOW_BALANCE_DAYS || DEFAULT_LOW_BALANCE_DAYS);
+
+    const { hbarTinybars } = await hederaService.getAccountBalance(accountId);
+
+    const [spent] = await LedgerFee.aggregate([
+      { $match: { status: 'collected', consensusAt: { $gte: new Date(Date.now() - windowDays * DAY_MS) } } },
+      { $group: { _id: null, totalTinybars: { $sum: '$feeTinybars' } } }
+    ]);
+
+    const dailyBurnTinybars = Math.round((spent ? spent.totalTinybars : 0) / windowDays);
+    const daysRemaining = dailyBurnTinybars > 0
+      ? Math.round((hbarTinybars / dailyBurnTinybars) * 10) / 10
+      : null;
+
+    return {
+      accountId,
+      balanceTinybars: hbarTinybars,
+      balanceHbar: toHbar(hbarTinybars),
+      dailyBurnTinybars,
+      dailyBurnHbar: toHbar(dailyBurnTinybars),
+      windowDays,
+      daysRemaining,
+      thresholdDays,
+      low: daysRemaining !== null && daysRemaining < thresholdDays
+    };
+  }
+
+  /**
+   * Raise, update or resolve the low balance alert
+   *
+   * @returns {Object} - { status, alert } (alert is the open alert, if any)
+   */
+  async checkOperatorBalance() {
+    const status = await this.getOperatorStatus();
+    let alert = await OperatorBalanceAlert.findOne({ status: 'open' });
+
+    if (status.low) {
+      const figures = {
+        balanceTinybars: status.balanceTinybars,
+        dailyBurnTinybars: status.dailyBurnTinybars,
+        daysRemaining: status.daysRemaining,
+        thresholdDays: status.thresholdDays,
+        lastCheckedAt: new Date()
+      };
+
+      if (alert) {
+        Object.assign(alert, figures);
+        await alert.save();
+      } else {
+        alert = await OperatorBalanceAlert.create({ accountId: status.accountId, ...figures });
+        logger.warn(
+          `Operator ${status.accountId} HBAR balance (${status.balanceHbar} HBAR) runs out in ` +
+          `${status.daysRemaining} days at ${status.dailyBurnHbar} HBAR/day, top it up`
+        );
+      }
+    } else if (alert) {
+      alert.status = 'resolved';
+      alert.resolvedAt = new Date();
+      await alert.save();
+      logger.info(`Operator balance alert ${alert._id} resolved`);
+      alert = null;
+    }
+
+    return { status, alert };
+  }
+
+  /**
+   * Acknowledge a low balance alert (e.g. after ordering a top-up)
+   * It stays open until the balance check no longer finds it low.
+   *
+   * @param {Object} alert - OperatorBalanceAlert document
+   * @param {string} userId - Acknowledging manager
+   * @param {string} note - Optional note
+   * @returns {Object} - Updated alert
+   */
+  async acknowledgeAlert(alert, userId, note) {
+    if (alert.acknowledged) {
+      throw feeError('Alert is already acknowledged');
+    }
+
+    alert.acknowledged = true;
+    alert.acknowledgedBy = userId;
+    alert.acknowledgedAt = new Date();
+    alert.acknowledgementNote = note;
+    await alert.save();
+
+    logger.info(`Operator balance alert ${alert._id} acknowledged by ${userId}`);
+    return alert;
+  }
+
+  // ============================================================
+  // Scheduling
+  // ============================================================
+
+  /**
+   * Start scheduled fee collection and balance checks
+   */
+  start() {
+    const minutes = parseFloat(process.env.FEE_MONITOR_INTERVAL_MINUTES || DEFAULT_INTERVAL_MINUTES);
+    if (!minutes || minutes <= 0) {
+      logger.info('Scheduled fee monitoring disabled');
+      return;
+    }
+
+    this.stop();
+    this.timer = setInterval(() => this.runScheduled(), minutes * 60 * 1000);
+    this.timer.unref();
+
+    logger.info(`Scheduled fee monitoring every ${minutes} minutes`);
+  }
+
+  /**
+   * Stop scheduled fee monitoring
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Scheduled run: skipped while another run is in progress
+   */
+  async runScheduled() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      await this.collect();
+      await this.checkOperatorBalance();
+    } catch (error) {
+      logger.error('Scheduled fee monitoring error:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new FeeService();
@@ -0,0 +1,347 @@
+/**
+ * Fund Fee Service - Fees the fund charges investors
+ *
+ * This service handles:
+ * - The fund's fee schedule: an annual management fee accrued daily,
+ *   entry and exit fees, and a penalty on redemptions within
+ *   earlyRedemptionDays of investing. Each fund stores its own schedule,
+ *   changed through a fee_schedule_change multi-sig request; funds without
+ *   one use the FUND_*_FEE_* environment defaults.
+ * - Quoting fees for deposits, redemptions and portfolio positions
+ * - Recording charged fees as `fee` transactions once the deposit or
+ *   redemption they belong to completes
+ *
+ * Fees are netted rather than collected separately: the entry fee reduces
+ * the amount invested (and tokens minted), and the management, exit and
+ * penalty fees reduce the redemption payout. Transfers between investors
+ * can additionally carry an HTS custom fee set when the token is created
+ * (see BaseLedger.transferFeeConfig).
+ */
+
+const { Fund, Transaction } = require('../models');
+const interestService = require('./interestService');
+const navService = require('./navService');
+const auditService = require('./auditService');
+const money = require('../utils/money');
+const logger = require('../utils/logger');
+
+const RATE_FIELDS = ['managementFeeRate', 'entryFeeRate', 'exitFeeRate', 'earlyRedemptionPenaltyRate'];
+
+const FEE_LABELS = {
+  entry: 'Entry fee',
+  management: 'Management fee',
+  exit: 'Exit fee',
+  earlyRedemption: 'Early redemption penalty'
+};
+
+/**
+ * Build an error carrying the HTTP status code for the controller
+ */
+function feeError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+class FundFeeService {
+  // ============================================================
+  // Fee schedule
+  // ============================================================
+
+  /**
+   * Fee schedule from the environment
+   */
+  defaultSchedule() {
+    return {
+      managementFeeRate: parseFloat(process.env.FUND_MANAGEMENT_FEE_RATE || 0),
+      entryFeeRate: parseFloat(process.env.FUND_ENTRY_FEE_RATE || 0),
+      exitFeeRate: parseFloat(process.env.FUND_EXIT_FEE_RATE || 0),
+      earlyRedemptionPenaltyRate: parseFloat(process.env.FUND_EARLY_REDEMPTION_PENALTY_RATE || 0),
+      earlyRedemptionDays: parseInt(process.env.FUND_EARLY_REDEMPTION_DAYS || 0, 10)
+    };
+  }
+
+  /**
+   * Current fee schedule of a fund
+   *
+   * @param {Object} fund - Fund document
+   * @returns {Object} - Rates (percentages) and earlyRedemptionDays
+   */
+  getSchedule(fund) {
+    const { feeSchedule } = fund;
+    if (!feeSchedule) {
+      return this.defaultSchedule();
+    }
+
+    return {
+      managementFeeRate: feeSchedule.managementFeeRate,
+      entryFeeRate: feeSchedule.entryFeeRate,
+      exitFeeRate: feeSchedule.exitFeeRate,
+      earlyRedemptionPenaltyRate: feeSchedule.earlyRedemptionPenaltyRate,
+      earlyRedemptionDays: feeSchedule.earlyRedemptionDays
+    };
+  }
+
+  /**
+   * Validate a (partial) fee schedule change against the current schedule
+   *
+   * @param {Object} changes - Fields to change
+   * @param {Object} current - Current schedule
+   * @returns {Object} - Complete new schedule
+   */
+  validateSchedule(changes, current) {
+    const schedule = { ...current };
+
+    for (const field of RATE_FIELDS) {
+      if (changes[field] === undefined) {
+        continue;
+      }
+      const rate = parseFloat(changes[field]);
+      if (isNaN(rate) || rate < 0 || rate > 100) {
+        throw feeError(`${field} must be a percentage between 0 and 100`);
+      }
+      schedule[field] = rate;
+    }
+
+    if (changes.earlyRedemptionDays !== undefined) {
+      const days = Number(changes.earlyRedemptionDays);
+      if (!Number.isInteger(days) || days < 0) {
+        throw feeError('earlyRedemptionDays must be a whole number of days');
+      }
+      schedule.earlyRedemptionDays = days;
+    }
+
+    return schedule;
+  }
+
+  /**
+   * Apply the schedule of an executed fee_schedule_change request
+   *
+   * @param {Object} request - MultiSigRequest document
+   */
+  async applyScheduleChange(request) {
+    const { fundId, schedule } = request.requestData;
+    const result = await Fund.updateOne(
+      { _id: fundId },
+      { $set: { feeSchedule: { ...schedule, updatedAt: new Date() } } }
+    );
+    if (result.matchedCount === 0) {
+      throw feeError(`Fund ${fundId} not found`, 404);
+    }
+
+    logger.info(`Fee schedule of fund ${fundId} updated: ${JSON.stringify(schedule)}`);
+  }
+
+  // ============================================================
+  // Quotes
+  // ============================================================
+
+  /**
+   * Entry fee of a deposit
+   *
+   * @param {number} amountRWF - Deposited amount
+   * @param {Object} schedule - Fee schedule
+   * @returns {Object} - { entryFee, netAmountRWF }
+   */
+  quoteDeposit(amountRWF, schedule) {
+    const entryFee = money.percentOf(amountRWF, schedule.entryFeeRate);
+
+    return {
+      amountRWF,
+      entryFee,
+      netAmountRWF: money.subtract(amountRWF, entryFee)
+    };
+  }
+
+  /**
+   * Management fee accrued over a holding period
+   * Accrues daily at managementFeeRate over the year fraction the days
+   * count for under the fund's day count, like interest, on the
+   * investment's value of that day, which grows at the fund's daily rate:
+   * the sum of P * m * t / days * (1 + r)^i over the days held.
+   *
+   * @param {number} principal - Invested amount
+   * @param {number} days - Days held
+   * @param {Object} schedule - Fee schedule
+   * @param {number} dailyRate - The fund's daily interest rate
+   * @param {number} yearFraction - Year fraction of the days held
+   *   (InterestService.yearFraction)
+   * @returns {number} - Fee in the fund's currency
+   */
+  managementFee(principal, days, schedule, dailyRate, yearFraction) {
+    if (!schedule.managementFeeRate || days <= 0) {
+      return 0;
+    }
+    const dailyFeeRate = schedule.managementFeeRate / 100 * yearFraction / days;
+    const valueDays = dailyRate > 0
+      ? (Math.pow(1 + dailyRate, days) - 1) / dailyRate
+      : days;
+
+    return money.round(principal * dailyFeeRate * valueDays);
+  }
+
+  /**
+   * Value of an investment net of every fee, if redeemed at a given time
+   *
+   * @param {Object} investment - Investment document
+   * @param {Object} fund - Fund of the investment
+   * @param {Object} pricing - { rateHistory } of the fund
+   *   (rateHistoryService.getHistory), or for NAV funds { nav } in force
+   *   (navService) and the tokenAmount redeemed (default: every unit);
+   *   accrued values the investment from its accrued interest (see
+   *   accrualService) when it is accrued through the last cut-off before at
+   * @param {Date} at - Redemption time (default: now)
+   * @returns {Object} - Gross value, fees per type and net value
+   */
+  quoteRedemption(investment, fund, { rateHistory = null, nav = null, tokenAmount, accrued = false } = {}, at = new Date()) {
+    const schedule = this.getSchedule(fund);
+    const calculator = interestService.forFund(fund, rateHistory);
+
+    let interest;
+    let management = 0;
+    if (nav) {
+      // Units at the NAV, which already reflects the management fee
+      const tokens = tokenAmount || investment.tokenAmount;
+      const principal = money.round(investment.amountRWF * tokens / investment.tokenAmount);
+      const totalValue = navService.valueOf(tokens, nav.navPerUnit, fund);
+      interest = {
+        principal,
+        interest: money.subtract(totalValue, principal),
+        totalValue,
+        days: calculator.accrualDay(at) - calculator.accrualDay(investment.investmentDate)
+      };
+    } else {
+      const start = new Date(investment.investmentDate);
+      const lastCutoff = calculator.cutoffOf(calculator.accrualDay(at) - 1);
+
+      let factor;
+      if (accrued && investment.lastInterestCalculation >= lastCutoff) {
+        // Interest only grows at cut-offs, so the accrued figures are current
+        const principal = investment.amountRWF;
+        interest = {
+          principal,
+          interest: investment.interestAccrued,
+          totalValue: money.sum([principal, investment.interestAccrued]),
+          days: calculator.accrualDay(at) - calculator.accrualDay(start)
+        };
+        factor = principal > 0 ? interest.totalValue / principal : 1;
+      } else {
+        interest = calculator.calculateInterest(investment.amountRWF, start, at);
+        factor = calculator.growth(start, at).factor;
+      }
+
+      // Average daily growth over the rates the investment went through
+      const dailyRate = interest.days > 0
+        ? Math.pow(factor, 1 / interest.days) - 1
+        : calculator.dailyRate;
+
+      const yearFraction = calculator.yearFraction(calculator.accrualDay(start), calculator.accrualDay(at));
+      management = this.managementFee(interest.principal, interest.days, schedule, dailyRate, yearFraction);
+    }
+    const base = money.subtract(interest.totalValue, management);
+
+    const exit = money.percentOf(base, schedule.exitFeeRate);
+    const earlyRedemption = interest.days < schedule.earlyRedemptionDays
+      ? money.percentOf(base, schedule.earlyRedemptionPenaltyRate)
+      : 0;
+
+    const fees = {
+      management,
+      exit,
+      earlyRedemption,
+      total: money.sum([management, exit, earlyRedemption])
+    };
+
+    return {
+      principal: interest.principal,
+      interestEarned: interest.interest,
+      grossValue: interest.totalValue,
+      daysHeld: interest.days,
+      navPerUnit: nav ? nav.navPerUnit : null,
+      fees,
+      netValue: Math.max(0, money.subtract(interest.totalValue, fees.total))
+    };
+  }
+
+  /**
+   * Date from which an investment is no longer charged the early
+   * redemption penalty (null when there is none): the cut-off completing
+   * its earlyRedemptionDays-th day of interest
+   */
+  penaltyFreeFrom(investment, fund, schedule = this.getSchedule(fund)) {
+    if (!schedule.earlyRedemptionPenaltyRate || !schedule.earlyRedemptionDays) {
+      return null;
+    }
+    return interestService.forFund(fund).afterAccrualDays(investment.investmentDate, schedule.earlyRedemptionDays);
+  }
+
+  // ============================================================
+  // Recording
+  // ============================================================
+
+  /**
+   * IDs for the fee transactions of a deposit or redemption, assigned up
+   * front like the other records a flow creates
+   *
+   * @param {Object} fees - Fee amounts per type
+   * @param {Function} newId - Creates an ObjectId
+   * @returns {Object} - Transaction ID per charged fee type
+   */
+  assignTransactionIds(fees, newId) {
+    const ids = {};
+    for (const feeType of Object.keys(FEE_LABELS)) {
+      if (fees[feeType] > 0) {
+        ids[feeType] = newId();
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Record the fees of a completed deposit or redemption as `fee`
+   * transactions. Safe to repeat: each fee has its pre-assigned ID.
+   *
+   * @param {Object} source - Completed deposit or withdrawal Transaction
+   * @returns {number} - Fee transactions created
+   */
+  async recordFees(source) {
+    const { fees = {}, feeTransactionIds = {} } = source.metadata || {};
+    let created = 0;
+
+    for (const [feeType, feeTransactionId] of Object.entries(feeTransactionIds)) {
+      const now = new Date();
+      const result = await Transaction.updateOne(
+        { _id: feeTransactionId },
+        {
+          $setOnInsert: {
+            userId: source.userId,
+            investmentId: source.investmentId,
+            fundId: source.fundId,
+            type: 'fee',
+            amountRWF: fees[feeType],
+            paymentMethod: source.paymentMethod,
+            status: 'completed',
+            description: `${FEE_LABELS[feeType]} on ${source.type === 'deposit' ? 'investment' : 'redemption'} ${source.investmentId}`,
+            metadata: { feeType, sourceTransactionId: source._id },
+            transactionDate: now,
+            completedDate: now
+          }
+        },
+        { upsert: true }
+      );
+
+      if (result.upsertedCount > 0) {
+        created += 1;
+        await auditService.recordTransaction(await Transaction.findById(feeTransactionId));
+      }
+    }
+
+    if (created > 0) {
+      logger.info(`Recorded ${created} fee transaction(s) for ${source.type} ${source._id}`);
+    }
+    return created;
+  }
+}
+
+// Export singleton instance
+module.exports = new FundFeeService();
@@ -0,0 +1,645 @@
+/**
+ * Fund Service - The funds offered on the platform
+ *
+ * This service handles:
+ * - Looking up funds by ID or code; requests that name no fund use the
+ *   default fund
+ * - Launching a fund: it is recorded as pending and its token is created
+ *   through a token_creation multi-sig request; the fund opens once the
+ *   token exists (see multiSigService.completeTokenCreation)
+ * - Each user's relationship with a fund's token (User.fundAccounts)
+ * - Checking deposits against the fund's limits
+ * - The public pause status of funds (see complianceService.proposePause)
+ * - Moving single-fund data into the default fund (startup)
+ * - Converting amounts stored before minor units to minor units (startup)
+ *
+ * Every fund has its own HTS token, decimals, rate, interest convention,
+ * pricing model (see navService), fee schedule and limits. Amounts of a
+ * fund (the amountRWF fields) are in its currency.
+ */
+
+const mongoose = require('mongoose');
+const { Fund, Token, Investment, Transaction, MultiSigRequest, User } = require('../models');
+const multiSigService = require('./multiSigService');
+const fundFeeService = require('./fundFeeService');
+const interestService = require('./interestService');
+const money = require('../utils/money');
+const logger = require('../utils/logger');
+
+const CODE_PATTERN = /^[A-Z0-9][A-Z0-9-]{1,19}$/;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+const LIMIT_FIELDS = ['minInvestment', 'maxInvestment', 'maxHoldingPerInvestor'];
+
+// Money fields stored in minor units (see moneyField in models), per model
+// Documents converted per bulk write
+const MONEY_MIGRATION_BATCH_SIZE = 500;
+
+const MONEY_FIELDS = [
+  [Investment, ['amountRWF', 'interestAccrued', 'interestPaid', 'taxWithheld', 'redemptionAmount']],
+  [Transaction, ['amountRWF']],
+  [Fund, LIMIT_FIELDS.map(field => `limits.${field}`)]
+];
+
+// Request types that belong to one fund (requestData.fundId)
+const FUND_REQUESTS = [
+  'token_creation',
+  'token_mint',
+  'token_burn',
+  'rate_change',
+  'fee_schedule_change',
+  'account_freeze',
+  'account_unfreeze',
+  'token_wipe',
+  'fund_pause',
+  'fund_unpause',
+  'nav_publication',
+  'interest_distribution'
+];
+
+/**
+ * Build an error carrying the HTTP status code for the controller
+ */
+function fundError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+class FundService {
+  // ============================================================
+  // Lookup
+  // ============================================================
+
+  /**
+   * Settings of the default fund, from the environment
+   */
+  defaultConfig() {
+    return {
+      code: process.env.FUND_CODE || 'RWF-MMF',
+      name: process.env.FUND_NAME || 'Pezzy Money Market Fund',
+      currency: process.env.FUND_CURRENCY || 'RWF',
+      tokenName: process.env.TOKEN_NAME || 'Pezzy Money Market Token',
+      tokenSymbol: process.env.TOKEN_SYMBOL || 'PMKT',
+      decimals: parseInt(process.env.TOKEN_DECIMALS || 2, 10),
+      annualRate: parseFloat(process.env.FUND_ANNUAL_INTEREST_RATE || 8.5)
+    };
+  }
+
+  /**
+   * Find a fund by ID or code, or the default fund when none is given
+   *
+   * @param {string} fundRef - Fund ID or code (optional)
+   * @returns {Object} - Fund document
+   */
+  async getFund(fundRef) {
+    if (!fundRef) {
+      return this.defaultFund();
+    }
+
+    const fund = /^[0-9a-fA-F]{24}$/.test(String(fundRef))
+      ? await Fund.findById(fundRef)
+      : await Fund.findOne({ code: String(fundRef).toUpperCase() });
+
+    if (!fund) {
+      throw fundError(`Fund ${fundRef} not found`, 404);
+    }
+    return fund;
+  }
+
+  /**
+   * Find a fund that is open for investment (its token exists)
+   *
+   * @param {string} fundRef - Fund ID or code (optional)
+   * @returns {Object} - Fund document
+   */
+  async getActiveFund(fundRef) {
+    const fund = await this.getFund(fundRef);
+    if (fund.status !== 'active') {
+      throw fundError(
+        fund.status === 'pending'
+          ? `Fund ${fund.code} has no token yet`
+          : `Fund ${fund.code} is ${fund.status}`,
+        409
+      );
+    }
+    return fund;
+  }
+
+  /**
+   * The fund used when a request names none
+   */
+  async defaultFund() {
+    const fund = await Fund.findOne({ isDefault: true });
+    if (!fund) {
+      throw fundError('No fund has been set up yet', 404);
+    }
+    return fund;
+  }
+
+  /**
+   * Funds, default fund first
+   *
+   * @param {Object} options - { status } filter (default: every fund)
+   * @returns {Array} - Fund documents
+   */
+  async listFunds({ status } = {}) {
+    const query = status ? { status } : {};
+    return Fund.find(query).sort({ isDefault: -1, createdAt: 1 });
+  }
+
+  /**
+   * Shape a fund for API responses
+   */
+  summarize(fund) {
+    return {
+      fundId: fund._id,
+      code: fund.code,
+      name: fund.name,
+      currency: fund.currency,
+      description: fund.description,
+      tokenId: fund.tokenId,
+      tokenSymbol: fund.tokenSymbol,
+      decimals: fund.decimals,
+      annualRate: fund.annualRate,
+      pricingModel: fund.pricingModel || 'fixed',
+      interestConvention: interestService.conventionOf(fund),
+      feeSchedule: fundFeeService.getSchedule(fund),
+      limits: this.limitsOf(fund),
+      status: fund.status,
+      isPaused: Boolean(fund.isPaused),
+      isDefault: fund.isDefault
+    };
+  }
+
+  /**
+   * Limits of a fund (null: no limit)
+   */
+  limitsOf(fund) {
+    const limits = fund.limits || {};
+    return {
+      minInvestment: limits.minInvestment || 0,
+      maxInvestment: limits.maxInvestment === undefined ? null : limits.maxInvestment,
+      maxHoldingPerInvestor: limits.maxHoldingPerInvestor === undefined ? null : limits.maxHoldingPerInvestor
+    };
+  }
+
+  /**
+   * Public pause status of a fund: why it is paused and which managers
+   * approved the pause
+   *
+   * @param {Object} fund - Fund document
+   * @returns {Object}
+   */
+  async pauseStatus(fund) {
+    const status = {
+      fundId: fund._id,
+      code: fund.code,
+      name: fund.name,
+      status: fund.status,
+      isPaused: Boolean(fund.isPaused)
+    };
+
+    if (!fund.isPaused) {
+      return status;
+    }
+
+    const approvers = await User.find({ _id: { $in: fund.pauseApprovedBy } })
+      .select('firstName lastName hederaAccountId');
+
+    return {
+      ...status,
+      pausedAt: fund.pausedAt,
+      reasonCode: fund.pauseReason,
+      note: fund.pauseNote,
+      requestId: fund.pauseRequestId,
+      approvedBy: approvers.map(manager => ({
+        name: `${manager.firstName} ${manager.lastName}`,
+        accountId: manager.hederaAccountId
+      }))
+    };
+  }
+
+  // ============================================================
+  // Launching funds
+  // ============================================================
+
+  /**
+   * Validate the settings of a new fund
+   *
+   * @param {Object} params - Fund settings from the request
+   * @returns {Object} - Fund fields
+   */
+  validateFund(params) {
+    const code = String(params.code || '').trim().toUpperCase();
+    if (!CODE_PATTERN.test(code)) {
+      throw fundError('code must be 2-20 letters, digits or dashes');
+    }
+
+    if (!params.name || !params.tokenName || !params.tokenSymbol) {
+      throw fundError('name, tokenName and tokenSymbol are required');
+    }
+
+    const currency = String(params.currency || '').trim().toUpperCase();
+    if (!CURRENCY_PATTERN.test(currency)) {
+      throw fundError('currency must be a three-letter ISO 4217 code');
+    }
+
+    const decimals = params.decimals === undefined ? 2 : Number(params.decimals);
+    if (!Number.isInteger(decimals) || decimals < 0 || decimals > 18) {
+      throw fundError('decimals must be a whole number between 0 and 18');
+    }
+
+    const annualRate = parseFloat(params.annualRate);
+    if (isNaN(annualRate) || annualRate < 0 || annualRate > 100) {
+      throw fundError('annualRate must be a percentage between 0 and 100');
+    }
+
+    const pricingModel = params.pricingModel || 'fixed';
+    if (!['fixed', 'nav'].includes(pricingModel)) {
+      throw fundError('pricingModel must be fixed or nav');
+    }
+
+    return {
+      code,
+      name: params.name,
+      currency,
+      description: params.description,
+      tokenName: params.tokenName,
+      tokenSymbol: params.tokenSymbol,
+      decimals,
+      annualRate,
+      pricingModel,
+      interestConvention: interestService.validateConvention(
+        params.interestConvention || {},
+        interestService.defaultConvention()
+      ),
+      feeSchedule: fundFeeService.validateSchedule(params.feeSchedule || {}, fundFeeService.defaultSchedule()),
+      limits: this.validateLimits(params.limits || {})
+    };
+  }
+
+  /**
+   * Validate fund limits
+   */
+  validateLimits(limits) {
+    const validated = {};
+
+    for (const field of LIMIT_FIELDS) {
+      const value = limits[field];
+      if (value === undefined || value === null) {
+        validated[field] = field === 'minInvestment' ? 0 : null;
+        continue;
+      }
+      const amount = parseFloat(value);
+      if (isNaN(amount) || amount < 0) {
+        throw fundError(`limits.${field} must be a positive amount`);
+      }
+      if (!money.isMoney(amount)) {
+        throw fundError(`limits.${field} cannot have more than 2 decimals`);
+      }
+      validated[field] = amount;
+    }
+
+    if (validated.maxInvestment !== null && validated.maxInvestment < validated.minInvestment) {
+      throw fundError('limits.maxInvestment cannot be below limits.minInvestment');
+    }
+
+    return validated;
+  }
+
+  /**
+   * Launch a fund: record it and schedule the creation of its token
+   *
+   * @param {Object} params - Fund settings, plus transferFee for the token
+   * @param {Object} manager - Launching manager (User document)
+   * @returns {Object} - { fund, request }
+   */
+  async launchFund(params, manager) {
+    const fields = this.validateFund(params);
+
+    if (await Fund.exists({ code: fields.code })) {
+      throw fundError(`A fund with code ${fields.code} already exists`, 409);
+    }
+
+    const fund = await Fund.create({
+      ...fields,
+      status: 'pending',
+      isDefault: !await Fund.exists({}),
+      createdBy: manager._id
+    });
+
+    logger.info(`Fund ${fund.code} (${fund.currency}) launched by ${manager.email}`);
+
+    const request = await this.requestTokenCreation(fund, params, manager);
+    return { fund, request };
+  }
+
+  /**
+   * Schedule the creation of a fund's token
+   * Repeating it reuses the fund's open request.
+   *
+   * @param {Object} fund - Fund document without a token
+   * @param {Object} options - { initialSupply, transferFee }
+   * @param {Object} manager - Requesting manager (User document)
+   * @returns {Object} - MultiSigRequest
+   */
+  async requestTokenCreation(fund, { initialSupply, transferFee } = {}, manager) {
+    if (fund.tokenId) {
+      throw fundError(`Fund ${fund.code} already has a token`);
+    }
+
+    // Optional HTS fee on transfers between investors
+    if (transferFee && !(transferFee.percentage >= 0 && transferFee.percentage <= 100)) {
+      throw fundError('transferFee.percentage must be between 0 and 100');
+    }
+
+    if (fund.creationRequestId) {
+      const existing = await MultiSigRequest.findById(fund.creationRequestId);
+      if (existing && ['pending', 'approved'].includes(existing.status)) {
+        return existing;
+      }
+    }
+
+    // Record the request ID first, so a retry after a failure reuses the schedule
+    const requestId = new mongoose.Types.ObjectId();
+    fund.creationRequestId = requestId;
+    await fund.save();
+
+    return multiSigService.createRequest({
+      requestType: 'token_creation',
+      description: `Create the ${fund.tokenName} (${fund.tokenSymbol}) token of fund ${fund.code}`,
+      requestData: {
+        fundId: fund._id,
+        tokenName: fund.tokenName,
+        tokenSymbol: fund.tokenSymbol,
+        decimals: fund.decimals,
+        initialSupply: initialSupply || 0,
+        transferFee
+      },
+      createdBy: manager._id,
+      requestId
+    });
+  }
+
+  // ============================================================
+  // Investor accounts
+  // ============================================================
+
+  /**
+   * A user's relationship with a fund's token, or null
+   *
+   * @param {Object} user - User document
+   * @param {Object} fund - Fund document
+   * @returns {Object|null} - Entry of user.fundAccounts
+   */
+  accountOf(user, fund) {
+    return (user.fundAccounts || []).find(account => account.fundId.equals(fund._id)) || null;
+  }
+
+  /**
+   * A user's relationship with a fund's token, added when missing
+   * The caller saves the user.
+   */
+  openAccount(user, fund) {
+    const existing = this.accountOf(user, fund);
+    if (existing) {
+      return existing;
+    }
+
+    user.fundAccounts.push({ fundId: fund._id, tokenId: fund.tokenId });
+    return user.fundAccounts[user.fundAccounts.length - 1];
+  }
+
+  // ============================================================
+  // Limits
+  // ============================================================
+
+  /**
+   * Check a deposit against the fund's limits
+   *
+   * @param {Object} fund - Fund document
+   * @param {string} userId - Investor
+   * @param {number} amount - Deposited amount
+   * @param {number} netAmount - Amount invested after the entry fee
+   */
+  async checkLimits(fund, userId, amount, netAmount) {
+    const { minInvestment, maxInvestment, maxHoldingPerInvestor } = this.limitsOf(fund);
+
+    if (amount < minInvestment) {
+      throw fundError(`The minimum investment in ${fund.code} is ${minInvestment} ${fund.currency}`);
+    }
+
+    if (maxInvestment !== null && amount > maxInvestment) {
+      throw fundError(`The maximum investment in ${fund.code} is ${maxInvestment} ${fund.currency}`);
+    }
+
+    if (maxHoldingPerInvestor !== null) {
+      const [holding] = await Investment.aggregate([
+        {
+          $match: {
+            userId: new mongoose.Types.ObjectId(String(userId)),
+            fundId: fund._id,
+            status: { $in: ['active', 'pending'] }
+          }
+        },
+        { $group: { _id: null, amount: { $sum: '$amountRWF' } } }
+      ]);
+
+      // Aggregates read the stored minor units
+      const held = holding ? money.fromMinor(holding.amount) : 0;
+      if (money.sum([held, netAmount]) > maxHoldingPerInvestor) {
+        throw fundError(
+          `Investors can hold at most ${maxHoldingPerInvestor} ${fund.currency} in ${fund.code} ` +
+          `(you hold ${held} ${fund.currency})`
+        );
+      }
+    }
+  }
+
+  // ============================================================
+  // Migration
+  // ============================================================
+
+  /**
+   * Move single-fund data into the default fund: create the default fund
+   * from the existing token and environment, and attach existing records
+   * and users' token flags to it. Safe to run on every start.
+   *
+   * @returns {Object} - Default Fund document
+   */
+  async migrateLegacy() {
+    let fund = await Fund.findOne({ isDefault: true });
+
+    if (!fund) {
+      // Read the raw token: its fee schedule moved to the fund
+      const token = await Token.collection.findOne({ isActive: true });
+      const config = this.defaultConfig();
+
+      fund = await Fund.create({
+        ...config,
+        tokenName: token ? token.name : config.tokenName,
+        tokenSymbol: token ? token.symbol : config.tokenSymbol,
+        decimals: token ? token.decimals : config.decimals,
+        tokenId: token ? token.tokenId : null,
+        feeSchedule: token && token.feeSchedule ? token.feeSchedule : undefined,
+        status: token ? 'active' : 'pending',
+        isDefault: true
+      });
+
+      logger.info(`Default fund ${fund.code} created${token ? ` for token ${token.tokenId}` : ''}`);
+    }
+
+    const fundId = fund._id;
+    const attach = { $set: { fundId } };
+
+    const [tokens, investments, transactions, requests] = await Promise.all([
+      fund.tokenId ? Token.updateMany({ tokenId: fund.tokenId, fundId: null }, attach) : { modifiedCount: 0 },
+      Investment.updateMany({ fundId: null }, attach),
+      Transaction.updateMany({ fundId: null }, attach),
+      MultiSigRequest.updateMany(
+        { requestType: { $in: FUND_REQUESTS }, 'requestData.fundId': null },
+        { $set: { 'requestData.fundId': fundId } }
+      )
+    ]);
+
+    const users = await this.migrateUserFlags(fund);
+
+    const moved = tokens.modifiedCount + investments.modifiedCount + transactions.modifiedCount +
+      requests.modifiedCount + users;
+    if (moved > 0) {
+      logger.info(
+        `Attached to fund ${fund.code}: ${tokens.modifiedCount} token(s), ${investments.modifiedCount} investment(s), ` +
+        `${transactions.modifiedCount} transaction(s), ${requests.modifiedCount} request(s), ${users} user(s)`
+      );
+    }
+
+    return fund;
+  }
+
+  /**
+   * Move the single-token flags of users (tokenAssociated, kycGranted,
+   * isFrozen, ...) into their fund account for the default fund
+   *
+   * @param {Object} fund - Default Fund document
+   * @returns {number} - Users migrated
+   */
+  async migrateUserFlags(fund) {
+    const legacy = await User.collection.find({
+      $or: [
+        { tokenAssociated: { $exists: true } },
+        { kycGranted: { $exists: true } },
+        { isFrozen: { $exists: true } }
+      ]
+    }).toArray();
+
+    for (const user of legacy) {
+      if (fund.tokenId && (user.tokenAssociated || user.kycGranted || user.isFrozen)) {
+        await User.collection.updateOne(
+          { _id: user._id, 'fundAccounts.fundId': { $ne: fund._id } },
+          {
+            $push: {
+              fundAccounts: {
+                fundId: fund._id,
+                tokenId: fund.tokenId,
+                tokenAssociated: Boolean(user.tokenAssociated),
+                kycGranted: Boolean(user.kycGranted),
+                isFrozen: Boolean(user.isFrozen),
+                frozenAt: user.frozenAt,
+                freezeReason: user.freezeReason,
+                freezeRequestId: user.freezeRequestId
+              }
+            }
+          }
+        );
+      }
+
+      await User.collection.updateOne(
+        { _id: user._id },
+        { $unset: { tokenAssociated: 1, kycGranted: 1, isFrozen: 1, frozenAt: 1, freezeReason: 1, freezeRequestId: 1 } }
+      );
+    }
+
+    return legacy.length;
+  }
+
+  /**
+   * Fields to set to convert a raw document stored in currency units to
+   * minor units (money.toMinor), or null when it is already converted.
+   * Fields that are not numbers (unset, null) are kept.
+   *
+   * @param {Object} document - Raw document
+   * @param {Array<string>} fields - Money fields (dot paths)
+   * @returns {Object|null} - $set of the conversion
+   */
+  minorUnitsUpdate(document, fields) {
+    if (document.moneyUnits) {
+      return null;
+    }
+
+    const update = { moneyUnits: 'minor' };
+    for (const field of fields) {
+      const value = field.split('.').reduce((parent, key) => (parent ? parent[key] : undefined), document);
+      if (typeof value === 'number') {
+        update[field] = money.toMinor(value);
+      }
+    }
+    return update;
+  }
+
+  /**
+   * Convert the money fields of documents stored in currency units to
+   * minor units, rounding half to even (see utils/money). Converted
+   * documents are marked with moneyUnits, and each update only applies to
+   * an unmarked document, so each is converted once even if a run is
+   * interrupted or runs twice. Safe to run on every start.
+   *
+   * @param {Object} options - { dryRun: count without converting }
+   * @returns {Object} - Documents converted (or to convert) per model
+   */
+  async migrateMoneyUnits({ dryRun = false } = {}) {
+    const summary = {};
+
+    for (const [model, fields] of MONEY_FIELDS) {
+      const legacy = { moneyUnits: { $exists: false } };
+
+      if (dryRun) {
+        summary[model.modelName] = await model.collection.countDocuments(legacy);
+        continue;
+      }
+
+      let converted = 0;
+      let batch = [];
+      const write = async () => {
+        if (batch.length > 0) {
+          converted += (await model.collection.bulkWrite(batch, { ordered: false })).modifiedCount;
+          batch = [];
+        }
+      };
+
+      for await (const document of model.collection.find(legacy)) {
+        const update = this.minorUnitsUpdate(document, fields);
+        if (!update) {
+          continue;
+        }
+        batch.push({ updateOne: { filter: { _id: document._id, ...legacy }, update: { $set: update } } });
+        if (batch.length === MONEY_MIGRATION_BATCH_SIZE) {
+          await write();
+        }
+      }
+      await write();
+
+      summary[model.modelName] = converted;
+    }
+
+    const total = Object.values(summary).reduce((sum, count) => sum + count, 0);
+    if (total > 0 && !dryRun) {
+      logger.info(`Money converted to minor units: ${JSON.stringify(summary)}`);
+    }
+
+    return summary;
+  }
+}
+
+// Export singleton instance
+module.exports = new FundService();
@@ -5,26 +5,476 @@
  * - Daily interest calculation
  * - Compound interest accrual
  * - Interest distribution logic
- * - Interest rate management
+ * - Piecewise accrual across a fund's rate history (see rateHistoryService)
+ * - Each fund's interest convention: day count (ACT/365, ACT/360, 30/360),
+ *   compounding (daily, monthly or simple interest) and the accrual cut-off
+ *   time in Africa/Kigali time. Funds without one use the FUND_DAY_COUNT,
+ *   FUND_COMPOUNDING and FUND_ACCRUAL_CUTOFF environment defaults.
+ *
+ * A day of interest accrues each time the cut-off passes: money invested
+ * before the cut-off earns that day's interest.
  */
 
+const money = require('../utils/money');
 const logger = require('../utils/logger');
 
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Africa/Kigali is UTC+2 all year (no daylight saving)
+const KIGALI_UTC_OFFSET_MINUTES = 120;
+
+const CUTOFF_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Days in a year of each day-count convention
+const DAY_COUNT_BASIS = {
+  'ACT/365': 365,
+  'ACT/360': 360,
+  '30/360': 360
+};
+
+const COMPOUNDING_LABELS = {
+  daily: 'Daily',
+  monthly: 'Monthly',
+  simple: 'Simple'
+};
+
+/**
+ * Build an error carrying the HTTP status code for the controller
+ */
+function conventionError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
 class InterestService {
-  constructor() {
-    // Annual interest rate from environment (e.g., 8.5%)
-    this.annualRate = parseFloat(process.env.FUND_ANNUAL_INTEREST_RATE || 8.5) / 100;
+  /**
+   * @param {number} annualRatePercent - Annual rate as a percentage
+   *   (default: FUND_ANNUAL_INTEREST_RATE)
+   * @param {Array} rateHistory - RateHistory entries, oldest first; interest
+   *   between two dates accrues at the rates in force over them (default:
+   *   annualRatePercent throughout)
+   * @param {Object} convention - { dayCount, compounding, accrualCutoff }
+   *   (default: environment defaults)
+   */
+  constructor(
+    annualRatePercent = parseFloat(process.env.FUND_ANNUAL_INTEREST_RATE || 8.5),
+    rateHistory = null,
+    convention = this.defaultConvention()
+  ) {
+    this.convention = this.validateConvention(convention, {});
+
+    // Annual interest rate (e.g., 8.5%)
+    this.annualRate = annualRatePercent / 100;
+    
+    // Days in a year of the day count
+    this.basis = DAY_COUNT_BASIS[this.convention.dayCount];
     
-    // Interest compounds daily
-    this.compoundingPeriodsPerYear = 365;
+    // Compounding periods per year (null: simple interest)
+    this.compoundingPeriodsPerYear = {
+      daily: this.basis,
+      monthly: 12,
+      simple: null
+    }[this.convention.compounding];
     
-    // Daily interest rate
-    this.dailyRate = this.annualRate / this.compoundingPeriodsPerYear;
+    // Interest rate over one day
+    this.dailyRate = this.accrue(1, this.annualRate, this.yearFractionOfDays(1)) - 1;
+
+    // Minutes past midnight of the cut-off, in Kigali and in UTC
+    const [hours, minutes] = this.convention.accrualCutoff.split(':').map(Number);
+    this.cutoffMinutes = hours * 60 + minutes;
+    this.cutoffMinutesUTC = this.cutoffMinutes - KIGALI_UTC_OFFSET_MINUTES;
+
+    this.rateHistory = rateHistory && rateHistory.length > 0 ? rateHistory : null;
+  }
+
+  /**
+   * Calculator for a fund's own rate and convention
+   *
+   * @param {Object} fund - Fund document
+   * @param {Array} rateHistory - The fund's rate history, for interest
+   *   accrued in the past (rateHistoryService.getHistory)
+   * @returns {InterestService} - Calculator at fund.annualRate
+   */
+  forFund(fund, rateHistory = null) {
+    return new InterestService(fund.annualRate, rateHistory, this.conventionOf(fund));
+  }
+
+  // ============================================================
+  // Convention
+  // ============================================================
+
+  /**
+   * Interest convention from the environment
+   */
+  defaultConvention() {
+    return {
+      dayCount: process.env.FUND_DAY_COUNT || 'ACT/365',
+      compounding: process.env.FUND_COMPOUNDING || 'daily',
+      accrualCutoff: process.env.FUND_ACCRUAL_CUTOFF || '00:00'
+    };
+  }
+
+  /**
+   * Interest convention of a fund
+   *
+   * @param {Object} fund - Fund document
+   * @returns {Object} - { dayCount, compounding, accrualCutoff }
+   */
+  conventionOf(fund) {
+    const { interestConvention } = fund;
+    if (!interestConvention) {
+      return this.defaultConvention();
+    }
+
+    return {
+      dayCount: interestConvention.dayCount,
+      compounding: interestConvention.compounding,
+      accrualCutoff: interestConvention.accrualCutoff
+    };
+  }
+
+  /**
+   * Validate a (partial) interest convention against a current one
+   *
+   * @param {Object} changes - Fields to set
+   * @param {Object} current - Current convention
+   * @returns {Object} - Complete convention
+   */
+  validateConvention(changes, current) {
+    const convention = { ...current, ...changes };
+
+    if (!DAY_COUNT_BASIS[convention.dayCount]) {
+      throw conventionError(`dayCount must be one of ${Object.keys(DAY_COUNT_BASIS).join(', ')}`);
+    }
+    if (!COMPOUNDING_LABELS[convention.compounding]) {
+      throw conventionError(`compounding must be one of ${Object.keys(COMPOUNDING_LABELS).join(', ')}`);
+    }
+    if (!CUTOFF_PATTERN.test(convention.accrualCutoff)) {
+      throw conventionError('accrualCutoff must be HH:MM (Africa/Kigali time)');
+    }
+
+    return {
+      dayCount: convention.dayCount,
+      compounding: convention.compounding,
+      accrualCutoff: convention.accrualCutoff
+    };
+  }
+
+  // ============================================================
+  // Day count
+  // ============================================================
+
+  /**
+   * Accrual day a moment falls in, as days since the epoch
+   * The day changes when the cut-off passes.
+   *
+   * @param {Date} date - Moment
+   * @returns {number}
+   */
+  accrualDay(date) {
+    return Math.floor((new Date(date).getTime() - this.cutoffMinutesUTC * 60000) / MS_PER_DAY);
+  }
+
+  /**
+   * Moment the cut-off ending an accrual day passes
+   *
+   * @param {number} day - Accrual day (see accrualDay)
+   * @returns {Date}
+   */
+  cutoffOf(day) {
+    return new Date((day + 1) * MS_PER_DAY + this.cutoffMinutesUTC * 60000);
+  }
+
+  /**
+   * Date an accrual day is reported under: the Kigali date its cut-off
+   * falls on (a 00:00 cut-off ends the day before)
+   *
+   * @param {number} day - Accrual day (see accrualDay)
+   * @returns {Date} - Midnight UTC of that date
+   */
+  accrualDate(day) {
+    return new Date((day + (this.cutoffMinutes > 0 ? 1 : 0)) * MS_PER_DAY);
+  }
+
+  /**
+   * Accrual day reported under a date (inverse of accrualDate)
+   *
+   * @param {Date|string} date - Date (YYYY-MM-DD or midnight UTC)
+   * @returns {number}
+   */
+  dayOfAccrualDate(date) {
+    return Math.floor(new Date(date).getTime() / MS_PER_DAY) - (this.cutoffMinutes > 0 ? 1 : 0);
+  }
+
+  /**
+   * Moment a given number of days of interest have accrued since a date
+   *
+   * @param {Date} date - Start
+   * @param {number} days - Days of interest
+   * @returns {Date}
+   */
+  afterAccrualDays(date, days) {
+    return this.cutoffOf(this.accrualDay(date) + days - 1);
+  }
+
+  /**
+   * Fraction of a year between two accrual days under the day count
+   * 30/360 counts every month as 30 days (ending on the 31st counts as the
+   * 30th).
+   *
+   * @param {number} fromDay - Accrual day (see accrualDay)
+   * @param {number} toDay - Later accrual day
+   * @returns {number}
+   */
+  yearFraction(fromDay, toDay) {
+    if (this.convention.dayCount !== '30/360') {
+      return (toDay - fromDay) / this.basis;
+    }
+
+    const from = new Date(fromDay * MS_PER_DAY);
+    const to = new Date(toDay * MS_PER_DAY);
+    const fromDate = Math.min(from.getUTCDate(), 30);
+    const toDate = fromDate === 30 ? Math.min(to.getUTCDate(), 30) : to.getUTCDate();
+
+    const days = 360 * (to.getUTCFullYear() - from.getUTCFullYear())
+      + 30 * (to.getUTCMonth() - from.getUTCMonth())
+      + (toDate - fromDate);
+    return days / 360;
+  }
+
+  /**
+   * Fraction of a year a number of calendar days counts for
+   * Under 30/360 a calendar year counts as one year.
+   *
+   * @param {number} days - Calendar days
+   * @returns {number}
+   */
+  yearFractionOfDays(days) {
+    return this.convention.dayCount === '30/360' ? days / 365 : days / this.basis;
+  }
+
+  /**
+   * Calendar days a fraction of a year takes (inverse of yearFractionOfDays)
+   */
+  daysOfYearFraction(yearFraction) {
+    return this.convention.dayCount === '30/360' ? yearFraction * 365 : yearFraction * this.basis;
+  }
+
+  /**
+   * Grow a value per unit of principal by a period's interest
+   * Compounding: A = P(1 + r/n)^(nt); simple interest: A = P(1 + rt).
+   * Monthly compounding over part of a month is the continuous
+   * approximation, used for projections and rate figures; growth credits
+   * interest on monthly anniversaries instead.
+   *
+   * @param {number} factor - Value per unit of principal so far
+   * @param {number} annualRate - Annual rate of the period, as a fraction
+   * @param {number} yearFraction - Length of the period (t)
+   * @returns {number} - Value per unit of principal after the period
+   */
+  accrue(factor, annualRate, yearFraction) {
+    if (!this.compoundingPeriodsPerYear) {
+      return factor + annualRate * yearFraction;
+    }
+    const n = this.compoundingPeriodsPerYear;
+    return factor * Math.pow(1 + annualRate / n, n * yearFraction);
+  }
+
+  // ============================================================
+  // Rate periods
+  // ============================================================
+
+  /**
+   * Split a date range into the periods of each rate in force over it
+   * The first rate in the history also covers dates before it.
+   *
+   * @param {Date} start - Start of the range
+   * @param {Date} end - End of the range
+   * @returns {Array} - [{ from, to, annualRate }], annualRate as a fraction
+   */
+  ratePeriods(start, end) {
+    if (!this.rateHistory) {
+      return [{ from: start, to: end, annualRate: this.annualRate }];
+    }
+
+    const periods = [];
+    let from = start;
+    let rate = this.rateHistory[0].annualRate;
+
+    for (const entry of this.rateHistory) {
+      const effectiveFrom = new Date(entry.effectiveFrom);
+      if (effectiveFrom >= end) {
+        break;
+      }
+      if (effectiveFrom > start) {
+        periods.push({ from, to: effectiveFrom, annualRate: rate / 100 });
+        from = effectiveFrom;
+      }
+      rate = entry.annualRate;
+    }
+
+    periods.push({ from, to: end, annualRate: rate / 100 });
+    return periods;
+  }
+
+  /**
+   * Accrual days on which monthly compounding credits interest: the
+   * monthly anniversaries of a start day (the 31st falls on the last day of
+   * shorter months)
+   *
+   * @param {number} startDay - Accrual day the interest starts
+   * @param {number} endDay - Last accrual day
+   * @returns {Array<number>} - Anniversaries after startDay, up to endDay
+   */
+  monthlyCreditDays(startDay, endDay) {
+    const start = new Date(startDay * MS_PER_DAY);
+    const days = [];
+
+    for (let months = 1; ; months++) {
+      const year = start.getUTCFullYear();
+      const month = start.getUTCMonth() + months;
+      const lastDate = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+      const day = Date.UTC(year, month, Math.min(start.getUTCDate(), lastDate)) / MS_PER_DAY;
+      if (day > endDay) {
+        return days;
+      }
+      days.push(day);
+    }
+  }
+
+  /**
+   * Growth of one unit between two dates at the rate of each period
+   * Each accrual day accrues at the rate in force when its cut-off passes.
+   * Monthly compounding credits each month's interest (rate x year
+   * fraction of its days) on the monthly anniversaries of start; interest
+   * since the last one is simple interest on the credited value.
+   *
+   * @param {Date} start - Start of the range
+   * @param {Date} end - End of the range
+   * @returns {Object} - { days, yearFraction, factor,
+   *   periods: [{ from, to, days, yearFraction, annualRate }] }
+   */
+  growth(start, end) {
+    let factor = 1;
+    let totalYearFraction = 0;
+
+    const monthly = this.convention.compounding === 'monthly';
+    const creditDays = monthly ? this.monthlyCreditDays(this.accrualDay(start), this.accrualDay(end)) : [];
+    // Monthly: interest per unit of the credited value since the last credit
+    let uncredited = 0;
+
+    const periods = this.ratePeriods(start, end).map(period => {
+      const fromDay = this.accrualDay(period.from);
+      const toDay = this.accrualDay(period.to);
+      const yearFraction = this.yearFraction(fromDay, toDay);
+
+      if (monthly) {
+        let day = fromDay;
+        for (const creditDay of creditDays.filter(credit => credit > fromDay && credit <= toDay)) {
+          uncredited += period.annualRate * this.yearFraction(day, creditDay);
+          factor *= 1 + uncredited;
+          uncredited = 0;
+          day = creditDay;
+        }
+        uncredited += period.annualRate * this.yearFraction(day, toDay);
+      } else {
+        factor = this.accrue(factor, period.annualRate, yearFraction);
+      }
+      totalYearFraction += yearFraction;
+      return { ...period, days: toDay - fromDay, yearFraction };
+    });
+    factor *= 1 + uncredited;
+
+    return {
+      days: this.accrualDay(end) - this.accrualDay(start),
+      yearFraction: totalYearFraction,
+      factor,
+      periods
+    };
+  }
+
+  /**
+   * Growth of one unit from a date through each of a range of accrual days
+   * Equal to growth(start, cutoffOf(day)) for every day, but walks the
+   * rate periods and monthly credits once, carrying the growth from one
+   * day to the next.
+   *
+   * @param {Date} start - Start of the growth
+   * @param {number} fromDay - First accrual day (not before start's)
+   * @param {number} toDay - Last accrual day
+   * @returns {Array} - [{ day, days, factor, annualRate }] per day, with
+   *   the annual rate of its last period as a fraction
+   */
+  dailyGrowth(start, fromDay, toDay) {
+    if (fromDay > toDay) {
+      return [];
+    }
+
+    const startDay = this.accrualDay(start);
+    const periods = this.ratePeriods(start, this.cutoffOf(toDay)).map(period => ({
+      fromDay: this.accrualDay(period.from),
+      toDay: this.accrualDay(period.to),
+      annualRate: period.annualRate
+    }));
+
+    const monthly = this.convention.compounding === 'monthly';
+    const creditDays = monthly ? this.monthlyCreditDays(startDay, toDay + 1) : [];
+    let credit = 0;
+
+    // Growth of the closed periods (monthly: of the credited value), the
+    // interest of monthly segments not yet credited and where the open
+    // segment starts
+    let factor = 1;
+    let uncredited = 0;
+    let index = 0;
+    let segment = periods[0].fromDay;
+
+    // Monthly: credit each anniversary up to a day, as growth() does
+    const creditThrough = (day, annualRate) => {
+      for (; credit < creditDays.length && creditDays[credit] <= day; credit++) {
+        uncredited += annualRate * this.yearFraction(segment, creditDays[credit]);
+        factor *= 1 + uncredited;
+        uncredited = 0;
+        segment = creditDays[credit];
+      }
+    };
+
+    const series = [];
+    for (let day = fromDay; day <= toDay; day++) {
+      // Close the periods that end before the day's cut-off
+      while (index + 1 < periods.length && periods[index + 1].fromDay <= day) {
+        const period = periods[index];
+        if (monthly) {
+          creditThrough(period.toDay, period.annualRate);
+          uncredited += period.annualRate * this.yearFraction(segment, period.toDay);
+        } else {
+          factor = this.accrue(factor, period.annualRate, this.yearFraction(period.fromDay, period.toDay));
+        }
+        index += 1;
+        segment = periods[index].fromDay;
+      }
+
+      // The open period runs to the day's cut-off
+      const { fromDay: periodStart, annualRate } = periods[index];
+      const endDay = day + 1;
+      let growth;
+      if (monthly) {
+        creditThrough(endDay, annualRate);
+        growth = factor * (1 + (uncredited + annualRate * this.yearFraction(segment, endDay)));
+      } else {
+        growth = this.accrue(factor, annualRate, this.yearFraction(periodStart, endDay));
+      }
+
+      series.push({ day, days: endDay - startDay, factor: growth, annualRate });
+    }
+    return series;
   }
 
   /**
    * Calculate interest accrued for a given investment
-   * Uses compound interest formula: A = P(1 + r/n)^(nt)
+   * Uses compound interest formula: A = P(1 + r/n)^(nt), applied to each
+   * period of the rate history the investment spans
    * 
    * @param {number} principal - Initial investment amount in RWF
    * @param {Date} startDate - Date when investment started
@@ -49,37 +499,41 @@ class InterestService {
       // Calculate days elapsed
       const start = new Date(startDate);
       const end = new Date(endDate);
-      const millisecondsPerDay = 1000 * 60 * 60 * 24;
-      const daysElapsed = Math.floor((end - start) / millisecondsPerDay);
 
-      if (daysElapsed < 0) {
+      if (end < start) {
         throw new Error('End date cannot be before start date');
       }
 
       // Compound interest formula: A = P(1 + r/n)^(nt)
       // Where:
       // P = principal
-      // r = annual rate
-      // n = compounding periods per year (365 for daily)
-      // t = time in years
+      // r = annual rate of each period
+      // n = compounding periods per year (the day count's year for daily)
+      // t = time in years under the day count
       
-      const timeInYears = daysElapsed / 365;
-      const compoundFactor = Math.pow(
-        (1 + this.dailyRate),
-        daysElapsed
-      );
+      const {
+        days: daysElapsed,
+        yearFraction: timeInYears,
+        factor: compoundFactor,
+        periods
+      } = this.growth(start, end);
 
       const totalValue = principalAmount * compoundFactor;
-      const interestEarned = totalValue - principalAmount;
 
       return {
-        principal: Math.round(principalAmount * 100) / 100, // Round to 2 decimals
-        interest: Math.round(interestEarned * 100) / 100,
-        totalValue: Math.round(totalValue * 100) / 100,
+        principal: money.round(principalAmount),
+        interest: money.subtract(totalValue, principalAmount), // principal + interest = totalValue
+        totalValue: money.round(totalValue),
         days: daysElapsed,
         annualRate: Math.round(this.annualRate * 10000) / 100, // Percentage with 2 decimals
         dailyRate: Math.round(this.dailyRate * 1000000) / 10000, // Percentage with 4 decimals
-        effectiveRate: Math.round(((totalValue / principalAmount - 1) / timeInYears) * 10000) / 100
+        effectiveRate: Math.round(((totalValue / principalAmount - 1) / timeInYears) * 10000) / 100,
+        ratePeriods: periods.map(period => ({
+          from: period.from,
+          to: period.to,
+          days: period.days,
+          annualRate: Math.round(period.annualRate * 10000) / 100
+        }))
       };
 
     } catch (error) {
@@ -110,30 +564,24 @@ class InterestService {
    */
   calculatePortfolioInterest(investments) {
     try {
-      let totalPrincipal = 0;
-      let totalInterest = 0;
-      let totalValue = 0;
-
       const investmentDetails = investments.map(investment => {
         const calculation = this.calculateInterest(
           investment.amount,
           investment.startDate
         );
 
-        totalPrincipal += calculation.principal;
-        totalInterest += calculation.interest;
-        totalValue += calculation.totalValue;
-
         return {
           investmentId: investment.id,
           ...calculation
         };
       });
 
+      const total = field => money.sum(investmentDetails.map(calculation => calculation[field]));
+
       return {
-        totalPrincipal: Math.round(totalPrincipal * 100) / 100,
-        totalInterest: Math.round(totalInterest * 100) / 100,
-        totalValue: Math.round(totalValue * 100) / 100,
+        totalPrincipal: total('principal'),
+        totalInterest: total('interest'),
+        totalValue: total('totalValue'),
         numberOfInvestments: investments.length,
         annualRate: Math.round(this.annualRate * 10000) / 100,
         investments: investmentDetails
@@ -158,9 +606,9 @@ class InterestService {
 
     return {
       principal: principalAmount,
-      dailyInterest: Math.round(dailyInterest * 100) / 100,
-      monthlyInterest: Math.round(dailyInterest * 30 * 100) / 100,
-      yearlyInterest: Math.round(dailyInterest * 365 * 100) / 100,
+      dailyInterest: money.round(dailyInterest),
+      monthlyInterest: money.round(dailyInterest * 30),
+      yearlyInterest: money.round(dailyInterest * 365),
       dailyRate: Math.round(this.dailyRate * 1000000) / 10000,
       annualRate: Math.round(this.annualRate * 10000) / 100
     };
@@ -176,58 +624,33 @@ class InterestService {
    */
   calculateInterestForPeriod(principal, days) {
     const principalAmount = parseFloat(principal);
-    const compoundFactor = Math.pow((1 + this.dailyRate), days);
+    const compoundFactor = this.accrue(1, this.annualRate, this.yearFractionOfDays(days));
     const totalValue = principalAmount * compoundFactor;
-    const interestEarned = totalValue - principalAmount;
 
     return {
       principal: principalAmount,
       days: days,
-      interest: Math.round(interestEarned * 100) / 100,
-      totalValue: Math.round(totalValue * 100) / 100,
+      interest: money.subtract(totalValue, principalAmount),
+      totalValue: money.round(totalValue),
       annualRate: Math.round(this.annualRate * 10000) / 100
     };
   }
 
   /**
    * Calculate Annual Percentage Yield (APY) considering compound interest
-   * APY = (1 + r/n)^n - 1
+   * APY = (1 + r/n)^(nt) - 1 over a calendar year (t = 365/360 under ACT/360)
    * 
    * @returns {Object} - APY details
    */
   calculateAPY() {
-    const apy = Math.pow((1 + this.dailyRate), 365) - 1;
+    const apy = this.accrue(1, this.annualRate, this.yearFractionOfDays(365)) - 1;
 
     return {
       annualRate: Math.round(this.annualRate * 10000) / 100,
       apy: Math.round(apy * 10000) / 100,
-      compoundingFrequency: 'Daily',
-      periodsPerYear: this.compoundingPeriodsPerYear
-    };
-  }
-
-  /**
-   * Update annual interest rate (manager function)
-   * 
-   * @param {number} newRate - New annual rate as percentage (e.g., 8.5 for 8.5%)
-   */
-  updateInterestRate(newRate) {
-    const rate = parseFloat(newRate);
-    
-    if (rate < 0 || rate > 100) {
-      throw new Error('Interest rate must be between 0 and 100');
-    }
-
-    this.annualRate = rate / 100;
-    this.dailyRate = this.annualRate / this.compoundingPeriodsPerYear;
-
-    logger.info(`Interest rate updated to ${rate}%`);
-
-    return {
-      success: true,
-      newAnnualRate: rate,
-      newDailyRate: Math.round(this.dailyRate * 1000000) / 10000,
-      apy: this.calculateAPY().apy
+      compoundingFrequency: COMPOUNDING_LABELS[this.convention.compounding],
+      periodsPerYear: this.compoundingPeriodsPerYear,
+      dayCount: this.convention.dayCount
     };
   }
 
@@ -241,7 +664,9 @@ class InterestService {
       annualRate: Math.round(this.annualRate * 10000) / 100,
       dailyRate: Math.round(this.dailyRate * 1000000) / 10000,
       apy: this.calculateAPY().apy,
-      compoundingFrequency: 'Daily'
+      compoundingFrequency: COMPOUNDING_LABELS[this.convention.compounding],
+      dayCount: this.convention.dayCount,
+      accrualCutoff: this.convention.accrualCutoff // Africa/Kigali time
     };
   }
 
@@ -260,11 +685,14 @@ class InterestService {
       };
     }
 
-    // Calculate days needed: fee = principal * ((1 + dailyRate)^days - 1)
-    // Solving for days: days = ln(1 + fee/principal) / ln(1 + dailyRate)
-    const days = Math.ceil(
-      Math.log(1 + fee / principal) / Math.log(1 + this.dailyRate)
-    );
+    // Calculate time needed: fee = principal * ((1 + r/n)^(nt) - 1)
+    // Solving for t: t = ln(1 + fee/principal) / (n * ln(1 + r/n)),
+    // or t = (fee/principal) / r with simple interest
+    const n = this.compoundingPeriodsPerYear;
+    const yearFraction = n
+      ? Math.log(1 + fee / principal) / (n * Math.log(1 + this.annualRate / n))
+      : (fee / principal) / this.annualRate;
+    const days = Math.ceil(this.daysOfYearFraction(yearFraction));
 
     return {
       principal: principal,
@@ -0,0 +1,552 @@
+/**
+ * Investment Service - Deposit and redemption flows
+ *
+ * Buy and redeem run as resumable state machines keyed on their
+ * Transaction record, so an interrupted request (crash, timeout, client
+ * retry with the same Idempotency-Key) picks up where it stopped:
+ *
+ * Deposit:    recorded -> [dealing window closes] -> batch mint scheduled
+ *             -> [managers sign] -> completed
+ *             (failed if the mint request is rejected or expires)
+ * Redemption: recorded -> tokens returned to treasury -> completed
+ *             -> burn scheduled
+ *             (with REDEMPTION_ALLOWANCES, custodial tokens are returned by
+ *             an approved transfer, see allowanceService)
+ *             (non-custodial accounts: recorded -> [investor signs the
+ *             return in their wallet] -> tokens returned -> ...)
+ *
+ * Fees (see fundFeeService) are quoted when the flow starts and netted:
+ * the entry fee from the amount invested, the management, exit and
+ * early redemption fees from the redemption payout. They are recorded as
+ * `fee` transactions once the flow completes.
+ *
+ * Each flow belongs to one fund (Transaction.fundId): its token is minted,
+ * transferred and burned, and its rate, fees and limits apply. NAV funds
+ * issue and redeem units at their latest published NAV (see navService).
+ *
+ * Deposits are minted in batches per dealing window (see dealingService).
+ *
+ * IDs of the records each step creates (investment, multi-sig request,
+ * fee transactions) are assigned up front and saved on the transaction, and ledger calls go
+ * through ledgerOperationService, so repeating a step never repeats its
+ * effect on the ledger.
+ */
+
+const mongoose = require('mongoose');
+const { Investment, Transaction, MultiSigRequest, User } = require('../models');
+const hederaService = require('./hederaService');
+const interestService = require('./interestService');
+const fundService = require('./fundService');
+const multiSigService = require('./multiSigService');
+const ledgerOperationService = require('./ledgerOperationService');
+const auditService = require('./auditService');
+const keyVaultService = require('./keyVaultService');
+const walletService = require('./walletService');
+const fundFeeService = require('./fundFeeService');
+const rateHistoryService = require('./rateHistoryService');
+const navService = require('./navService');
+const dealingService = require('./dealingService');
+const allowanceService = require('./allowanceService');
+const taxService = require('./taxService');
+const money = require('../utils/money');
+const logger = require('../utils/logger');
+
+/**
+ * Build an error carrying the HTTP status code for the controller
+ */
+function flowError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Signing payloads are refreshed when less than this much validity is left
+const SIGNING_MARGIN_MS = 30 * 1000;
+
+/**
+ * Whether a failed step can be retried later (outcome unknown or an
+ * earlier attempt still in flight) rather than failing the flow
+ */
+const isResumable = error => Boolean(error.outcomeUnknown || error.statusCode);
+
+class InvestmentService {
+  /**
+   * Find the transaction created by an earlier request with the same key
+   *
+   * @param {string} userId - User ID
+   * @param {string} idempotencyKey - Idempotency-Key header value
+   * @returns {Object|null} - Transaction document
+   */
+  async findByIdempotencyKey(userId, idempotencyKey) {
+    return Transaction.findOne({ userId, idempotencyKey });
+  }
+
+  // ============================================================
+  // Deposits
+  // ============================================================
+
+  /**
+   * Record a deposit and queue it for the mint of its dealing window
+   *
+   * @param {Object} params - Deposit parameters, with the (active) fund
+   * @returns {Object} - { transaction, investment, request }
+   */
+  async startDeposit({ userId, fund, amountRWF, paymentMethod, paymentReference, idempotencyKey, requestFingerprint }) {
+    const { entryFee, netAmountRWF } = fundFeeService.quoteDeposit(amountRWF, fundFeeService.getSchedule(fund));
+    if (netAmountRWF <= 0) {
+      throw flowError('Investment amount does not cover the entry fee');
+    }
+
+    await fundService.checkLimits(fund, userId, amountRWF, netAmountRWF);
+
+    // Calculate token amount for the amount invested after the entry fee
+    // (1 unit of the fund's currency = 1 token, or units at the latest NAV
+    // for NAV funds, considering decimals), rounded down
+    const nav = navService.usesNav(fund) ? await navService.currentNav(fund) : null;
+    const { tokens: tokenAmount, residual } = nav
+      ? navService.unitsFor(netAmountRWF, nav.navPerUnit, fund)
+      : money.toTokens(netAmountRWF, fund.decimals);
+    if (tokenAmount <= 0) {
+      throw flowError('Investment amount does not buy a unit of the fund');
+    }
+
+    logger.info(`Processing investment: User ${userId}, Fund: ${fund.code}, Amount: ${amountRWF} ${fund.currency}, Entry fee: ${entryFee} ${fund.currency}, Tokens: ${tokenAmount}`);
+
+    const fees = { entry: entryFee };
+
+    const transaction = new Transaction({
+      userId: userId,
+      investmentId: new mongoose.Types.ObjectId(),
+      fundId: fund._id,
+      type: 'deposit',
+      amountRWF: amountRWF,
+      tokenAmount: tokenAmount,
+      paymentMethod: paymentMethod,
+      paymentReference: paymentReference,
+      status: 'pending',
+      description: `Investment of ${amountRWF} ${fund.currency} in ${fund.code}`,
+      idempotencyKey,
+      requestFingerprint,
+      metadata: {
+        dealingWindowAt: dealingService.windowClose(),
+        netAmountRWF,
+        navPerUnit: nav ? nav.navPerUnit : undefined,
+        roundingResidual: residual || undefined, // Part of netAmountRWF the tokens do not represent
+        fees,
+        feeTransactionIds: fundFeeService.assignTransactionIds(fees, () => new mongoose.Types.ObjectId())
+      }
+    });
+    await transaction.save();
+
+    const deposit = await this.resumeDeposit(transaction);
+
+    if (dealingService.isImmediate()) {
+      await dealingService.closeWindow(fund);
+      return this.resumeDeposit(deposit.transaction);
+    }
+    return deposit;
+  }
+
+  /**
+   * Continue a deposit from wherever it stopped
+   *
+   * @param {Object} transaction - Deposit Transaction document
+   * @returns {Object} - { transaction, investment, request }
+   */
+  async resumeDeposit(transaction) {
+    const { multiSigRequestId } = transaction.metadata;
+
+    const fund = await fundService.getFund(transaction.fundId);
+
+    let investment = await Investment.findById(transaction.investmentId);
+    if (!investment) {
+      // Create investment record (active once the mint settles)
+      const { netAmountRWF } = transaction.metadata;
+      investment = await Investment.create({
+        _id: transaction.investmentId,
+        userId: transaction.userId,
+        fundId: fund._id,
+        amountRWF: netAmountRWF !== undefined ? netAmountRWF : transaction.amountRWF,
+        tokenAmount: transaction.tokenAmount,
+        investmentDate: transaction.transactionDate,
+        interestRate: interestService.forFund(fund).getCurrentRates().annualRate,
+        navPerUnit: transaction.metadata.navPerUnit,
+        status: 'pending'
+      });
+    }
+
+    // Unset until the deposit's dealing window closes
+    let request = multiSigRequestId ? await MultiSigRequest.findById(multiSigRequestId) : null;
+
+    // Both managers signed but settlement was interrupted
+    if (request && request.status === 'approved' && transaction.status === 'pending') {
+      try {
+        await multiSigService.executeRequest(request);
+        transaction = await Transaction.findById(transaction._id);
+        investment = await Investment.findById(investment._id);
+      } catch (error) {
+        logger.warn(`Settlement of deposit ${transaction._id} still pending: ${error.message}`);
+      }
+    }
+
+    return { transaction, investment, request };
+  }
+
+  // ============================================================
+  // Redemptions
+  // ============================================================
+
+  /**
+   * Record a redemption and return the investor's tokens to the treasury
+   *
+   * @param {Object} params - Redemption parameters
+   * @returns {Object} - { transaction, investment, burnRequest }
+   */
+  async startRedemption({ userId, investment, tokenAmount, withdrawalMethod, idempotencyKey, requestFingerprint }) {
+    const inProgress = await Transaction.exists({
+      investmentId: investment._id,
+      type: 'withdrawal',
+      status: 'pending'
+    });
+    if (inProgress) {
+      throw flowError('A redemption of this investment is already in progress', 409);
+    }
+
+    const underReview = await MultiSigRequest.exists({
+      requestType: 'token_wipe',
+      'requestData.investmentId': investment._id,
+      status: { $in: ['pending', 'approved'] }
+    });
+    if (underReview) {
+      throw flowError('This investment is under compliance review and cannot be redeemed', 409);
+    }
+
+    // Approved distributions are transferring tokens the redemption would miss
+    const distributing = await MultiSigRequest.exists({
+      requestType: 'interest_distribution',
+      'requestData.payouts.investmentId': investment._id,
+      status: 'approved'
+    });
+    if (distributing) {
+      throw flowError('Interest of this investment is being paid out, try again shortly', 409);
+    }
+
+    const fund = await fundService.getFund(investment.fundId);
+
+    // Investments of NAV funds can be redeemed in part, others in full
+    const tokensToRedeem = tokenAmount === undefined ? investment.tokenAmount : tokenAmount;
+    if (navService.usesNav(fund)) {
+      if (!Number.isInteger(tokensToRedeem) || tokensToRedeem <= 0 || tokensToRedeem > investment.tokenAmount) {
+        throw flowError(`tokenAmount must be a whole number of units, at most the investment's ${investment.tokenAmount}`);
+      }
+    } else if (tokensToRedeem !== investment.tokenAmount) {
+      throw flowError(`Investments are redeemed in full: tokenAmount must be ${investment.tokenAmount} or omitted`);
+    }
+    const partial = tokensToRedeem < investment.tokenAmount;
+
+    // The redeemed units carry their share of the interest paid out and of
+    // the tax withheld on it
+    const share = amount => (partial ? money.round(amount * tokensToRedeem / investment.tokenAmount) : amount);
+    const redeemed = {
+      interestPaid: share(investment.interestPaid || 0),
+      taxWithheld: share(investment.taxWithheld || 0)
+    };
+
+    // Calculate current value with interest (NAV funds: units at the
+    // latest NAV), net of fees
+    const pricing = navService.usesNav(fund)
+      ? { nav: await navService.currentNav(fund), tokenAmount: tokensToRedeem }
+      : { rateHistory: await rateHistoryService.getHistory(fund) };
+    const quote = fundFeeService.quoteRedemption(investment, fund, pricing);
+    const { management, exit, earlyRedemption } = quote.fees;
+
+    // Withholding tax on the interest, and tax distributions withheld
+    const tax = taxService.quoteRedemption(redeemed, quote, await User.findById(userId));
+
+    logger.info(`Processing redemption: Investment ${investment._id}, Tokens: ${tokensToRedeem}, Fees: ${quote.fees.total} ${fund.currency}, Tax: ${tax.total} ${fund.currency}`);
+
+    const transaction = new Transaction({
+      userId: userId,
+      investmentId: investment._id,
+      fundId: fund._id,
+      type: 'withdrawal',
+      amountRWF: Math.max(0, money.subtract(quote.netValue, tax.total)),
+      tokenAmount: tokensToRedeem,
+      paymentMethod: withdrawalMethod || 'mtn_momo',
+      status: 'pending',
+      description: `Redemption of investment ${investment._id}`,
+      idempotencyKey,
+      requestFingerprint,
+      metadata: {
+        principal: quote.principal,
+        interestEarned: quote.interestEarned,
+        grossValue: quote.grossValue,
+        navPerUnit: quote.navPerUnit || undefined,
+        fees: quote.fees,
+        feeTransactionIds: fundFeeService.assignTransactionIds(
+          { management, exit, earlyRedemption },
+          () => new mongoose.Types.ObjectId()
+        ),
+        tax,
+        taxTransactionId: tax.tax > 0 ? new mongoose.Types.ObjectId() : undefined,
+        // What the investment keeps after a partial redemption
+        remaining: partial
+          ? {
+            tokenAmount: investment.tokenAmount - tokensToRedeem,
+            principal: money.subtract(investment.amountRWF, quote.principal),
+            interestPaid: money.subtract(investment.interestPaid || 0, redeemed.interestPaid),
+            taxWithheld: money.subtract(investment.taxWithheld || 0, redeemed.taxWithheld)
+          }
+          : undefined,
+        burnRequestId: new mongoose.Types.ObjectId()
+      }
+    });
+    await transaction.save();
+
+    return this.resumeRedemption(transaction);
+  }
+
+  /**
+   * Continue a redemption from wherever it stopped
+   *
+   * @param {Object} transaction - Withdrawal Transaction document
+   * @returns {Object} - { transaction, investment, burnRequest }
+   */
+  async resumeRedemption(transaction) {
+    const investment = await Investment.findById(transaction.investmentId);
+
+    if (transaction.status === 'pending') {
+      const user = await User.findById(transaction.userId);
+      const fund = await fundService.getFund(transaction.fundId);
+
+      if (user.walletMode === 'non_custodial') {
+        const transferResult = await ledgerOperationService.previousResult(
+          'transfer_from_investor',
+          { relatedTransactionId: transaction._id }
+        );
+
+        if (!transferResult) {
+          // Waiting for the investor to sign the return of their tokens
+          const signing = await this.prepareRedemptionSigning(transaction);
+          return { transaction, investment, burnRequest: null, signing };
+        }
+
+        await this.completeRedemption(transaction, investment, transferResult);
+      } else {
+        let transferResult;
+        try {
+          if (allowanceService.appliesTo(user)) {
+            // Approved transfer by the treasury, without the investor's key
+            transferResult = await allowanceService.transferFromInvestor(transaction, user, fund);
+          } else {
+            const privateKey = await keyVaultService.getInvestorKey(user._id);
+
+            // Transfer tokens from user back to treasury
+            transferResult = await ledgerOperationService.runOnce(
+              'transfer_from_investor',
+              { relatedTransactionId: transaction._id },
+              ledgerTransactionId => hederaService.transferTokensFromInvestor(
+                user.hederaAccountId,
+                privateKey,
+                transaction.tokenAmount,
+                { transactionId: ledgerTransactionId, tokenId: fund.tokenId, memo: `Pezzy redemption ${transaction._id}` }
+              )
+            );
+          }
+        } catch (error) {
+          await this.failRedemption(transaction, error);
+          throw error;
+        }
+
+        await this.completeRedemption(transaction, investment, transferResult);
+      }
+    }
+
+    let burnRequest = null;
+    if (transaction.status === 'completed') {
+      await fundFeeService.recordFees(transaction);
+      await taxService.recordWithholding(transaction);
+      burnRequest = await this.scheduleRedemptionBurn(transaction);
+    }
+
+    return { transaction, investment, burnRequest };
+  }
+
+  /**
+   * Transaction a non-custodial investor signs to return their tokens
+   * A new one is prepared when the previous one (nearly) expired.
+   *
+   * @param {Object} transaction - Pending withdrawal Transaction document
+   * @returns {Object} - { transactionId, transactionBytes, expiresAt }
+   */
+  async prepareRedemptionSigning(transaction) {
+    const { signing } = transaction.metadata;
+    if (signing && new Date(signing.expiresAt).getTime() - Date.now() > SIGNING_MARGIN_MS) {
+      return signing;
+    }
+
+    const user = await User.findById(transaction.userId);
+    const { tokenId } = await fundService.getFund(transaction.fundId);
+    const prepared = await hederaService.prepareTransferFromInvestor(
+      user.hederaAccountId,
+      transaction.tokenAmount,
+      { tokenId }
+    );
+
+    transaction.metadata = { ...transaction.metadata, signing: prepared };
+    await transaction.save();
+
+    return prepared;
+  }
+
+  /**
+   * Submit the return of tokens signed by a non-custodial investor and
+   * complete the redemption
+   *
+   * @param {Object} transaction - Withdrawal Transaction document
+   * @param {string} signedTransaction - Base64 signed bytes of the signing payload
+   * @returns {Object} - { transaction, investment, burnRequest }
+   */
+  async signRedemption(transaction, signedTransaction) {
+    if (transaction.status !== 'pending') {
+      return this.resumeRedemption(transaction);
+    }
+
+    const user = await User.findById(transaction.userId);
+    if (user.walletMode !== 'non_custodial') {
+      throw flowError('Redemptions of custodial accounts are signed by the platform');
+    }
+
+    const { signing } = transaction.metadata;
+    if (!signing) {
+      throw flowError('Nothing to sign yet, fetch the sign payload first', 409);
+    }
+
+    const { tokenId } = await fundService.getFund(transaction.fundId);
+    const expected = {
+      senderAccountId: user.hederaAccountId,
+      publicKey: await walletService.currentPublicKey(user),
+      amount: transaction.tokenAmount,
+      transactionId: signing.transactionId,
+      tokenId
+    };
+
+    // Reject malformed or mismatched signatures before anything is recorded
+    hederaService.readSignedTransferFromInvestor(signedTransaction, expected);
+
+    let transferResult;
+    try {
+      transferResult = await ledgerOperationService.runOnce(
+        'transfer_from_investor',
+        { relatedTransactionId: transaction._id },
+        () => {
+          if (new Date(signing.expiresAt) < new Date()) {
+            throw flowError('The signed transaction has expired, fetch a new sign payload', 409);
+          }
+          return hederaService.submitSignedTransferFromInvestor(signedTransaction, expected);
+        },
+        { transactionId: signing.transactionId }
+      );
+    } catch (error) {
+      await this.failRedemption(transaction, error);
+      throw error;
+    }
+
+    const investment = await Investment.findById(transaction.investmentId);
+    await this.completeRedemption(transaction, investment, transferResult);
+    await fundFeeService.recordFees(transaction);
+    await taxService.recordWithholding(transaction);
+
+    const burnRequest = await this.scheduleRedemptionBurn(transaction);
+    return { transaction, investment, burnRequest };
+  }
+
+  /**
+   * Mark a redemption failed unless the failed step can be retried
+   */
+  async failRedemption(transaction, error) {
+    if (!isResumable(error)) {
+      transaction.status = 'failed';
+      transaction.metadata = { ...transaction.metadata, error: error.message };
+      await transaction.save();
+    }
+  }
+
+  /**
+   * Record the tokens returned to the treasury
+   */
+  async completeRedemption(transaction, investment, transferResult) {
+    const { remaining } = transaction.metadata;
+    if (remaining) {
+      // Partial redemption (NAV funds): the investment keeps its other
+      // units with their share of the principal, of the interest paid out
+      // and of the tax withheld on it. The redeemed share and this
+      // redemption's own tax (metadata.tax) were settled by this payout, so
+      // they leave the investment: its next redemption deducts whatever
+      // taxWithheld it still carries.
+      investment.tokenAmount = remaining.tokenAmount;
+      investment.amountRWF = remaining.principal;
+      investment.interestPaid = remaining.interestPaid;
+      investment.taxWithheld = remaining.taxWithheld;
+    } else {
+      // Update investment status
+      investment.status = 'redeemed';
+      investment.redemptionDate = new Date();
+      investment.redemptionAmount = transaction.amountRWF;
+      investment.redemptionTransactionId = transferResult.transactionId;
+      investment.interestAccrued = transaction.metadata.interestEarned;
+      if (transaction.metadata.tax) {
+        investment.taxWithheld = money.sum([investment.taxWithheld, transaction.metadata.tax.tax]);
+      }
+    }
+    await investment.save();
+
+    // Update transaction
+    transaction.hederaTransactionId = transferResult.transactionId;
+    transaction.status = 'completed';
+    transaction.completedDate = new Date();
+    await transaction.save();
+    await auditService.recordTransaction(transaction);
+
+    // TODO: Process payment to user via mobile money/bank
+
+    logger.info(`Redemption successful: ${investment._id}`);
+  }
+
+  /**
+   * Schedule the burn of the returned tokens (requires multi-sig).
+   * The tokens already sit in the treasury, so the redemption does not
+   * wait for the managers' signatures; a failed attempt is retried by
+   * recovery.
+   */
+  async scheduleRedemptionBurn(transaction) {
+    const { burnRequestId } = transaction.metadata;
+
+    const existing = await MultiSigRequest.findById(burnRequestId);
+    if (existing) {
+      return existing;
+    }
+
+    try {
+      const fund = await fundService.getFund(transaction.fundId);
+      return await multiSigService.createRequest({
+        requestType: 'token_burn',
+        description: `Burn ${transaction.tokenAmount} ${fund.tokenSymbol} redeemed from investment ${transaction.investmentId}`,
+        requestData: {
+          fundId: fund._id,
+          tokenId: fund.tokenId,
+          amount: transaction.tokenAmount,
+          investmentId: transaction.investmentId
+        },
+        createdBy: transaction.userId,
+        requestId: burnRequestId
+      });
+    } catch (error) {
+      logger.warn(`Could not schedule burn for investment ${transaction.investmentId}: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new InvestmentService();
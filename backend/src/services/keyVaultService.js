@@ -0,0 +1,381 @@
+/**
+ * Key Vault Service - Envelope encryption of custodial investor keys
+ *
+ * This service handles:
+ * - Encrypting investor private keys before they are stored: each key is
+ *   encrypted (AES-256-GCM, bound to the user ID) with its own data key,
+ *   and the data key is wrapped by a versioned master key held by the key
+ *   provider (see ./keystore), never in MongoDB
+ * - Decrypting keys when a ledger operation must be signed
+ * - Re-wrapping data keys with the current master key version, and
+ *   encrypting legacy plaintext keys (npm run keys:reencrypt)
+ * - Rotating an investor's key on the ledger (AccountUpdateTransaction)
+ *
+ * A database dump alone therefore reveals no key that can move funds.
+ */
+
+const crypto = require('crypto');
+const { PrivateKey } = require('@hashgraph/sdk');
+const { User, Transaction, LedgerOperation } = require('../models');
+const { createKeyProvider } = require('./keystore');
+const hederaService = require('./hederaService');
+const ledgerOperationService = require('./ledgerOperationService');
+const logger = require('../utils/logger');
+
+const ALGORITHM = 'aes-256-gcm';
+
+// Every field that can hold (a form of) an investor's key
+const KEY_FIELDS = '+hederaPrivateKey +hederaKeyEnvelope +pendingKeyEnvelope';
+
+/**
+ * Build an error carrying the HTTP status code for the controller
+ */
+function keyError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+class KeyVaultService {
+  constructor() {
+    this.provider = createKeyProvider();
+  }
+
+  // ============================================================
+  // Envelope encryption
+  // ============================================================
+
+  /**
+   * Encrypt a private key for a user
+   *
+   * @param {string} privateKey - Private key string
+   * @param {string} userId - Owner; the envelope only decrypts for this user
+   * @returns {Object} - Key envelope (see keyEnvelopeSchema)
+   */
+  async encrypt(privateKey, userId) {
+    const dataKey = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(12);
+
+    const cipher = crypto.createCipheriv(ALGORITHM, dataKey, iv);
+    cipher.setAAD(Buffer.from(userId.toString()));
+    const ciphertext = Buffer.concat([cipher.update(privateKey, 'utf8'), cipher.final()]);
+
+    const { keyVersion, wrappedKey } = await this.provider.wrapKey(dataKey);
+
+    return {
+      algorithm: ALGORITHM,
+      ciphertext: ciphertext.toString('base64'),
+      iv: iv.toString('base64'),
+      authTag: cipher.getAuthTag().toString('base64'),
+      wrappedKey,
+      keyProvider: this.provider.name,
+      keyVersion,
+      encryptedAt: new Date()
+    };
+  }
+
+  /**
+   * Decrypt a user's key envelope
+   *
+   * @param {Object} envelope - Key envelope
+   * @param {string} userId - Owner the envelope was encrypted for
+   * @returns {string} - Private key string
+   */
+  async decrypt(envelope, userId) {
+    this.assertProvider(envelope);
+
+    const dataKey = await this.provider.unwrapKey(envelope.wrappedKey, envelope.keyVersion);
+
+    const decipher = crypto.createDecipheriv(envelope.algorithm, dataKey, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAAD(Buffer.from(userId.toString()));
+    decipher.setAuthTag(Buffer.from(envelope.authTag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(envelope.ciphertext, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  }
+
+  /**
+   * Re-wrap an envelope's data key with the current master key version
+   * The encrypted private key itself is unchanged.
+   *
+   * @param {Object} envelope - Key envelope
+   * @returns {Object|null} - Updated envelope, or null if already current
+   */
+  async rewrap(envelope) {
+    this.assertProvider(envelope);
+
+    if (envelope.keyVersion === await this.provider.currentVersion()) {
+      return null;
+    }
+
+    const dataKey = await this.provider.unwrapKey(envelope.wrappedKey, envelope.keyVersion);
+    const { keyVersion, wrappedKey } = await this.provider.wrapKey(dataKey);
+
+    return {
+      algorithm: envelope.algorithm,
+      ciphertext: envelope.ciphertext,
+      iv: envelope.iv,
+      authTag: envelope.authTag,
+      wrappedKey,
+      keyProvider: this.provider.name,
+      keyVersion,
+      encryptedAt: new Date()
+    };
+  }
+
+  assertProvider(envelope) {
+    if (envelope.keyProvider !== this.provider.name) {
+      throw new Error(`Key envelope was wrapped by the ${envelope.keyProvider} key provider, not ${this.provider.name}`);
+    }
+  }
+
+  // ============================================================
+  // Investor keys
+  // ============================================================
+
+  /**
+   * Get an investor's private key to sign a ledger operation
+   * A legacy plaintext key is encrypted on the way.
+   *
+   * @param {string} userId - User ID
+   * @returns {string} - Private key string
+   */
+  async getInvestorKey(userId) {
+    const user = await User.findById(userId).select(KEY_FIELDS);
+    if (!user || !user.hederaAccountId) {
+      throw keyError('User Hedera account not properly configured');
+    }
+
+    if (user.pendingKeyEnvelope) {
+      throw keyError('A key rotation of this account is in progress, try again shortly', 409);
+    }
+
+    return this.readKey(user);
+  }
+
+  /**
+   * Decrypt the key of a user loaded with KEY_FIELDS
+   */
+  async readKey(user) {
+    if (user.hederaKeyEnvelope) {
+      return this.decrypt(user.hederaKeyEnvelope, user._id);
+    }
+
+    if (user.hederaPrivateKey) {
+      await this.encryptLegacyKey(user);
+      return this.decrypt(user.hederaKeyEnvelope, user._id);
+    }
+
+    throw keyError('No custodial key is stored for this account');
+  }
+
+  /**
+   * Move a legacy plaintext key into an envelope
+   */
+  async encryptLegacyKey(user) {
+    user.hederaKeyEnvelope = await this.encrypt(user.hederaPrivateKey, user._id);
+    user.hederaPrivateKey = undefined;
+    await user.save();
+
+    logger.info(`Encrypted legacy plaintext key of user ${user._id}`);
+  }
+
+  /**
+   * Re-wrap every envelope with the current master key version and encrypt
+   * legacy plaintext keys
+   *
+   * @param {Object} options - { rotateMaster } creates a new master key version first
+   * @returns {Object} - Counts per outcome
+   */
+  async reencryptAll({ rotateMaster = false } = {}) {
+    if (rotateMaster) {
+      await this.provider.rotate();
+    }
+
+    const summary = { keyVersion: await this.provider.currentVersion(), encrypted: 0, rewrapped: 0, current: 0, failed: 0 };
+
+    const users = await User.find({
+      $or: [
+        { hederaPrivateKey: { $exists: true, $ne: null } },
+        { hederaKeyEnvelope: { $exists: true } },
+        { pendingKeyEnvelope: { $exists: true } }
+      ]
+    }).select(KEY_FIELDS);
+
+    for (const user of users) {
+      try {
+        if (user.hederaPrivateKey && !user.hederaKeyEnvelope) {
+          await this.encryptLegacyKey(user);
+          summary.encrypted += 1;
+          continue;
+        }
+
+        let changed = false;
+        for (const field of ['hederaKeyEnvelope', 'pendingKeyEnvelope']) {
+          const envelope = user[field] && await this.rewrap(user[field]);
+          if (envelope) {
+            user[field] = envelope;
+            changed = true;
+          }
+        }
+
+        if (user.hederaPrivateKey) {
+          user.hederaPrivateKey = undefined;
+          changed = true;
+        }
+
+        if (changed) {
+          await user.save();
+          summary.rewrapped += 1;
+        } else {
+          summary.current += 1;
+        }
+      } catch (error) {
+        logger.error(`Failed to re-encrypt key of user ${user._id}:`, error);
+        summary.failed += 1;
+      }
+    }
+
+    logger.info(`Key re-encryption finished: ${JSON.stringify(summary)}`);
+    return summary;
+  }
+
+  // ============================================================
+  // Key rotation
+  // ============================================================
+
+  /**
+   * Replace an investor's key with a newly generated one
+   * The new key is stored (encrypted) as pending before the ledger update,
+   * so a rotation interrupted after the update can still be completed.
+   *
+   * @param {string} userId - User ID
+   * @returns {Object} - { accountId, publicKey, keyRotatedAt }
+   */
+  async rotateInvestorKey(userId) {
+    let user = await User.findById(userId).select(KEY_FIELDS);
+    if (!user || !user.hederaAccountId) {
+      throw keyError('User Hedera account not properly configured');
+    }
+
+    if (user.walletMode === 'non_custodial') {
+      throw keyError('The key of a non-custodial account is rotated in the investor\'s wallet');
+    }
+
+    if (user.pendingKeyEnvelope) {
+      user = await this.resumeRotation(user);
+      if (user.pendingKeyEnvelope) {
+        throw keyError('A key rotation of this account is still in flight, try again shortly', 409);
+      }
+    }
+
+    const redeeming = await Transaction.exists({ userId: user._id, type: 'withdrawal', status: 'pending' });
+    if (redeeming) {
+      throw keyError('Wait for the pending redemption to complete before rotating the key', 409);
+    }
+
+    const currentKey = await this.readKey(user);
+    const newKey = PrivateKey.generateED25519();
+
+    user.pendingKeyEnvelope = await this.encrypt(newKey.toString(), user._id);
+    await user.save();
+
+    try {
+      await ledgerOperationService.run(
+        'account_key_update',
+        { relatedUserId: user._id },
+        ledgerTransactionId => hederaService.updateAccountKey(
+          user.hederaAccountId,
+          currentKey,
+          newKey.toString(),
+          { transactionId: ledgerTransactionId }
+        )
+      );
+    } catch (error) {
+      if (!error.outcomeUnknown) {
+        user.pendingKeyEnvelope = undefined;
+        await user.save();
+      }
+      throw error;
+    }
+
+    await this.completeRotation(user);
+
+    return {
+      accountId: user.hederaAccountId,
+      publicKey: user.hederaPublicKey,
+      keyRotatedAt: user.keyRotatedAt
+    };
+  }
+
+  /**
+   * Make the pending key the account's key once the ledger accepted it
+   */
+  async completeRotation(user) {
+    const newKey = PrivateKey.fromString(await this.decrypt(user.pendingKeyEnvelope, user._id));
+
+    user.hederaKeyEnvelope = user.pendingKeyEnvelope;
+    user.pendingKeyEnvelope = undefined;
+    user.hederaPrivateKey = undefined;
+    user.hederaPublicKey = newKey.publicKey.toString();
+    user.keyRotatedAt = new Date();
+    await user.save();
+
+    logger.info(`Key of account ${user.hederaAccountId} rotated`);
+  }
+
+  /**
+   * Finish or discard an interrupted rotation from its ledger operation
+   *
+   * @param {Object} user - User loaded with KEY_FIELDS
+   * @returns {Object} - User (pendingKeyEnvelope kept while still in flight)
+   */
+  async resumeRotation(user) {
+    const operation = await LedgerOperation.findOne({
+      operationType: 'account_key_update',
+      relatedUserId: user._id
+    }).sort({ createdAt: -1 });
+
+    if (operation && operation.status === 'pending') {
+      await ledgerOperationService.resolve(operation);
+    }
+
+    if (operation && operation.status === 'succeeded') {
+      await this.completeRotation(user);
+    } else if (!operation || operation.status === 'failed') {
+      user.pendingKeyEnvelope = undefined;
+      await user.save();
+      logger.info(`Discarded unapplied key rotation of user ${user._id}`);
+    }
+
+    return user;
+  }
+
+  /**
+   * Resume every interrupted rotation (startup recovery)
+   *
+   * @returns {number} - Number of rotations completed or discarded
+   */
+  async resumeRotations() {
+    const users = await User.find({ pendingKeyEnvelope: { $exists: true } }).select(KEY_FIELDS);
+    let resumed = 0;
+
+    for (const user of users) {
+      try {
+        await this.resumeRotation(user);
+        if (!user.pendingKeyEnvelope) {
+          resumed += 1;
+        }
+      } catch (error) {
+        logger.error(`Failed to resume key rotation of user ${user._id}:`, error);
+      }
+    }
+
+    return resumed;
+  }
+}
+
+// Export singleton instance
+module.exports = new KeyVaultService();
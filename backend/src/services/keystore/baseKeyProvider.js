@@ -0,0 +1,60 @@
+/**
+ * Base Key Provider - Shared interface of key encryption key (KEK) providers
+ *
+ * A provider holds versioned master keys and wraps/unwraps the data keys
+ * that encrypt investor keys (see keyVaultService). Master keys never
+ * leave the provider, so a KMS can replace the local keystore without
+ * changing stored envelopes' format.
+ */
+
+class BaseKeyProvider {
+  /**
+   * @param {string} name - Provider name ('local', ...)
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Version of the master key used for new envelopes
+   *
+   * @returns {number}
+   */
+  async currentVersion() {
+    throw new Error(`currentVersion is not implemented by the ${this.name} key provider`);
+  }
+
+  /**
+   * Encrypt a data key with the current master key
+   *
+   * @param {Buffer} dataKey - Plaintext data key
+   * @returns {Object} - { keyVersion, wrappedKey } (wrappedKey base64)
+   */
+  async wrapKey(dataKey) {
+    throw new Error(`wrapKey is not implemented by the ${this.name} key provider`);
+  }
+
+  /**
+   * Decrypt a data key with the master key version that wrapped it
+   *
+   * @param {string} wrappedKey - Base64 wrapped data key
+   * @param {number} keyVersion - Master key version
+   * @returns {Buffer} - Plaintext data key
+   */
+  async unwrapKey(wrappedKey, keyVersion) {
+    throw new Error(`unwrapKey is not implemented by the ${this.name} key provider`);
+  }
+
+  /**
+   * Create a new master key version and make it current
+   * Older versions stay available to unwrap existing envelopes until they
+   * are re-encrypted.
+   *
+   * @returns {number} - New key version
+   */
+  async rotate() {
+    throw new Error(`rotate is not implemented by the ${this.name} key provider`);
+  }
+}
+
+module.exports = BaseKeyProvider;
@@ -0,0 +1,38 @@
+/**
+ * Key Providers - Selects where the master keys of keyVaultService live
+ *
+ * Every provider extends BaseKeyProvider and implements:
+ * - currentVersion()
+ * - wrapKey(dataKey) / unwrapKey(wrappedKey, keyVersion)
+ * - rotate()
+ *
+ * To use a KMS, add a provider whose wrapKey/unwrapKey call the KMS
+ * encrypt/decrypt API and register it below.
+ */
+
+const LocalKeyProvider = require('./localKeyProvider');
+
+const providers = {
+  local: LocalKeyProvider
+};
+
+/**
+ * Create the key provider selected by KEY_PROVIDER
+ *
+ * @param {string} provider - 'local' (default)
+ * @returns {BaseKeyProvider} - Key provider instance
+ */
+function createKeyProvider(provider = process.env.KEY_PROVIDER || 'local') {
+  const Provider = providers[provider];
+
+  if (!Provider) {
+    throw new Error(`Unknown key provider: ${provider}. Use one of: ${Object.keys(providers).join(', ')}`);
+  }
+
+  return new Provider();
+}
+
+module.exports = {
+  createKeyProvider,
+  LocalKeyProvider
+};
@@ -0,0 +1,125 @@
+/**
+ * Local Key Provider - Master keys kept in a keystore file on the server
+ *
+ * The keystore (KEYSTORE_FILE, default ./keystore/master-keys.json) holds
+ * every master key version:
+ *   { "currentVersion": 2, "keys": { "1": { "key": "<base64>", "createdAt": "..." }, ... } }
+ *
+ * Keep it outside the database and its backups: envelopes in MongoDB are
+ * useless without it. The file is created with a first key on first use.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const BaseKeyProvider = require('./baseKeyProvider');
+const logger = require('../../utils/logger');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+class LocalKeyProvider extends BaseKeyProvider {
+  constructor() {
+    super('local');
+    this.file = path.resolve(process.env.KEYSTORE_FILE || './keystore/master-keys.json');
+    this.keystore = null;
+  }
+
+  /**
+   * Read the keystore, creating it with a first master key if missing
+   */
+  load() {
+    if (this.keystore) {
+      return this.keystore;
+    }
+
+    if (fs.existsSync(this.file)) {
+      this.keystore = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } else {
+      logger.warn(`Keystore ${this.file} not found, creating it with a new master key`);
+      this.keystore = { currentVersion: 0, keys: {} };
+      this.addKey();
+    }
+
+    return this.keystore;
+  }
+
+  /**
+   * Write the keystore atomically, readable by the owner only
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true, mode: 0o700 });
+
+    const tmpFile = `${this.file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(this.keystore, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  /**
+   * Generate a new master key version and make it current
+   */
+  addKey() {
+    const version = this.keystore.currentVersion + 1;
+
+    this.keystore.keys[version] = {
+      key: crypto.randomBytes(32).toString('base64'),
+      createdAt: new Date().toISOString()
+    };
+    this.keystore.currentVersion = version;
+    this.save();
+
+    return version;
+  }
+
+  /**
+   * Master key of a version
+   */
+  masterKey(keyVersion) {
+    const entry = this.load().keys[keyVersion];
+    if (!entry) {
+      throw new Error(`Master key version ${keyVersion} is not in the keystore`);
+    }
+    return Buffer.from(entry.key, 'base64');
+  }
+
+  async currentVersion() {
+    return this.load().currentVersion;
+  }
+
+  async wrapKey(dataKey) {
+    const keyVersion = await this.currentVersion();
+    const iv = crypto.randomBytes(IV_LENGTH);
+
+    const cipher = crypto.createCipheriv(ALGORITHM, this.masterKey(keyVersion), iv);
+    cipher.setAAD(Buffer.from(`kek-v${keyVersion}`));
+    const encrypted = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+
+    return {
+      keyVersion,
+      wrappedKey: Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64')
+    };
+  }
+
+  async unwrapKey(wrappedKey, keyVersion) {
+    const data = Buffer.from(wrappedKey, 'base64');
+    const iv = data.subarray(0, IV_LENGTH);
+    const authTag = data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+    const encrypted = data.subarray(IV_LENGTH + TAG_LENGTH);
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.masterKey(keyVersion), iv);
+    decipher.setAAD(Buffer.from(`kek-v${keyVersion}`));
+    decipher.setAuthTag(authTag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+  }
+
+  async rotate() {
+    this.load();
+    const version = this.addKey();
+    logger.info(`Master key rotated to version ${version}`);
+    return version;
+  }
+}
+
+module.exports = LocalKeyProvider;
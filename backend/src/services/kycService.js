@@ -0,0 +1,168 @@
+/**
+ * KYC Service - Keeps the tokens' KYC flags in line with User.kycStatus
+ *
+ * This service handles:
+ * - Recording KYC reviews (verified / rejected)
+ * - Granting KYC on the ledger to verified investors and revoking it from
+ *   rejected ones, so the ledger itself refuses transfers to unverified
+ *   holders
+ *
+ * One review covers every fund: KYC is granted or revoked on the token of
+ * each fund the investor's account is associated with (User.fundAccounts).
+ * An account can only be granted KYC once it is associated with a token,
+ * so verification before association is applied by sync() when the
+ * association happens. Failed ledger updates are retried at startup
+ * (syncPending).
+ */
+
+const { User } = require('../models');
+const hederaService = require('./hederaService');
+const feeService = require('./feeService');
+const logger = require('../utils/logger');
+
+const REVIEW_STATUSES = ['verified', 'rejected'];
+
+/**
+ * Build an error carrying the HTTP status code for the controller
+ */
+function kycError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+class KycService {
+  /**
+   * Record a KYC review and apply it on the ledger
+   *
+   * @param {Object} user - Investor (User document)
+   * @param {string} status - 'verified' or 'rejected'
+   * @param {Object} reviewer - Reviewing manager (User document)
+   * @param {string} note - Optional review note
+   * @returns {Object} - { user, synced } where synced is false if the
+   *   ledger update failed and will be retried
+   */
+  async review(user, status, reviewer, note) {
+    if (!REVIEW_STATUSES.includes(status)) {
+      throw kycError(`Invalid KYC status. Use one of: ${REVIEW_STATUSES.join(', ')}`);
+    }
+
+    if (user.role !== 'investor') {
+      throw kycError('KYC reviews apply to investor accounts only');
+    }
+
+    user.kycStatus = status;
+    user.kycReviewedBy = reviewer._id;
+    user.kycReviewedAt = new Date();
+    user.kycNote = note;
+    await user.save();
+
+    logger.info(`KYC of user ${user._id} set to ${status} by ${reviewer.email}`);
+
+    let synced = true;
+    try {
+      await this.sync(user);
+    } catch (error) {
+      logger.error(`KYC of user ${user._id} not yet applied on the ledger:`, error);
+      synced = false;
+    }
+
+    return { user, synced };
+  }
+
+  /**
+   * Grant or revoke KYC on the ledger so it matches the user's kycStatus,
+   * on every token the user's account is associated with
+   *
+   * @param {Object} user - User document
+   * @returns {boolean} - Whether any ledger flag was changed
+   */
+  async sync(user) {
+    if (!user.hederaAccountId) {
+      return false;
+    }
+
+    const shouldGrant = user.kycStatus === 'verified';
+    const outdated = (user.fundAccounts || []).filter(
+      account => account.tokenAssociated && shouldGrant !== account.kycGranted
+    );
+
+    let changed = false;
+    try {
+      for (const account of outdated) {
+        if (await this.syncAccount(user, account, shouldGrant)) {
+          changed = true;
+        }
+      }
+    } finally {
+      // Keep the flags applied before a failure
+      if (changed) {
+        await user.save();
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Grant or revoke KYC on one fund's token
+   *
+   * @param {Object} user - User document
+   * @param {Object} account - Entry of user.fundAccounts, updated in place
+   * @param {boolean} shouldGrant - Grant (true) or revoke (false)
+   * @returns {boolean} - Whether the ledger flag was changed
+   */
+  async syncAccount(user, account, shouldGrant) {
+    const options = { tokenId: account.tokenId };
+
+    try {
+      const result = shouldGrant
+        ? await hederaService.grantKyc(user.hederaAccountId, options)
+        : await hederaService.revokeKyc(user.hederaAccountId, options);
+      await feeService.track(result.transactionId, shouldGrant ? 'kyc_grant' : 'kyc_revoke', { relatedUserId: user._id });
+    } catch (error) {
+      // Tokens created before KYC keys were introduced cannot enforce it
+      if (error.status === 'TOKEN_HAS_NO_KYC_KEY') {
+        logger.warn(`Token ${account.tokenId} has no KYC key, KYC of user ${user._id} is enforced by the API only`);
+        return false;
+      }
+      throw error;
+    }
+
+    account.kycGranted = shouldGrant;
+
+    logger.info(`KYC on ${account.tokenId} ${shouldGrant ? 'granted to' : 'revoked from'} ${user.hederaAccountId}`);
+    return true;
+  }
+
+  /**
+   * Apply every KYC review not yet reflected on the ledger (startup recovery)
+   *
+   * @returns {number} - Number of users updated
+   */
+  async syncPending() {
+    const users = await User.find({
+      hederaAccountId: { $exists: true, $ne: null },
+      $or: [
+        { kycStatus: 'verified', fundAccounts: { $elemMatch: { tokenAssociated: true, kycGranted: { $ne: true } } } },
+        { kycStatus: { $ne: 'verified' }, fundAccounts: { $elemMatch: { tokenAssociated: true, kycGranted: true } } }
+      ]
+    });
+
+    let updated = 0;
+    for (const user of users) {
+      try {
+        if (await this.sync(user)) {
+          updated += 1;
+        }
+      } catch (error) {
+        logger.error(`Failed to apply KYC of user ${user._id}:`, error);
+      }
+    }
+
+    return updated;
+  }
+}
+
+// Export singleton instance
+module.exports = new KycService();
@@ -0,0 +1,592 @@
+/**
+ * Base Ledger - Shared behaviour for every ledger backend
+ *
+ * Each backend (see ./index.js) extends this class and implements the
+ * same set of operations, so controllers can run unchanged against the
+ * real Hedera network or the local simulator.
+ */
+
+const {
+  PrivateKey,
+  PublicKey,
+  AccountId,
+  Hbar,
+  Transaction,
+  ScheduleSignTransaction,
+  TokenAssociateTransaction,
+  TransferTransaction
+} = require('@hashgraph/sdk');
+const logger = require('../../utils/logger');
+
+// Statuses after which resubmitting the same transaction is safe
+const RETRYABLE_STATUSES = [
+  'BUSY',
+  'PLATFORM_TRANSACTION_NOT_CREATED',
+  'PLATFORM_NOT_ACTIVE',
+  'THROTTLED_AT_CONSENSUS'
+];
+
+// Receipt lookups that say nothing about the outcome yet
+const NO_RECEIPT_STATUSES = ['RECEIPT_NOT_FOUND', 'UNKNOWN'];
+
+// Network errors that leave the outcome of a submission unknown
+const TIMEOUT_PATTERN = /timeout|timed out|deadline|UNAVAILABLE|ECONNRESET|ETIMEDOUT/i;
+
+const RETRY_BASE_DELAY_MS = 500;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Automatic token association slots of new accounts (-1 = unlimited)
+const DEFAULT_MAX_AUTO_ASSOCIATIONS = 1;
+
+// Fractional fees are expressed in millionths of the transferred amount
+const TRANSFER_FEE_DENOMINATOR = 1000000;
+
+// How long frozen transaction bytes stay valid on Hedera
+const TRANSACTION_VALID_SECONDS = 120;
+
+// Accounts credited by one batched transfer: Hedera allows 10 token
+// balance changes per transaction, one of them the treasury's debit
+const MAX_TRANSFER_RECIPIENTS = 9;
+
+/**
+ * Build an error for a client-signed transaction that cannot be accepted
+ */
+function signedTransactionError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+class BaseLedger {
+  /**
+   * @param {string} backend - Backend name ('hedera' or 'simulated')
+   */
+  constructor(backend) {
+    this.backend = backend;
+    this.tokenId = null;
+    this.treasuryId = null;
+    this.manager1Id = null;
+    this.manager2Id = null;
+    this.managerPublicKeys = [];
+    this.kycKey = null;
+    this.initialized = false;
+    this.maxTransferRecipients = MAX_TRANSFER_RECIPIENTS;
+  }
+
+  /**
+   * Make sure the backend is initialized before running an operation
+   */
+  async ensureInitialized() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+  }
+
+  /**
+   * Token a token operation applies to: the requested token (a fund's),
+   * else the current one set with setTokenId
+   * Throws if neither has been created or loaded yet.
+   *
+   * @param {string} tokenId - Requested token ID (optional)
+   * @returns {string} - Token ID
+   */
+  requireToken(tokenId = this.tokenId) {
+    if (!tokenId) {
+      throw new Error('Token ID not set. Create token first.');
+    }
+    return tokenId.toString();
+  }
+
+  /**
+   * Check the credits of a batched transfer from the treasury
+   *
+   * @param {Array} transfers - [{ accountId, amount }]
+   */
+  requireTransferBatch(transfers) {
+    if (!Array.isArray(transfers) || transfers.length === 0) {
+      throw new Error('A batched transfer needs at least one recipient');
+    }
+    if (transfers.length > MAX_TRANSFER_RECIPIENTS) {
+      throw new Error(`A batched transfer credits at most ${MAX_TRANSFER_RECIPIENTS} accounts`);
+    }
+    if (new Set(transfers.map(transfer => transfer.accountId)).size !== transfers.length) {
+      throw new Error('A batched transfer credits each account once');
+    }
+  }
+
+  /**
+   * Load manager account IDs and public keys from the environment
+   * Managers sign multi-sig operations from their own devices, so only
+   * their public keys are known to the server.
+   */
+  loadManagerKeys() {
+    this.manager1Id = process.env.MANAGER1_ACCOUNT_ID;
+    this.manager2Id = process.env.MANAGER2_ACCOUNT_ID;
+    this.managerPublicKeys = [
+      PublicKey.fromString(process.env.MANAGER1_PUBLIC_KEY).toString(),
+      PublicKey.fromString(process.env.MANAGER2_PUBLIC_KEY).toString()
+    ];
+  }
+
+  /**
+   * Load the key that grants and revokes KYC on the token
+   * KYC changes follow the platform's identity checks rather than manager
+   * approval, so the server holds this key. Defaults to the operator key;
+   * set HEDERA_KYC_KEY to keep it separate.
+   *
+   * @param {PrivateKey} operatorKey - Fallback key
+   */
+  loadKycKey(operatorKey) {
+    this.kycKey = process.env.HEDERA_KYC_KEY
+      ? PrivateKey.fromString(process.env.HEDERA_KYC_KEY)
+      : operatorKey;
+  }
+
+  /**
+   * Automatic token association slots given to new accounts
+   * (ACCOUNT_MAX_AUTO_ASSOCIATIONS, -1 for unlimited)
+   */
+  defaultMaxAutoAssociations() {
+    const value = parseInt(process.env.ACCOUNT_MAX_AUTO_ASSOCIATIONS, 10);
+    return Number.isInteger(value) ? value : DEFAULT_MAX_AUTO_ASSOCIATIONS;
+  }
+
+  /**
+   * HTS fractional fee charged on token transfers, or null for none
+   * The treasury collects it, so transfers from the treasury are exempt and
+   * fees on transfers to it come back to it: in effect only transfers
+   * between investors pay. Defaults to TOKEN_TRANSFER_FEE_PERCENT.
+   *
+   * @param {Object} tokenConfig - { transferFee: { percentage, minimumAmount, maximumAmount } }
+   * @returns {Object|null} - { numerator, denominator, minimumAmount, maximumAmount }
+   */
+  transferFeeConfig(tokenConfig = {}) {
+    const transferFee = tokenConfig.transferFee || {};
+    const percentage = parseFloat(
+      transferFee.percentage !== undefined ? transferFee.percentage : (process.env.TOKEN_TRANSFER_FEE_PERCENT || 0)
+    );
+
+    if (!percentage) {
+      return null;
+    }
+    if (percentage < 0 || percentage > 100) {
+      throw new Error('Transfer fee percentage must be between 0 and 100');
+    }
+
+    return {
+      numerator: Math.round((percentage / 100) * TRANSFER_FEE_DENOMINATOR),
+      denominator: TRANSFER_FEE_DENOMINATOR,
+      minimumAmount: parseInt(transferFee.minimumAmount || 0, 10),
+      maximumAmount: parseInt(transferFee.maximumAmount || 0, 10) // 0 = no maximum
+    };
+  }
+
+  /**
+   * Check whether a public key belongs to one of the fund managers
+   *
+   * @param {string} publicKey - Public key string
+   * @returns {boolean}
+   */
+  isManagerKey(publicKey) {
+    return this.managerPublicKeys.includes(PublicKey.fromString(publicKey).toString());
+  }
+
+  /**
+   * Decode a manager-signed ScheduleSignTransaction and return the keys
+   * that validly signed it
+   *
+   * @param {string} scheduleId - Schedule the signature must be for
+   * @param {string} signedTransaction - Base64 encoded signed transaction bytes
+   * @returns {Object} - Decoded transaction and signer public keys
+   */
+  readScheduleSignature(scheduleId, signedTransaction) {
+    let transaction;
+    try {
+      transaction = Transaction.fromBytes(Buffer.from(signedTransaction, 'base64'));
+    } catch (error) {
+      throw new Error(`Invalid signed transaction: ${error.message}`);
+    }
+
+    if (!(transaction instanceof ScheduleSignTransaction)) {
+      throw new Error('Signed transaction is not a ScheduleSignTransaction');
+    }
+
+    if (!transaction.scheduleId || transaction.scheduleId.toString() !== scheduleId) {
+      throw new Error(`Signed transaction is not for schedule ${scheduleId}`);
+    }
+
+    const signerPublicKeys = [];
+    for (const signatures of transaction.getSignatures().getFlatSignatureList()) {
+      for (const [publicKey] of signatures) {
+        const key = publicKey.toString();
+        if (!signerPublicKeys.includes(key) && publicKey.verifyTransaction(transaction)) {
+          signerPublicKeys.push(key);
+        }
+      }
+    }
+
+    if (signerPublicKeys.length === 0) {
+      throw new Error('Signed transaction carries no valid signatures');
+    }
+
+    return { transaction, signerPublicKeys };
+  }
+
+  /**
+   * Actual network fee charged for a transaction
+   * Implemented by each backend.
+   *
+   * @param {string} transactionId - Transaction ID (scheduled: "<id>?scheduled")
+   * @returns {Object} - { transactionId, found, feeTinybars, consensusAt }
+   */
+  async getTransactionFee(transactionId) {
+    throw new Error(`getTransactionFee is not implemented by the ${this.backend} backend`);
+  }
+
+  /**
+   * Consensus record of a transaction: status, fee charged, memo and token
+   * transfers
+   * Implemented by each backend.
+   *
+   * @param {string} transactionId - Transaction ID (scheduled: "<id>?scheduled")
+   * @returns {Object} - { transactionId, found, status, consensusTimestamp,
+   *   consensusAt, feeTinybars, memo, tokenTransfers }
+   */
+  async getTransactionRecord(transactionId) {
+    throw new Error(`getTransactionRecord is not implemented by the ${this.backend} backend`);
+  }
+
+  /**
+   * Explorer base URL (e.g. https://hashscan.io/testnet), null when the
+   * network has no explorer
+   */
+  getExplorerUrl() {
+    return process.env.EXPLORER_URL || null;
+  }
+
+  /**
+   * Explorer link of a transaction
+   * Links to its consensus timestamp when known (unique, also for scheduled
+   * transactions), otherwise to its transaction ID.
+   *
+   * @param {string} transactionId - Transaction ID (scheduled: "<id>?scheduled")
+   * @param {string} consensusTimestamp - "seconds.nanos", if known
+   * @returns {string|null}
+   */
+  getExplorerLink(transactionId, consensusTimestamp) {
+    const explorerUrl = this.getExplorerUrl();
+    if (!explorerUrl || !transactionId) {
+      return null;
+    }
+
+    if (consensusTimestamp) {
+      return `${explorerUrl}/transaction/${consensusTimestamp}`;
+    }
+
+    const [payer, validStart] = transactionId.replace('?scheduled', '').split('@');
+    return `${explorerUrl}/transaction/${payer}-${validStart.replace('.', '-')}`;
+  }
+
+  /**
+   * Convert a "seconds.nanos" consensus timestamp to a Date
+   */
+  consensusDate(timestamp) {
+    return timestamp ? new Date(Math.floor(parseFloat(timestamp) * 1000)) : null;
+  }
+
+  // ============================================================
+  // Client-signed transactions (non-custodial accounts)
+  // ============================================================
+
+  /**
+   * Public key of an account, or null if it is controlled by a key list
+   * Implemented by each backend.
+   *
+   * @param {string} accountId - Account ID
+   * @returns {string|null} - Public key string
+   */
+  async getAccountKey(accountId) {
+    throw new Error(`getAccountKey is not implemented by the ${this.backend} backend`);
+  }
+
+  /**
+   * Freeze a transaction paid by the operator so a client can sign it
+   * Implemented by each backend.
+   *
+   * @param {Transaction} transaction - Unfrozen SDK transaction
+   * @returns {Object} - { transactionId, transactionBytes, expiresAt }
+   */
+  async freezeForClient(transaction) {
+    throw new Error(`freezeForClient is not implemented by the ${this.backend} backend`);
+  }
+
+  /**
+   * Describe frozen client transaction bytes
+   */
+  clientPayload(transaction) {
+    const validStart = transaction.transactionId.validStart.toDate();
+
+    return {
+      transactionId: transaction.transactionId.toString(),
+      transactionBytes: Buffer.from(transaction.toBytes()).toString('base64'),
+      expiresAt: new Date(validStart.getTime() + TRANSACTION_VALID_SECONDS * 1000)
+    };
+  }
+
+  /**
+   * Build the token association an investor signs with their own wallet
+   * The operator pays the fee, as for custodial accounts.
+   *
+   * @param {string} accountId - Investor account
+   * @param {Object} options - { tokenId }
+   * @returns {Object} - { transactionId, transactionBytes, expiresAt }
+   */
+  async prepareAssociation(accountId, options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+    await this.ensureInitialized();
+
+    const associateTx = new TokenAssociateTransaction()
+      .setAccountId(AccountId.fromString(accountId))
+      .setTokenIds([tokenId])
+      .setMaxTransactionFee(new Hbar(5));
+
+    return this.freezeForClient(associateTx);
+  }
+
+  /**
+   * Build the transfer back to the treasury an investor signs with their
+   * own wallet (redemption)
+   *
+   * @param {string} senderAccountId - Investor account
+   * @param {number} amount - Amount to transfer
+   * @param {Object} options - { tokenId }
+   * @returns {Object} - { transactionId, transactionBytes, expiresAt }
+   */
+  async prepareTransferFromInvestor(senderAccountId, amount, options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+    await this.ensureInitialized();
+
+    const transferTx = new TransferTransaction()
+      .addTokenTransfer(tokenId, AccountId.fromString(senderAccountId), -amount)
+      .addTokenTransfer(tokenId, this.treasuryId.toString(), amount)
+      .setMaxTransactionFee(new Hbar(10));
+
+    return this.freezeForClient(transferTx);
+  }
+
+  /**
+   * Decode a transaction signed by an investor's wallet and check that it
+   * is of the expected kind, paid by the operator and signed by the
+   * investor's key
+   *
+   * @param {string} signedTransaction - Base64 signed transaction bytes
+   * @param {Function} TransactionClass - Expected SDK transaction class
+   * @param {string} publicKey - Investor public key
+   * @returns {Transaction} - Decoded transaction
+   */
+  readClientSigned(signedTransaction, TransactionClass, publicKey) {
+    let transaction;
+    try {
+      transaction = Transaction.fromBytes(Buffer.from(signedTransaction, 'base64'));
+    } catch (error) {
+      throw signedTransactionError(`Invalid signed transaction: ${error.message}`);
+    }
+
+    if (!(transaction instanceof TransactionClass)) {
+      throw signedTransactionError(`Signed transaction is not a ${TransactionClass.name}`);
+    }
+
+    // The operator (treasury) pays for every transaction it prepares
+    if (!transaction.transactionId || transaction.transactionId.accountId.toString() !== this.treasuryId.toString()) {
+      throw signedTransactionError('Signed transaction was not prepared by this platform');
+    }
+
+    if (!PublicKey.fromString(publicKey).verifyTransaction(transaction)) {
+      throw signedTransactionError('Signed transaction is not signed by the account key');
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Decode and check a token association signed by an investor's wallet
+   *
+   * @param {string} signedTransaction - Base64 signed bytes from prepareAssociation
+   * @param {Object} account - { accountId, publicKey, tokenId } of the investor
+   * @returns {TokenAssociateTransaction} - Transaction ready to submit
+   */
+  readSignedAssociation(signedTransaction, { accountId, publicKey, tokenId: requestedTokenId }) {
+    const expectedTokenId = this.requireToken(requestedTokenId);
+    const transaction = this.readClientSigned(signedTransaction, TokenAssociateTransaction, publicKey);
+    const tokenIds = transaction.tokenIds.map(tokenId => tokenId.toString());
+
+    if (!transaction.accountId || transaction.accountId.toString() !== accountId ||
+        tokenIds.length !== 1 || tokenIds[0] !== expectedTokenId) {
+      throw signedTransactionError(`Signed transaction does not associate ${accountId} with token ${expectedTokenId}`);
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Decode and check a redemption transfer signed by an investor's wallet:
+   * it must be the prepared transaction and move exactly the redeemed
+   * amount from the investor to the treasury, and nothing else
+   *
+   * @param {string} signedTransaction - Base64 signed bytes from prepareTransferFromInvestor
+   * @param {Object} expected - { senderAccountId, publicKey, amount, transactionId, tokenId }
+   * @returns {TransferTransaction} - Transaction ready to submit
+   */
+  readSignedTransferFromInvestor(signedTransaction, { senderAccountId, publicKey, amount, transactionId, tokenId: requestedTokenId }) {
+    const expectedTokenId = this.requireToken(requestedTokenId);
+    const transaction = this.readClientSigned(signedTransaction, TransferTransaction, publicKey);
+
+    if (transactionId && transaction.transactionId.toString() !== transactionId) {
+      throw signedTransactionError(`Signed transaction ${transaction.transactionId} is not the prepared transaction ${transactionId}`);
+    }
+
+    const expectedTransfers = {
+      [senderAccountId]: String(-amount),
+      [this.treasuryId.toString()]: String(amount)
+    };
+
+    const transfers = {};
+    for (const [tokenId, accountAmounts] of transaction.tokenTransfers) {
+      if (tokenId.toString() !== expectedTokenId) {
+        throw signedTransactionError(`Signed transaction transfers token ${tokenId}`);
+      }
+      for (const [accountId, value] of accountAmounts) {
+        transfers[accountId.toString()] = value.toString();
+      }
+    }
+
+    const matches = transaction.hbarTransfers.size === 0 &&
+      transaction.nftTransfers.size === 0 &&
+      Object.keys(transfers).length === 2 &&
+      Object.entries(expectedTransfers).every(([accountId, value]) => transfers[accountId] === value);
+
+    if (!matches) {
+      throw signedTransactionError(`Signed transaction does not transfer ${amount} tokens from ${senderAccountId} to the treasury`);
+    }
+
+    return transaction;
+  }
+
+  // ============================================================
+  // Submission layer
+  // ============================================================
+
+  /**
+   * Hedera status code carried by an error, if any
+   *
+   * @param {Error} error - SDK or simulator error
+   * @returns {string|null}
+   */
+  static statusOf(error) {
+    return error && error.status ? error.status.toString() : null;
+  }
+
+  /**
+   * Whether a failed submission may be retried with the same transaction ID
+   */
+  isRetryable(error) {
+    const status = BaseLedger.statusOf(error);
+    if (status) {
+      return RETRYABLE_STATUSES.includes(status);
+    }
+    return error.name === 'MaxAttemptsOrTimeoutError' || TIMEOUT_PATTERN.test(error.message);
+  }
+
+  /**
+   * Submit a transaction whose ID is fixed up front
+   * Retries on BUSY, throttling and timeouts with the same transaction ID,
+   * so a retry can never execute twice: if an earlier attempt reached the
+   * network the node answers DUPLICATE_TRANSACTION and the receipt of that
+   * attempt is returned instead. When retries run out without a receipt the
+   * error is flagged outcomeUnknown, meaning the transaction may still
+   * reach consensus.
+   *
+   * @param {string} transactionId - Transaction ID used for every attempt
+   * @param {Function} attempt - Submits once and resolves to the receipt
+   * @returns {Object} - Receipt of the transaction
+   */
+  async submitWithRetry(transactionId, attempt) {
+    const maxAttempts = parseInt(process.env.LEDGER_SUBMIT_MAX_ATTEMPTS || 4);
+
+    for (let attemptNumber = 1; ; attemptNumber += 1) {
+      try {
+        return await attempt();
+      } catch (error) {
+        if (BaseLedger.statusOf(error) === 'DUPLICATE_TRANSACTION') {
+          logger.warn(`Transaction ${transactionId} was already submitted, using its receipt`);
+          return this.fetchReceipt(transactionId);
+        }
+
+        if (!this.isRetryable(error)) {
+          throw error;
+        }
+
+        if (attemptNumber >= maxAttempts) {
+          let receipt = null;
+          try {
+            receipt = await this.fetchReceipt(transactionId);
+          } catch (receiptError) {
+            const receiptStatus = BaseLedger.statusOf(receiptError);
+            if (receiptStatus && !NO_RECEIPT_STATUSES.includes(receiptStatus) && !this.isRetryable(receiptError)) {
+              throw receiptError;
+            }
+          }
+
+          if (receipt) {
+            return receipt;
+          }
+
+          error.outcomeUnknown = true;
+          throw error;
+        }
+
+        logger.warn(`Transaction ${transactionId} attempt ${attemptNumber} failed (${BaseLedger.statusOf(error) || error.message}), retrying`);
+        await sleep(RETRY_BASE_DELAY_MS * 2 ** (attemptNumber - 1));
+      }
+    }
+  }
+
+  /**
+   * Get the receipt of a submitted transaction, throwing if it failed
+   * Implemented by each backend.
+   *
+   * @param {string} transactionId - Transaction ID
+   * @returns {Object} - Receipt of the transaction
+   */
+  async fetchReceipt(transactionId) {
+    throw new Error(`fetchReceipt is not implemented by the ${this.backend} backend`);
+  }
+
+  /**
+   * Wrap an operation error with context, keeping its status code and
+   * whether its outcome is unknown
+   *
+   * @param {string} message - Context, e.g. 'Failed to transfer tokens'
+   * @param {Error} error - Original error
+   * @returns {Error}
+   */
+  failure(message, error) {
+    const wrapped = new Error(`${message}: ${error.message}`);
+    wrapped.status = BaseLedger.statusOf(error);
+    wrapped.outcomeUnknown = Boolean(error.outcomeUnknown);
+    return wrapped;
+  }
+
+  /**
+   * Set token ID if already created
+   *
+   * @param {string} tokenId - Token ID string
+   */
+  setTokenId(tokenId) {
+    this.tokenId = tokenId;
+    logger.info(`Token ID set to: ${tokenId}`);
+  }
+}
+
+module.exports = BaseLedger;
@@ -0,0 +1,141 @@
+/**
+ * Hedera Client - Builds the SDK client for the configured network
+ *
+ * HEDERA_NETWORK selects the network:
+ * - mainnet, testnet, previewnet: the public networks
+ * - local: a local Hedera node (e.g. the local-node docker setup) at its
+ *   default addresses (consensus node 127.0.0.1:50211, mirror node REST
+ *   http://localhost:5551)
+ * - custom: the consensus nodes listed in HEDERA_NETWORK_NODES
+ *
+ * HEDERA_NETWORK_NODES ("host:port=account,..." or a JSON object of
+ * address to node account) also replaces the nodes of local.
+ * HEDERA_MIRROR_NETWORK sets the gRPC mirror node and MIRROR_NODE_URL the
+ * mirror node REST API; custom networks require MIRROR_NODE_URL.
+ * EXPLORER_URL sets the explorer transactions link to (HashScan for the
+ * public networks, none for local and custom).
+ */
+
+const { Client, LedgerId } = require('@hashgraph/sdk');
+
+const NETWORKS = {
+  mainnet: {
+    client: () => Client.forMainnet(),
+    mirrorNodeUrl: 'https://mainnet-public.mirrornode.hedera.com',
+    explorerUrl: 'https://hashscan.io/mainnet'
+  },
+  testnet: {
+    client: () => Client.forTestnet(),
+    mirrorNodeUrl: 'https://testnet.mirrornode.hedera.com',
+    explorerUrl: 'https://hashscan.io/testnet'
+  },
+  previewnet: {
+    client: () => Client.forPreviewnet(),
+    mirrorNodeUrl: 'https://previewnet.mirrornode.hedera.com',
+    explorerUrl: 'https://hashscan.io/previewnet'
+  },
+  local: {
+    client: () => Client.forLocalNode(),
+    ledgerId: LedgerId.LOCAL_NODE,
+    mirrorNodeUrl: 'http://localhost:5551'
+  },
+  custom: {
+    client: null, // Built from HEDERA_NETWORK_NODES
+    mirrorNodeUrl: null
+  }
+};
+
+/**
+ * Parse a consensus node list
+ * Accepts "host:port=0.0.3,host:port=0.0.4" or a JSON object
+ * { "host:port": "0.0.3" }.
+ *
+ * @param {string} value - Node list
+ * @returns {Object} - Address to node account ID
+ */
+function parseNodes(value) {
+  let nodes;
+
+  if (value.trim().startsWith('{')) {
+    nodes = JSON.parse(value);
+  } else {
+    nodes = {};
+    for (const entry of value.split(',').map(part => part.trim()).filter(Boolean)) {
+      const [address, accountId] = entry.split('=').map(part => part.trim());
+      if (!address || !accountId) {
+        throw new Error(`Invalid node "${entry}" in HEDERA_NETWORK_NODES, expected host:port=account`);
+      }
+      nodes[address] = accountId;
+    }
+  }
+
+  if (Object.keys(nodes).length === 0) {
+    throw new Error('HEDERA_NETWORK_NODES lists no nodes');
+  }
+  return nodes;
+}
+
+/**
+ * Network settings, from the environment
+ *
+ * @returns {Object} - { name, nodes, mirrorNetwork, mirrorNodeUrl, explorerUrl }
+ */
+function networkConfig() {
+  const name = process.env.HEDERA_NETWORK || 'testnet';
+  const network = NETWORKS[name];
+  if (!network) {
+    throw new Error(`Unknown HEDERA_NETWORK "${name}". Use one of: ${Object.keys(NETWORKS).join(', ')}`);
+  }
+
+  const nodes = process.env.HEDERA_NETWORK_NODES ? parseNodes(process.env.HEDERA_NETWORK_NODES) : null;
+  if (name === 'custom' && !nodes) {
+    throw new Error('HEDERA_NETWORK=custom requires HEDERA_NETWORK_NODES');
+  }
+
+  const mirrorNodeUrl = process.env.MIRROR_NODE_URL || network.mirrorNodeUrl;
+  if (!mirrorNodeUrl) {
+    throw new Error(`HEDERA_NETWORK=${name} requires MIRROR_NODE_URL`);
+  }
+
+  const explorerUrl = process.env.EXPLORER_URL || network.explorerUrl;
+
+  return {
+    name,
+    nodes,
+    mirrorNetwork: process.env.HEDERA_MIRROR_NETWORK || null,
+    mirrorNodeUrl: mirrorNodeUrl.replace(/\/+$/, ''),
+    explorerUrl: explorerUrl ? explorerUrl.replace(/\/+$/, '') : null
+  };
+}
+
+/**
+ * Build an SDK client (without operator) for a network
+ *
+ * @param {Object} config - Network settings (default: from the environment)
+ * @returns {Client}
+ */
+function createClient(config = networkConfig()) {
+  const network = NETWORKS[config.name];
+
+  let client;
+  if (config.nodes && (config.name === 'custom' || config.name === 'local')) {
+    client = Client.forNetwork(config.nodes);
+    if (network.ledgerId) {
+      client.setLedgerId(network.ledgerId);
+    }
+  } else {
+    client = network.client();
+  }
+
+  if (config.mirrorNetwork) {
+    client.setMirrorNetwork(config.mirrorNetwork.split(',').map(address => address.trim()));
+  }
+
+  return client;
+}
+
+module.exports = {
+  networkConfig,
+  createClient,
+  parseNodes
+};
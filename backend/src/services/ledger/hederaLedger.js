@@ -0,0 +1,1435 @@
+/**
+ * Hedera Ledger - Ledger backend that talks to the real Hedera network
+ * 
+ * This backend handles:
+ * - Token creation, minting and burning as multi-sig scheduled transactions
+ * - Freezing, unfreezing and wiping investor accounts (multi-sig scheduled)
+ * - Pausing and unpausing the token (multi-sig scheduled)
+ * - Granting and revoking KYC on investor accounts
+ * - Token allowances investors grant the treasury, and approved transfers
+ * - Relaying manager schedule signatures
+ * - Interest distribution
+ * - Account creation, management and key rotation
+ * - Submitting transactions signed by non-custodial investor wallets
+ * - Consensus Service (HCS) topics and messages
+ * - Transaction queries
+ *
+ * Every write goes through submit(), which fixes the transaction ID before
+ * the first attempt and retries transient failures (see BaseLedger).
+ */
+
+const {
+  PrivateKey,
+  PublicKey,
+  AccountId,
+  TokenCreateTransaction,
+  TokenMintTransaction,
+  TokenBurnTransaction,
+  TokenFreezeTransaction,
+  TokenUnfreezeTransaction,
+  TokenWipeTransaction,
+  TokenPauseTransaction,
+  TokenUnpauseTransaction,
+  TokenGrantKycTransaction,
+  TokenRevokeKycTransaction,
+  TransferTransaction,
+  TokenAssociateTransaction,
+  AccountAllowanceApproveTransaction,
+  CustomFractionalFee,
+  TokenType,
+  TokenSupplyType,
+  AccountBalanceQuery,
+  AccountInfoQuery,
+  AccountCreateTransaction,
+  AccountUpdateTransaction,
+  TokenInfoQuery,
+  ScheduleCreateTransaction,
+  ScheduleSignTransaction,
+  ScheduleInfoQuery,
+  ScheduleId,
+  TransactionReceiptQuery,
+  TransactionRecordQuery,
+  TopicCreateTransaction,
+  TopicMessageSubmitTransaction,
+  TopicId,
+  Hbar,
+  KeyList,
+  TransactionId,
+  Timestamp
+} = require('@hashgraph/sdk');
+const axios = require('axios');
+const BaseLedger = require('./baseLedger');
+const { networkConfig, createClient } = require('./hederaClient');
+const logger = require('../../utils/logger');
+
+class HederaLedger extends BaseLedger {
+  constructor() {
+    super('hedera');
+    this.client = null;
+    this.network = null;
+  }
+
+  /**
+   * Initialize Hedera client and load configuration
+   */
+  async initialize() {
+    try {
+      // Initialize client based on network (see hederaClient)
+      this.network = networkConfig();
+      this.client = createClient(this.network);
+
+      // Set operator account (Pezzy's main operational account)
+      const operatorId = AccountId.fromString(process.env.HEDERA_OPERATOR_ID);
+      const operatorKey = PrivateKey.fromString(process.env.HEDERA_OPERATOR_KEY);
+      this.client.setOperator(operatorId, operatorKey);
+
+      // Load manager public keys for multi-signature operations
+      this.loadManagerKeys();
+      this.loadKycKey(operatorKey);
+
+      // Treasury account is the operator account
+      this.treasuryId = operatorId;
+
+      this.initialized = true;
+      logger.info(`Hedera service initialized successfully on ${this.network.name}`);
+      
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to initialize Hedera service:', error);
+      throw new Error(`Hedera initialization failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * 2-of-2 key list of the managers' public keys
+   */
+  getMultiSigKey() {
+    return new KeyList(
+      this.managerPublicKeys.map(key => PublicKey.fromString(key)),
+      2
+    );
+  }
+
+  /**
+   * Generate a transaction ID paid by the operator
+   * Callers record it before submitting, so an interrupted submission can
+   * be looked up later.
+   *
+   * @returns {string} - Transaction ID
+   */
+  async generateTransactionId() {
+    await this.ensureInitialized();
+    return TransactionId.generate(this.client.operatorAccountId).toString();
+  }
+
+  /**
+   * Freeze, sign and submit a transaction through the retrying
+   * submission layer
+   *
+   * @param {Transaction} transaction - Unfrozen SDK transaction
+   * @param {Object} options - { transactionId, signers, memo }
+   * @returns {Object} - Transaction ID and receipt
+   */
+  async submit(transaction, { transactionId, signers = [], memo } = {}) {
+    const id = transactionId || await this.generateTransactionId();
+
+    if (memo) {
+      transaction.setTransactionMemo(memo);
+    }
+
+    transaction
+      .setTransactionId(TransactionId.fromString(id))
+      .freezeWith(this.client);
+
+    for (const key of signers) {
+      await transaction.sign(key);
+    }
+
+    const receipt = await this.submitWithRetry(id, async () => {
+      const response = await transaction.execute(this.client);
+      return response.getReceipt(this.client);
+    });
+
+    return { transactionId: id, receipt };
+  }
+
+  /**
+   * Get the receipt of a submitted transaction, throwing if it failed
+   *
+   * @param {string} transactionId - Transaction ID
+   * @returns {TransactionReceipt}
+   */
+  async fetchReceipt(transactionId) {
+    return new TransactionReceiptQuery()
+      .setTransactionId(TransactionId.fromString(transactionId))
+      .execute(this.client);
+  }
+
+  /**
+   * Look up the outcome of a transaction by ID
+   * The network keeps receipts for about three minutes; older transactions
+   * are looked up on the mirror node.
+   *
+   * @param {string} transactionId - Transaction ID
+   * @returns {Object} - Whether it reached consensus, its status and the
+   *   entity (schedule, token, account or topic) it created
+   */
+  async getTransactionReceipt(transactionId) {
+    await this.ensureInitialized();
+
+    try {
+      const receipt = await new TransactionReceiptQuery()
+        .setTransactionId(TransactionId.fromString(transactionId))
+        .setValidateStatus(false)
+        .execute(this.client);
+
+      const status = receipt.status.toString();
+      if (status !== 'UNKNOWN') {
+        const entity = receipt.scheduleId || receipt.tokenId || receipt.accountId || receipt.topicId;
+        return {
+          transactionId,
+          found: true,
+          status,
+          entityId: entity ? entity.toString() : null
+        };
+      }
+    } catch (error) {
+      logger.warn(`Receipt for ${transactionId} unavailable (${error.message}), checking the mirror node`);
+    }
+
+    return this.getMirrorTransaction(transactionId);
+  }
+
+  /**
+   * Look up a transaction on the mirror node
+   * 
+   * @param {string} transactionId - Transaction ID (0.0.x@seconds.nanos)
+   * @returns {Object} - Same shape as getTransactionReceipt()
+   */
+  async getMirrorTransaction(transactionId) {
+    const scheduled = transactionId.endsWith('?scheduled');
+    const [payer, validStart] = transactionId.replace('?scheduled', '').split('@');
+    const mirrorId = `${payer}-${validStart.replace('.', '-')}`;
+
+    try {
+      const response = await axios.get(
+        `${this.getMirrorNodeUrl()}/api/v1/transactions/${mirrorId}`,
+        { timeout: 10000 }
+      );
+
+      const transaction = response.data.transactions.find(
+        tx => Boolean(tx.scheduled) === scheduled && !tx.nonce
+      );
+
+      if (transaction) {
+        return {
+          transactionId,
+          found: true,
+          status: transaction.result,
+          entityId: transaction.entity_id || null,
+          transactionFee: transaction.charged_tx_fee,
+          consensusTimestamp: transaction.consensus_timestamp,
+          memo: Buffer.from(transaction.memo_base64 || '', 'base64').toString('utf8'),
+          tokenTransfers: (transaction.token_transfers || []).map(transfer => ({
+            tokenId: transfer.token_id,
+            accountId: transfer.account,
+            amount: Number(transfer.amount)
+          }))
+        };
+      }
+    } catch (error) {
+      if (!error.response || error.response.status !== 404) {
+        throw this.failure('Failed to look up transaction', error);
+      }
+    }
+
+    return { transactionId, found: false, status: null, entityId: null };
+  }
+
+  /**
+   * Actual network fee charged for a transaction
+   * Read from the mirror node, which is free to query (record queries are
+   * not) and lags consensus by a few seconds.
+   *
+   * @param {string} transactionId - Transaction ID (scheduled: "<id>?scheduled")
+   * @returns {Object} - { transactionId, found, feeTinybars, consensusAt }
+   */
+  async getTransactionFee(transactionId) {
+    const transaction = await this.getMirrorTransaction(transactionId);
+
+    return {
+      transactionId,
+      found: transaction.found,
+      feeTinybars: transaction.found ? Number(transaction.transactionFee) : null,
+      consensusAt: transaction.found ? this.consensusDate(transaction.consensusTimestamp) : null
+    };
+  }
+
+  /**
+   * Consensus record of a transaction: status, fee charged, memo and token
+   * transfers
+   * Read from the mirror node like getTransactionFee.
+   *
+   * @param {string} transactionId - Transaction ID (scheduled: "<id>?scheduled")
+   * @returns {Object} - { transactionId, found, status, consensusTimestamp,
+   *   consensusAt, feeTinybars, memo, tokenTransfers }
+   */
+  async getTransactionRecord(transactionId) {
+    const transaction = await this.getMirrorTransaction(transactionId);
+
+    if (!transaction.found) {
+      return { transactionId, found: false };
+    }
+
+    return {
+      transactionId,
+      found: true,
+      status: transaction.status,
+      consensusTimestamp: transaction.consensusTimestamp,
+      consensusAt: this.consensusDate(transaction.consensusTimestamp),
+      feeTinybars: Number(transaction.transactionFee),
+      memo: transaction.memo,
+      tokenTransfers: transaction.tokenTransfers
+    };
+  }
+
+  /**
+   * Wrap a transaction in a ScheduleCreateTransaction paid by the treasury
+   * The operator signs the schedule creation; managers add their own
+   * signatures later with ScheduleSignTransaction.
+   * 
+   * @param {Transaction} scheduledTx - Transaction to schedule
+   * @param {Object} options - { memo, expiresAt, transactionId }
+   * @returns {Object} - Schedule details
+   */
+  async createSchedule(scheduledTx, options = {}) {
+    // The memo is also carried by the scheduled transaction's own record
+    if (options.memo) {
+      scheduledTx.setTransactionMemo(options.memo);
+    }
+
+    const scheduleTx = new ScheduleCreateTransaction()
+      .setScheduledTransaction(scheduledTx)
+      .setPayerAccountId(this.treasuryId)
+      .setScheduleMemo(options.memo || '')
+      .setMaxTransactionFee(new Hbar(5));
+
+    if (options.expiresAt) {
+      scheduleTx
+        .setExpirationTime(Timestamp.fromDate(options.expiresAt))
+        .setWaitForExpiry(false);
+    }
+
+    let transactionId;
+    let receipt;
+    try {
+      ({ transactionId, receipt } = await this.submit(scheduleTx, options));
+    } catch (error) {
+      // Re-creating an identical schedule returns the existing one
+      if (BaseLedger.statusOf(error) !== 'IDENTICAL_SCHEDULE_ALREADY_CREATED' || !error.transactionReceipt) {
+        throw error;
+      }
+      transactionId = error.transactionId.toString();
+      receipt = error.transactionReceipt;
+    }
+
+    logger.info(`Schedule created: ${receipt.scheduleId.toString()}`);
+
+    return {
+      success: true,
+      scheduleId: receipt.scheduleId.toString(),
+      scheduledTransactionId: receipt.scheduledTransactionId.toString(),
+      transactionId,
+      status: receipt.status.toString()
+    };
+  }
+
+  /**
+   * Schedule token creation with multi-signature requirement
+   * Executes once both Manager 1 and Manager 2 have signed the schedule
+   * 
+   * @param {Object} tokenConfig - Token configuration
+   * @param {Object} options - { memo, expiresAt, transactionId }
+   * @returns {Object} - Schedule details
+   */
+  async scheduleTokenCreation(tokenConfig = {}, options = {}) {
+    await this.ensureInitialized();
+
+    try {
+      // Create a 2-of-2 multi-signature key list for treasury operations
+      const multiSigKey = this.getMultiSigKey();
+
+      // Configure token properties
+      const tokenName = tokenConfig.name || tokenConfig.tokenName || process.env.TOKEN_NAME || 'Pezzy Money Market Token';
+      const tokenSymbol = tokenConfig.symbol || tokenConfig.tokenSymbol || process.env.TOKEN_SYMBOL || 'PMKT';
+      const decimals = parseInt(tokenConfig.decimals || process.env.TOKEN_DECIMALS || 2);
+      const initialSupply = parseInt(tokenConfig.initialSupply || process.env.INITIAL_SUPPLY || 0);
+
+      logger.info(`Scheduling token creation: ${tokenName} (${tokenSymbol})`);
+
+      const tokenCreateTx = new TokenCreateTransaction()
+        .setTokenName(tokenName)
+        .setTokenSymbol(tokenSymbol)
+        .setDecimals(decimals)
+        .setInitialSupply(initialSupply)
+        .setTreasuryAccountId(this.treasuryId)
+        .setTokenType(TokenType.FungibleCommon)
+        .setSupplyType(TokenSupplyType.Infinite) // Allow dynamic minting based on investments
+        .setAdminKey(multiSigKey) // Multi-sig required for admin operations
+        .setSupplyKey(multiSigKey) // Multi-sig required for minting/burning
+        .setFreezeKey(multiSigKey) // Multi-sig required for freezing accounts
+        .setWipeKey(multiSigKey) // Multi-sig required for wiping tokens
+        .setKycKey(this.kycKey.publicKey) // Platform grants KYC to verified investors
+        .setFeeScheduleKey(multiSigKey) // Multi-sig required to change the transfer fee
+        .setPauseKey(multiSigKey) // Multi-sig required to pause all token activity
+        .setMaxTransactionFee(new Hbar(30));
+
+      const transferFee = this.transferFeeConfig(tokenConfig);
+      if (transferFee) {
+        tokenCreateTx.setCustomFees([
+          new CustomFractionalFee()
+            .setNumerator(transferFee.numerator)
+            .setDenominator(transferFee.denominator)
+            .setMin(transferFee.minimumAmount)
+            .setMax(transferFee.maximumAmount)
+            .setFeeCollectorAccountId(this.treasuryId)
+        ]);
+      }
+
+      return await this.createSchedule(tokenCreateTx, options);
+
+    } catch (error) {
+      logger.error('Token creation scheduling failed:', error);
+      throw this.failure('Failed to schedule token creation', error);
+    }
+  }
+
+  /**
+   * Schedule a token mint (requires multi-sig)
+   * Called when investors deposit RWF
+   * 
+   * @param {number} amount - Amount to mint (in smallest units based on decimals)
+   * @param {Object} options - { tokenId, memo, expiresAt, transactionId }
+   * @returns {Object} - Schedule details
+   */
+  async scheduleMint(amount, options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+    await this.ensureInitialized();
+
+    try {
+      logger.info(`Scheduling mint of ${amount} tokens...`);
+
+      const mintTx = new TokenMintTransaction()
+        .setTokenId(tokenId)
+        .setAmount(amount)
+        .setMaxTransactionFee(new Hbar(20));
+
+      return await this.createSchedule(mintTx, options);
+
+    } catch (error) {
+      logger.error('Token mint scheduling failed:', error);
+      throw this.failure('Failed to schedule mint', error);
+    }
+  }
+
+  /**
+   * Schedule a token burn (requires multi-sig)
+   * Called when investors redeem their investment
+   * 
+   * @param {number} amount - Amount to burn
+   * @param {Object} options - { tokenId, memo, expiresAt, transactionId }
+   * @returns {Object} - Schedule details
+   */
+  async scheduleBurn(amount, options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+    await this.ensureInitialized();
+
+    try {
+      logger.info(`Scheduling burn of ${amount} tokens...`);
+
+      const burnTx = new TokenBurnTransaction()
+        .setTokenId(tokenId)
+        .setAmount(amount)
+        .setMaxTransactionFee(new Hbar(20));
+
+      return await this.createSchedule(burnTx, options);
+
+    } catch (error) {
+      logger.error('Token burn scheduling failed:', error);
+      throw this.failure('Failed to schedule burn', error);
+    }
+  }
+
+  /**
+   * Schedule freezing an account's token balance (requires multi-sig)
+   * A frozen account can neither send nor receive the token.
+   * 
+   * @param {string} accountId - Account to freeze
+   * @param {Object} options - { tokenId, memo, expiresAt, transactionId }
+   * @returns {Object} - Schedule details
+   */
+  async scheduleFreeze(accountId, options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+    await this.ensureInitialized();
+
+    try {
+      logger.info(`Scheduling freeze of ${accountId}...`);
+
+      const freezeTx = new TokenFreezeTransaction()
+        .setTokenId(tokenId)
+        .setAccountId(AccountId.fromString(accountId))
+        .setMaxTransactionFee(new Hbar(2));
+
+      return await this.createSchedule(freezeTx, options);
+
+    } catch (error) {
+      logger.error('Account freeze scheduling failed:', error);
+      throw this.failure('Failed to schedule freeze', error);
+    }
+  }
+
+  /**
+   * Schedule unfreezing an account's token balance (requires multi-sig)
+   * 
+   * @param {string} accountId - Account to unfreeze
+   * @param {Object} options - { tokenId, memo, expiresAt, transactionId }
+   * @returns {Object} - Schedule details
+   */
+  async scheduleUnfreeze(accountId, options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+    await this.ensureInitialized();
+
+    try {
+      logger.info(`Scheduling unfreeze of ${accountId}...`);
+
+      const unfreezeTx = new TokenUnfreezeTransaction()
+        .setTokenId(tokenId)
+        .setAccountId(AccountId.fromString(accountId))
+        .setMaxTransactionFee(new Hbar(2));
+
+      return await this.createSchedule(unfreezeTx, options);
+
+    } catch (error) {
+      logger.error('Account unfreeze scheduling failed:', error);
+      throw this.failure('Failed to schedule unfreeze', error);
+    }
+  }
+
+  /**
+   * Schedule wiping tokens from an account (requires multi-sig)
+   * Wiped tokens are removed from the total supply. Hedera rejects wiping
+   * a frozen account, so unfreeze it first.
+   * 
+   * @param {string} accountId - Account to wipe tokens from
+   * @param {number} amount - Amount to wipe
+   * @param {Object} options - { tokenId, memo, expiresAt, transactionId }
+   * @returns {Object} - Schedule details
+   */
+  async scheduleWipe(accountId, amount, options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+    await this.ensureInitialized();
+
+    try {
+      logger.info(`Scheduling wipe of ${amount} tokens from ${accountId}...`);
+
+      const wipeTx = new TokenWipeTransaction()
+        .setTokenId(tokenId)
+        .setAccountId(AccountId.fromString(accountId))
+        .setAmount(amount)
+        .setMaxTransactionFee(new Hbar(2));
+
+      return await this.createSchedule(wipeTx, options);
+
+    } catch (error) {
+      logger.error('Token wipe scheduling failed:', error);
+      throw this.failure('Failed to schedule wipe', error);
+    }
+  }
+
+  /**
+   * Schedule pausing the token (requires multi-sig)
+   * While paused, no transfer, mint, burn, freeze, wipe or association
+   * involving the token succeeds.
+   * 
+   * @param {Object} options - { tokenId, memo, expiresAt, transactionId }
+   * @returns {Object} - Schedule details
+   */
+  async schedulePause(options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+    await this.ensureInitialized();
+
+    try {
+      logger.info(`Scheduling pause of token ${tokenId}...`);
+
+      const pauseTx = new TokenPauseTransaction()
+        .setTokenId(tokenId)
+        .setMaxTransactionFee(new Hbar(2));
+
+      return await this.createSchedule(pauseTx, options);
+
+    } catch (error) {
+      logger.error('Token pause scheduling failed:', error);
+      throw this.failure('Failed to schedule pause', error);
+    }
+  }
+
+  /**
+   * Schedule unpausing the token (requires multi-sig)
+   * 
+   * @param {Object} options - { tokenId, memo, expiresAt, transactionId }
+   * @returns {Object} - Schedule details
+   */
+  async scheduleUnpause(options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+    await this.ensureInitialized();
+
+    try {
+      logger.info(`Scheduling unpause of token ${tokenId}...`);
+
+      const unpauseTx = new TokenUnpauseTransaction()
+        .setTokenId(tokenId)
+        .setMaxTransactionFee(new Hbar(2));
+
+      return await this.createSchedule(unpauseTx, options);
+
+    } catch (error) {
+      logger.error('Token unpause scheduling failed:', error);
+      throw this.failure('Failed to schedule unpause', error);
+    }
+  }
+
+  /**
+   * Build the unsigned ScheduleSignTransaction a manager signs on their device
+   * The transaction is valid for about two minutes after it is frozen.
+   * 
+   * @param {string} scheduleId - Schedule to sign
+   * @returns {string} - Base64 encoded frozen transaction bytes
+   */
+  async getScheduleSignPayload(scheduleId) {
+    await this.ensureInitialized();
+
+    const signTx = new ScheduleSignTransaction()
+      .setScheduleId(ScheduleId.fromString(scheduleId))
+      .setMaxTransactionFee(new Hbar(2))
+      .freezeWith(this.client);
+
+    return Buffer.from(signTx.toBytes()).toString('base64');
+  }
+
+  /**
+   * Submit a ScheduleSignTransaction signed by a manager
+   * 
+   * @param {string} scheduleId - Schedule being signed
+   * @param {string} signedTransaction - Base64 encoded signed transaction bytes
+   * @returns {Object} - Submission result with signer public keys
+   */
+  async submitScheduleSignature(scheduleId, signedTransaction) {
+    await this.ensureInitialized();
+
+    const { transaction, signerPublicKeys } = this.readScheduleSignature(scheduleId, signedTransaction);
+
+    try {
+      // Signed bytes are already frozen with their transaction ID
+      const transactionId = transaction.transactionId.toString();
+      const receipt = await this.submitWithRetry(transactionId, async () => {
+        const response = await transaction.execute(this.client);
+        return response.getReceipt(this.client);
+      });
+
+      logger.info(`Schedule ${scheduleId} signed by ${signerPublicKeys.length} key(s)`);
+
+      return {
+        success: true,
+        scheduleId,
+        signerPublicKeys,
+        transactionId,
+        status: receipt.status.toString()
+      };
+
+    } catch (error) {
+      logger.error('Schedule signature submission failed:', error);
+      throw this.failure('Failed to submit schedule signature', error);
+    }
+  }
+
+  /**
+   * Get the state of a schedule
+   * 
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Object} - Schedule state and collected signatories
+   */
+  async getScheduleInfo(scheduleId) {
+    await this.ensureInitialized();
+
+    try {
+      const info = await new ScheduleInfoQuery()
+        .setScheduleId(ScheduleId.fromString(scheduleId))
+        .execute(this.client);
+
+      return {
+        scheduleId,
+        scheduledTransactionId: info.scheduledTransactionId.toString(),
+        signatories: info.signers ? info.signers.toArray().map(key => key.toString()) : [],
+        executed: info.executed ? info.executed.toDate() : null,
+        deleted: info.deleted ? info.deleted.toDate() : null,
+        expirationTime: info.expirationTime ? info.expirationTime.toDate() : null
+      };
+
+    } catch (error) {
+      logger.error('Failed to get schedule info:', error);
+      throw new Error(`Failed to get schedule info: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the outcome of an executed scheduled transaction
+   * 
+   * @param {string} scheduledTransactionId - Scheduled transaction ID
+   * @returns {Object} - Receipt status and any created token ID
+   */
+  async getScheduledTransactionResult(scheduledTransactionId) {
+    await this.ensureInitialized();
+
+    try {
+      const receipt = await new TransactionReceiptQuery()
+        .setTransactionId(TransactionId.fromString(scheduledTransactionId))
+        .setValidateStatus(false)
+        .execute(this.client);
+
+      return {
+        transactionId: scheduledTransactionId,
+        status: receipt.status.toString(),
+        tokenId: receipt.tokenId ? receipt.tokenId.toString() : null
+      };
+
+    } catch (error) {
+      logger.error('Failed to get scheduled transaction result:', error);
+      throw new Error(`Failed to get scheduled transaction result: ${error.message}`);
+    }
+  }
+
+  /**
+   * Transfer tokens from treasury to investor account
+   * 
+   * @param {string} recipientAccountId - Hedera account ID of recipient
+   * @param {number} amount - Amount to transfer
+   * @param {Object} options - { tokenId, transactionId, memo }
+   * @returns {Object} - Transfer result
+   */
+  async transferTokensToInvestor(recipientAccountId, amount, options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+
+    try {
+      logger.info(`Transferring ${amount} tokens to ${recipientAccountId}...`);
+
+      const recipientId = AccountId.fromString(recipientAccountId);
+
+      // Transfer transaction
+      const transferTx = new TransferTransaction()
+        .addTokenTransfer(tokenId, this.treasuryId, -amount)
+        .addTokenTransfer(tokenId, recipientId, amount)
+        .setMaxTransactionFee(new Hbar(10));
+
+      const { transactionId, receipt } = await this.submit(transferTx, options);
+
+      logger.info(`Transferred ${amount} tokens to ${recipientAccountId} successfully`);
+
+      return {
+        success: true,
+        amount: amount,
+        recipient: recipientAccountId,
+        transactionId,
+        status: receipt.status.toString()
+      };
+
+    } catch (error) {
+      logger.error('Token transfer failed:', error);
+      throw this.failure('Failed to transfer tokens', error);
+    }
+  }
+
+  /**
+   * Transfer tokens from treasury to several investor accounts in one
+   * transaction: every credit lands, or none does
+   *
+   * @param {Array} transfers - [{ accountId, amount }], at most maxTransferRecipients
+   * @param {Object} options - { tokenId, transactionId, memo }
+   * @returns {Object} - Transfer result
+   */
+  async transferTokensToInvestors(transfers, options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+    this.requireTransferBatch(transfers);
+
+    try {
+      const total = transfers.reduce((sum, transfer) => sum + transfer.amount, 0);
+      logger.info(`Transferring ${total} tokens to ${transfers.length} accounts...`);
+
+      const transferTx = new TransferTransaction()
+        .addTokenTransfer(tokenId, this.treasuryId, -total)
+        .setMaxTransactionFee(new Hbar(10));
+      for (const transfer of transfers) {
+        transferTx.addTokenTransfer(tokenId, AccountId.fromString(transfer.accountId), transfer.amount);
+      }
+
+      const { transactionId, receipt } = await this.submit(transferTx, options);
+
+      logger.info(`Transferred ${total} tokens to ${transfers.length} accounts successfully`);
+
+      return {
+        success: true,
+        amount: total,
+        recipients: transfers.map(transfer => transfer.accountId),
+        transactionId,
+        status: receipt.status.toString()
+      };
+
+    } catch (error) {
+      logger.error('Batch token transfer failed:', error);
+      throw this.failure('Failed to transfer tokens', error);
+    }
+  }
+
+  /**
+   * Transfer tokens from investor back to treasury (for redemption)
+   * 
+   * @param {string} senderAccountId - Hedera account ID of sender
+   * @param {string} senderPrivateKey - Private key of sender
+   * @param {number} amount - Amount to transfer
+   * @param {Object} options - { tokenId, transactionId, memo }
+   * @returns {Object} - Transfer result
+   */
+  async transferTokensFromInvestor(senderAccountId, senderPrivateKey, amount, options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+
+    try {
+      logger.info(`Receiving ${amount} tokens from ${senderAccountId}...`);
+
+      const senderId = AccountId.fromString(senderAccountId);
+      const senderKey = PrivateKey.fromString(senderPrivateKey);
+
+      // Transfer transaction (signed by investor)
+      const transferTx = new TransferTransaction()
+        .addTokenTransfer(tokenId, senderId, -amount)
+        .addTokenTransfer(tokenId, this.treasuryId, amount)
+        .setMaxTransactionFee(new Hbar(10));
+
+      const { transactionId, receipt } = await this.submit(transferTx, {
+        ...options,
+        signers: [senderKey]
+      });
+
+      logger.info(`Received ${amount} tokens from ${senderAccountId} successfully`);
+
+      return {
+        success: true,
+        amount: amount,
+        sender: senderAccountId,
+        transactionId,
+        status: receipt.status.toString()
+      };
+
+    } catch (error) {
+      logger.error('Token transfer from investor failed:', error);
+      throw this.failure('Failed to receive tokens', error);
+    }
+  }
+
+  /**
+   * Allow the treasury to transfer an investor's tokens (signed with the
+   * investor's key)
+   * Sets the allowance to amount, replacing what was left of the previous one.
+   *
+   * @param {string} ownerAccountId - Investor account granting the allowance
+   * @param {string} ownerPrivateKey - Private key of the investor account
+   * @param {number} amount - Tokens the treasury may transfer
+   * @param {Object} options - { tokenId, transactionId }
+   * @returns {Object} - Approval result
+   */
+  async approveTokenAllowance(ownerAccountId, ownerPrivateKey, amount, options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+
+    try {
+      const ownerId = AccountId.fromString(ownerAccountId);
+      const ownerKey = PrivateKey.fromString(ownerPrivateKey);
+
+      const approveTx = new AccountAllowanceApproveTransaction()
+        .approveTokenAllowance(tokenId, ownerId, this.treasuryId, amount)
+        .setMaxTransactionFee(new Hbar(2));
+
+      const { transactionId, receipt } = await this.submit(approveTx, {
+        ...options,
+        signers: [ownerKey]
+      });
+
+      logger.info(`Allowance of ${amount} tokens granted by ${ownerAccountId} to the treasury`);
+
+      return {
+        success: true,
+        owner: ownerAccountId,
+        spender: this.treasuryId.toString(),
+        tokenId: tokenId.toString(),
+        amount,
+        transactionId,
+        status: receipt.status.toString()
+      };
+
+    } catch (error) {
+      logger.error('Token allowance approval failed:', error);
+      throw this.failure('Failed to approve token allowance', error);
+    }
+  }
+
+  /**
+   * Transfer tokens from investor back to treasury under the allowance the
+   * investor granted (for redemption)
+   * Only the treasury signs; the allowance shrinks by amount.
+   *
+   * @param {string} ownerAccountId - Hedera account ID of the investor
+   * @param {number} amount - Amount to transfer
+   * @param {Object} options - { tokenId, transactionId, memo }
+   * @returns {Object} - Transfer result
+   */
+  async transferApprovedFromInvestor(ownerAccountId, amount, options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+
+    try {
+      logger.info(`Receiving ${amount} approved tokens from ${ownerAccountId}...`);
+
+      const ownerId = AccountId.fromString(ownerAccountId);
+
+      // The spender (treasury) pays for and signs approved transfers
+      const transferTx = new TransferTransaction()
+        .addApprovedTokenTransfer(tokenId, ownerId, -amount)
+        .addTokenTransfer(tokenId, this.treasuryId, amount)
+        .setMaxTransactionFee(new Hbar(10));
+
+      const { transactionId, receipt } = await this.submit(transferTx, options);
+
+      logger.info(`Received ${amount} approved tokens from ${ownerAccountId} successfully`);
+
+      return {
+        success: true,
+        amount,
+        sender: ownerAccountId,
+        approved: true,
+        transactionId,
+        status: receipt.status.toString()
+      };
+
+    } catch (error) {
+      logger.error('Approved token transfer from investor failed:', error);
+      throw this.failure('Failed to receive tokens', error);
+    }
+  }
+
+  /**
+   * Associate token with an investor's account
+   * Required before they can receive tokens
+   * 
+   * @param {string} accountId - Account to associate token with
+   * @param {string} accountPrivateKey - Private key of the account
+   * @param {Object} options - { tokenId, transactionId }
+   * @returns {Object} - Association result
+   */
+  async associateTokenToAccount(accountId, accountPrivateKey, options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+
+    try {
+      logger.info(`Associating token with account ${accountId}...`);
+
+      const accId = AccountId.fromString(accountId);
+      const accKey = PrivateKey.fromString(accountPrivateKey);
+
+      const associateTx = new TokenAssociateTransaction()
+        .setAccountId(accId)
+        .setTokenIds([tokenId])
+        .setMaxTransactionFee(new Hbar(5));
+
+      const { transactionId, receipt } = await this.submit(associateTx, {
+        ...options,
+        signers: [accKey]
+      });
+
+      logger.info(`Token associated with account ${accountId} successfully`);
+
+      return {
+        success: true,
+        accountId: accountId,
+        tokenId,
+        transactionId,
+        status: receipt.status.toString()
+      };
+
+    } catch (error) {
+      logger.error('Token association failed:', error);
+      throw this.failure('Failed to associate token', error);
+    }
+  }
+
+  /**
+   * Freeze a transaction paid by the operator so an investor's wallet can
+   * sign it
+   *
+   * @param {Transaction} transaction - Unfrozen SDK transaction
+   * @returns {Object} - { transactionId, transactionBytes, expiresAt }
+   */
+  async freezeForClient(transaction) {
+    const transactionId = await this.generateTransactionId();
+
+    transaction
+      .setTransactionId(TransactionId.fromString(transactionId))
+      .freezeWith(this.client);
+
+    return this.clientPayload(transaction);
+  }
+
+  /**
+   * Submit a client-signed transaction, adding the operator's signature
+   */
+  async submitClientSigned(transaction) {
+    const transactionId = transaction.transactionId.toString();
+    const receipt = await this.submitWithRetry(transactionId, async () => {
+      const response = await transaction.execute(this.client);
+      return response.getReceipt(this.client);
+    });
+
+    return { transactionId, receipt };
+  }
+
+  /**
+   * Submit a token association signed by a non-custodial investor
+   *
+   * @param {string} signedTransaction - Base64 signed bytes from prepareAssociation
+   * @param {Object} account - { accountId, publicKey, tokenId } of the investor
+   * @returns {Object} - Association result
+   */
+  async submitSignedAssociation(signedTransaction, account) {
+    const tokenId = this.requireToken(account.tokenId);
+    const { accountId, publicKey } = account;
+    await this.ensureInitialized();
+
+    const transaction = this.readSignedAssociation(signedTransaction, { accountId, publicKey, tokenId });
+
+    try {
+      const { transactionId, receipt } = await this.submitClientSigned(transaction);
+
+      logger.info(`Token associated with account ${accountId} successfully`);
+
+      return {
+        success: true,
+        accountId,
+        tokenId,
+        transactionId,
+        status: receipt.status.toString()
+      };
+
+    } catch (error) {
+      logger.error('Signed token association failed:', error);
+      throw this.failure('Failed to associate token', error);
+    }
+  }
+
+  /**
+   * Submit a transfer back to the treasury signed by a non-custodial
+   * investor (redemption)
+   *
+   * @param {string} signedTransaction - Base64 signed bytes from prepareTransferFromInvestor
+   * @param {Object} expected - { senderAccountId, publicKey, amount, transactionId, tokenId }
+   * @returns {Object} - Transfer result
+   */
+  async submitSignedTransferFromInvestor(signedTransaction, expected) {
+    const tokenId = this.requireToken(expected.tokenId);
+    await this.ensureInitialized();
+
+    const { senderAccountId, amount } = expected;
+    const transaction = this.readSignedTransferFromInvestor(signedTransaction, { ...expected, tokenId });
+
+    try {
+      const { transactionId, receipt } = await this.submitClientSigned(transaction);
+
+      logger.info(`Received ${amount} tokens from ${senderAccountId} successfully`);
+
+      return {
+        success: true,
+        amount,
+        sender: senderAccountId,
+        transactionId,
+        status: receipt.status.toString()
+      };
+
+    } catch (error) {
+      logger.error('Signed token transfer from investor failed:', error);
+      throw this.failure('Failed to receive tokens', error);
+    }
+  }
+
+  /**
+   * Grant KYC for the token to an account (signed with the KYC key)
+   * Hedera refuses token transfers to or from accounts without KYC.
+   * 
+   * @param {string} accountId - Account to grant KYC to
+   * @param {Object} options - { tokenId, transactionId }
+   * @returns {Object} - Grant result
+   */
+  async grantKyc(accountId, options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+    await this.ensureInitialized();
+
+    try {
+      logger.info(`Granting KYC to ${accountId}...`);
+
+      const grantTx = new TokenGrantKycTransaction()
+        .setTokenId(tokenId)
+        .setAccountId(AccountId.fromString(accountId))
+        .setMaxTransactionFee(new Hbar(2));
+
+      const { transactionId, receipt } = await this.submit(grantTx, {
+        ...options,
+        signers: [this.kycKey]
+      });
+
+      return {
+        success: true,
+        accountId,
+        transactionId,
+        status: receipt.status.toString()
+      };
+
+    } catch (error) {
+      logger.error('KYC grant failed:', error);
+      throw this.failure('Failed to grant KYC', error);
+    }
+  }
+
+  /**
+   * Revoke KYC for the token from an account (signed with the KYC key)
+   * 
+   * @param {string} accountId - Account to revoke KYC from
+   * @param {Object} options - { tokenId, transactionId }
+   * @returns {Object} - Revoke result
+   */
+  async revokeKyc(accountId, options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+    await this.ensureInitialized();
+
+    try {
+      logger.info(`Revoking KYC from ${accountId}...`);
+
+      const revokeTx = new TokenRevokeKycTransaction()
+        .setTokenId(tokenId)
+        .setAccountId(AccountId.fromString(accountId))
+        .setMaxTransactionFee(new Hbar(2));
+
+      const { transactionId, receipt } = await this.submit(revokeTx, {
+        ...options,
+        signers: [this.kycKey]
+      });
+
+      return {
+        success: true,
+        accountId,
+        transactionId,
+        status: receipt.status.toString()
+      };
+
+    } catch (error) {
+      logger.error('KYC revoke failed:', error);
+      throw this.failure('Failed to revoke KYC', error);
+    }
+  }
+
+  /**
+   * Get token information
+   *
+   * @param {Object} options - { tokenId } (default: the current token)
+   * @returns {Object} - Token information
+   */
+  async getTokenInfo(options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+
+    try {
+      const tokenInfo = await new TokenInfoQuery()
+        .setTokenId(tokenId)
+        .execute(this.client);
+
+      return {
+        tokenId,
+        name: tokenInfo.name,
+        symbol: tokenInfo.symbol,
+        decimals: tokenInfo.decimals,
+        totalSupply: tokenInfo.totalSupply.toString(),
+        treasury: tokenInfo.treasuryAccountId.toString(),
+        adminKey: tokenInfo.adminKey ? tokenInfo.adminKey.toString() : null,
+        supplyKey: tokenInfo.supplyKey ? tokenInfo.supplyKey.toString() : null,
+        kycKey: tokenInfo.kycKey ? tokenInfo.kycKey.toString() : null,
+        pauseKey: tokenInfo.pauseKey ? tokenInfo.pauseKey.toString() : null,
+        paused: tokenInfo.pauseStatus === true,
+        customFees: (tokenInfo.customFees || [])
+          .filter(fee => fee instanceof CustomFractionalFee)
+          .map(fee => ({
+            type: 'fractional',
+            numerator: Number(fee.numerator),
+            denominator: Number(fee.denominator),
+            minimumAmount: Number(fee.min),
+            maximumAmount: Number(fee.max),
+            feeCollectorAccountId: fee.feeCollectorAccountId ? fee.feeCollectorAccountId.toString() : null
+          }))
+      };
+
+    } catch (error) {
+      logger.error('Failed to get token info:', error);
+      throw new Error(`Failed to get token info: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get account token balance
+   * 
+   * @param {string} accountId - Account ID to check
+   * @param {Object} options - { tokenId } (default: the current token)
+   * @returns {Object} - Balance information
+   */
+  async getAccountBalance(accountId, options = {}) {
+    const tokenId = options.tokenId || this.tokenId;
+
+    try {
+      const accId = AccountId.fromString(accountId);
+      const balance = await new AccountBalanceQuery()
+        .setAccountId(accId)
+        .execute(this.client);
+
+      let tokenBalance = 0;
+      let tokenAssociated = false;
+      if (tokenId && balance.tokens) {
+        const relationship = balance.tokens.get(tokenId);
+        tokenAssociated = relationship !== null && relationship !== undefined;
+        tokenBalance = relationship || 0;
+      }
+
+      return {
+        accountId: accountId,
+        hbarBalance: balance.hbars.toString(),
+        hbarTinybars: balance.hbars.toTinybars().toNumber(),
+        tokenBalance: tokenBalance.toString(),
+        tokenAssociated,
+        tokenId: tokenId || null
+      };
+
+    } catch (error) {
+      logger.error('Failed to get account balance:', error);
+      throw new Error(`Failed to get account balance: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a new Hedera account paid for by the operator
+   * 
+   * @param {string} publicKey - Public key that will control the account
+   * @param {number} initialBalanceTinybars - Starting HBAR balance in tinybars
+   * @param {Object} options - { transactionId, maxAutomaticTokenAssociations }
+   * @returns {Object} - New account ID and creation transaction
+   */
+  async createAccount(publicKey, initialBalanceTinybars = 0, options = {}) {
+    await this.ensureInitialized();
+
+    try {
+      const { maxAutomaticTokenAssociations = this.defaultMaxAutoAssociations(), ...submitOptions } = options;
+
+      const accountTx = new AccountCreateTransaction()
+        .setKey(PublicKey.fromString(publicKey))
+        .setInitialBalance(Hbar.fromTinybars(initialBalanceTinybars))
+        .setMaxAutomaticTokenAssociations(maxAutomaticTokenAssociations);
+
+      const { transactionId, receipt } = await this.submit(accountTx, submitOptions);
+
+      logger.info(`Hedera account created: ${receipt.accountId.toString()}`);
+
+      return {
+        success: true,
+        accountId: receipt.accountId.toString(),
+        transactionId,
+        status: receipt.status.toString()
+      };
+
+    } catch (error) {
+      logger.error('Account creation failed:', error);
+      throw this.failure('Failed to create account', error);
+    }
+  }
+
+  /**
+   * Replace the key of an account (key rotation)
+   * Hedera requires both the current and the new key to sign.
+   * 
+   * @param {string} accountId - Account to update
+   * @param {string} currentPrivateKey - Current private key of the account
+   * @param {string} newPrivateKey - Private key that will control the account
+   * @param {Object} options - { transactionId }
+   * @returns {Object} - Update result
+   */
+  async updateAccountKey(accountId, currentPrivateKey, newPrivateKey, options = {}) {
+    await this.ensureInitialized();
+
+    try {
+      const newKey = PrivateKey.fromString(newPrivateKey);
+
+      const updateTx = new AccountUpdateTransaction()
+        .setAccountId(AccountId.fromString(accountId))
+        .setKey(newKey.publicKey)
+        .setMaxTransactionFee(new Hbar(2));
+
+      const { transactionId, receipt } = await this.submit(updateTx, {
+        ...options,
+        signers: [PrivateKey.fromString(currentPrivateKey), newKey]
+      });
+
+      logger.info(`Key of account ${accountId} updated`);
+
+      return {
+        success: true,
+        accountId,
+        publicKey: newKey.publicKey.toString(),
+        transactionId,
+        status: receipt.status.toString()
+      };
+
+    } catch (error) {
+      logger.error('Account key update failed:', error);
+      throw this.failure('Failed to update account key', error);
+    }
+  }
+
+  /**
+   * Public key controlling an account
+   *
+   * @param {string} accountId - Account ID
+   * @returns {string|null} - Public key, or null for key lists and threshold keys
+   */
+  async getAccountKey(accountId) {
+    await this.ensureInitialized();
+
+    try {
+      const info = await new AccountInfoQuery()
+        .setAccountId(AccountId.fromString(accountId))
+        .execute(this.client);
+
+      return info.key instanceof PublicKey ? info.key.toString() : null;
+
+    } catch (error) {
+      logger.error('Account info query failed:', error);
+      throw this.failure('Failed to get account info', error);
+    }
+  }
+
+  /**
+   * Mirror node REST base URL for the configured network
+   */
+  getMirrorNodeUrl() {
+    return (this.network || networkConfig()).mirrorNodeUrl;
+  }
+
+  /**
+   * Explorer base URL for the configured network (null when it has none)
+   */
+  getExplorerUrl() {
+    return (this.network || networkConfig()).explorerUrl;
+  }
+
+  /**
+   * Create a Consensus Service topic that only the operator can submit to
+   * 
+   * @param {string} memo - Topic memo
+   * @returns {Object} - New topic ID and creation transaction
+   */
+  async createTopic(memo) {
+    await this.ensureInitialized();
+
+    try {
+      const topicTx = new TopicCreateTransaction()
+        .setTopicMemo(memo)
+        .setSubmitKey(this.client.operatorPublicKey)
+        .setMaxTransactionFee(new Hbar(5));
+
+      const { transactionId, receipt } = await this.submit(topicTx);
+
+      logger.info(`HCS topic created: ${receipt.topicId.toString()}`);
+
+      return {
+        success: true,
+        topicId: receipt.topicId.toString(),
+        transactionId,
+        status: receipt.status.toString()
+      };
+
+    } catch (error) {
+      logger.error('Topic creation failed:', error);
+      throw this.failure('Failed to create topic', error);
+    }
+  }
+
+  /**
+   * Submit a message to a Consensus Service topic
+   * 
+   * @param {string} topicId - Topic to submit to
+   * @param {string} message - Message contents
+   * @returns {Object} - Sequence number and consensus timestamp
+   */
+  async submitTopicMessage(topicId, message) {
+    await this.ensureInitialized();
+
+    try {
+      const submitTx = new TopicMessageSubmitTransaction()
+        .setTopicId(TopicId.fromString(topicId))
+        .setMessage(message)
+        .setMaxTransactionFee(new Hbar(2));
+
+      const { transactionId } = await this.submit(submitTx);
+
+      const record = await new TransactionRecordQuery()
+        .setTransactionId(TransactionId.fromString(transactionId))
+        .execute(this.client);
+
+      return {
+        success: true,
+        topicId,
+        sequenceNumber: Number(record.receipt.topicSequenceNumber.toString()),
+        consensusTimestamp: record.consensusTimestamp.toString(),
+        transactionId,
+        status: record.receipt.status.toString()
+      };
+
+    } catch (error) {
+      logger.error('Topic message submission failed:', error);
+      throw this.failure('Failed to submit topic message', error);
+    }
+  }
+
+  /**
+   * Read a topic message back from the mirror node
+   * 
+   * @param {string} topicId - Topic ID
+   * @param {number} sequenceNumber - Message sequence number
+   * @returns {Object} - Message contents and consensus timestamp
+   */
+  async getTopicMessage(topicId, sequenceNumber) {
+    try {
+      const response = await axios.get(
+        `${this.getMirrorNodeUrl()}/api/v1/topics/${topicId}/messages/${sequenceNumber}`,
+        { timeout: 10000 }
+      );
+
+      return {
+        topicId,
+        sequenceNumber: response.data.sequence_number,
+        consensusTimestamp: response.data.consensus_timestamp,
+        message: Buffer.from(response.data.message, 'base64').toString('utf8')
+      };
+
+    } catch (error) {
+      logger.error('Failed to get topic message:', error);
+      throw new Error(`Failed to get topic message: ${error.message}`);
+    }
+  }
+}
+
+module.exports = HederaLedger;
@@ -0,0 +1,79 @@
+/**
+ * Ledger Backends - Selects the ledger implementation behind hederaService
+ *
+ * Every backend extends BaseLedger and implements:
+ * - initialize()
+ * - scheduleTokenCreation(tokenConfig, options)
+ * - scheduleMint(amount, options) / scheduleBurn(amount, options)
+ * - scheduleFreeze(accountId, options) / scheduleUnfreeze(accountId, options)
+ * - scheduleWipe(accountId, amount, options)
+ * - schedulePause(options) / scheduleUnpause(options)
+ * - getScheduleSignPayload(scheduleId)
+ * - submitScheduleSignature(scheduleId, signedTransaction)
+ * - getScheduleInfo(scheduleId) / getScheduledTransactionResult(scheduledTransactionId)
+ * - transferTokensToInvestor(recipientAccountId, amount, options)
+ * - transferTokensToInvestors(transfers, options), one transaction from the
+ *   treasury to up to maxTransferRecipients accounts
+ *   (checked by BaseLedger.requireTransferBatch)
+ * - transferTokensFromInvestor(senderAccountId, senderPrivateKey, amount, options)
+ * - associateTokenToAccount(accountId, accountPrivateKey, options)
+ * - approveTokenAllowance(ownerAccountId, ownerPrivateKey, amount, options) /
+ *   transferApprovedFromInvestor(ownerAccountId, amount, options), the
+ *   treasury being the spender
+ * - grantKyc(accountId, options) / revokeKyc(accountId, options)
+ * - createAccount(publicKey, initialBalanceTinybars, options), where
+ *   options.maxAutomaticTokenAssociations defaults to
+ *   ACCOUNT_MAX_AUTO_ASSOCIATIONS
+ * - updateAccountKey(accountId, currentPrivateKey, newPrivateKey, options)
+ * - getAccountKey(accountId)
+ * - freezeForClient(transaction), used by prepareAssociation(accountId, options)
+ *   and prepareTransferFromInvestor(senderAccountId, amount, options)
+ * - submitSignedAssociation(signedTransaction, account) (checked by
+ *   BaseLedger.readSignedAssociation)
+ * - submitSignedTransferFromInvestor(signedTransaction, expected) (checked by
+ *   BaseLedger.readSignedTransferFromInvestor)
+ * - getTokenInfo(options) / getAccountBalance(accountId, options)
+ * - createTopic(memo) / submitTopicMessage(topicId, message)
+ * - getTopicMessage(topicId, sequenceNumber)
+ * - generateTransactionId() / getTransactionReceipt(transactionId)
+ * - getTransactionFee(transactionId) / getTransactionRecord(transactionId)
+ * - getExplorerUrl() (BaseLedger.getExplorerLink builds transaction links)
+ * - fetchReceipt(transactionId) (used by BaseLedger.submitWithRetry)
+ * - setTokenId(tokenId)
+ *
+ * Write operations accept options.transactionId, so callers can record the
+ * transaction ID before submitting (see ledgerOperationService), and
+ * transfers accept options.memo. Token operations accept options.tokenId
+ * (each fund has its own token) and default to the token set with
+ * setTokenId.
+ */
+
+const HederaLedger = require('./hederaLedger');
+const SimulatedLedger = require('./simulatedLedger');
+
+const backends = {
+  hedera: HederaLedger,
+  simulated: SimulatedLedger
+};
+
+/**
+ * Create the ledger backend selected by LEDGER_BACKEND
+ *
+ * @param {string} backend - 'hedera' (default) or 'simulated'
+ * @returns {BaseLedger} - Ledger backend instance
+ */
+function createLedger(backend = process.env.LEDGER_BACKEND || 'hedera') {
+  const Ledger = backends[backend];
+
+  if (!Ledger) {
+    throw new Error(`Unknown ledger backend: ${backend}. Use one of: ${Object.keys(backends).join(', ')}`);
+  }
+
+  return new Ledger();
+}
+
+module.exports = {
+  createLedger,
+  HederaLedger,
+  SimulatedLedger
+};
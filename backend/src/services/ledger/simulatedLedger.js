@@ -0,0 +1,1729 @@
+/**
+ * Simulated Ledger - Local in-memory stand-in for the Hedera network
+ *
+ * Mirrors the Hedera ledger backend closely enough to run full
+ * buy/redeem/mint/burn flows locally and in tests:
+ * - Accounts with keys (including key rotation), HBAR balances and token
+ *   relationships
+ * - Token associations (including automatic association slots), balances,
+ *   freezes, KYC, pauses, fractional transfer fees and total supply
+ * - Token allowances granted to the treasury, and approved transfers
+ * - Key checks (including the managers' 2-of-2 key list)
+ * - Scheduled transactions signed by managers with ScheduleSignTransaction
+ * - Associations and redemptions signed by non-custodial investor wallets
+ * - Consensus Service topics and messages
+ * - Receipts and records for every transaction, with simulated fees
+ *
+ * State lives in memory. Set SIMULATED_LEDGER_STATE_FILE to keep it
+ * across restarts, so token and account IDs stored in MongoDB stay valid.
+ * Set SIMULATED_BUSY_RATE (0-1) to make that share of submissions fail
+ * with BUSY, to exercise the retrying submission layer.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  PrivateKey,
+  AccountId,
+  Hbar,
+  ScheduleId,
+  ScheduleSignTransaction,
+  TransactionId
+} = require('@hashgraph/sdk');
+const BaseLedger = require('./baseLedger');
+const logger = require('../../utils/logger');
+
+// Approximate network fees charged to the payer, in tinybars
+const SIMULATED_FEES = {
+  token_create: 20 * 100000000,
+  token_mint: 2000000,
+  token_burn: 2000000,
+  token_freeze: 1000000,
+  token_unfreeze: 1000000,
+  token_wipe: 1000000,
+  token_grant_kyc: 1000000,
+  token_revoke_kyc: 1000000,
+  token_transfer: 2000000,
+  token_allowance_approve: 5000000,
+  token_associate: 100000000,
+  account_create: 100000000,
+  account_update: 1000000,
+  schedule_create: 1000000,
+  schedule_sign: 100000,
+  topic_create: 100000000,
+  topic_message: 10000
+};
+
+// Starting HBAR balance of the simulated operator (treasury) account
+const OPERATOR_INITIAL_TINYBARS = 10000 * 100000000;
+
+/**
+ * Build an error carrying a Hedera-style status code
+ */
+function ledgerError(status, message) {
+  const error = new Error(message ? `${status}: ${message}` : status);
+  error.status = status;
+  return error;
+}
+
+class SimulatedLedger extends BaseLedger {
+  constructor() {
+    super('simulated');
+    this.operatorId = null;
+    this.operatorKey = null;
+    this.stateFile = process.env.SIMULATED_LEDGER_STATE_FILE || null;
+    this.state = SimulatedLedger.emptyState();
+    this.lastTimestampNanos = 0n;
+  }
+
+  /**
+   * Fresh, empty ledger state
+   */
+  static emptyState() {
+    return {
+      nextEntityNum: 1001,
+      accounts: {},
+      tokens: {},
+      schedules: {},
+      topics: {},
+      records: {},
+      generatedKeys: {}
+    };
+  }
+
+  /**
+   * Initialize the simulator and its built-in accounts
+   * Uses operator and manager keys from the environment when present,
+   * otherwise generates (and persists) development keys.
+   */
+  async initialize() {
+    try {
+      this.loadState();
+
+      this.operatorKey = this.loadKey('HEDERA_OPERATOR_KEY', 'operator');
+      this.operatorId = process.env.HEDERA_OPERATOR_ID || '0.0.2';
+      this.ensureAccount(this.operatorId, this.operatorKey.publicKey, OPERATOR_INITIAL_TINYBARS);
+      this.loadKycKey(this.operatorKey);
+
+      if (process.env.MANAGER1_PUBLIC_KEY && process.env.MANAGER2_PUBLIC_KEY) {
+        this.loadManagerKeys();
+      } else {
+        // Development only: generated manager keys are kept in the state
+        // (generatedKeys) so local scripts can sign schedules with them
+        this.managerPublicKeys = [
+          this.loadKey('MANAGER1_PRIVATE_KEY', 'manager1').publicKey.toString(),
+          this.loadKey('MANAGER2_PRIVATE_KEY', 'manager2').publicKey.toString()
+        ];
+      }
+      this.manager1Id = process.env.MANAGER1_ACCOUNT_ID || '0.0.3';
+      this.manager2Id = process.env.MANAGER2_ACCOUNT_ID || '0.0.4';
+      this.ensureAccount(this.manager1Id, this.managerPublicKeys[0], 0);
+      this.ensureAccount(this.manager2Id, this.managerPublicKeys[1], 0);
+
+      // Treasury account is the operator account
+      this.treasuryId = this.operatorId;
+
+      this.saveState();
+      this.initialized = true;
+      logger.info('Simulated ledger initialized successfully');
+
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to initialize simulated ledger:', error);
+      throw new Error(`Simulated ledger initialization failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load a private key from the environment, or reuse / generate a
+   * development key stored with the simulator state
+   */
+  loadKey(envName, label) {
+    if (process.env[envName]) {
+      return PrivateKey.fromString(process.env[envName]);
+    }
+
+    if (!this.state.generatedKeys[label]) {
+      this.state.generatedKeys[label] = PrivateKey.generateED25519().toString();
+      logger.warn(`${envName} not set, generated a simulated ${label} key`);
+    }
+
+    return PrivateKey.fromString(this.state.generatedKeys[label]);
+  }
+
+  /**
+   * Restore state from SIMULATED_LEDGER_STATE_FILE if it exists
+   */
+  loadState() {
+    if (!this.stateFile || !fs.existsSync(this.stateFile)) {
+      return;
+    }
+
+    this.state = {
+      ...SimulatedLedger.emptyState(),
+      ...JSON.parse(fs.readFileSync(this.stateFile, 'utf8'))
+    };
+    logger.info(`Simulated ledger state loaded from ${this.stateFile}`);
+  }
+
+  /**
+   * Write state to SIMULATED_LEDGER_STATE_FILE (if configured)
+   */
+  saveState() {
+    if (!this.stateFile) {
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(path.resolve(this.stateFile)), { recursive: true });
+    fs.writeFileSync(this.stateFile, JSON.stringify(this.state, null, 2));
+  }
+
+  /**
+   * Discard all simulated state (used by tests and local resets)
+   */
+  reset() {
+    this.state = SimulatedLedger.emptyState();
+    this.tokenId = null;
+    this.initialized = false;
+    this.saveState();
+  }
+
+  // ============================================================
+  // Internal helpers
+  // ============================================================
+
+  nextEntityId() {
+    const id = `0.0.${this.state.nextEntityNum}`;
+    this.state.nextEntityNum += 1;
+    return id;
+  }
+
+  /**
+   * Strictly increasing consensus timestamp in "seconds.nanos" format
+   */
+  nextTimestamp() {
+    let nanos = BigInt(Date.now()) * 1000000n;
+    if (nanos <= this.lastTimestampNanos) {
+      nanos = this.lastTimestampNanos + 1n;
+    }
+    this.lastTimestampNanos = nanos;
+
+    const seconds = nanos / 1000000000n;
+    const remainder = (nanos % 1000000000n).toString().padStart(9, '0');
+    return `${seconds}.${remainder}`;
+  }
+
+  ensureAccount(accountId, publicKey, tinybars, maxAutoAssociations = 0) {
+    if (!this.state.accounts[accountId]) {
+      this.state.accounts[accountId] = {
+        key: publicKey.toString(),
+        hbarBalance: tinybars,
+        maxAutoAssociations,
+        tokens: {}
+      };
+    }
+    return this.state.accounts[accountId];
+  }
+
+  getAccount(accountId) {
+    const account = this.state.accounts[accountId];
+    if (!account) {
+      throw ledgerError('INVALID_ACCOUNT_ID', accountId);
+    }
+    return account;
+  }
+
+  getToken(tokenId = this.tokenId) {
+    const token = this.state.tokens[tokenId];
+    if (!token) {
+      throw ledgerError('INVALID_TOKEN_ID', tokenId);
+    }
+    return token;
+  }
+
+  /**
+   * Token that is not paused, for operations Hedera rejects on paused tokens
+   */
+  getUnpausedToken(tokenId = this.tokenId) {
+    const token = this.getToken(tokenId);
+    if (token.paused) {
+      throw ledgerError('TOKEN_IS_PAUSED', tokenId);
+    }
+    return token;
+  }
+
+  /**
+   * Token relationship of an account, failing if not associated
+   */
+  getRelationship(accountId, tokenId = this.tokenId) {
+    const relationship = this.getAccount(accountId).tokens[tokenId];
+    if (!relationship) {
+      throw ledgerError('TOKEN_NOT_ASSOCIATED_TO_ACCOUNT', accountId);
+    }
+    return relationship;
+  }
+
+  /**
+   * Token relationship of a transfer recipient, using one of its automatic
+   * association slots if it is not associated yet
+   */
+  getReceivingRelationship(accountId, tokenId) {
+    const account = this.getAccount(accountId);
+    if (account.tokens[tokenId]) {
+      return account.tokens[tokenId];
+    }
+
+    const slots = account.maxAutoAssociations || 0;
+    const used = Object.values(account.tokens).filter(relationship => relationship.autoAssociated).length;
+    if (slots !== -1 && used >= slots) {
+      throw ledgerError('TOKEN_NOT_ASSOCIATED_TO_ACCOUNT', accountId);
+    }
+
+    account.tokens[tokenId] = { balance: 0, autoAssociated: true };
+    return account.tokens[tokenId];
+  }
+
+  /**
+   * Check that the given signer public keys satisfy a key
+   * A key is either a public key string or { threshold, keys } key list.
+   */
+  isSatisfied(key, signerKeys) {
+    if (typeof key === 'string') {
+      return signerKeys.includes(key);
+    }
+
+    const matched = key.keys.filter(k => signerKeys.includes(k)).length;
+    return matched >= key.threshold;
+  }
+
+  assertSigned(key, signerKeys) {
+    if (!this.isSatisfied(key, signerKeys)) {
+      throw ledgerError('INVALID_SIGNATURE');
+    }
+  }
+
+  requirePositiveAmount(amount, status) {
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw ledgerError(status, String(amount));
+    }
+  }
+
+  moveTokens(tokenId, fromId, toId, amount) {
+    const { kycKey, transferFee } = this.getUnpausedToken(tokenId);
+    const from = this.getRelationship(fromId, tokenId);
+    const to = this.getReceivingRelationship(toId, tokenId);
+
+    for (const [accountId, relationship] of [[fromId, from], [toId, to]]) {
+      if (relationship.frozen) {
+        throw ledgerError('ACCOUNT_FROZEN_FOR_TOKEN', accountId);
+      }
+      if (kycKey && !relationship.kycGranted) {
+        throw ledgerError('ACCOUNT_KYC_NOT_GRANTED_FOR_TOKEN', accountId);
+      }
+    }
+
+    if (from.balance < amount) {
+      throw ledgerError('INSUFFICIENT_TOKEN_BALANCE', fromId);
+    }
+
+    // Fractional custom fee, taken from what the receiver gets; the fee
+    // collector does not pay it
+    const fee = transferFee && fromId !== transferFee.collector
+      ? this.fractionalFee(transferFee, amount)
+      : 0;
+
+    from.balance -= amount;
+    to.balance += amount - fee;
+
+    const transfers = [
+      { tokenId, accountId: fromId, amount: -amount },
+      { tokenId, accountId: toId, amount: amount - fee }
+    ];
+
+    if (fee > 0) {
+      this.getRelationship(transferFee.collector, tokenId).balance += fee;
+      if (toId === transferFee.collector) {
+        transfers[1].amount += fee;
+      } else {
+        transfers.push({ tokenId, accountId: transferFee.collector, amount: fee });
+      }
+    }
+
+    return transfers;
+  }
+
+  fractionalFee({ numerator, denominator, minimumAmount, maximumAmount }, amount) {
+    let fee = Math.floor((amount * numerator) / denominator);
+    fee = Math.max(fee, minimumAmount);
+    if (maximumAmount > 0) {
+      fee = Math.min(fee, maximumAmount);
+    }
+    return Math.min(fee, amount);
+  }
+
+  /**
+   * Run a simulated transaction
+   * Charges the fee to the payer, applies the state change and stores a
+   * receipt/record. Failed transactions still get a record, like on Hedera.
+   *
+   * @param {string} type - Operation type (key of SIMULATED_FEES)
+   * @param {Function} apply - Applies the change, returns record fields
+   * @param {Object} options - { transactionId } to use instead of a new one
+   * @returns {Object} - Transaction record
+   */
+  execute(type, apply, options = {}) {
+    const payerId = this.operatorId;
+    const consensusTimestamp = this.nextTimestamp();
+    const transactionId = options.transactionId || `${payerId}@${consensusTimestamp}`;
+    const transactionFee = SIMULATED_FEES[type] || 0;
+
+    if (this.state.records[transactionId]) {
+      throw ledgerError('DUPLICATE_TRANSACTION', transactionId);
+    }
+
+    const payer = this.getAccount(payerId);
+    if (payer.hbarBalance < transactionFee) {
+      throw ledgerError('INSUFFICIENT_PAYER_BALANCE', payerId);
+    }
+
+    // Work on a copy so a failed transaction leaves balances untouched
+    const snapshot = JSON.stringify(this.state);
+    let record;
+
+    try {
+      const changes = apply() || {};
+      record = { status: 'SUCCESS', tokenTransfers: [], ...changes };
+    } catch (error) {
+      this.state = JSON.parse(snapshot);
+      record = { status: error.status || 'FAIL_INVALID', tokenTransfers: [] };
+      record.error = error;
+    }
+
+    this.getAccount(payerId).hbarBalance -= transactionFee;
+
+    const { error, ...stored } = record;
+    this.state.records[transactionId] = {
+      ...stored,
+      type,
+      transactionId,
+      consensusTimestamp,
+      transactionFee,
+      memo: options.memo || ''
+    };
+    this.saveState();
+
+    if (error) {
+      throw error;
+    }
+
+    return this.state.records[transactionId];
+  }
+
+  operatorPublicKey() {
+    return this.operatorKey.publicKey.toString();
+  }
+
+  // ============================================================
+  // Submission layer
+  // ============================================================
+
+  /**
+   * Generate a transaction ID paid by the operator
+   *
+   * @returns {string} - Transaction ID
+   */
+  async generateTransactionId() {
+    await this.ensureInitialized();
+    return `${this.operatorId}@${this.nextTimestamp()}`;
+  }
+
+  /**
+   * Submit a simulated transaction through the retrying submission layer
+   *
+   * @param {string} type - Operation type (key of SIMULATED_FEES)
+   * @param {Function} apply - Applies the change, returns record fields
+   * @param {Object} options - { transactionId }
+   * @returns {Object} - Transaction record
+   */
+  async submit(type, apply, options = {}) {
+    const transactionId = options.transactionId || await this.generateTransactionId();
+    const busyRate = parseFloat(process.env.SIMULATED_BUSY_RATE || 0);
+
+    return this.submitWithRetry(transactionId, async () => {
+      if (Math.random() < busyRate) {
+        throw ledgerError('BUSY', transactionId);
+      }
+      return this.execute(type, apply, { transactionId, memo: options.memo });
+    });
+  }
+
+  /**
+   * Get the record of a submitted transaction, throwing if it failed
+   *
+   * @param {string} transactionId - Transaction ID
+   * @returns {Object} - Transaction record
+   */
+  async fetchReceipt(transactionId) {
+    const record = this.state.records[transactionId];
+    if (!record) {
+      throw ledgerError('RECEIPT_NOT_FOUND', transactionId);
+    }
+    if (record.status !== 'SUCCESS') {
+      throw ledgerError(record.status, transactionId);
+    }
+    return record;
+  }
+
+  /**
+   * Look up the outcome of a transaction by ID
+   *
+   * @param {string} transactionId - Transaction ID
+   * @returns {Object} - Whether it reached consensus, its status and the
+   *   entity (schedule, token, account or topic) it created
+   */
+  async getTransactionReceipt(transactionId) {
+    await this.ensureInitialized();
+
+    const record = this.state.records[transactionId];
+    if (!record) {
+      return { transactionId, found: false, status: null, entityId: null };
+    }
+
+    return {
+      transactionId,
+      found: true,
+      status: record.status,
+      entityId: record.scheduleId || record.tokenId || record.accountId || record.topicId || null
+    };
+  }
+
+  /**
+   * Actual network fee charged for a transaction
+   *
+   * @param {string} transactionId - Transaction ID (scheduled: "<id>?scheduled")
+   * @returns {Object} - { transactionId, found, feeTinybars, consensusAt }
+   */
+  async getTransactionFee(transactionId) {
+    await this.ensureInitialized();
+
+    const record = this.state.records[transactionId];
+
+    return {
+      transactionId,
+      found: Boolean(record),
+      feeTinybars: record ? record.transactionFee : null,
+      consensusAt: record ? this.consensusDate(record.consensusTimestamp) : null
+    };
+  }
+
+  /**
+   * Consensus record of a transaction: status, fee charged, memo and token
+   * transfers
+   *
+   * @param {string} transactionId - Transaction ID (scheduled: "<id>?scheduled")
+   * @returns {Object} - { transactionId, found, status, consensusTimestamp,
+   *   consensusAt, feeTinybars, memo, tokenTransfers }
+   */
+  async getTransactionRecord(transactionId) {
+    await this.ensureInitialized();
+
+    const record = this.state.records[transactionId];
+    if (!record) {
+      return { transactionId, found: false };
+    }
+
+    return {
+      transactionId,
+      found: true,
+      status: record.status,
+      consensusTimestamp: record.consensusTimestamp,
+      consensusAt: this.consensusDate(record.consensusTimestamp),
+      feeTinybars: record.transactionFee,
+      memo: record.memo || '',
+      tokenTransfers: record.tokenTransfers.map(({ tokenId, accountId, amount }) => ({ tokenId, accountId, amount }))
+    };
+  }
+
+  // ============================================================
+  // Scheduled operations
+  // ============================================================
+
+  applyTokenCreate(params) {
+    const tokenId = this.nextEntityId();
+    const initialSupply = params.initialSupply;
+
+    this.state.tokens[tokenId] = {
+      name: params.name,
+      symbol: params.symbol,
+      decimals: params.decimals,
+      totalSupply: initialSupply,
+      treasury: this.treasuryId,
+      adminKey: params.multiSigKey,
+      supplyKey: params.multiSigKey,
+      freezeKey: params.multiSigKey,
+      wipeKey: params.multiSigKey,
+      kycKey: params.kycKey || null,
+      feeScheduleKey: params.multiSigKey,
+      pauseKey: params.multiSigKey,
+      paused: false,
+      transferFee: params.transferFee ? { ...params.transferFee, collector: this.treasuryId } : null
+    };
+
+    // The treasury is associated automatically, holds the initial supply
+    // and is granted KYC
+    this.getAccount(this.treasuryId).tokens[tokenId] = { balance: initialSupply, kycGranted: true };
+
+    return {
+      tokenId,
+      tokenTransfers: initialSupply > 0
+        ? [{ tokenId, accountId: this.treasuryId, amount: initialSupply }]
+        : []
+    };
+  }
+
+  applyMint(tokenId, amount) {
+    const token = this.getUnpausedToken(tokenId);
+    this.requirePositiveAmount(amount, 'INVALID_TOKEN_MINT_AMOUNT');
+
+    token.totalSupply += amount;
+    this.getRelationship(token.treasury, tokenId).balance += amount;
+
+    return {
+      tokenTransfers: [{ tokenId, accountId: token.treasury, amount }]
+    };
+  }
+
+  applyBurn(tokenId, amount) {
+    const token = this.getUnpausedToken(tokenId);
+    this.requirePositiveAmount(amount, 'INVALID_TOKEN_BURN_AMOUNT');
+
+    const treasury = this.getRelationship(token.treasury, tokenId);
+    if (treasury.balance < amount) {
+      throw ledgerError('INSUFFICIENT_TOKEN_BALANCE', token.treasury);
+    }
+
+    treasury.balance -= amount;
+    token.totalSupply -= amount;
+
+    return {
+      tokenTransfers: [{ tokenId, accountId: token.treasury, amount: -amount }]
+    };
+  }
+
+  applyFreeze(tokenId, accountId, frozen) {
+    this.getUnpausedToken(tokenId);
+    this.getRelationship(accountId, tokenId).frozen = frozen;
+  }
+
+  applyPause(tokenId, paused) {
+    const token = this.getToken(tokenId);
+    if (!token.pauseKey) {
+      throw ledgerError('TOKEN_HAS_NO_PAUSE_KEY', tokenId);
+    }
+    token.paused = paused;
+  }
+
+  applyWipe(tokenId, accountId, amount) {
+    const token = this.getUnpausedToken(tokenId);
+    this.requirePositiveAmount(amount, 'INVALID_WIPING_AMOUNT');
+
+    if (accountId === token.treasury) {
+      throw ledgerError('CANNOT_WIPE_TOKEN_TREASURY_ACCOUNT', accountId);
+    }
+
+    const relationship = this.getRelationship(accountId, tokenId);
+    if (relationship.frozen) {
+      throw ledgerError('ACCOUNT_FROZEN_FOR_TOKEN', accountId);
+    }
+    if (relationship.balance < amount) {
+      throw ledgerError('INVALID_WIPING_AMOUNT', accountId);
+    }
+
+    relationship.balance -= amount;
+    token.totalSupply -= amount;
+
+    return {
+      tokenTransfers: [{ tokenId, accountId, amount: -amount }]
+    };
+  }
+
+  /**
+   * Keys that must sign a scheduled operation before it executes
+   */
+  requiredScheduleKeys(schedule) {
+    switch (schedule.operation) {
+      case 'token_create':
+        return [schedule.params.multiSigKey, this.getAccount(this.treasuryId).key];
+      case 'token_freeze':
+      case 'token_unfreeze':
+        return [this.getToken(schedule.tokenId).freezeKey];
+      case 'token_wipe':
+        return [this.getToken(schedule.tokenId).wipeKey];
+      case 'token_pause':
+      case 'token_unpause':
+        return [this.getToken(schedule.tokenId).pauseKey];
+      default:
+        return [this.getToken(schedule.tokenId).supplyKey];
+    }
+  }
+
+  /**
+   * Apply the scheduled operation of a schedule
+   */
+  applyScheduled(schedule) {
+    switch (schedule.operation) {
+      case 'token_create':
+        return this.applyTokenCreate(schedule.params);
+      case 'token_mint':
+        return this.applyMint(schedule.tokenId, schedule.params.amount);
+      case 'token_burn':
+        return this.applyBurn(schedule.tokenId, schedule.params.amount);
+      case 'token_freeze':
+        return this.applyFreeze(schedule.tokenId, schedule.params.accountId, true);
+      case 'token_unfreeze':
+        return this.applyFreeze(schedule.tokenId, schedule.params.accountId, false);
+      case 'token_wipe':
+        return this.applyWipe(schedule.tokenId, schedule.params.accountId, schedule.params.amount);
+      case 'token_pause':
+        return this.applyPause(schedule.tokenId, true);
+      case 'token_unpause':
+        return this.applyPause(schedule.tokenId, false);
+      default:
+        throw ledgerError('SCHEDULED_TRANSACTION_NOT_IN_WHITELIST', schedule.operation);
+    }
+  }
+
+  /**
+   * Execute a schedule once its signatories satisfy every required key
+   * Like Hedera, the scheduled transaction runs (and may fail) as part of
+   * the transaction that supplied the last signature.
+   */
+  tryExecuteSchedule(scheduleId) {
+    const schedule = this.state.schedules[scheduleId];
+    const satisfied = this.requiredScheduleKeys(schedule)
+      .every(key => this.isSatisfied(key, schedule.signatories));
+
+    if (!satisfied) {
+      return false;
+    }
+
+    try {
+      this.execute(schedule.operation, () => this.applyScheduled(schedule), {
+        transactionId: schedule.scheduledTransactionId,
+        memo: schedule.memo
+      });
+    } catch (error) {
+      logger.warn(`Scheduled transaction ${schedule.scheduledTransactionId} failed: ${error.message}`);
+    }
+
+    // execute() may have restored state from its snapshot, so re-read it
+    this.state.schedules[scheduleId].executed = new Date().toISOString();
+    this.saveState();
+    return true;
+  }
+
+  /**
+   * Create a schedule for an operation
+   * The operator's signature on the creation counts towards the schedule.
+   */
+  async createSchedule(operation, params, options = {}) {
+    const record = await this.submit('schedule_create', () => {
+      if (operation !== 'token_create') {
+        this.getToken(options.tokenId);
+      }
+
+      const scheduleId = this.nextEntityId();
+      this.state.schedules[scheduleId] = {
+        operation,
+        params,
+        tokenId: operation === 'token_create' ? null : options.tokenId,
+        memo: options.memo || '',
+        payer: this.treasuryId,
+        signatories: [this.operatorPublicKey()],
+        executed: null,
+        deleted: null,
+        expirationTime: options.expiresAt ? new Date(options.expiresAt).toISOString() : null
+      };
+
+      return { scheduleId };
+    }, options);
+
+    const { scheduleId } = record;
+    const scheduledTransactionId = `${record.transactionId}?scheduled`;
+    this.state.schedules[scheduleId].scheduledTransactionId = scheduledTransactionId;
+    this.saveState();
+
+    logger.info(`Simulated schedule created: ${scheduleId}`);
+
+    return {
+      success: true,
+      scheduleId,
+      scheduledTransactionId,
+      transactionId: record.transactionId,
+      status: record.status
+    };
+  }
+
+  // ============================================================
+  // Ledger operations
+  // ============================================================
+
+  /**
+   * Schedule token creation with multi-signature requirement
+   * Executes once both Manager 1 and Manager 2 have signed the schedule
+   *
+   * @param {Object} tokenConfig - Token configuration
+   * @param {Object} options - { memo, expiresAt, transactionId }
+   * @returns {Object} - Schedule details
+   */
+  async scheduleTokenCreation(tokenConfig = {}, options = {}) {
+    await this.ensureInitialized();
+
+    try {
+      const params = {
+        name: tokenConfig.name || tokenConfig.tokenName || process.env.TOKEN_NAME || 'Pezzy Money Market Token',
+        symbol: tokenConfig.symbol || tokenConfig.tokenSymbol || process.env.TOKEN_SYMBOL || 'PMKT',
+        decimals: parseInt(tokenConfig.decimals || process.env.TOKEN_DECIMALS || 2),
+        initialSupply: parseInt(tokenConfig.initialSupply || process.env.INITIAL_SUPPLY || 0),
+        multiSigKey: { threshold: 2, keys: [...this.managerPublicKeys] },
+        kycKey: this.kycKey.publicKey.toString(),
+        transferFee: this.transferFeeConfig(tokenConfig)
+      };
+
+      return await this.createSchedule('token_create', params, options);
+
+    } catch (error) {
+      logger.error('Token creation scheduling failed:', error);
+      throw this.failure('Failed to schedule token creation', error);
+    }
+  }
+
+  /**
+   * Schedule a token mint (requires multi-sig)
+   *
+   * @param {number} amount - Amount to mint (in smallest units based on decimals)
+   * @param {Object} options - { tokenId, memo, expiresAt, transactionId }
+   * @returns {Object} - Schedule details
+   */
+  async scheduleMint(amount, options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+    await this.ensureInitialized();
+
+    try {
+      return await this.createSchedule('token_mint', { amount }, { ...options, tokenId });
+    } catch (error) {
+      logger.error('Token mint scheduling failed:', error);
+      throw this.failure('Failed to schedule mint', error);
+    }
+  }
+
+  /**
+   * Schedule a token burn (requires multi-sig)
+   *
+   * @param {number} amount - Amount to burn
+   * @param {Object} options - { tokenId, memo, expiresAt, transactionId }
+   * @returns {Object} - Schedule details
+   */
+  async scheduleBurn(amount, options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+    await this.ensureInitialized();
+
+    try {
+      return await this.createSchedule('token_burn', { amount }, { ...options, tokenId });
+    } catch (error) {
+      logger.error('Token burn scheduling failed:', error);
+      throw this.failure('Failed to schedule burn', error);
+    }
+  }
+
+  /**
+   * Schedule freezing an account's token balance (requires multi-sig)
+   *
+   * @param {string} accountId - Account to freeze
+   * @param {Object} options - { tokenId, memo, expiresAt, transactionId }
+   * @returns {Object} - Schedule details
+   */
+  async scheduleFreeze(accountId, options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+    await this.ensureInitialized();
+
+    try {
+      return await this.createSchedule('token_freeze', { accountId }, { ...options, tokenId });
+    } catch (error) {
+      logger.error('Account freeze scheduling failed:', error);
+      throw this.failure('Failed to schedule freeze', error);
+    }
+  }
+
+  /**
+   * Schedule unfreezing an account's token balance (requires multi-sig)
+   *
+   * @param {string} accountId - Account to unfreeze
+   * @param {Object} options - { tokenId, memo, expiresAt, transactionId }
+   * @returns {Object} - Schedule details
+   */
+  async scheduleUnfreeze(accountId, options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+    await this.ensureInitialized();
+
+    try {
+      return await this.createSchedule('token_unfreeze', { accountId }, { ...options, tokenId });
+    } catch (error) {
+      logger.error('Account unfreeze scheduling failed:', error);
+      throw this.failure('Failed to schedule unfreeze', error);
+    }
+  }
+
+  /**
+   * Schedule wiping tokens from an account (requires multi-sig)
+   *
+   * @param {string} accountId - Account to wipe tokens from
+   * @param {number} amount - Amount to wipe
+   * @param {Object} options - { tokenId, memo, expiresAt, transactionId }
+   * @returns {Object} - Schedule details
+   */
+  async scheduleWipe(accountId, amount, options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+    await this.ensureInitialized();
+
+    try {
+      return await this.createSchedule('token_wipe', { accountId, amount }, { ...options, tokenId });
+    } catch (error) {
+      logger.error('Token wipe scheduling failed:', error);
+      throw this.failure('Failed to schedule wipe', error);
+    }
+  }
+
+  /**
+   * Schedule pausing the token (requires multi-sig)
+   *
+   * @param {Object} options - { tokenId, memo, expiresAt, transactionId }
+   * @returns {Object} - Schedule details
+   */
+  async schedulePause(options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+    await this.ensureInitialized();
+
+    try {
+      return await this.createSchedule('token_pause', {}, { ...options, tokenId });
+    } catch (error) {
+      logger.error('Token pause scheduling failed:', error);
+      throw this.failure('Failed to schedule pause', error);
+    }
+  }
+
+  /**
+   * Schedule unpausing the token (requires multi-sig)
+   *
+   * @param {Object} options - { tokenId, memo, expiresAt, transactionId }
+   * @returns {Object} - Schedule details
+   */
+  async scheduleUnpause(options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+    await this.ensureInitialized();
+
+    try {
+      return await this.createSchedule('token_unpause', {}, { ...options, tokenId });
+    } catch (error) {
+      logger.error('Token unpause scheduling failed:', error);
+      throw this.failure('Failed to schedule unpause', error);
+    }
+  }
+
+  /**
+   * Build the unsigned ScheduleSignTransaction a manager signs on their device
+   * Uses the real SDK transaction format, so the same client code signs
+   * for both the simulator and Hedera.
+   *
+   * @param {string} scheduleId - Schedule to sign
+   * @returns {string} - Base64 encoded frozen transaction bytes
+   */
+  async getScheduleSignPayload(scheduleId) {
+    await this.ensureInitialized();
+
+    const signTx = new ScheduleSignTransaction()
+      .setScheduleId(ScheduleId.fromString(scheduleId))
+      .setNodeAccountIds([new AccountId(3)])
+      .setTransactionId(TransactionId.generate(this.operatorId))
+      .freeze();
+
+    return Buffer.from(signTx.toBytes()).toString('base64');
+  }
+
+  /**
+   * Submit a ScheduleSignTransaction signed by a manager
+   *
+   * @param {string} scheduleId - Schedule being signed
+   * @param {string} signedTransaction - Base64 encoded signed transaction bytes
+   * @returns {Object} - Submission result with signer public keys
+   */
+  async submitScheduleSignature(scheduleId, signedTransaction) {
+    await this.ensureInitialized();
+
+    const { transaction, signerPublicKeys } = this.readScheduleSignature(scheduleId, signedTransaction);
+
+    try {
+      const record = await this.submit('schedule_sign', () => {
+        const schedule = this.state.schedules[scheduleId];
+        if (!schedule) {
+          throw ledgerError('INVALID_SCHEDULE_ID', scheduleId);
+        }
+        if (schedule.executed) {
+          throw ledgerError('SCHEDULE_ALREADY_EXECUTED', scheduleId);
+        }
+        if (schedule.deleted) {
+          throw ledgerError('SCHEDULE_ALREADY_DELETED', scheduleId);
+        }
+        if (schedule.expirationTime && new Date(schedule.expirationTime) < new Date()) {
+          throw ledgerError('INVALID_SCHEDULE_ID', `${scheduleId} expired`);
+        }
+
+        signerPublicKeys.forEach(key => {
+          if (!schedule.signatories.includes(key)) {
+            schedule.signatories.push(key);
+          }
+        });
+      }, { transactionId: transaction.transactionId.toString() });
+
+      this.tryExecuteSchedule(scheduleId);
+
+      return {
+        success: true,
+        scheduleId,
+        signerPublicKeys,
+        transactionId: record.transactionId,
+        status: record.status
+      };
+
+    } catch (error) {
+      logger.error('Schedule signature submission failed:', error);
+      throw this.failure('Failed to submit schedule signature', error);
+    }
+  }
+
+  /**
+   * Get the state of a schedule
+   *
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Object} - Schedule state and collected signatories
+   */
+  async getScheduleInfo(scheduleId) {
+    await this.ensureInitialized();
+
+    const schedule = this.state.schedules[scheduleId];
+    if (!schedule) {
+      throw new Error(`Failed to get schedule info: INVALID_SCHEDULE_ID: ${scheduleId}`);
+    }
+
+    return {
+      scheduleId,
+      scheduledTransactionId: schedule.scheduledTransactionId,
+      signatories: [...schedule.signatories],
+      executed: schedule.executed ? new Date(schedule.executed) : null,
+      deleted: schedule.deleted ? new Date(schedule.deleted) : null,
+      expirationTime: schedule.expirationTime ? new Date(schedule.expirationTime) : null
+    };
+  }
+
+  /**
+   * Get the outcome of an executed scheduled transaction
+   *
+   * @param {string} scheduledTransactionId - Scheduled transaction ID
+   * @returns {Object} - Receipt status and any created token ID
+   */
+  async getScheduledTransactionResult(scheduledTransactionId) {
+    await this.ensureInitialized();
+
+    const record = this.state.records[scheduledTransactionId];
+
+    return {
+      transactionId: scheduledTransactionId,
+      status: record ? record.status : 'UNKNOWN',
+      tokenId: record && record.tokenId ? record.tokenId : null
+    };
+  }
+
+  /**
+   * Transfer tokens from treasury to investor account
+   *
+   * @param {string} recipientAccountId - Hedera account ID of recipient
+   * @param {number} amount - Amount to transfer
+   * @param {Object} options - { tokenId, transactionId }
+   * @returns {Object} - Transfer result
+   */
+  async transferTokensToInvestor(recipientAccountId, amount, options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+    await this.ensureInitialized();
+
+    try {
+      const record = await this.submit('token_transfer', () => {
+        this.assertSigned(this.getAccount(this.treasuryId).key, [this.operatorPublicKey()]);
+        this.requirePositiveAmount(amount, 'INVALID_ACCOUNT_AMOUNTS');
+
+        return {
+          tokenTransfers: this.moveTokens(tokenId, this.treasuryId, recipientAccountId, amount)
+        };
+      }, options);
+
+      return {
+        success: true,
+        amount,
+        recipient: recipientAccountId,
+        transactionId: record.transactionId,
+        status: record.status
+      };
+
+    } catch (error) {
+      logger.error('Token transfer failed:', error);
+      throw this.failure('Failed to transfer tokens', error);
+    }
+  }
+
+  /**
+   * Transfer tokens from treasury to several investor accounts in one
+   * transaction: every credit lands, or none does
+   *
+   * @param {Array} transfers - [{ accountId, amount }], at most maxTransferRecipients
+   * @param {Object} options - { tokenId, transactionId, memo }
+   * @returns {Object} - Transfer result
+   */
+  async transferTokensToInvestors(transfers, options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+    this.requireTransferBatch(transfers);
+    await this.ensureInitialized();
+
+    try {
+      const record = await this.submit('token_transfer', () => {
+        this.assertSigned(this.getAccount(this.treasuryId).key, [this.operatorPublicKey()]);
+
+        const tokenTransfers = [];
+        for (const { accountId, amount } of transfers) {
+          this.requirePositiveAmount(amount, 'INVALID_ACCOUNT_AMOUNTS');
+          tokenTransfers.push(...this.moveTokens(tokenId, this.treasuryId, accountId, amount));
+        }
+        return { tokenTransfers };
+      }, options);
+
+      return {
+        success: true,
+        amount: transfers.reduce((sum, transfer) => sum + transfer.amount, 0),
+        recipients: transfers.map(transfer => transfer.accountId),
+        transactionId: record.transactionId,
+        status: record.status
+      };
+
+    } catch (error) {
+      logger.error('Batch token transfer failed:', error);
+      throw this.failure('Failed to transfer tokens', error);
+    }
+  }
+
+  /**
+   * Transfer tokens from investor back to treasury (for redemption)
+   *
+   * @param {string} senderAccountId - Hedera account ID of sender
+   * @param {string} senderPrivateKey - Private key of sender
+   * @param {number} amount - Amount to transfer
+   * @param {Object} options - { tokenId, transactionId }
+   * @returns {Object} - Transfer result
+   */
+  async transferTokensFromInvestor(senderAccountId, senderPrivateKey, amount, options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+    await this.ensureInitialized();
+
+    try {
+      const senderKey = PrivateKey.fromString(senderPrivateKey);
+
+      const record = await this.submit('token_transfer', () => (
+        this.applyTransferFromInvestor(tokenId, senderAccountId, amount, [senderKey.publicKey.toString()])
+      ), options);
+
+      return {
+        success: true,
+        amount,
+        sender: senderAccountId,
+        transactionId: record.transactionId,
+        status: record.status
+      };
+
+    } catch (error) {
+      logger.error('Token transfer from investor failed:', error);
+      throw this.failure('Failed to receive tokens', error);
+    }
+  }
+
+  /**
+   * Allow the treasury to transfer an investor's tokens (signed with the
+   * investor's key)
+   * Sets the allowance to amount, replacing what was left of the previous one.
+   *
+   * @param {string} ownerAccountId - Investor account granting the allowance
+   * @param {string} ownerPrivateKey - Private key of the investor account
+   * @param {number} amount - Tokens the treasury may transfer
+   * @param {Object} options - { tokenId, transactionId }
+   * @returns {Object} - Approval result
+   */
+  async approveTokenAllowance(ownerAccountId, ownerPrivateKey, amount, options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+    await this.ensureInitialized();
+
+    try {
+      const ownerKey = PrivateKey.fromString(ownerPrivateKey);
+
+      const record = await this.submit('token_allowance_approve', () => (
+        this.applyAllowance(tokenId, ownerAccountId, amount, [ownerKey.publicKey.toString()])
+      ), options);
+
+      return {
+        success: true,
+        owner: ownerAccountId,
+        spender: this.treasuryId,
+        tokenId,
+        amount,
+        transactionId: record.transactionId,
+        status: record.status
+      };
+
+    } catch (error) {
+      logger.error('Token allowance approval failed:', error);
+      throw this.failure('Failed to approve token allowance', error);
+    }
+  }
+
+  /**
+   * Transfer tokens from investor back to treasury under the allowance the
+   * investor granted (for redemption)
+   *
+   * @param {string} ownerAccountId - Hedera account ID of the investor
+   * @param {number} amount - Amount to transfer
+   * @param {Object} options - { tokenId, transactionId, memo }
+   * @returns {Object} - Transfer result
+   */
+  async transferApprovedFromInvestor(ownerAccountId, amount, options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+    await this.ensureInitialized();
+
+    try {
+      const record = await this.submit('token_transfer', () => {
+        this.assertSigned(this.getAccount(this.treasuryId).key, [this.operatorPublicKey()]);
+        return this.applyApprovedTransfer(tokenId, ownerAccountId, amount);
+      }, options);
+
+      return {
+        success: true,
+        amount,
+        sender: ownerAccountId,
+        approved: true,
+        transactionId: record.transactionId,
+        status: record.status
+      };
+
+    } catch (error) {
+      logger.error('Approved token transfer from investor failed:', error);
+      throw this.failure('Failed to receive tokens', error);
+    }
+  }
+
+  /**
+   * Associate token with an investor's account
+   *
+   * @param {string} accountId - Account to associate token with
+   * @param {string} accountPrivateKey - Private key of the account
+   * @param {Object} options - { tokenId, transactionId }
+   * @returns {Object} - Association result
+   */
+  async associateTokenToAccount(accountId, accountPrivateKey, options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+    await this.ensureInitialized();
+
+    try {
+      const accountKey = PrivateKey.fromString(accountPrivateKey);
+
+      const record = await this.submit('token_associate', () => (
+        this.applyAssociation(tokenId, accountId, [accountKey.publicKey.toString()])
+      ), options);
+
+      return {
+        success: true,
+        accountId,
+        tokenId,
+        transactionId: record.transactionId,
+        status: record.status
+      };
+
+    } catch (error) {
+      logger.error('Token association failed:', error);
+      throw this.failure('Failed to associate token', error);
+    }
+  }
+
+  applyTransferFromInvestor(tokenId, senderAccountId, amount, signerKeys) {
+    this.assertSigned(this.getAccount(senderAccountId).key, signerKeys);
+    this.requirePositiveAmount(amount, 'INVALID_ACCOUNT_AMOUNTS');
+
+    return {
+      tokenTransfers: this.moveTokens(tokenId, senderAccountId, this.treasuryId, amount)
+    };
+  }
+
+  applyAllowance(tokenId, ownerAccountId, amount, signerKeys) {
+    this.getUnpausedToken(tokenId);
+    this.assertSigned(this.getAccount(ownerAccountId).key, signerKeys);
+    if (!Number.isInteger(amount) || amount < 0) {
+      throw ledgerError('NEGATIVE_ALLOWANCE_AMOUNT', ownerAccountId);
+    }
+
+    const relationship = this.getRelationship(ownerAccountId, tokenId);
+    relationship.allowances = { ...relationship.allowances, [this.treasuryId]: amount };
+  }
+
+  applyApprovedTransfer(tokenId, ownerAccountId, amount) {
+    this.requirePositiveAmount(amount, 'INVALID_ACCOUNT_AMOUNTS');
+
+    const allowances = this.getRelationship(ownerAccountId, tokenId).allowances || {};
+    const allowance = allowances[this.treasuryId];
+    if (!allowance) {
+      throw ledgerError('SPENDER_DOES_NOT_HAVE_ALLOWANCE', ownerAccountId);
+    }
+    if (allowance < amount) {
+      throw ledgerError('AMOUNT_EXCEEDS_ALLOWANCE', ownerAccountId);
+    }
+
+    const tokenTransfers = this.moveTokens(tokenId, ownerAccountId, this.treasuryId, amount);
+    this.getRelationship(ownerAccountId, tokenId).allowances[this.treasuryId] = allowance - amount;
+
+    return { tokenTransfers };
+  }
+
+  applyAssociation(tokenId, accountId, signerKeys) {
+    const account = this.getAccount(accountId);
+    this.getToken(tokenId);
+    this.assertSigned(account.key, signerKeys);
+
+    if (account.tokens[tokenId]) {
+      throw ledgerError('TOKEN_ALREADY_ASSOCIATED_TO_ACCOUNT', accountId);
+    }
+
+    account.tokens[tokenId] = { balance: 0 };
+  }
+
+  /**
+   * Freeze a transaction paid by the operator so an investor's wallet can
+   * sign it
+   *
+   * @param {Transaction} transaction - Unfrozen SDK transaction
+   * @returns {Object} - { transactionId, transactionBytes, expiresAt }
+   */
+  async freezeForClient(transaction) {
+    const transactionId = await this.generateTransactionId();
+
+    transaction
+      .setNodeAccountIds([new AccountId(3)])
+      .setTransactionId(TransactionId.fromString(transactionId))
+      .freeze();
+
+    return this.clientPayload(transaction);
+  }
+
+  /**
+   * Submit a token association signed by a non-custodial investor
+   *
+   * @param {string} signedTransaction - Base64 signed bytes from prepareAssociation
+   * @param {Object} account - { accountId, publicKey, tokenId } of the investor
+   * @returns {Object} - Association result
+   */
+  async submitSignedAssociation(signedTransaction, account) {
+    const tokenId = this.requireToken(account.tokenId);
+    const { accountId, publicKey } = account;
+    await this.ensureInitialized();
+
+    const transaction = this.readSignedAssociation(signedTransaction, { accountId, publicKey, tokenId });
+
+    try {
+      const record = await this.submit('token_associate', () => (
+        this.applyAssociation(tokenId, accountId, [publicKey])
+      ), { transactionId: transaction.transactionId.toString() });
+
+      return {
+        success: true,
+        accountId,
+        tokenId,
+        transactionId: record.transactionId,
+        status: record.status
+      };
+
+    } catch (error) {
+      logger.error('Signed token association failed:', error);
+      throw this.failure('Failed to associate token', error);
+    }
+  }
+
+  /**
+   * Submit a transfer back to the treasury signed by a non-custodial
+   * investor (redemption)
+   *
+   * @param {string} signedTransaction - Base64 signed bytes from prepareTransferFromInvestor
+   * @param {Object} expected - { senderAccountId, publicKey, amount, transactionId, tokenId }
+   * @returns {Object} - Transfer result
+   */
+  async submitSignedTransferFromInvestor(signedTransaction, expected) {
+    const tokenId = this.requireToken(expected.tokenId);
+    await this.ensureInitialized();
+
+    const { senderAccountId, publicKey, amount } = expected;
+    const transaction = this.readSignedTransferFromInvestor(signedTransaction, { ...expected, tokenId });
+
+    try {
+      const record = await this.submit('token_transfer', () => (
+        this.applyTransferFromInvestor(tokenId, senderAccountId, amount, [publicKey])
+      ), { transactionId: transaction.transactionId.toString() });
+
+      return {
+        success: true,
+        amount,
+        sender: senderAccountId,
+        transactionId: record.transactionId,
+        status: record.status
+      };
+
+    } catch (error) {
+      logger.error('Signed token transfer from investor failed:', error);
+      throw this.failure('Failed to receive tokens', error);
+    }
+  }
+
+  /**
+   * Set the KYC flag of an account's token relationship
+   */
+  async setKyc(type, tokenId, accountId, granted, options) {
+    const record = await this.submit(type, () => {
+      const token = this.getUnpausedToken(tokenId);
+      if (!token.kycKey) {
+        throw ledgerError('TOKEN_HAS_NO_KYC_KEY', tokenId);
+      }
+      this.assertSigned(token.kycKey, [this.kycKey.publicKey.toString()]);
+
+      this.getRelationship(accountId, tokenId).kycGranted = granted;
+    }, options);
+
+    return {
+      success: true,
+      accountId,
+      transactionId: record.transactionId,
+      status: record.status
+    };
+  }
+
+  /**
+   * Grant KYC for the token to an account (signed with the KYC key)
+   *
+   * @param {string} accountId - Account to grant KYC to
+   * @param {Object} options - { tokenId, transactionId }
+   * @returns {Object} - Grant result
+   */
+  async grantKyc(accountId, options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+    await this.ensureInitialized();
+
+    try {
+      return await this.setKyc('token_grant_kyc', tokenId, accountId, true, options);
+    } catch (error) {
+      logger.error('KYC grant failed:', error);
+      throw this.failure('Failed to grant KYC', error);
+    }
+  }
+
+  /**
+   * Revoke KYC for the token from an account (signed with the KYC key)
+   *
+   * @param {string} accountId - Account to revoke KYC from
+   * @param {Object} options - { tokenId, transactionId }
+   * @returns {Object} - Revoke result
+   */
+  async revokeKyc(accountId, options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+    await this.ensureInitialized();
+
+    try {
+      return await this.setKyc('token_revoke_kyc', tokenId, accountId, false, options);
+    } catch (error) {
+      logger.error('KYC revoke failed:', error);
+      throw this.failure('Failed to revoke KYC', error);
+    }
+  }
+
+  /**
+   * Get token information
+   *
+   * @param {Object} options - { tokenId } (default: the current token)
+   * @returns {Object} - Token information
+   */
+  async getTokenInfo(options = {}) {
+    const tokenId = this.requireToken(options.tokenId);
+    await this.ensureInitialized();
+
+    try {
+      const token = this.getToken(tokenId);
+
+      return {
+        tokenId,
+        name: token.name,
+        symbol: token.symbol,
+        decimals: token.decimals,
+        totalSupply: token.totalSupply.toString(),
+        treasury: token.treasury,
+        adminKey: token.adminKey ? JSON.stringify(token.adminKey) : null,
+        supplyKey: token.supplyKey ? JSON.stringify(token.supplyKey) : null,
+        kycKey: token.kycKey || null,
+        pauseKey: token.pauseKey ? JSON.stringify(token.pauseKey) : null,
+        paused: Boolean(token.paused),
+        customFees: token.transferFee
+          ? [{
+            type: 'fractional',
+            numerator: token.transferFee.numerator,
+            denominator: token.transferFee.denominator,
+            minimumAmount: token.transferFee.minimumAmount,
+            maximumAmount: token.transferFee.maximumAmount,
+            feeCollectorAccountId: token.transferFee.collector
+          }]
+          : []
+      };
+
+    } catch (error) {
+      logger.error('Failed to get token info:', error);
+      throw new Error(`Failed to get token info: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get account token balance
+   *
+   * @param {string} accountId - Account ID to check
+   * @param {Object} options - { tokenId } (default: the current token)
+   * @returns {Object} - Balance information
+   */
+  async getAccountBalance(accountId, options = {}) {
+    const tokenId = options.tokenId || this.tokenId;
+    await this.ensureInitialized();
+
+    try {
+      const account = this.getAccount(accountId);
+      const relationship = tokenId ? account.tokens[tokenId] : null;
+
+      return {
+        accountId,
+        hbarBalance: Hbar.fromTinybars(account.hbarBalance).toString(),
+        hbarTinybars: account.hbarBalance,
+        tokenBalance: (relationship ? relationship.balance : 0).toString(),
+        tokenAssociated: Boolean(relationship),
+        tokenId
+      };
+
+    } catch (error) {
+      logger.error('Failed to get account balance:', error);
+      throw new Error(`Failed to get account balance: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a new simulated account paid for by the operator
+   *
+   * @param {string} publicKey - Public key that will control the account
+   * @param {number} initialBalanceTinybars - Starting HBAR balance in tinybars
+   * @param {Object} options - { transactionId, maxAutomaticTokenAssociations }
+   * @returns {Object} - New account ID and creation transaction
+   */
+  async createAccount(publicKey, initialBalanceTinybars = 0, options = {}) {
+    await this.ensureInitialized();
+
+    try {
+      const { maxAutomaticTokenAssociations = this.defaultMaxAutoAssociations(), ...submitOptions } = options;
+
+      const record = await this.submit('account_create', () => {
+        const operator = this.getAccount(this.operatorId);
+        if (operator.hbarBalance < initialBalanceTinybars) {
+          throw ledgerError('INSUFFICIENT_PAYER_BALANCE', this.operatorId);
+        }
+
+        const accountId = this.nextEntityId();
+        operator.hbarBalance -= initialBalanceTinybars;
+        this.ensureAccount(accountId, publicKey, initialBalanceTinybars, maxAutomaticTokenAssociations);
+
+        return { accountId };
+      }, submitOptions);
+
+      logger.info(`Simulated account created: ${record.accountId}`);
+
+      return {
+        success: true,
+        accountId: record.accountId,
+        transactionId: record.transactionId,
+        status: record.status
+      };
+
+    } catch (error) {
+      logger.error('Account creation failed:', error);
+      throw this.failure('Failed to create account', error);
+    }
+  }
+
+  /**
+   * Replace the key of an account (key rotation)
+   * Like Hedera, both the current and the new key must sign.
+   *
+   * @param {string} accountId - Account to update
+   * @param {string} currentPrivateKey - Current private key of the account
+   * @param {string} newPrivateKey - Private key that will control the account
+   * @param {Object} options - { transactionId }
+   * @returns {Object} - Update result
+   */
+  async updateAccountKey(accountId, currentPrivateKey, newPrivateKey, options = {}) {
+    await this.ensureInitialized();
+
+    try {
+      const currentKey = PrivateKey.fromString(currentPrivateKey).publicKey.toString();
+      const newKey = PrivateKey.fromString(newPrivateKey).publicKey.toString();
+
+      const record = await this.submit('account_update', () => {
+        const account = this.getAccount(accountId);
+        this.assertSigned(account.key, [currentKey]);
+        account.key = newKey;
+      }, options);
+
+      logger.info(`Simulated key of account ${accountId} updated`);
+
+      return {
+        success: true,
+        accountId,
+        publicKey: newKey,
+        transactionId: record.transactionId,
+        status: record.status
+      };
+
+    } catch (error) {
+      logger.error('Account key update failed:', error);
+      throw this.failure('Failed to update account key', error);
+    }
+  }
+
+  /**
+   * Public key controlling an account
+   *
+   * @param {string} accountId - Account ID
+   * @returns {string|null} - Public key, or null for key lists
+   */
+  async getAccountKey(accountId) {
+    await this.ensureInitialized();
+
+    const { key } = this.getAccount(accountId);
+    return typeof key === 'string' ? key : null;
+  }
+
+  /**
+   * Create a Consensus Service topic that only the operator can submit to
+   *
+   * @param {string} memo - Topic memo
+   * @returns {Object} - New topic ID and creation transaction
+   */
+  async createTopic(memo) {
+    await this.ensureInitialized();
+
+    try {
+      const record = await this.submit('topic_create', () => {
+        const topicId = this.nextEntityId();
+        this.state.topics[topicId] = {
+          memo,
+          submitKey: this.operatorPublicKey(),
+          messages: []
+        };
+        return { topicId };
+      });
+
+      logger.info(`Simulated HCS topic created: ${record.topicId}`);
+
+      return {
+        success: true,
+        topicId: record.topicId,
+        transactionId: record.transactionId,
+        status: record.status
+      };
+
+    } catch (error) {
+      logger.error('Topic creation failed:', error);
+      throw this.failure('Failed to create topic', error);
+    }
+  }
+
+  /**
+   * Submit a message to a Consensus Service topic
+   *
+   * @param {string} topicId - Topic to submit to
+   * @param {string} message - Message contents
+   * @returns {Object} - Sequence number and consensus timestamp
+   */
+  async submitTopicMessage(topicId, message) {
+    await this.ensureInitialized();
+
+    try {
+      const record = await this.submit('topic_message', () => {
+        const topic = this.state.topics[topicId];
+        if (!topic) {
+          throw ledgerError('INVALID_TOPIC_ID', topicId);
+        }
+        this.assertSigned(topic.submitKey, [this.operatorPublicKey()]);
+
+        const sequenceNumber = topic.messages.length + 1;
+        topic.messages.push({
+          sequenceNumber,
+          message: Buffer.from(message).toString('base64')
+        });
+        return { topicId, topicSequenceNumber: sequenceNumber };
+      });
+
+      // The message shares the consensus timestamp of its transaction
+      const sequenceNumber = record.topicSequenceNumber;
+      const topic = this.state.topics[topicId];
+      topic.messages[sequenceNumber - 1].consensusTimestamp = record.consensusTimestamp;
+      this.saveState();
+
+      return {
+        success: true,
+        topicId,
+        sequenceNumber,
+        consensusTimestamp: record.consensusTimestamp,
+        transactionId: record.transactionId,
+        status: record.status
+      };
+
+    } catch (error) {
+      logger.error('Topic message submission failed:', error);
+      throw this.failure('Failed to submit topic message', error);
+    }
+  }
+
+  /**
+   * Read a topic message back (the simulator acts as its own mirror node)
+   *
+   * @param {string} topicId - Topic ID
+   * @param {number} sequenceNumber - Message sequence number
+   * @returns {Object} - Message contents and consensus timestamp
+   */
+  async getTopicMessage(topicId, sequenceNumber) {
+    await this.ensureInitialized();
+
+    const topic = this.state.topics[topicId];
+    const entry = topic ? topic.messages[sequenceNumber - 1] : null;
+    if (!entry) {
+      throw new Error(`Failed to get topic message: ${topicId} #${sequenceNumber} not found`);
+    }
+
+    return {
+      topicId,
+      sequenceNumber: entry.sequenceNumber,
+      consensusTimestamp: entry.consensusTimestamp,
+      message: Buffer.from(entry.message, 'base64').toString('utf8')
+    };
+  }
+}
+
+module.exports = SimulatedLedger;
@@ -0,0 +1,204 @@
+/**
+ * Ledger Operation Service - Records ledger transactions before submitting them
+ *
+ * This service handles:
+ * - Generating and persisting the transaction ID of every ledger operation
+ *   a business flow depends on, before it is submitted
+ * - Running an operation at most once per business record
+ * - Resolving operations left pending (crash, timeout) from their receipt
+ *
+ * Retries of transient failures happen inside the ledger backend
+ * (BaseLedger.submitWithRetry); this service covers what survives a restart.
+ */
+
+const { LedgerOperation } = require('../models');
+const hederaService = require('./hederaService');
+const feeService = require('./feeService');
+const logger = require('../utils/logger');
+
+// A transaction that has not reached consensus this long after its ID was
+// generated never will (Hedera transactions are valid for 120 seconds)
+const UNRESOLVED_AFTER_MS = 5 * 60 * 1000;
+
+/**
+ * Build an error carrying the HTTP status code for the controller
+ */
+function operationError(message, statusCode = 409) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+class LedgerOperationService {
+  /**
+   * Record an operation, then submit it
+   * An operation whose outcome is unknown stays pending for resolve().
+   *
+   * @param {string} operationType - LedgerOperation type
+   * @param {Object} refs - Related records (relatedTransactionId, ...)
+   * @param {Function} submit - Called with the transaction ID; performs the ledger call
+   * @param {Object} options - { transactionId } of a transaction prepared
+   *   earlier (e.g. signed by an investor's wallet) instead of a new one
+   * @returns {Object} - Result of the ledger call
+   */
+  async run(operationType, refs, submit, options = {}) {
+    const operation = await LedgerOperation.create({
+      operationType,
+      transactionId: options.transactionId || await hederaService.generateTransactionId(),
+      status: 'pending',
+      ...refs
+    });
+    await feeService.track(operation.transactionId, operationType, refs);
+
+    try {
+      const result = await submit(operation.transactionId);
+
+      operation.status = 'succeeded';
+      operation.receiptStatus = result.status;
+      operation.result = result;
+      operation.resolvedAt = new Date();
+      await operation.save();
+
+      return result;
+
+    } catch (error) {
+      operation.error = error.message;
+
+      if (!error.outcomeUnknown) {
+        operation.status = 'failed';
+        operation.receiptStatus = error.status || undefined;
+        operation.resolvedAt = new Date();
+      }
+      await operation.save();
+
+      throw error;
+    }
+  }
+
+  /**
+   * Run an operation unless an earlier attempt for the same records
+   * already succeeded, in which case its result is returned
+   *
+   * @param {string} operationType - LedgerOperation type
+   * @param {Object} refs - Related records identifying the operation
+   * @param {Function} submit - Called with the transaction ID; performs the ledger call
+   * @param {Object} options - { transactionId }, see run()
+   * @returns {Object} - Result of the (earlier or new) ledger call
+   */
+  async runOnce(operationType, refs, submit, options = {}) {
+    const previous = await this.previousResult(operationType, refs);
+    if (previous) {
+      return previous;
+    }
+
+    return this.run(operationType, refs, submit, options);
+  }
+
+  /**
+   * Result of an earlier successful attempt of an operation, if any
+   * Throws 409 while an earlier attempt is still in flight.
+   *
+   * @param {string} operationType - LedgerOperation type
+   * @param {Object} refs - Related records identifying the operation
+   * @returns {Object|null} - Result of the earlier ledger call
+   */
+  async previousResult(operationType, refs) {
+    const previous = await LedgerOperation.find({ operationType, ...refs })
+      .sort({ createdAt: 1 });
+
+    for (const operation of previous) {
+      if (operation.status === 'pending') {
+        await this.resolve(operation);
+      }
+
+      if (operation.status === 'succeeded') {
+        logger.info(`Reusing ${operationType} ${operation.transactionId}`);
+        return operation.result;
+      }
+
+      if (operation.status === 'pending') {
+        throw operationError(`Ledger transaction ${operation.transactionId} is still in flight, try again shortly`);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve a pending operation from its receipt
+   * Leaves it pending while the transaction may still reach consensus.
+   *
+   * @param {Object} operation - LedgerOperation document
+   * @returns {Object} - Updated operation
+   */
+  async resolve(operation) {
+    const receipt = await hederaService.getTransactionReceipt(operation.transactionId);
+
+    if (receipt.found) {
+      operation.receiptStatus = receipt.status;
+
+      if (receipt.status === 'SUCCESS') {
+        operation.status = 'succeeded';
+        operation.result = this.resultFromReceipt(operation, receipt);
+      } else {
+        operation.status = 'failed';
+        operation.error = `Transaction failed with status ${receipt.status}`;
+      }
+    } else if (Date.now() - operation.createdAt.getTime() > UNRESOLVED_AFTER_MS) {
+      operation.status = 'failed';
+      operation.error = 'Transaction never reached consensus';
+    } else {
+      return operation;
+    }
+
+    operation.resolvedAt = new Date();
+    await operation.save();
+
+    logger.info(`Ledger operation ${operation.transactionId} resolved: ${operation.status}`);
+    return operation;
+  }
+
+  /**
+   * Rebuild the result of a ledger call from a looked-up receipt
+   */
+  resultFromReceipt(operation, receipt) {
+    const result = {
+      success: true,
+      transactionId: operation.transactionId,
+      status: receipt.status
+    };
+
+    if (operation.operationType === 'schedule_create') {
+      result.scheduleId = receipt.entityId;
+      result.scheduledTransactionId = `${operation.transactionId}?scheduled`;
+    }
+
+    return result;
+  }
+
+  /**
+   * Resolve every pending operation (startup recovery)
+   *
+   * @returns {Object} - Counts of resolved and still pending operations
+   */
+  async resolvePending() {
+    const pending = await LedgerOperation.find({ status: 'pending' }).sort({ createdAt: 1 });
+    let resolved = 0;
+
+    for (const operation of pending) {
+      try {
+        await this.resolve(operation);
+        if (operation.status !== 'pending') {
+          resolved += 1;
+        }
+      } catch (error) {
+        logger.error(`Failed to resolve ledger operation ${operation.transactionId}:`, error);
+      }
+    }
+
+    return { resolved, pending: pending.length - resolved };
+  }
+}
+
+// Export singleton instance
+module.exports = new LedgerOperationService();
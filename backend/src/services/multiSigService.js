@@ -0,0 +1,834 @@
+/**
+ * Multi-Sig Service - Lifecycle of manager-approved operations
+ *
+ * This service handles:
+ * - Creating multi-sig requests
+ * - Scheduling ledger operations (token creation, mint, burn, account
+ *   freeze/unfreeze, wipe, token pause/unpause, the mint of an interest
+ *   distribution) as Hedera scheduled transactions that each manager signs
+ *   from their own device
+ * - Recording manager signatures and execution status
+ * - Applying the outcome of executed requests
+ *
+ * The server only relays manager signatures and never holds manager keys.
+ * Requests that do not touch the ledger (rate and fee schedule changes, NAV
+ * publications) are approved in the database. Requests about a fund carry its fundId, and
+ * those on the ledger the tokenId of the fund's token.
+ *
+ * Every step is safe to repeat: schedule creation and the transfers that
+ * complete a request go through ledgerOperationService, so recovery can
+ * resume an interrupted request without submitting anything twice.
+ */
+
+const mongoose = require('mongoose');
+const { PublicKey } = require('@hashgraph/sdk');
+const { Token, Fund, MultiSigRequest, Investment, Transaction, User } = require('../models');
+const hederaService = require('./hederaService');
+const auditService = require('./auditService');
+const ledgerOperationService = require('./ledgerOperationService');
+const feeService = require('./feeService');
+const fundFeeService = require('./fundFeeService');
+const rateHistoryService = require('./rateHistoryService');
+const navService = require('./navService');
+const taxService = require('./taxService');
+const money = require('../utils/money');
+const logger = require('../utils/logger');
+
+// Request types executed on the ledger, and the ledger call that schedules them
+const SCHEDULED_REQUESTS = {
+  token_creation: (requestData, options) => hederaService.scheduleTokenCreation(requestData, options),
+  token_mint: (requestData, options) => hederaService.scheduleMint(requestData.amount, options),
+  token_burn: (requestData, options) => hederaService.scheduleBurn(requestData.amount, options),
+  account_freeze: (requestData, options) => hederaService.scheduleFreeze(requestData.accountId, options),
+  account_unfreeze: (requestData, options) => hederaService.scheduleUnfreeze(requestData.accountId, options),
+  token_wipe: (requestData, options) => hederaService.scheduleWipe(requestData.accountId, requestData.amount, options),
+  fund_pause: (requestData, options) => hederaService.schedulePause(options),
+  fund_unpause: (requestData, options) => hederaService.scheduleUnpause(options),
+  interest_distribution: (requestData, options) => hederaService.scheduleMint(requestData.amount, options)
+};
+
+/**
+ * Build an error carrying the HTTP status code for the controller
+ */
+function requestError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+class MultiSigService {
+  constructor() {
+    // Post-execution handlers per request type
+    this.handlers = {
+      token_creation: request => this.completeTokenCreation(request),
+      token_mint: request => this.completeMint(request),
+      token_burn: request => this.completeBurn(request),
+      rate_change: request => this.completeRateChange(request),
+      fee_schedule_change: request => fundFeeService.applyScheduleChange(request),
+      account_freeze: request => this.completeFreeze(request),
+      account_unfreeze: request => this.completeUnfreeze(request),
+      token_wipe: request => this.completeWipe(request),
+      fund_pause: request => this.completePause(request),
+      fund_unpause: request => this.completeUnpause(request),
+      nav_publication: request => navService.applyPublication(request),
+      interest_distribution: request => this.completeDistribution(request)
+    };
+
+    // Clean-up handlers for requests that will never execute
+    this.failureHandlers = {
+      token_mint: request => this.failMint(request)
+    };
+  }
+
+  /**
+   * Whether a request type is executed as a scheduled ledger transaction
+   *
+   * @param {string} requestType - MultiSigRequest type
+   * @returns {boolean}
+   */
+  isScheduled(requestType) {
+    return Boolean(SCHEDULED_REQUESTS[requestType]);
+  }
+
+  /**
+   * Create a multi-sig request, scheduling it on the ledger when needed
+   *
+   * @param {Object} params - Request parameters
+   * @param {string} params.requestType - MultiSigRequest type
+   * @param {string} params.description - Human readable description
+   * @param {Object} params.requestData - Operation parameters
+   * @param {string} params.createdBy - User ID of the creator (unset for
+   *   requests the platform raises, e.g. batched mints)
+   * @param {Array} params.signatures - Approvals already given (off-ledger requests)
+   * @param {number} params.expiresInHours - Hours until the request expires
+   * @param {string} params.requestId - Pre-assigned ID, so a retry reuses the same schedule
+   * @returns {Object} - Saved MultiSigRequest
+   */
+  async createRequest({ requestType, description, requestData, createdBy, signatures = [], expiresInHours = 24, requestId }) {
+    const expiresAt = new Date();
+    expiresAt.setHours(expiresAt.getHours() + expiresInHours);
+
+    const request = new MultiSigRequest({
+      _id: requestId,
+      requestType,
+      description,
+      requestData,
+      requiredSignatures: 2,
+      signatures,
+      status: 'pending',
+      createdBy,
+      expiresAt
+    });
+
+    if (this.isScheduled(requestType)) {
+      const schedule = await ledgerOperationService.runOnce(
+        'schedule_create',
+        { relatedRequestId: request._id },
+        transactionId => SCHEDULED_REQUESTS[requestType](requestData, {
+          memo: `Pezzy ${requestType} ${request._id}`,
+          expiresAt,
+          transactionId,
+          tokenId: requestData.tokenId
+        })
+      );
+
+      request.scheduleId = schedule.scheduleId;
+      request.scheduledTransactionId = schedule.scheduledTransactionId;
+      request.scheduleCreateTransactionId = schedule.transactionId;
+    }
+
+    await request.save();
+
+    logger.info(`Multi-sig request created: ${requestType} ${request._id}${request.scheduleId ? ` (schedule ${request.scheduleId})` : ''}`);
+
+    return request;
+  }
+
+  /**
+   * Get the unsigned ScheduleSignTransaction a manager signs on their device
+   *
+   * @param {Object} request - MultiSigRequest document
+   * @returns {Object} - Schedule ID and base64 transaction bytes
+   */
+  async getSignPayload(request) {
+    this.assertSignable(request);
+
+    if (!request.scheduleId) {
+      throw requestError('This request is approved off-ledger and has nothing to sign');
+    }
+
+    return {
+      requestId: request._id,
+      scheduleId: request.scheduleId,
+      transactionBytes: await hederaService.getScheduleSignPayload(request.scheduleId)
+    };
+  }
+
+  /**
+   * Check that a request can still collect signatures
+   */
+  assertSignable(request) {
+    if (request.status !== 'pending') {
+      throw requestError(`Request is already ${request.status}`);
+    }
+
+    if (new Date() > request.expiresAt) {
+      throw requestError('Request has expired');
+    }
+  }
+
+  /**
+   * Record a manager's signature on a request
+   * For scheduled requests the manager either posts the signed
+   * ScheduleSignTransaction bytes, or signs on-chain themselves and calls
+   * this without bytes so the schedule's signatories are checked.
+   *
+   * @param {Object} request - MultiSigRequest document
+   * @param {Object} manager - Signing manager (User document)
+   * @param {string} signedTransaction - Base64 signed transaction (optional)
+   * @returns {Object} - Updated MultiSigRequest
+   */
+  async signRequest(request, manager, signedTransaction) {
+    if (request.status === 'pending' && new Date() > request.expiresAt) {
+      await this.rejectRequest(request, 'Request expired');
+    }
+    this.assertSignable(request);
+
+    const managerId = manager._id.toString();
+    const alreadySigned = request.signatures.some(
+      sig => sig.managerId && sig.managerId.toString() === managerId
+    );
+
+    if (alreadySigned) {
+      throw requestError('You have already signed this request');
+    }
+
+    const signature = {
+      managerId: manager._id,
+      managerAccountId: manager.hederaAccountId,
+      signedAt: new Date()
+    };
+
+    if (request.scheduleId) {
+      const signed = await this.collectScheduleSignature(request, manager, signedTransaction);
+      signature.publicKey = signed.publicKey;
+      signature.transactionId = signed.transactionId;
+    }
+
+    request.signatures.push(signature);
+
+    if (request.signatures.length >= request.requiredSignatures) {
+      request.status = 'approved';
+    }
+    await request.save();
+
+    logger.info(`Multi-sig request ${request._id} signed by ${manager.email} (${request.signatures.length}/${request.requiredSignatures})`);
+
+    if (request.status === 'approved') {
+      await this.executeRequest(request);
+    }
+
+    return request;
+  }
+
+  /**
+   * Submit (or look up) a manager's schedule signature and return the
+   * manager key it adds
+   * If the manager's profile holds one of the manager keys, only that key
+   * counts as their signature.
+   */
+  async collectScheduleSignature(request, manager, signedTransaction) {
+    const usedKeys = request.signatures.map(sig => sig.publicKey).filter(Boolean);
+    let candidateKeys;
+    let transactionId = null;
+
+    if (signedTransaction) {
+      const result = await hederaService.submitScheduleSignature(request.scheduleId, signedTransaction);
+      candidateKeys = result.signerPublicKeys;
+      transactionId = result.transactionId;
+      await feeService.track(transactionId, 'schedule_sign', { relatedRequestId: request._id });
+    } else {
+      const info = await hederaService.getScheduleInfo(request.scheduleId);
+      candidateKeys = info.signatories;
+    }
+
+    const ownKey = manager.hederaPublicKey && hederaService.isManagerKey(manager.hederaPublicKey)
+      ? PublicKey.fromString(manager.hederaPublicKey).toString()
+      : null;
+
+    const publicKey = candidateKeys.find(
+      key => hederaService.isManagerKey(key) &&
+        !usedKeys.includes(key) &&
+        (!ownKey || key === ownKey)
+    );
+
+    if (!publicKey) {
+      throw requestError('No new manager signature found on the schedule');
+    }
+
+    return { publicKey, transactionId };
+  }
+
+  /**
+   * Execute an approved request
+   * Scheduled requests have already run on the ledger once the last
+   * signature landed; this reads their outcome and applies it. If applying
+   * the outcome fails the request stays approved and is retried by recovery.
+   *
+   * @param {Object} request - Approved MultiSigRequest document
+   * @returns {Object} - Updated MultiSigRequest
+   */
+  async executeRequest(request) {
+    if (request.scheduleId && request.executionStatus !== 'SUCCESS') {
+      const info = await hederaService.getScheduleInfo(request.scheduleId);
+      if (!info.executed) {
+        // Signatures recorded but the ledger has not executed it yet
+        return request;
+      }
+
+      const result = await hederaService.getScheduledTransactionResult(request.scheduledTransactionId);
+      await feeService.track(request.scheduledTransactionId, request.requestType, { relatedRequestId: request._id });
+      request.executionStatus = result.status;
+      request.executionTransactionId = request.scheduledTransactionId;
+
+      if (result.status !== 'SUCCESS') {
+        const reason = `Scheduled transaction failed with status ${result.status}`;
+        await this.rejectRequest(request, reason);
+        throw requestError(reason, 502);
+      }
+
+      request.metadata = { ...(request.metadata || {}), result };
+      await request.save();
+    }
+
+    try {
+      await this.handlers[request.requestType](request);
+    } catch (error) {
+      logger.error(`Multi-sig request ${request._id} execution failed:`, error);
+      request.metadata = { ...(request.metadata || {}), error: error.message };
+      await request.save();
+      throw error;
+    }
+
+    request.status = 'executed';
+    request.executedAt = new Date();
+    await request.save();
+    await auditService.recordRequest(request);
+
+    logger.info(`Multi-sig request executed: ${request.requestType} ${request._id}`);
+    return request;
+  }
+
+  /**
+   * Reject a request that will never execute and clean up after it
+   *
+   * @param {Object} request - MultiSigRequest document
+   * @param {string} reason - Why the request was rejected
+   * @returns {Object} - Updated MultiSigRequest
+   */
+  async rejectRequest(request, reason) {
+    request.status = 'rejected';
+    request.metadata = { ...(request.metadata || {}), error: reason };
+    await request.save();
+
+    logger.warn(`Multi-sig request ${request._id} rejected: ${reason}`);
+
+    const onFailure = this.failureHandlers[request.requestType];
+    if (onFailure) {
+      await onFailure(request);
+    }
+
+    return request;
+  }
+
+  /**
+   * Reject pending requests past their expiry
+   *
+   * @returns {number} - Number of requests rejected
+   */
+  async expireStale() {
+    const stale = await MultiSigRequest.find({
+      status: 'pending',
+      expiresAt: { $lte: new Date() }
+    });
+
+    for (const request of stale) {
+      await this.rejectRequest(request, 'Request expired');
+    }
+
+    return stale.length;
+  }
+
+  // ============================================================
+  // Execution handlers
+  // ============================================================
+
+  /**
+   * Save the token created by an executed token_creation schedule and
+   * open its fund
+   */
+  async completeTokenCreation(request) {
+    const { result } = request.metadata;
+    const fund = await Fund.findById(request.requestData.fundId);
+
+    // The default fund's token is the ledger's current token
+    if (fund.isDefault) {
+      hederaService.setTokenId(result.tokenId);
+    }
+
+    if (!await Token.exists({ tokenId: result.tokenId })) {
+      await this.saveToken(request, fund);
+    }
+
+    await Fund.updateOne(
+      { _id: fund._id, tokenId: null },
+      { tokenId: result.tokenId, status: 'active' }
+    );
+
+    logger.info(`Fund ${fund.code} opened with token ${result.tokenId}`);
+  }
+
+  /**
+   * Record a created token, read back from the ledger
+   */
+  async saveToken(request, fund) {
+    const { result } = request.metadata;
+    const tokenInfo = await hederaService.getTokenInfo({ tokenId: result.tokenId });
+
+    const token = new Token({
+      tokenId: result.tokenId,
+      fundId: fund._id,
+      customFees: tokenInfo.customFees,
+      name: tokenInfo.name,
+      symbol: tokenInfo.symbol,
+      decimals: tokenInfo.decimals,
+      totalSupply: tokenInfo.totalSupply,
+      treasuryAccountId: tokenInfo.treasury,
+      manager1AccountId: hederaService.manager1Id.toString(),
+      manager2AccountId: hederaService.manager2Id.toString(),
+      creationTransactionId: request.scheduledTransactionId,
+      isActive: true
+    });
+    await token.save();
+
+    logger.info(`Token created successfully: ${result.tokenId}`);
+  }
+
+  /**
+   * Deposits minted by a token_mint request: a batch of a dealing window
+   * (see dealingService), or the single deposit of older requests
+   */
+  mintedDeposits(request) {
+    const { deposits, investmentId, transactionId, amount } = request.requestData;
+    return deposits || [{ investmentId, transactionId, amount }];
+  }
+
+  /**
+   * Settle the deposits behind an executed token_mint schedule
+   * A deposit that cannot be settled does not hold up the others; the
+   * request stays approved and recovery retries the unsettled ones.
+   */
+  async completeMint(request) {
+    const failed = [];
+
+    for (const deposit of this.mintedDeposits(request)) {
+      try {
+        await this.settleDeposit(request, deposit);
+      } catch (error) {
+        logger.error(`Deposit ${deposit.transactionId} of mint ${request._id} not settled:`, error);
+        failed.push(deposit.transactionId);
+      }
+    }
+
+    if (failed.length > 0) {
+      throw requestError(`${failed.length} deposit(s) of the mint could not be settled: ${failed.join(', ')}`, 502);
+    }
+  }
+
+  /**
+   * Move a deposit's minted tokens to the investor and activate the
+   * investment
+   */
+  async settleDeposit(request, { investmentId, transactionId, amount }) {
+    const investment = await Investment.findById(investmentId);
+    const transaction = await Transaction.findById(transactionId);
+    if (transaction.status === 'completed') {
+      await fundFeeService.recordFees(transaction);
+      return;
+    }
+
+    const user = await User.findById(investment.userId);
+
+    const transferResult = await ledgerOperationService.runOnce(
+      'transfer_to_investor',
+      { relatedTransactionId: transaction._id },
+      ledgerTransactionId => hederaService.transferTokensToInvestor(
+        user.hederaAccountId,
+        amount,
+        {
+          transactionId: ledgerTransactionId,
+          tokenId: request.requestData.tokenId,
+          memo: `Pezzy deposit ${transaction._id}`
+        }
+      )
+    );
+
+    investment.status = 'active';
+    investment.hederaTransactionId = transferResult.transactionId;
+    await investment.save();
+
+    transaction.hederaTransactionId = transferResult.transactionId;
+    transaction.status = 'completed';
+    transaction.completedDate = new Date();
+    await transaction.save();
+    await auditService.recordTransaction(transaction);
+    await fundFeeService.recordFees(transaction);
+
+    logger.info(`Investment settled after mint: ${investment._id}`);
+  }
+
+  /**
+   * Fail the deposits behind a mint that will never execute
+   */
+  async failMint(request) {
+    const deposits = this.mintedDeposits(request);
+
+    await Transaction.updateMany(
+      { _id: { $in: deposits.map(deposit => deposit.transactionId) }, status: 'pending' },
+      { status: 'failed', 'metadata.error': request.metadata.error }
+    );
+    await Investment.updateMany(
+      { _id: { $in: deposits.map(deposit => deposit.investmentId) }, status: 'pending' },
+      { status: 'cancelled' }
+    );
+
+    logger.info(`${deposits.length} deposit(s) failed: mint request ${request._id} rejected`);
+  }
+
+  /**
+   * Pay out the tokens minted by an executed interest_distribution schedule
+   * in batched transfers, then settle each batch's payouts
+   * A batch that fails does not hold up the others; the request stays
+   * approved and is retried (recovery, distributionService) without
+   * transferring any batch twice.
+   */
+  async completeDistribution(request) {
+    const failed = [];
+
+    for (const batch of await this.distributionBatches(request)) {
+      try {
+        await this.settleDistributionBatch(request, batch);
+      } catch (error) {
+        logger.error(`Batch ${batch.index} of distribution ${request._id} not settled:`, error);
+        failed.push(batch.index);
+      }
+    }
+
+    if (failed.length > 0) {
+      throw requestError(`${failed.length} batch(es) of the distribution could not be settled: ${failed.join(', ')}`, 502);
+    }
+
+    await this.burnUndistributed(request);
+  }
+
+  /**
+   * Transfer batches of a distribution, fixed the first time it settles
+   * Payouts of investments that are no longer active (redeemed with their
+   * interest meanwhile), being redeemed, or held in a frozen account are
+   * left out: their accruals stay unpaid and their tokens are burned.
+   *
+   * @param {Object} request - Executed interest_distribution request
+   * @returns {Array} - [{ index, transfers: [{ accountId, amount }], payouts: [transactionId] }]
+   */
+  async distributionBatches(request) {
+    if (request.metadata && request.metadata.batches) {
+      return request.metadata.batches;
+    }
+
+    const { fundId, payouts, amount } = request.requestData;
+    const investmentIds = payouts.map(payout => payout.investmentId);
+
+    const active = await Investment.find({ _id: { $in: investmentIds }, status: 'active' }).distinct('_id');
+    const redeeming = await Transaction.find({
+      investmentId: { $in: investmentIds },
+      type: 'withdrawal',
+      status: 'pending'
+    }).distinct('investmentId');
+    const frozen = await User.find({
+      _id: { $in: payouts.map(payout => payout.userId) },
+      fundAccounts: { $elemMatch: { fundId, isFrozen: true } }
+    }).distinct('_id');
+
+    const payable = new Set(active.map(String));
+    redeeming.forEach(id => payable.delete(id.toString()));
+    const frozenUsers = new Set(frozen.map(String));
+
+    // One credit per account, so an investor's payouts land together
+    const byAccount = new Map();
+    for (const payout of payouts) {
+      if (!payable.has(payout.investmentId.toString()) || frozenUsers.has(payout.userId.toString())) {
+        continue;
+      }
+      const credit = byAccount.get(payout.accountId) || { accountId: payout.accountId, amount: 0, payouts: [] };
+      credit.amount += payout.tokens;
+      credit.payouts.push(payout.transactionId);
+      byAccount.set(payout.accountId, credit);
+    }
+
+    const credits = [...byAccount.values()];
+    const batches = [];
+    for (let i = 0; i < credits.length; i += hederaService.maxTransferRecipients) {
+      const chunk = credits.slice(i, i + hederaService.maxTransferRecipients);
+      batches.push({
+        index: batches.length,
+        transfers: chunk.map(credit => ({ accountId: credit.accountId, amount: credit.amount })),
+        payouts: chunk.flatMap(credit => credit.payouts)
+      });
+    }
+
+    const distributed = credits.reduce((total, credit) => total + credit.amount, 0);
+    request.metadata = {
+      ...(request.metadata || {}),
+      batches,
+      undistributed: amount - distributed,
+      ...(amount > distributed ? { burnRequestId: new mongoose.Types.ObjectId() } : {})
+    };
+    await request.save();
+
+    logger.info(`Distribution ${request._id}: ${distributed} tokens in ${batches.length} batch(es), ${amount - distributed} left out`);
+    return batches;
+  }
+
+  /**
+   * Transfer one batch of a distribution and settle its payouts
+   */
+  async settleDistributionBatch(request, batch) {
+    const transferResult = await ledgerOperationService.runOnce(
+      'distribution_transfer',
+      { relatedRequestId: request._id, batchIndex: batch.index },
+      ledgerTransactionId => hederaService.transferTokensToInvestors(batch.transfers, {
+        transactionId: ledgerTransactionId,
+        tokenId: request.requestData.tokenId,
+        memo: `Pezzy interest distribution ${request._id} batch ${batch.index}`
+      })
+    );
+
+    const ids = batch.payouts.map(String);
+    for (const payout of request.requestData.payouts) {
+      if (ids.includes(payout.transactionId.toString())) {
+        await this.settlePayout(request, payout, transferResult.transactionId);
+      }
+    }
+  }
+
+  /**
+   * Record a transferred payout: its accruals are marked paid, its tokens
+   * join the investment, and an interest_payment transaction (net of
+   * withholding tax) and its tax transaction record it.
+   * Safe to repeat: the payout has its pre-assigned transaction IDs and the
+   * investment is only credited once per accrual date.
+   */
+  async settlePayout(request, payout, hederaTransactionId) {
+    const settled = await Transaction.findById(payout.transactionId);
+    if (settled) {
+      await taxService.recordWithholding(settled);
+      return;
+    }
+
+    // Distributions proposed before withholding carry no tax
+    const tax = payout.tax ? payout.tax.tax : 0;
+
+    const from = new Date(payout.fromDate);
+    const through = new Date(payout.throughDate);
+
+    await Transaction.updateMany(
+      {
+        investmentId: payout.investmentId,
+        type: 'interest_payment',
+        accrualDate: { $gte: from, $lte: through },
+        distributionRequestId: { $exists: false }
+      },
+      { distributionRequestId: request._id }
+    );
+
+    await Investment.updateOne(
+      {
+        _id: payout.investmentId,
+        $or: [
+          { interestPaidThrough: { $lt: through } },
+          { interestPaidThrough: { $exists: false } }
+        ]
+      },
+      {
+        $inc: { tokenAmount: payout.tokens, interestPaid: payout.amount, taxWithheld: tax },
+        interestPaidThrough: through
+      }
+    );
+
+    const transaction = new Transaction({
+      _id: payout.transactionId,
+      userId: payout.userId,
+      investmentId: payout.investmentId,
+      fundId: request.requestData.fundId,
+      type: 'interest_payment',
+      amountRWF: money.subtract(payout.amount, tax), // Paid in tokens, net of tax
+      tokenAmount: payout.tokens,
+      paymentMethod: payout.paymentMethod,
+      status: 'completed',
+      hederaTransactionId,
+      distributionRequestId: request._id,
+      description: `Interest on investment ${payout.investmentId} paid through ${through.toISOString().slice(0, 10)}`,
+      metadata: {
+        fromAccrualDate: from,
+        throughAccrualDate: through,
+        accruals: payout.accruals,
+        grossInterest: payout.amount,
+        tax: payout.tax,
+        taxTransactionId: payout.taxTransactionId,
+        roundingResidual: payout.roundingResidual || undefined
+      },
+      completedDate: new Date()
+    });
+    await transaction.save();
+    await auditService.recordTransaction(transaction);
+    await taxService.recordWithholding(transaction);
+  }
+
+  /**
+   * Schedule the burn of tokens a distribution minted but left out
+   */
+  async burnUndistributed(request) {
+    const { undistributed, burnRequestId } = request.metadata;
+    if (!undistributed || await MultiSigRequest.exists({ _id: burnRequestId })) {
+      return;
+    }
+
+    await this.createRequest({
+      requestType: 'token_burn',
+      description: `Burn ${undistributed} interest tokens left out of distribution ${request._id}`,
+      requestData: {
+        fundId: request.requestData.fundId,
+        tokenId: request.requestData.tokenId,
+        amount: undistributed,
+        distributionRequestId: request._id
+      },
+      requestId: burnRequestId
+    });
+  }
+
+  /**
+   * Redeemed tokens were already returned to the treasury; nothing else
+   * changes once they are burned
+   */
+  async completeBurn(request) {
+    logger.info(`Burned ${request.requestData.amount} redeemed tokens`);
+  }
+
+  /**
+   * Mark the investor's fund account frozen once the ledger has frozen it
+   */
+  async completeFreeze(request) {
+    const { userId, fundId, reasonCode } = request.requestData;
+
+    await User.updateOne({ _id: userId, 'fundAccounts.fundId': fundId }, {
+      'fundAccounts.$.isFrozen': true,
+      'fundAccounts.$.frozenAt': new Date(),
+      'fundAccounts.$.freezeReason': reasonCode,
+      'fundAccounts.$.freezeRequestId': request._id
+    });
+
+    logger.info(`User ${userId} frozen in fund ${fundId} (${reasonCode})`);
+  }
+
+  /**
+   * Clear the frozen flag of the investor's fund account once the ledger
+   * has unfrozen it
+   */
+  async completeUnfreeze(request) {
+    const { userId, fundId, reasonCode } = request.requestData;
+
+    await User.updateOne({ _id: userId, 'fundAccounts.fundId': fundId }, {
+      'fundAccounts.$.isFrozen': false,
+      'fundAccounts.$.freezeRequestId': request._id,
+      $unset: { 'fundAccounts.$.frozenAt': 1, 'fundAccounts.$.freezeReason': 1 }
+    });
+
+    logger.info(`User ${userId} unfrozen in fund ${fundId} (${reasonCode})`);
+  }
+
+  /**
+   * Close the investment whose tokens were wiped
+   */
+  async completeWipe(request) {
+    const { investmentId, amount, reasonCode } = request.requestData;
+
+    await Investment.updateOne(
+      { _id: investmentId, status: 'active' },
+      { status: 'wiped', wipedAt: new Date(), wipeRequestId: request._id }
+    );
+
+    logger.info(`Wiped ${amount} tokens of investment ${investmentId} (${reasonCode})`);
+  }
+
+  /**
+   * Suspend the fund once the ledger has paused its token, recording why
+   * and which managers approved it
+   */
+  async completePause(request) {
+    const { fundId, reasonCode, note } = request.requestData;
+
+    await Fund.updateOne({ _id: fundId }, {
+      isPaused: true,
+      pausedAt: new Date(),
+      pauseReason: reasonCode,
+      pauseNote: note,
+      pauseApprovedBy: request.signatures.map(signature => signature.managerId),
+      pauseRequestId: request._id
+    });
+
+    logger.warn(`Fund ${fundId} paused (${reasonCode})`);
+  }
+
+  /**
+   * Reopen the fund once the ledger has unpaused its token
+   */
+  async completeUnpause(request) {
+    const { fundId, reasonCode } = request.requestData;
+
+    await Fund.updateOne({ _id: fundId }, {
+      isPaused: false,
+      pauseRequestId: request._id,
+      $unset: { pausedAt: 1, pauseReason: 1, pauseNote: 1, pauseApprovedBy: 1 }
+    });
+
+    logger.info(`Fund ${fundId} unpaused (${reasonCode})`);
+  }
+
+  /**
+   * Apply an approved interest rate change to its fund
+   * The new rate is recorded in the fund's rate history first, so interest
+   * accrued before the change keeps the previous rate.
+   */
+  async completeRateChange(request) {
+    const { fundId, newRate } = request.requestData;
+
+    const fund = await Fund.findById(fundId);
+    if (!fund) {
+      throw requestError(`Fund ${fundId} not found`, 404);
+    }
+
+    await rateHistoryService.recordChange(fund, {
+      annualRate: newRate,
+      previousRate: fund.annualRate,
+      effectiveFrom: new Date(),
+      requestId: request._id
+    });
+
+    await Fund.updateOne({ _id: fundId }, { annualRate: newRate });
+
+    logger.info(`Interest rate of fund ${fundId} updated to ${newRate}%`);
+  }
+}
+
+// Export singleton instance
+module.exports = new MultiSigService();
@@ -0,0 +1,216 @@
+/**
+ * NAV Service - Net asset value pricing of NAV funds
+ *
+ * Funds launched with pricingModel 'nav' issue and redeem units at a net
+ * asset value per unit managers publish for each valuation date, instead
+ * of 1 token per unit of the fund's currency plus off-chain interest:
+ * - Deposits buy units at the latest published NAV
+ * - Redemptions pay out units x the latest NAV (less exit and early
+ *   redemption fees; the management fee is reflected in the NAV)
+ * - Portfolios value holdings from the NAV history
+ *
+ * This service handles:
+ * - The NAV series of a fund (NavHistory), for pricing and charts
+ * - Validating and applying nav_publication multi-sig requests, approved
+ *   off-ledger like rate changes
+ *
+ * Until its first NAV is published a fund prices units at par (1.0).
+ */
+
+const { NavHistory, MultiSigRequest } = require('../models');
+const money = require('../utils/money');
+const logger = require('../utils/logger');
+
+const PAR_NAV = 1;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Build an error carrying the HTTP status code for the controller
+ */
+function navError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+class NavService {
+  /**
+   * Whether a fund prices its units by NAV
+   */
+  usesNav(fund) {
+    return fund.pricingModel === 'nav';
+  }
+
+  // ============================================================
+  // Prices
+  // ============================================================
+
+  /**
+   * A fund's published NAVs, oldest first
+   *
+   * @param {Object} fund - Fund document
+   * @param {Object} range - { from, to } valuation dates (optional)
+   * @returns {Array} - NavHistory entries
+   */
+  async getSeries(fund, { from, to } = {}) {
+    const query = { fundId: fund._id };
+    if (from || to) {
+      query.valuationDate = {};
+      if (from) query.valuationDate.$gte = new Date(from);
+      if (to) query.valuationDate.$lte = new Date(to);
+    }
+    return NavHistory.find(query).sort({ valuationDate: 1 }).lean();
+  }
+
+  /**
+   * NAV in force at a moment, from a fund's series
+   *
+   * @param {Array} series - NavHistory entries, oldest first
+   * @param {Date} at - Moment (default: now)
+   * @returns {Object} - { navPerUnit, valuationDate } (valuationDate null at par)
+   */
+  navAt(series, at = new Date()) {
+    let nav = { navPerUnit: PAR_NAV, valuationDate: null };
+    for (const entry of series) {
+      if (new Date(entry.valuationDate) > at) {
+        break;
+      }
+      nav = { navPerUnit: entry.navPerUnit, valuationDate: entry.valuationDate };
+    }
+    return nav;
+  }
+
+  /**
+   * Latest published NAV of a fund
+   *
+   * @param {Object} fund - Fund document
+   * @returns {Object} - { navPerUnit, valuationDate } (valuationDate null at par)
+   */
+  async currentNav(fund) {
+    const latest = await NavHistory.findOne({ fundId: fund._id }).sort({ valuationDate: -1 });
+    return latest
+      ? { navPerUnit: latest.navPerUnit, valuationDate: latest.valuationDate }
+      : { navPerUnit: PAR_NAV, valuationDate: null };
+  }
+
+  /**
+   * Units (smallest token units) an amount buys at a NAV, rounded down
+   *
+   * @param {number} amount - Amount in the fund's currency
+   * @param {number} navPerUnit - NAV per whole unit
+   * @param {Object} fund - Fund document
+   * @returns {Object} - { tokens, residual } (residual: the part of the
+   *   amount the units do not represent)
+   */
+  unitsFor(amount, navPerUnit, fund) {
+    return money.toTokens(amount, fund.decimals, navPerUnit);
+  }
+
+  /**
+   * Value of units at a NAV, in the fund's currency
+   *
+   * @param {number} tokenAmount - Smallest token units
+   * @param {number} navPerUnit - NAV per whole unit
+   * @param {Object} fund - Fund document
+   * @returns {number}
+   */
+  valueOf(tokenAmount, navPerUnit, fund) {
+    return money.fromTokens(tokenAmount, fund.decimals, navPerUnit);
+  }
+
+  /**
+   * Series for API responses and charts
+   */
+  describe(series) {
+    return series.map(entry => ({
+      valuationDate: new Date(entry.valuationDate).toISOString().slice(0, 10),
+      navPerUnit: entry.navPerUnit,
+      previousNav: entry.previousNav === undefined ? null : entry.previousNav,
+      publishedAt: entry.publishedAt,
+      requestId: entry.requestId
+    }));
+  }
+
+  // ============================================================
+  // Publication
+  // ============================================================
+
+  /**
+   * Validate a NAV a manager wants to publish
+   * Valuation dates only move forward; a date cannot be published twice.
+   *
+   * @param {Object} fund - Fund document
+   * @param {Object} params - { navPerUnit, valuationDate (YYYY-MM-DD) }
+   * @returns {Object} - requestData of the nav_publication request
+   */
+  async validatePublication(fund, { navPerUnit, valuationDate }) {
+    if (!this.usesNav(fund)) {
+      throw navError(`Fund ${fund.code} is not priced by NAV`);
+    }
+
+    const nav = parseFloat(navPerUnit);
+    if (!isFinite(nav) || nav <= 0) {
+      throw navError('navPerUnit must be a positive amount');
+    }
+
+    if (!DATE_PATTERN.test(String(valuationDate || ''))) {
+      throw navError('valuationDate must be a date (YYYY-MM-DD)');
+    }
+    const date = new Date(`${valuationDate}T00:00:00Z`);
+    if (isNaN(date.getTime()) || date > new Date()) {
+      throw navError('valuationDate cannot be in the future');
+    }
+
+    const current = await this.currentNav(fund);
+    if (current.valuationDate && date <= current.valuationDate) {
+      throw navError(
+        `NAV of ${fund.code} is already published up to ${current.valuationDate.toISOString().slice(0, 10)}`,
+        409
+      );
+    }
+
+    const pending = await MultiSigRequest.exists({
+      requestType: 'nav_publication',
+      'requestData.fundId': fund._id,
+      status: { $in: ['pending', 'approved'] }
+    });
+    if (pending) {
+      throw navError(`A NAV publication of ${fund.code} is already awaiting approval`, 409);
+    }
+
+    return {
+      fundId: fund._id,
+      navPerUnit: nav,
+      valuationDate: date,
+      previousNav: current.navPerUnit
+    };
+  }
+
+  /**
+   * Publish the NAV of an executed nav_publication request
+   *
+   * @param {Object} request - MultiSigRequest document
+   */
+  async applyPublication(request) {
+    const { fundId, navPerUnit, valuationDate, previousNav } = request.requestData;
+
+    await NavHistory.updateOne(
+      { fundId, valuationDate },
+      {
+        $set: {
+          navPerUnit,
+          previousNav,
+          requestId: request._id,
+          publishedAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+
+    logger.info(`NAV of fund ${fundId} for ${new Date(valuationDate).toISOString().slice(0, 10)} published: ${navPerUnit}`);
+  }
+}
+
+// Export singleton instance
+module.exports = new NavService();
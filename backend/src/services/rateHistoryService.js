@@ -0,0 +1,132 @@
+/**
+ * Rate History Service - Interest rates of each fund over time
+ *
+ * This service handles:
+ * - Recording a fund's new rate when its rate_change request executes
+ * - Loading a fund's history for piecewise interest (see
+ *   InterestService.forFund) and for rate charts
+ * - Starting the history of funds that predate it: the rate in force when
+ *   the fund was created, then every executed rate_change request
+ *
+ * Entries are keyed on their request, so recording or backfilling twice
+ * never duplicates one.
+ */
+
+const { RateHistory, MultiSigRequest } = require('../models');
+const logger = require('../utils/logger');
+
+class RateHistoryService {
+  /**
+   * A fund's rate history, oldest first
+   * Funds without a history get one started from their rate_change requests.
+   *
+   * @param {Object} fund - Fund document
+   * @returns {Array} - RateHistory entries
+   */
+  async getHistory(fund) {
+    let history = await RateHistory.find({ fundId: fund._id }).sort({ effectiveFrom: 1 }).lean();
+
+    if (history.length === 0) {
+      await this.backfill(fund);
+      history = await RateHistory.find({ fundId: fund._id }).sort({ effectiveFrom: 1 }).lean();
+    }
+    return history;
+  }
+
+  /**
+   * Start the history of a fund from its executed rate_change requests
+   * Requests raised before funds had IDs belong to the default fund.
+   *
+   * @param {Object} fund - Fund document
+   */
+  async backfill(fund) {
+    const fundFilter = fund.isDefault
+      ? { $or: [{ 'requestData.fundId': fund._id }, { 'requestData.fundId': { $exists: false } }] }
+      : { 'requestData.fundId': fund._id };
+
+    const changes = await MultiSigRequest.find({
+      requestType: 'rate_change',
+      status: 'executed',
+      ...fundFilter
+    }).sort({ executedAt: 1 });
+
+    // The rate before the first change, or the current one if it never changed
+    const initialRate = changes.length > 0 && changes[0].requestData.previousRate !== undefined
+      ? changes[0].requestData.previousRate
+      : fund.annualRate;
+
+    await RateHistory.updateOne(
+      { fundId: fund._id, source: 'initial' },
+      {
+        $setOnInsert: {
+          fundId: fund._id,
+          annualRate: initialRate,
+          effectiveFrom: fund.createdAt || new Date(0),
+          source: 'initial'
+        }
+      },
+      { upsert: true }
+    );
+
+    for (const request of changes) {
+      await this.upsertChange(fund, {
+        annualRate: request.requestData.newRate,
+        previousRate: request.requestData.previousRate,
+        effectiveFrom: request.executedAt || request.updatedAt,
+        requestId: request._id
+      });
+    }
+
+    logger.info(`Rate history of ${fund.code} started with ${changes.length} rate change(s)`);
+  }
+
+  /**
+   * Record a fund's new rate
+   *
+   * @param {Object} fund - Fund document (before the change)
+   * @param {Object} change - { annualRate, previousRate, effectiveFrom, requestId }
+   */
+  async recordChange(fund, change) {
+    // Start the history first, so the rate before this change is kept
+    await this.getHistory(fund);
+    await this.upsertChange(fund, change);
+
+    logger.info(`Rate of ${fund.code} is ${change.annualRate}% from ${change.effectiveFrom.toISOString()}`);
+  }
+
+  async upsertChange(fund, { annualRate, previousRate, effectiveFrom, requestId }) {
+    await RateHistory.updateOne(
+      { requestId },
+      {
+        $setOnInsert: {
+          fundId: fund._id,
+          annualRate,
+          previousRate,
+          effectiveFrom,
+          source: 'rate_change',
+          requestId
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * History as periods, for charts
+   *
+   * @param {Array} history - RateHistory entries, oldest first
+   * @returns {Array} - [{ annualRate, effectiveFrom, effectiveTo, source }],
+   *   effectiveTo null for the current rate
+   */
+  describe(history) {
+    return history.map((entry, index) => ({
+      annualRate: entry.annualRate,
+      effectiveFrom: entry.effectiveFrom,
+      effectiveTo: index + 1 < history.length ? history[index + 1].effectiveFrom : null,
+      source: entry.source
+    }));
+  }
+}
+
+// Export singleton instance
+module.exports = new RateHistoryService();
@@ -0,0 +1,312 @@
+/**
+ * Reconciliation Service - Compares database positions with the ledger
+ *
+ * This service handles:
+ * - Checking each investor's active investments against their HTS balance
+ * - Checking the treasury balance against redeemed tokens awaiting burn
+ * - Checking total token supply against outstanding positions
+ * - Persisting a report of every mismatch for managers to acknowledge
+ *
+ * Each run covers one fund's token. Runs on demand and, for every active
+ * fund, every RECONCILIATION_INTERVAL_MINUTES (0 disables). All amounts
+ * are in token smallest units.
+ */
+
+const { User, Investment, MultiSigRequest, ReconciliationReport } = require('../models');
+const hederaService = require('./hederaService');
+const fundService = require('./fundService');
+const logger = require('../utils/logger');
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+// Burn requests whose tokens are back in the treasury but not yet burned
+const OPEN_BURN_STATUSES = ['pending', 'approved'];
+
+/**
+ * Build an error carrying the HTTP status code for the controller
+ */
+function reconciliationError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+class ReconciliationService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start the scheduled reconciliation
+   */
+  start() {
+    const minutes = parseFloat(process.env.RECONCILIATION_INTERVAL_MINUTES || DEFAULT_INTERVAL_MINUTES);
+    if (!minutes || minutes <= 0) {
+      logger.info('Scheduled reconciliation disabled');
+      return;
+    }
+
+    this.stop();
+    this.timer = setInterval(() => this.runScheduled(), minutes * 60 * 1000);
+    this.timer.unref();
+
+    logger.info(`Scheduled reconciliation every ${minutes} minutes`);
+  }
+
+  /**
+   * Stop the scheduled reconciliation
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Scheduled run of every active fund: skipped while another run is in
+   * progress
+   *
+   * @returns {Array} - Saved reports
+   */
+  async runScheduled() {
+    if (this.running) {
+      return [];
+    }
+
+    const reports = [];
+    try {
+      for (const fund of await fundService.listFunds({ status: 'active' })) {
+        reports.push(await this.run({ trigger: 'scheduled', fund }));
+      }
+    } catch (error) {
+      logger.error('Scheduled reconciliation error:', error);
+    }
+    return reports;
+  }
+
+  /**
+   * Run a reconciliation of a fund and persist its report
+   *
+   * @param {Object} options - Run options
+   * @param {string} options.trigger - 'scheduled' or 'manual'
+   * @param {string} options.triggeredBy - User ID for manual runs
+   * @param {Object} options.fund - Active Fund document
+   * @returns {Object} - Saved ReconciliationReport
+   */
+  async run({ trigger, triggeredBy, fund } = {}) {
+    if (this.running) {
+      throw reconciliationError('A reconciliation is already running', 409);
+    }
+    if (!fund || !fund.tokenId) {
+      throw reconciliationError('The fund has no token to reconcile', 409);
+    }
+
+    this.running = true;
+    const report = new ReconciliationReport({
+      trigger,
+      triggeredBy,
+      startedAt: new Date(),
+      fundId: fund._id,
+      tokenId: fund.tokenId,
+      status: 'clean'
+    });
+
+    try {
+      const { summary, discrepancies } = await this.compare(fund);
+
+      report.summary = summary;
+      report.discrepancies = discrepancies;
+      report.status = discrepancies.length > 0 ? 'discrepancies' : 'clean';
+
+    } catch (error) {
+      logger.error('Reconciliation failed:', error);
+      report.status = 'failed';
+      report.error = error.message;
+    } finally {
+      this.running = false;
+    }
+
+    report.completedAt = new Date();
+    await report.save();
+
+    if (report.status === 'discrepancies') {
+      logger.warn(`Reconciliation ${report._id} of ${fund.code} found ${report.discrepancies.length} discrepancies`);
+    } else {
+      logger.info(`Reconciliation ${report._id} of ${fund.code} finished: ${report.status}`);
+    }
+
+    return report;
+  }
+
+  /**
+   * Compare a fund's database positions with its token's ledger balances
+   *
+   * @param {Object} fund - Fund document with a token
+   * @returns {Object} - Summary totals and list of discrepancies
+   */
+  async compare(fund) {
+    const options = { tokenId: fund.tokenId };
+
+    const discrepancies = [];
+    const summary = {
+      accountsChecked: 0,
+      dbOutstandingTokens: 0,
+      dbTreasuryTokens: 0,
+      ledgerInvestorTokens: 0,
+      ledgerTreasuryTokens: 0,
+      ledgerTotalSupply: 0
+    };
+
+    // Database positions per user (active investments)
+    const positions = await Investment.aggregate([
+      { $match: { status: 'active', fundId: fund._id } },
+      { $group: { _id: '$userId', tokenAmount: { $sum: '$tokenAmount' } } }
+    ]);
+    const expectedByUser = new Map(
+      positions.map(position => [position._id.toString(), position.tokenAmount])
+    );
+
+    const treasuryId = hederaService.treasuryId.toString();
+    const users = await User.find({
+      $or: [
+        { hederaAccountId: { $exists: true, $ne: null }, 'fundAccounts.fundId': fund._id },
+        { _id: { $in: positions.map(position => position._id) } }
+      ]
+    });
+
+    // Investor balances
+    for (const user of users) {
+      const expected = expectedByUser.get(user._id.toString()) || 0;
+      summary.dbOutstandingTokens += expected;
+
+      if (user.hederaAccountId === treasuryId) {
+        continue;
+      }
+
+      if (!user.hederaAccountId) {
+        discrepancies.push({
+          type: 'investor_balance',
+          userId: user._id,
+          expected,
+          actual: 0,
+          difference: -expected,
+          message: 'Active investments but no Hedera account'
+        });
+        continue;
+      }
+
+      let actual;
+      try {
+        const balance = await hederaService.getAccountBalance(user.hederaAccountId, options);
+        actual = Number(balance.tokenBalance);
+      } catch (error) {
+        discrepancies.push({
+          type: 'ledger_error',
+          userId: user._id,
+          accountId: user.hederaAccountId,
+          expected,
+          message: error.message
+        });
+        continue;
+      }
+
+      summary.accountsChecked += 1;
+      summary.ledgerInvestorTokens += actual;
+
+      if (actual !== expected) {
+        discrepancies.push({
+          type: 'investor_balance',
+          userId: user._id,
+          accountId: user.hederaAccountId,
+          expected,
+          actual,
+          difference: actual - expected,
+          message: `Ledger holds ${actual} tokens, database expects ${expected}`
+        });
+      }
+    }
+
+    // Treasury: redeemed tokens awaiting burn
+    const openBurns = await MultiSigRequest.find({
+      requestType: 'token_burn',
+      'requestData.fundId': fund._id,
+      status: { $in: OPEN_BURN_STATUSES }
+    });
+    summary.dbTreasuryTokens = openBurns.reduce(
+      (sum, request) => sum + Number(request.requestData.amount || 0),
+      0
+    );
+
+    const treasuryBalance = await hederaService.getAccountBalance(treasuryId, options);
+    summary.ledgerTreasuryTokens = Number(treasuryBalance.tokenBalance);
+
+    if (summary.ledgerTreasuryTokens !== summary.dbTreasuryTokens) {
+      discrepancies.push({
+        type: 'treasury_balance',
+        accountId: treasuryId,
+        expected: summary.dbTreasuryTokens,
+        actual: summary.ledgerTreasuryTokens,
+        difference: summary.ledgerTreasuryTokens - summary.dbTreasuryTokens,
+        message: `Treasury holds ${summary.ledgerTreasuryTokens} tokens, ${summary.dbTreasuryTokens} are awaiting burn`
+      });
+    }
+
+    // Total supply
+    const tokenInfo = await hederaService.getTokenInfo(options);
+    summary.ledgerTotalSupply = Number(tokenInfo.totalSupply);
+
+    const expectedSupply = summary.dbOutstandingTokens + summary.dbTreasuryTokens;
+    if (summary.ledgerTotalSupply !== expectedSupply) {
+      discrepancies.push({
+        type: 'total_supply',
+        expected: expectedSupply,
+        actual: summary.ledgerTotalSupply,
+        difference: summary.ledgerTotalSupply - expectedSupply,
+        message: `Total supply is ${summary.ledgerTotalSupply}, database accounts for ${expectedSupply}`
+      });
+    }
+
+    // Tokens held outside the treasury and known investor accounts
+    const knownHoldings = summary.ledgerInvestorTokens + summary.ledgerTreasuryTokens;
+    const hasLedgerErrors = discrepancies.some(item => item.type === 'ledger_error');
+    if (!hasLedgerErrors && summary.ledgerTotalSupply !== knownHoldings) {
+      discrepancies.push({
+        type: 'unknown_holders',
+        expected: knownHoldings,
+        actual: summary.ledgerTotalSupply,
+        difference: summary.ledgerTotalSupply - knownHoldings,
+        message: `${summary.ledgerTotalSupply - knownHoldings} tokens are held by accounts unknown to the database`
+      });
+    }
+
+    return { summary, discrepancies };
+  }
+
+  /**
+   * Acknowledge a report
+   *
+   * @param {Object} report - ReconciliationReport document
+   * @param {string} userId - Acknowledging manager
+   * @param {string} note - Optional note (e.g. how the mismatch was resolved)
+   * @returns {Object} - Updated report
+   */
+  async acknowledge(report, userId, note) {
+    if (report.acknowledged) {
+      throw reconciliationError('Report is already acknowledged');
+    }
+
+    report.acknowledged = true;
+    report.acknowledgedBy = userId;
+    report.acknowledgedAt = new Date();
+    report.acknowledgementNote = note;
+    await report.save();
+
+    logger.info(`Reconciliation ${report._id} acknowledged by ${userId}`);
+    return report;
+  }
+}
+
+// Export singleton instance
+module.exports = new ReconciliationService();
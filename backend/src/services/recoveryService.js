@@ -0,0 +1,120 @@
+/**
+ * Recovery Service - Resumes operations interrupted by a restart
+ *
+ * Runs once at startup:
+ * 1. Resolves ledger operations whose outcome was unknown
+ * 2. Completes or discards interrupted investor key rotations
+ * 3. Applies KYC reviews not yet reflected on the ledger
+ * 4. Rejects expired multi-sig requests (failing their deposits)
+ * 5. Executes approved multi-sig requests whose settlement was interrupted
+ * 6. Resumes pending deposits and redemptions
+ * 7. Schedules batch mints of dealing windows that closed meanwhile
+ * 8. Schedules burns missing for completed redemptions
+ *
+ * Only flows recorded with their step IDs (see investmentService) are
+ * resumed; older pending records are left for reconciliation to flag.
+ */
+
+const { Transaction, MultiSigRequest } = require('../models');
+const ledgerOperationService = require('./ledgerOperationService');
+const multiSigService = require('./multiSigService');
+const investmentService = require('./investmentService');
+const dealingService = require('./dealingService');
+const kycService = require('./kycService');
+const keyVaultService = require('./keyVaultService');
+const logger = require('../utils/logger');
+
+class RecoveryService {
+  /**
+   * Run every recovery step
+   *
+   * @returns {Object} - Counts per step
+   */
+  async run() {
+    const summary = {};
+
+    summary.ledgerOperations = await ledgerOperationService.resolvePending();
+    summary.keyRotations = await keyVaultService.resumeRotations();
+    summary.kycUpdates = await kycService.syncPending();
+    summary.expiredRequests = await multiSigService.expireStale();
+
+    summary.approvedRequests = 0;
+    const approved = await MultiSigRequest.find({ status: 'approved' });
+    for (const request of approved) {
+      try {
+        await multiSigService.executeRequest(request);
+        summary.approvedRequests += 1;
+      } catch (error) {
+        logger.error(`Recovery could not execute request ${request._id}:`, error);
+      }
+    }
+
+    summary.deposits = 0;
+    const deposits = await Transaction.find({
+      type: 'deposit',
+      status: 'pending',
+      $or: [
+        { 'metadata.dealingWindowAt': { $exists: true } },
+        { 'metadata.multiSigRequestId': { $exists: true } }
+      ]
+    });
+    for (const transaction of deposits) {
+      try {
+        await investmentService.resumeDeposit(transaction);
+        summary.deposits += 1;
+      } catch (error) {
+        logger.error(`Recovery could not resume deposit ${transaction._id}:`, error);
+      }
+    }
+
+    summary.mintBatches = await dealingService.closeDue();
+
+    summary.redemptions = 0;
+    const redemptions = await Transaction.find({
+      type: 'withdrawal',
+      status: 'pending',
+      'metadata.burnRequestId': { $exists: true }
+    });
+    for (const transaction of redemptions) {
+      try {
+        await investmentService.resumeRedemption(transaction);
+        summary.redemptions += 1;
+      } catch (error) {
+        logger.error(`Recovery could not resume redemption ${transaction._id}:`, error);
+      }
+    }
+
+    summary.burns = 0;
+    const missingBurns = await Transaction.aggregate([
+      {
+        $match: {
+          type: 'withdrawal',
+          status: 'completed',
+          'metadata.burnRequestId': { $exists: true }
+        }
+      },
+      {
+        $lookup: {
+          from: MultiSigRequest.collection.name,
+          localField: 'metadata.burnRequestId',
+          foreignField: '_id',
+          as: 'burnRequests'
+        }
+      },
+      { $match: { burnRequests: { $size: 0 } } },
+      { $project: { _id: 1 } }
+    ]);
+    for (const { _id } of missingBurns) {
+      const transaction = await Transaction.findById(_id);
+      if (await investmentService.scheduleRedemptionBurn(transaction)) {
+        summary.burns += 1;
+      }
+    }
+
+    logger.info(`Recovery finished: ${JSON.stringify(summary)}`);
+    return summary;
+  }
+}
+
+// Export singleton instance
+module.exports = new RecoveryService();
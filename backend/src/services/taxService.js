@@ -0,0 +1,493 @@
+/**
+ * Tax Service - Withholding tax on interest
+ *
+ * This service handles:
+ * - Withholding rates per investor category (User.taxCategory): the
+ *   individual, company and non_resident rates come from TAX_RATE_*
+ *   (15% by default); exempt investors, whose exemption certificate is on
+ *   file, have none
+ * - Withholding on the interest of redemptions and interest distributions,
+ *   recorded as `tax` transactions once the redemption or payout completes
+ * - The report of tax withheld over a period, for remittance
+ * - Annual tax certificates per investor
+ *
+ * Interest is taxed once. A distribution withholds on the interest it pays
+ * out, and the investor receives tokens for the net amount. A redemption
+ * withholds on the interest no distribution paid out, and also deducts the
+ * tax distributions withheld, as its value includes their gross interest.
+ */
+
+const { User, Fund, Transaction } = require('../models');
+const auditService = require('./auditService');
+const money = require('../utils/money');
+const { canonicalHash } = require('../utils/canonicalJson');
+const logger = require('../utils/logger');
+
+const TAX_CATEGORIES = ['individual', 'company', 'non_resident', 'exempt'];
+
+const CATEGORY_LABELS = {
+  individual: 'Individual',
+  company: 'Company',
+  non_resident: 'Non-resident',
+  exempt: 'Exempt'
+};
+
+// Rate (%) of categories without a TAX_RATE_* setting
+const DEFAULT_TAX_RATE = 15;
+
+// Africa/Kigali is UTC+2 all year (no daylight saving)
+const KIGALI_UTC_OFFSET_MINUTES = 120;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Build an error carrying the HTTP status code for the controller
+ */
+function taxError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Midnight of a Kigali calendar day
+ */
+const kigaliMidnight = (year, month, day) => new Date(Date.UTC(year, month, day) - KIGALI_UTC_OFFSET_MINUTES * 60000);
+
+/**
+ * Kigali calendar day of a moment, as YYYY-MM-DD
+ */
+const kigaliDate = date => new Date(new Date(date).getTime() + KIGALI_UTC_OFFSET_MINUTES * 60000).toISOString().slice(0, 10);
+
+/**
+ * Midnight starting a YYYY-MM-DD Kigali day, plus a number of days
+ */
+const startOfDay = (date, plusDays = 0) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return kigaliMidnight(year, month - 1, day + plusDays);
+};
+
+class TaxService {
+  // ============================================================
+  // Rates
+  // ============================================================
+
+  /**
+   * Withholding rate (%) of each investor category
+   *
+   * @returns {Object} - Rate per category
+   */
+  rates() {
+    const rate = (value) => {
+      const parsed = parseFloat(value);
+      return isNaN(parsed) ? DEFAULT_TAX_RATE : parsed;
+    };
+
+    return {
+      individual: rate(process.env.TAX_RATE_INDIVIDUAL),
+      company: rate(process.env.TAX_RATE_COMPANY),
+      non_resident: rate(process.env.TAX_RATE_NON_RESIDENT),
+      exempt: 0
+    };
+  }
+
+  /**
+   * Category and withholding rate of an investor
+   *
+   * @param {Object} user - User document
+   * @returns {Object} - { category, rate }
+   */
+  rateFor(user) {
+    const category = user.taxCategory || 'individual';
+    return { category, rate: this.rates()[category] };
+  }
+
+  /**
+   * Tax withheld from an investor's interest
+   *
+   * @param {Object} user - User document
+   * @param {number} interest - Taxable interest
+   * @returns {Object} - { category, rate, taxableInterest, tax }
+   */
+  withhold(user, interest) {
+    const { category, rate } = this.rateFor(user);
+    const taxableInterest = Math.max(0, money.round(interest));
+
+    return {
+      category,
+      rate,
+      taxableInterest,
+      tax: money.percentOf(taxableInterest, rate)
+    };
+  }
+
+  /**
+   * Tax deducted from a redemption: withholding on the interest no
+   * distribution paid out, and the tax distributions already withheld
+   *
+   * @param {Object} investment - Investment document, or the { interestPaid,
+   *   taxWithheld } share of the units a partial redemption redeems
+   * @param {Object} quote - fundFeeService.quoteRedemption result
+   * @param {Object} user - Investor
+   * @returns {Object} - { category, rate, taxableInterest, tax,
+   *   previouslyWithheld, total }
+   */
+  quoteRedemption(investment, quote, user) {
+    const withholding = this.withhold(user, money.subtract(quote.interestEarned, investment.interestPaid || 0));
+    const previouslyWithheld = investment.taxWithheld || 0;
+
+    return {
+      ...withholding,
+      previouslyWithheld,
+      total: money.sum([withholding.tax, previouslyWithheld])
+    };
+  }
+
+  /**
+   * Set an investor's tax category
+   *
+   * @param {Object} user - Investor (User document)
+   * @param {Object} changes - { taxCategory, taxId, exemptionReference }
+   * @param {Object} manager - Manager making the change (User document)
+   * @returns {Object} - Updated user
+   */
+  async setCategory(user, { taxCategory, taxId, exemptionReference }, manager) {
+    if (!TAX_CATEGORIES.includes(taxCategory)) {
+      throw taxError(`Invalid taxCategory. Use one of: ${TAX_CATEGORIES.join(', ')}`);
+    }
+    if (taxCategory === 'exempt' && !exemptionReference) {
+      throw taxError('exemptionReference (the exemption certificate) is required for exempt investors');
+    }
+
+    user.taxCategory = taxCategory;
+    user.taxExemptionReference = taxCategory === 'exempt' ? exemptionReference : undefined;
+    if (taxId !== undefined) {
+      user.taxId = taxId || undefined;
+    }
+    user.taxCategoryUpdatedBy = manager._id;
+    user.taxCategoryUpdatedAt = new Date();
+    await user.save();
+
+    logger.info(`Tax category of user ${user._id} set to ${taxCategory} by manager ${manager._id}`);
+    return user;
+  }
+
+  // ============================================================
+  // Recording
+  // ============================================================
+
+  /**
+   * Record the tax withheld by a completed redemption or distribution
+   * payout as a `tax` transaction. Safe to repeat: the tax has its
+   * pre-assigned ID (metadata.taxTransactionId).
+   *
+   * @param {Object} source - Completed withdrawal or interest_payment Transaction
+   * @returns {boolean} - Whether the tax transaction was created
+   */
+  async recordWithholding(source) {
+    const { tax, taxTransactionId } = source.metadata || {};
+    if (!taxTransactionId) {
+      return false;
+    }
+
+    const now = new Date();
+    const result = await Transaction.updateOne(
+      { _id: taxTransactionId },
+      {
+        $setOnInsert: {
+          userId: source.userId,
+          investmentId: source.investmentId,
+          fundId: source.fundId,
+          type: 'tax',
+          amountRWF: tax.tax,
+          paymentMethod: source.paymentMethod,
+          status: 'completed',
+          description: `Withholding tax on ${source.type === 'withdrawal' ? 'redemption' : 'interest paid on investment'} ${source.investmentId}`,
+          metadata: {
+            taxCategory: tax.category,
+            taxRate: tax.rate,
+            taxableInterest: tax.taxableInterest,
+            sourceTransactionId: source._id,
+            sourceType: source.type
+          },
+          transactionDate: source.completedDate || now, // Withheld when the interest was paid
+          completedDate: now
+        }
+      },
+      { upsert: true }
+    );
+
+    if (result.upsertedCount === 0) {
+      return false;
+    }
+
+    await auditService.recordTransaction(await Transaction.findById(taxTransactionId));
+    logger.info(`Recorded withholding tax of ${tax.tax} for ${source.type} ${source._id}`);
+    return true;
+  }
+
+  // ============================================================
+  // Reports
+  // ============================================================
+
+  /**
+   * Tax withheld over a period, per fund, category and investor, for
+   * remittance to the tax authority
+   *
+   * @param {Object} options - { from, to } (YYYY-MM-DD Kigali days, both
+   *   included; default: the last completed month)
+   * @returns {Object} - Totals per currency and per fund
+   */
+  async report({ from, to } = {}) {
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+      throw taxError('from and to must be dates (YYYY-MM-DD)');
+    }
+
+    if (!from && !to) {
+      const [year, month] = kigaliDate(new Date()).split('-').map(Number);
+      from = kigaliDate(kigaliMidnight(year, month - 2, 1));
+      to = kigaliDate(kigaliMidnight(year, month - 1, 0));
+    }
+    from = from || to;
+    to = to || kigaliDate(new Date());
+    if (from > to) {
+      throw taxError('from cannot be after to');
+    }
+
+    const match = {
+      type: 'tax',
+      status: 'completed',
+      transactionDate: { $gte: startOfDay(from), $lt: startOfDay(to, 1) }
+    };
+    const totals = {
+      transactions: { $sum: 1 },
+      taxableInterest: { $sum: '$metadata.taxableInterest' },
+      taxWithheld: { $sum: '$amountRWF' } // Minor units
+    };
+
+    const [byCategory, byInvestor] = await Promise.all([
+      Transaction.aggregate([
+        { $match: match },
+        { $group: { _id: { fundId: '$fundId', category: '$metadata.taxCategory', sourceType: '$metadata.sourceType' }, ...totals } },
+        { $sort: { '_id.category': 1 } }
+      ]),
+      Transaction.aggregate([
+        { $match: match },
+        { $group: { _id: { fundId: '$fundId', userId: '$userId' }, ...totals } },
+        { $sort: { taxWithheld: -1 } }
+      ])
+    ]);
+
+    const [funds, users] = await Promise.all([
+      Fund.find({ _id: { $in: byCategory.map(row => row._id.fundId) } }),
+      User.find({ _id: { $in: byInvestor.map(row => row._id.userId) } })
+        .select('firstName lastName email taxId taxCategory taxExemptionReference')
+    ]);
+
+    const amounts = row => ({
+      transactions: row.transactions,
+      taxableInterest: money.round(row.taxableInterest),
+      taxWithheld: money.fromMinor(row.taxWithheld)
+    });
+    const add = (total, row) => ({
+      transactions: total.transactions + row.transactions,
+      taxableInterest: money.sum([total.taxableInterest, row.taxableInterest]),
+      taxWithheld: money.sum([total.taxWithheld, row.taxWithheld])
+    });
+    const empty = { transactions: 0, taxableInterest: 0, taxWithheld: 0 };
+
+    const totalsByCurrency = {};
+    const byFund = funds.map(fund => {
+      const categories = byCategory.filter(row => row._id.fundId.equals(fund._id)).map(row => ({
+        category: row._id.category,
+        source: row._id.sourceType === 'withdrawal' ? 'redemption' : 'distribution',
+        ...amounts(row)
+      }));
+      const total = categories.reduce(add, empty);
+      totalsByCurrency[fund.currency] = add(totalsByCurrency[fund.currency] || empty, total);
+
+      return {
+        fundId: fund._id,
+        code: fund.code,
+        currency: fund.currency,
+        ...total,
+        byCategory: categories,
+        investors: byInvestor.filter(row => row._id.fundId.equals(fund._id)).map(row => {
+          const user = users.find(u => u._id.equals(row._id.userId));
+          return {
+            userId: row._id.userId,
+            name: user ? `${user.firstName} ${user.lastName}` : null,
+            email: user ? user.email : null,
+            taxId: user ? user.taxId || null : null,
+            taxCategory: user ? user.taxCategory : null,
+            exemptionReference: user ? user.taxExemptionReference || null : null,
+            ...amounts(row)
+          };
+        })
+      };
+    });
+
+    return {
+      from,
+      to,
+      rates: this.rates(),
+      totalsByCurrency,
+      funds: byFund
+    };
+  }
+
+  // ============================================================
+  // Certificates
+  // ============================================================
+
+  /**
+   * Gross interest, tax withheld and net interest of one redemption or
+   * distribution payout
+   */
+  certificateLine(transaction) {
+    const { tax, interestEarned, grossInterest } = transaction.metadata || {};
+
+    // Paid before withholding: all of it was gross interest, untaxed
+    const grossAmount = tax
+      ? tax.taxableInterest
+      : Math.max(0, transaction.type === 'withdrawal' ? interestEarned || 0 : grossInterest || transaction.amountRWF);
+    const withheld = tax ? tax.tax : 0;
+
+    return {
+      date: kigaliDate(transaction.completedDate),
+      type: transaction.type === 'withdrawal' ? 'redemption' : 'distribution',
+      transactionId: transaction._id,
+      investmentId: transaction.investmentId,
+      grossInterest: money.round(grossAmount),
+      taxRate: tax ? tax.rate : 0,
+      taxWithheld: withheld,
+      netInterest: money.subtract(grossAmount, withheld)
+    };
+  }
+
+  /**
+   * Annual tax certificate of an investor: interest paid to them in a
+   * calendar year (Africa/Kigali) and the tax withheld from it, per fund
+   *
+   * @param {Object} user - Investor (User document)
+   * @param {number|string} year - Calendar year
+   * @returns {Object} - Certificate, with a hash of its content
+   */
+  async certificate(user, year) {
+    const taxYear = Number(year);
+    const currentYear = Number(kigaliDate(new Date()).slice(0, 4));
+    if (!Number.isInteger(taxYear) || taxYear < 2000 || taxYear > currentYear) {
+      throw taxError(`year must be a year up to ${currentYear}`);
+    }
+
+    const start = kigaliMidnight(taxYear, 0, 1);
+    const end = kigaliMidnight(taxYear + 1, 0, 1);
+
+    // Interest paid: redemptions and distribution payouts (not accruals)
+    const transactions = await Transaction.find({
+      userId: user._id,
+      status: 'completed',
+      completedDate: { $gte: start, $lt: end },
+      $or: [
+        { type: 'withdrawal' },
+        { type: 'interest_payment', distributionRequestId: { $exists: true }, accrualDate: { $exists: false } }
+      ]
+    }).sort({ completedDate: 1 });
+
+    const funds = await Fund.find({ _id: { $in: transactions.map(tx => tx.fundId) } });
+
+    const content = {
+      certificateNumber: `WHT-${taxYear}-${user._id}`,
+      year: taxYear,
+      period: { from: kigaliDate(start), to: kigaliDate(end.getTime() - 1) },
+      provisional: end > new Date(), // The year is not over yet
+      investor: {
+        userId: user._id,
+        name: `${user.firstName} ${user.lastName}`,
+        email: user.email,
+        taxId: user.taxId || null,
+        taxCategory: user.taxCategory || 'individual',
+        exemptionReference: user.taxExemptionReference || null
+      },
+      funds: funds.map(fund => {
+        const lines = transactions
+          .filter(tx => tx.fundId.equals(fund._id))
+          .map(tx => this.certificateLine(tx))
+          .filter(line => line.grossInterest > 0);
+        const total = field => money.sum(lines.map(line => line[field]));
+
+        return {
+          fundId: fund._id,
+          code: fund.code,
+          name: fund.name,
+          currency: fund.currency,
+          grossInterest: total('grossInterest'),
+          taxWithheld: total('taxWithheld'),
+          netInterest: total('netInterest'),
+          lines
+        };
+      }).filter(fund => fund.lines.length > 0)
+    };
+
+    return {
+      ...content,
+      issuedAt: new Date(),
+      certificateHash: canonicalHash(content) // Same content, same hash
+    };
+  }
+
+  /**
+   * Certificate as a plain text document
+   *
+   * @param {Object} certificate - certificate() result
+   * @returns {string}
+   */
+  renderCertificate(certificate) {
+    const { investor } = certificate;
+    const lines = [
+      'PEZZY - WITHHOLDING TAX CERTIFICATE',
+      '',
+      `Certificate:     ${certificate.certificateNumber}`,
+      `Tax year:        ${certificate.year} (${certificate.period.from} to ${certificate.period.to})${certificate.provisional ? ' - PROVISIONAL' : ''}`,
+      `Issued:          ${new Date(certificate.issuedAt).toISOString()}`,
+      '',
+      `Investor:        ${investor.name} <${investor.email}>`,
+      `TIN:             ${investor.taxId || '-'}`,
+      `Category:        ${CATEGORY_LABELS[investor.taxCategory]}${investor.exemptionReference ? ` (exemption ${investor.exemptionReference})` : ''}`,
+      ''
+    ];
+
+    if (certificate.funds.length === 0) {
+      lines.push('No interest was paid in this year.', '');
+    }
+
+    for (const fund of certificate.funds) {
+      lines.push(`${fund.name} (${fund.code}), amounts in ${fund.currency}`);
+      lines.push('Date        Type          Gross interest   Rate   Tax withheld   Net interest');
+      for (const line of fund.lines) {
+        lines.push([
+          line.date,
+          line.type.padEnd(12),
+          line.grossInterest.toFixed(2).padStart(15),
+          `${line.taxRate}%`.padStart(6),
+          line.taxWithheld.toFixed(2).padStart(13),
+          line.netInterest.toFixed(2).padStart(14)
+        ].join('  '));
+      }
+      lines.push([
+        'Total'.padEnd(24),
+        fund.grossInterest.toFixed(2).padStart(15),
+        ''.padStart(6),
+        fund.taxWithheld.toFixed(2).padStart(13),
+        fund.netInterest.toFixed(2).padStart(14)
+      ].join('  '));
+      lines.push('');
+    }
+
+    lines.push(`Certificate hash: ${certificate.certificateHash}`);
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+// Export singleton instance
+module.exports = new TaxService();
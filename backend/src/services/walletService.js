@@ -0,0 +1,236 @@
+/**
+ * Wallet Service - Non-custodial investor accounts
+ *
+ * This service handles:
+ * - Linking an investor's existing Hedera account: the investor signs a
+ *   one-time challenge message with the account's key, proving control
+ *   without the platform ever seeing the key
+ * - Building the association with a fund's token for their wallet to
+ *   sign, and submitting it once signed
+ *
+ * Non-custodial investors sign every transaction that moves their tokens
+ * in their own wallet (HashPack, Blade, ...). The platform prepares the
+ * frozen transaction bytes, pays the network fee as operator and submits
+ * the signed bytes. Custodial accounts (keys held by keyVaultService) work
+ * as before; both kinds coexist.
+ */
+
+const crypto = require('crypto');
+const { AccountId, PublicKey } = require('@hashgraph/sdk');
+const { User } = require('../models');
+const hederaService = require('./hederaService');
+const kycService = require('./kycService');
+const fundService = require('./fundService');
+const feeService = require('./feeService');
+const logger = require('../utils/logger');
+
+// How long a link challenge can be signed
+const CHALLENGE_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Build an error carrying the HTTP status code for the controller
+ */
+function walletError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Decode a signature sent as hex or base64
+ */
+function decodeSignature(signature) {
+  if (/^[0-9a-fA-F]+$/.test(signature) && signature.length % 2 === 0) {
+    return Buffer.from(signature, 'hex');
+  }
+  return Buffer.from(signature, 'base64');
+}
+
+class WalletService {
+  // ============================================================
+  // Account linking
+  // ============================================================
+
+  /**
+   * Issue a challenge for linking an existing Hedera account
+   *
+   * @param {Object} user - User document
+   * @param {string} accountId - Account the investor wants to link
+   * @returns {Object} - { accountId, message, expiresAt }
+   */
+  async createChallenge(user, accountId) {
+    this.assertLinkable(user);
+    await this.readLinkableKey(accountId);
+
+    const expiresAt = new Date(Date.now() + CHALLENGE_TTL_MS);
+    const message = [
+      `Link Hedera account ${accountId} to Pezzy`,
+      `User: ${user._id}`,
+      `Nonce: ${crypto.randomBytes(16).toString('hex')}`,
+      `Expires: ${expiresAt.toISOString()}`
+    ].join('\n');
+
+    user.walletChallenge = { accountId, message, expiresAt };
+    await user.save();
+
+    return { accountId, message, expiresAt };
+  }
+
+  /**
+   * Link the challenged account once its key signed the challenge message
+   *
+   * @param {Object} user - User document
+   * @param {string} signature - Signature of the challenge message (hex or base64)
+   * @returns {Object} - Updated user
+   */
+  async linkAccount(user, signature) {
+    this.assertLinkable(user);
+
+    const { walletChallenge } = await User.findById(user._id).select('+walletChallenge');
+    if (!walletChallenge || walletChallenge.expiresAt < new Date()) {
+      throw walletError('No open challenge, request a new one');
+    }
+
+    const { accountId, message } = walletChallenge;
+    const publicKey = await this.readLinkableKey(accountId);
+
+    let valid = false;
+    try {
+      valid = PublicKey.fromString(publicKey).verify(Buffer.from(message, 'utf8'), decodeSignature(signature));
+    } catch (error) {
+      valid = false;
+    }
+    if (!valid) {
+      throw walletError('Signature does not match the account key');
+    }
+
+    user.hederaAccountId = accountId;
+    user.hederaPublicKey = publicKey;
+    user.walletMode = 'non_custodial';
+    user.walletChallenge = undefined;
+
+    try {
+      await user.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw walletError('This Hedera account is already linked to another user', 409);
+      }
+      throw error;
+    }
+
+    logger.info(`Non-custodial account ${accountId} linked to user ${user._id}`);
+    return user;
+  }
+
+  assertLinkable(user) {
+    if (user.hederaAccountId) {
+      throw walletError('User already has a Hedera account');
+    }
+  }
+
+  /**
+   * Public key of an account that can be linked
+   */
+  async readLinkableKey(accountId) {
+    try {
+      AccountId.fromString(accountId);
+    } catch (error) {
+      throw walletError('Invalid Hedera account ID');
+    }
+
+    await hederaService.ensureInitialized();
+    if (accountId === hederaService.treasuryId.toString()) {
+      throw walletError('The treasury account cannot be linked');
+    }
+
+    if (await User.exists({ hederaAccountId: accountId })) {
+      throw walletError('This Hedera account is already linked to another user', 409);
+    }
+
+    let publicKey;
+    try {
+      publicKey = await hederaService.getAccountKey(accountId);
+    } catch (error) {
+      if (error.status === 'INVALID_ACCOUNT_ID') {
+        throw walletError(`Hedera account ${accountId} not found`, 404);
+      }
+      throw error;
+    }
+
+    if (!publicKey) {
+      throw walletError('Only accounts controlled by a single key can be linked');
+    }
+
+    return publicKey;
+  }
+
+  /**
+   * Current public key of a non-custodial account
+   * Picks up keys the investor rotated in their wallet.
+   *
+   * @param {Object} user - User document
+   * @returns {string} - Public key
+   */
+  async currentPublicKey(user) {
+    const publicKey = await hederaService.getAccountKey(user.hederaAccountId);
+    if (!publicKey) {
+      throw walletError('The account is no longer controlled by a single key');
+    }
+
+    if (publicKey !== user.hederaPublicKey) {
+      user.hederaPublicKey = publicKey;
+      await user.save();
+      logger.info(`Key of non-custodial account ${user.hederaAccountId} changed in the wallet`);
+    }
+
+    return publicKey;
+  }
+
+  // ============================================================
+  // Token association
+  // ============================================================
+
+  /**
+   * Build the association with a fund's token for the investor's wallet
+   * to sign
+   *
+   * @param {Object} user - Non-custodial user
+   * @param {Object} fund - Active Fund document
+   * @returns {Object} - { transactionId, transactionBytes, expiresAt }
+   */
+  async prepareAssociation(user, fund) {
+    return hederaService.prepareAssociation(user.hederaAccountId, { tokenId: fund.tokenId });
+  }
+
+  /**
+   * Submit the association signed by the investor's wallet
+   *
+   * @param {Object} user - Non-custodial user
+   * @param {Object} fund - Active Fund document
+   * @param {string} signedTransaction - Base64 signed bytes
+   * @returns {Object} - Association result
+   */
+  async submitAssociation(user, fund, signedTransaction) {
+    const associateResult = await hederaService.submitSignedAssociation(signedTransaction, {
+      accountId: user.hederaAccountId,
+      publicKey: await this.currentPublicKey(user),
+      tokenId: fund.tokenId
+    });
+    await feeService.track(associateResult.transactionId, 'token_associate', { relatedUserId: user._id });
+
+    fundService.openAccount(user, fund).tokenAssociated = true;
+    await user.save();
+
+    // Verified investors are granted KYC as soon as they can hold the token
+    try {
+      await kycService.sync(user);
+    } catch (error) {
+      logger.error(`KYC grant after association failed for ${user.hederaAccountId}:`, error);
+    }
+
+    return associateResult;
+  }
+}
+
+// Export singleton instance
+module.exports = new WalletService();
@@ -0,0 +1,56 @@
+/**
+ * Canonical JSON Utility
+ * Serializes values with sorted object keys and no whitespace, so the same
+ * data always produces the same bytes (for hashing and signing).
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Convert a value into plain JSON data (ObjectIds, Dates, etc. become strings)
+ */
+const toPlain = (value) => JSON.parse(JSON.stringify(value === undefined ? null : value));
+
+/**
+ * Serialize a value as canonical JSON
+ *
+ * @param {*} value - Value to serialize
+ * @returns {string} - Canonical JSON string
+ */
+const canonicalize = (value) => {
+  const plain = toPlain(value);
+
+  const serialize = (node) => {
+    if (Array.isArray(node)) {
+      return `[${node.map(serialize).join(',')}]`;
+    }
+
+    if (node !== null && typeof node === 'object') {
+      const entries = Object.keys(node)
+        .sort()
+        .filter(key => node[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${serialize(node[key])}`);
+      return `{${entries.join(',')}}`;
+    }
+
+    return JSON.stringify(node);
+  };
+
+  return serialize(plain);
+};
+
+/**
+ * SHA-256 hash (hex) of the canonical JSON of a value
+ *
+ * @param {*} value - Value to hash
+ * @returns {string} - Hex encoded hash
+ */
+const canonicalHash = (value) => crypto
+  .createHash('sha256')
+  .update(canonicalize(value))
+  .digest('hex');
+
+module.exports = {
+  canonicalize,
+  canonicalHash
+};
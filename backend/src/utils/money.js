@@ -0,0 +1,168 @@
+/**
+ * Money Utility
+ * Exact amounts in a fund's currency and the platform's rounding policy.
+ *
+ * Rounding policy:
+ * - Amounts are stored as integer minor units (1/100 of the currency unit,
+ *   see moneyField in models) and computed amounts are rounded to the
+ *   minor unit half to even (banker's rounding), so ties do not drift up
+ *   across many roundings. Binary floating point noise (1.005 is stored as
+ *   1.00499...) counts as a tie.
+ * - Sums and differences of rounded amounts are taken in minor units, so
+ *   they are exact.
+ * - Amounts that accumulate (daily accruals) are rounded as a running total
+ *   and each entry is the difference to the total booked so far, so the
+ *   rounding residual never exceeds half a minor unit.
+ * - Amounts converted to token units are floored, so no investor is
+ *   credited more than they paid for; the part of the amount the units do
+ *   not represent is the residual, recorded on the transaction
+ *   (metadata.roundingResidual).
+ */
+
+// Minor units per currency unit
+const MINOR_UNITS = 100;
+
+// Relative difference treated as floating point noise
+const EPSILON = 1e-12;
+
+/**
+ * Whether a value is within floating point noise of another
+ */
+const near = (value, target) => Math.abs(value - target) <= EPSILON * Math.max(1, Math.abs(value));
+
+/**
+ * Round to an integer, half to even
+ *
+ * @param {number} value
+ * @returns {number}
+ */
+const roundHalfEven = (value) => {
+  const floor = Math.floor(value);
+  if (near(value - floor, 0.5)) {
+    return floor % 2 === 0 ? floor : floor + 1;
+  }
+  return Math.round(value);
+};
+
+/**
+ * Round down to an integer, treating values within noise of the next
+ * integer as that integer (0.29 * 100 is 28.999...)
+ *
+ * @param {number} value
+ * @returns {number}
+ */
+const floorExact = (value) => {
+  const nearest = Math.round(value);
+  return near(value, nearest) ? nearest : Math.floor(value);
+};
+
+/**
+ * Amount in integer minor units (null and undefined are kept)
+ *
+ * @param {number} amount - Amount in currency units
+ * @returns {number}
+ */
+const toMinor = (amount) => {
+  if (amount === null || amount === undefined) {
+    return amount;
+  }
+  return roundHalfEven(Number(amount) * MINOR_UNITS);
+};
+
+/**
+ * Amount in currency units from integer minor units (null and undefined
+ * are kept)
+ *
+ * @param {number} minor - Amount in minor units
+ * @returns {number}
+ */
+const fromMinor = (minor) => {
+  if (minor === null || minor === undefined) {
+    return minor;
+  }
+  return minor / MINOR_UNITS;
+};
+
+/**
+ * Round an amount to the minor unit, half to even
+ *
+ * @param {number} amount
+ * @returns {number}
+ */
+const round = amount => fromMinor(toMinor(amount));
+
+/**
+ * Exact sum of amounts, each rounded to the minor unit
+ *
+ * @param {Array<number>} amounts
+ * @returns {number}
+ */
+const sum = amounts => fromMinor(amounts.reduce((total, amount) => total + toMinor(amount || 0), 0));
+
+/**
+ * Exact difference of two amounts, each rounded to the minor unit
+ *
+ * @param {number} amount
+ * @param {number} deducted
+ * @returns {number}
+ */
+const subtract = (amount, deducted) => fromMinor(toMinor(amount) - toMinor(deducted));
+
+/**
+ * Percentage of an amount, rounded to the minor unit
+ *
+ * @param {number} amount
+ * @param {number} rate - Percentage
+ * @returns {number}
+ */
+const percentOf = (amount, rate) => round(amount * rate / 100);
+
+/**
+ * Whether a value is an amount with no more than minor-unit precision
+ *
+ * @param {*} amount
+ * @returns {boolean}
+ */
+const isMoney = amount => typeof amount === 'number' && Number.isFinite(amount) &&
+  near(amount * MINOR_UNITS, Math.round(amount * MINOR_UNITS));
+
+/**
+ * Token units an amount buys, floored, and the residual they do not
+ * represent
+ *
+ * @param {number} amount - Amount in currency units
+ * @param {number} decimals - Token decimals
+ * @param {number} price - Price of one token (default: 1 currency unit)
+ * @returns {Object} - { tokens, residual }
+ */
+const toTokens = (amount, decimals, price = 1) => {
+  const tokens = Math.max(0, floorExact(amount / price * Math.pow(10, decimals)));
+  return {
+    tokens,
+    residual: subtract(amount, fromTokens(tokens, decimals, price))
+  };
+};
+
+/**
+ * Value of token units, rounded to the minor unit
+ *
+ * @param {number} tokens - Token units
+ * @param {number} decimals - Token decimals
+ * @param {number} price - Price of one token (default: 1 currency unit)
+ * @returns {number}
+ */
+const fromTokens = (tokens, decimals, price = 1) => round(tokens / Math.pow(10, decimals) * price);
+
+module.exports = {
+  MINOR_UNITS,
+  roundHalfEven,
+  toMinor,
+  fromMinor,
+  round,
+  sum,
+  subtract,
+  percentOf,
+  isMoney,
+  toTokens,
+  fromTokens
+};
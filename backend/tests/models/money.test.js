@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { Investment, Transaction, Fund } = require('../../src/models');
+
+const userId = new mongoose.Types.ObjectId();
+const fundId = new mongoose.Types.ObjectId();
+
+describe('money fields', () => {
+  it('store amounts in integer minor units, rounded half to even', () => {
+    const investment = new Investment({ userId, fundId, amountRWF: 1000.125, tokenAmount: 100012 });
+
+    expect(investment.get('amountRWF', null, { getters: false })).toBe(100012);
+    expect(investment.amountRWF).toBe(1000.12);
+  });
+
+  it('are marked as minor units on new documents', () => {
+    expect(new Investment({ userId, fundId, amountRWF: 1, tokenAmount: 100 }).moneyUnits).toBe('minor');
+    expect(new Transaction({ userId, type: 'deposit', amountRWF: 1 }).moneyUnits).toBe('minor');
+  });
+
+  it('serialize in currency units without the id virtual', () => {
+    const investment = new Investment({ userId, fundId, amountRWF: 250.5, tokenAmount: 25050, interestPaid: 1.25 });
+    const json = investment.toJSON();
+
+    expect(json.amountRWF).toBe(250.5);
+    expect(json.interestPaid).toBe(1.25);
+    expect(json.taxWithheld).toBe(0);
+    expect(json.id).toBeUndefined();
+  });
+
+  it('keep unset amounts unset', () => {
+    const investment = new Investment({ userId, fundId, amountRWF: 10, tokenAmount: 1000 });
+
+    expect(investment.redemptionAmount).toBeUndefined();
+    investment.redemptionAmount = null;
+    expect(investment.redemptionAmount).toBeNull();
+  });
+
+  it('apply to fund limits', () => {
+    const fund = new Fund({ code: 'TEST', name: 'Test', tokenName: 'Test', tokenSymbol: 'TST', limits: { minInvestment: 500.005 } });
+
+    expect(fund.limits.get('minInvestment', null, { getters: false })).toBe(50000);
+    expect(fund.toJSON().limits.minInvestment).toBe(500);
+  });
+});
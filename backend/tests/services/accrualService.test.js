@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const { Investment, Transaction } = require('../../src/models');
+const accrualService = require('../../src/services/accrualService');
+const interestService = require('../../src/services/interestService');
+const rateHistoryService = require('../../src/services/rateHistoryService');
+const auditService = require('../../src/services/auditService');
+const logger = require('../../src/utils/logger');
+
+const fund = {
+  _id: new mongoose.Types.ObjectId(),
+  code: 'RWF-MMF',
+  annualRate: 10,
+  interestConvention: { dayCount: 'ACT/365', compounding: 'simple', accrualCutoff: '00:00' }
+};
+
+const investment = {
+  _id: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId(),
+  amountRWF: 100000,
+  investmentDate: new Date('2026-03-01T12:00:00+02:00')
+};
+
+describe('accrualService', () => {
+  const calculator = interestService.forFund(fund);
+  const firstDay = calculator.accrualDay(investment.investmentDate);
+  let entries;
+
+  beforeEach(() => {
+    entries = [];
+    jest.spyOn(Transaction, 'updateOne').mockImplementation(async (filter, update) => {
+      if (entries.some(entry => entry.accrualDate.getTime() === filter.accrualDate.getTime())) {
+        return { upsertedCount: 0 };
+      }
+      entries.push({ accrualDate: filter.accrualDate, ...update.$setOnInsert });
+      return { upsertedCount: 1, upsertedId: new mongoose.Types.ObjectId() };
+    });
+    jest.spyOn(Transaction, 'findById').mockResolvedValue({});
+    jest.spyOn(Investment, 'updateOne').mockResolvedValue({});
+    jest.spyOn(auditService, 'recordTransaction').mockResolvedValue();
+    jest.spyOn(rateHistoryService, 'getHistory').mockResolvedValue([]);
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Latest entry of the investment, and its deposit
+  const stubLookups = (last = null) => jest.spyOn(Transaction, 'findOne').mockImplementation(() => ({
+    sort: async () => last,
+    select: async () => ({ paymentMethod: 'bank_transfer' })
+  }));
+
+  describe('accrueInvestment', () => {
+    it('books one entry per day, rounded from the running total', async () => {
+      stubLookups();
+
+      const created = await accrualService.accrueInvestment(investment, fund, calculator, firstDay + 2);
+
+      // 10% simple interest on 100,000 is 27.397... a day
+      expect(created).toBe(3);
+      expect(entries.map(entry => entry.amountRWF)).toEqual([27.4, 27.39, 27.4]);
+      expect(entries.map(entry => entry.metadata.interestAccrued)).toEqual([27.4, 54.79, 82.19]);
+      expect(entries[0]).toMatchObject({
+        accrualDate: new Date('2026-03-01T00:00:00Z'),
+        paymentMethod: 'bank_transfer',
+        transactionDate: new Date('2026-03-02T00:00:00+02:00'),
+        metadata: { daysAccrued: 1, annualRate: 10 }
+      });
+      expect(Investment.updateOne).toHaveBeenCalledWith(
+        { _id: investment._id, status: 'active' },
+        { interestAccrued: 82.19, lastInterestCalculation: calculator.cutoffOf(firstDay + 2) }
+      );
+    });
+
+    it('resumes after the last entry', async () => {
+      stubLookups({ accrualDate: calculator.accrualDate(firstDay + 1), metadata: { interestAccrued: 54.79 } });
+
+      const created = await accrualService.accrueInvestment(investment, fund, calculator, firstDay + 2);
+
+      expect(created).toBe(1);
+      expect(entries[0]).toMatchObject({ amountRWF: 27.4, metadata: { interestAccrued: 82.19, daysAccrued: 3 } });
+    });
+
+    it('creates nothing for days already booked', async () => {
+      stubLookups();
+      await accrualService.accrueInvestment(investment, fund, calculator, firstDay + 1);
+
+      expect(await accrualService.accrueInvestment(investment, fund, calculator, firstDay + 1)).toBe(0);
+      expect(entries).toHaveLength(2);
+    });
+  });
+
+  describe('run', () => {
+    it('rejects NAV funds and days not completed yet', async () => {
+      await expect(accrualService.run({ fund: { ...fund, pricingModel: 'nav' } })).rejects.toThrow('priced by NAV');
+      await expect(accrualService.run({ fund, through: '2999-01-01' })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(accrualService.run({ fund, through: 'yesterday' })).rejects.toThrow('through must be a date');
+    });
+
+    it('accrues the investments not accrued through the cut-off', async () => {
+      stubLookups();
+      const find = jest.spyOn(Investment, 'find').mockResolvedValue([investment]);
+
+      const summary = await accrualService.run({ fund, through: '2026-03-02' });
+
+      expect(summary).toEqual({ fundId: fund._id, through: '2026-03-02', investments: 1, entries: 2 });
+      expect(find.mock.calls[0][0]).toMatchObject({ fundId: fund._id, status: 'active' });
+    });
+  });
+});
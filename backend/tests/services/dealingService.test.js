@@ -0,0 +1,62 @@
+const dealingService = require('../../src/services/dealingService');
+const logger = require('../../src/utils/logger');
+
+describe('dealingService', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    delete process.env.DEALING_CUTOFF_TIME;
+    delete process.env.DEALING_WINDOW_MINUTES;
+  });
+
+  afterEach(() => {
+    dealingService.stop();
+    process.env = { ...env };
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('windowClose', () => {
+    it('closes windows on the clock every DEALING_WINDOW_MINUTES', () => {
+      expect(dealingService.windowClose(new Date('2026-03-02T09:07:00Z'))).toEqual(new Date('2026-03-02T09:15:00Z'));
+    });
+
+    it('closes at DEALING_CUTOFF_TIME in Kigali time', () => {
+      process.env.DEALING_CUTOFF_TIME = '13:00';
+
+      // 13:00 in Kigali is 11:00 UTC
+      expect(dealingService.windowClose(new Date('2026-03-02T10:59:00Z'))).toEqual(new Date('2026-03-02T11:00:00Z'));
+      expect(dealingService.windowClose(new Date('2026-03-02T11:00:00Z'))).toEqual(new Date('2026-03-03T11:00:00Z'));
+    });
+
+    it('uses the Kigali day around UTC midnight', () => {
+      process.env.DEALING_CUTOFF_TIME = '01:00';
+
+      // 23:30 UTC on 2 March is 01:30 on 3 March in Kigali, past that day's cut-off
+      expect(dealingService.windowClose(new Date('2026-03-02T23:30:00Z'))).toEqual(new Date('2026-03-03T23:00:00Z'));
+      expect(dealingService.windowClose(new Date('2026-03-02T22:30:00Z'))).toEqual(new Date('2026-03-02T23:00:00Z'));
+    });
+  });
+
+  describe('scheduling', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+      jest.spyOn(logger, 'info').mockImplementation(() => {});
+      jest.spyOn(dealingService, 'closeDue').mockResolvedValue(0);
+    });
+
+    it('retries unscheduled batches every 5 minutes when minting each deposit as it arrives', async () => {
+      process.env.DEALING_WINDOW_MINUTES = '0';
+
+      dealingService.start();
+      await jest.advanceTimersByTimeAsync(4 * 60 * 1000);
+      expect(dealingService.closeDue).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(60 * 1000);
+      expect(dealingService.closeDue).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(5 * 60 * 1000);
+      expect(dealingService.closeDue).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const { Investment, Transaction, User, MultiSigRequest } = require('../../src/models');
+const distributionService = require('../../src/services/distributionService');
+const accrualService = require('../../src/services/accrualService');
+const multiSigService = require('../../src/services/multiSigService');
+const interestService = require('../../src/services/interestService');
+const logger = require('../../src/utils/logger');
+
+const fund = {
+  _id: new mongoose.Types.ObjectId(),
+  code: 'RWF-MMF',
+  currency: 'RWF',
+  tokenId: '0.0.5001',
+  tokenSymbol: 'PMKT',
+  decimals: 2,
+  annualRate: 10,
+  interestConvention: { dayCount: 'ACT/365', compounding: 'daily', accrualCutoff: '00:00' }
+};
+
+const investor = (accountId, taxCategory) => {
+  const user = { _id: new mongoose.Types.ObjectId(), hederaAccountId: accountId, taxCategory };
+  const investment = { _id: new mongoose.Types.ObjectId(), userId: user._id };
+  return { user, investment };
+};
+
+// Query stubs resolving through .select()
+const selecting = result => () => ({ select: async () => result });
+
+describe('distributionService', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    delete process.env.TAX_RATE_INDIVIDUAL;
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  describe('periods', () => {
+    it('read INTEREST_DISTRIBUTION_PERIOD, monthly by default', () => {
+      delete process.env.INTEREST_DISTRIBUTION_PERIOD;
+      expect(distributionService.period()).toBe('monthly');
+
+      process.env.INTEREST_DISTRIBUTION_PERIOD = 'quarterly';
+      expect(distributionService.period()).toBe('quarterly');
+
+      process.env.INTEREST_DISTRIBUTION_PERIOD = 'weekly';
+      expect(distributionService.period()).toBe('none');
+    });
+
+    it('end on the last day of the last completed month or quarter', () => {
+      const calculator = interestService.forFund(fund);
+      const at = new Date('2026-05-20T12:00:00+02:00');
+
+      process.env.INTEREST_DISTRIBUTION_PERIOD = 'monthly';
+      expect(distributionService.periodEnd(calculator, at)).toEqual(new Date('2026-04-30T00:00:00Z'));
+
+      process.env.INTEREST_DISTRIBUTION_PERIOD = 'quarterly';
+      expect(distributionService.periodEnd(calculator, at)).toEqual(new Date('2026-03-31T00:00:00Z'));
+    });
+  });
+
+  describe('undistributed', () => {
+    it('pays each active investment its unpaid accruals (summed in minor units) in tokens, net of tax', async () => {
+      const paid = investor('0.0.7001');
+      const exempt = investor('0.0.7002', 'exempt');
+      const noAccount = investor(null);
+      const redeemedId = new mongoose.Types.ObjectId();
+      const accrual = (investmentId, amount) => ({
+        _id: investmentId,
+        amount,
+        fromDate: new Date('2026-04-01T00:00:00Z'),
+        throughDate: new Date('2026-04-30T00:00:00Z'),
+        accruals: 30,
+        paymentMethod: 'mtn_momo'
+      });
+      jest.spyOn(Transaction, 'aggregate').mockResolvedValue([
+        accrual(paid.investment._id, 82191),
+        accrual(exempt.investment._id, 82191),
+        accrual(noAccount.investment._id, 5000),
+        accrual(redeemedId, 7500)
+      ]);
+      jest.spyOn(Investment, 'find').mockImplementation(selecting([paid.investment, exempt.investment, noAccount.investment]));
+      jest.spyOn(User, 'find').mockImplementation(selecting([paid.user, exempt.user, noAccount.user]));
+
+      const payouts = await distributionService.undistributed(fund, new Date('2026-04-30T00:00:00Z'));
+
+      expect(payouts).toHaveLength(2);
+      // 15% of 821.91 is 123.2865
+      expect(payouts[0]).toMatchObject({
+        investmentId: paid.investment._id,
+        userId: paid.user._id,
+        accountId: '0.0.7001',
+        amount: 821.91,
+        tax: { category: 'individual', rate: 15, taxableInterest: 821.91, tax: 123.29 },
+        tokens: 69862,
+        roundingResidual: 0,
+        accruals: 30
+      });
+      expect(payouts[0].transactionId).toBeInstanceOf(mongoose.Types.ObjectId);
+      expect(payouts[0].taxTransactionId).toBeInstanceOf(mongoose.Types.ObjectId);
+
+      expect(payouts[1]).toMatchObject({ accountId: '0.0.7002', tax: { tax: 0 }, tokens: 82191 });
+      expect(payouts[1].taxTransactionId).toBeUndefined();
+    });
+  });
+
+  describe('propose', () => {
+    const payouts = [
+      { investmentId: new mongoose.Types.ObjectId(), amount: 100.1, tax: { tax: 15.02 }, tokens: 8508 },
+      { investmentId: new mongoose.Types.ObjectId(), amount: 0.2, tax: { tax: 0 }, tokens: 20 }
+    ];
+
+    beforeEach(() => {
+      jest.spyOn(MultiSigRequest, 'exists').mockResolvedValue(null);
+      jest.spyOn(accrualService, 'run').mockResolvedValue({ through: '2026-04-30' });
+      jest.spyOn(distributionService, 'undistributed').mockResolvedValue(payouts);
+      jest.spyOn(multiSigService, 'createRequest').mockImplementation(async request => request);
+      jest.spyOn(logger, 'info').mockImplementation(() => {});
+    });
+
+    it('proposes a mint of the net tokens of every payout', async () => {
+      const request = await distributionService.propose(fund, { through: '2026-04-30' });
+
+      expect(accrualService.run).toHaveBeenCalledWith({ fund, through: '2026-04-30' });
+      expect(request.requestType).toBe('interest_distribution');
+      expect(request.requestData).toMatchObject({
+        fundId: fund._id,
+        amount: 8528,
+        totalInterest: 100.3,
+        totalTax: 15.02,
+        through: new Date('2026-04-30T00:00:00Z'),
+        payouts
+      });
+    });
+
+    it('refuses NAV funds, open distributions and periods without interest', async () => {
+      await expect(distributionService.propose({ ...fund, pricingModel: 'nav' })).rejects.toThrow('priced by NAV');
+
+      distributionService.undistributed.mockResolvedValue([]);
+      await expect(distributionService.propose(fund, { through: '2026-04-30' })).rejects.toMatchObject({ statusCode: 400 });
+
+      MultiSigRequest.exists.mockResolvedValue({ _id: 'open' });
+      await expect(distributionService.propose(fund, { through: '2026-04-30' })).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+});
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const { Transaction } = require('../../src/models');
+const fundFeeService = require('../../src/services/fundFeeService');
+const auditService = require('../../src/services/auditService');
+const logger = require('../../src/utils/logger');
+
+const schedule = (changes = {}) => ({
+  managementFeeRate: 0,
+  entryFeeRate: 0,
+  exitFeeRate: 0,
+  earlyRedemptionPenaltyRate: 0,
+  earlyRedemptionDays: 0,
+  ...changes
+});
+
+const fund = feeSchedule => ({ annualRate: 8.5, feeSchedule });
+
+describe('fundFeeService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validateSchedule', () => {
+    it('changes the given rates and keeps the others', () => {
+      const current = schedule({ exitFeeRate: 0.5 });
+
+      expect(fundFeeService.validateSchedule({ entryFeeRate: '1.5', earlyRedemptionDays: 30 }, current))
+        .toEqual(schedule({ entryFeeRate: 1.5, exitFeeRate: 0.5, earlyRedemptionDays: 30 }));
+    });
+
+    it('rejects rates outside 0-100% and partial days with a 400', () => {
+      expect(() => fundFeeService.validateSchedule({ exitFeeRate: 101 }, schedule()))
+        .toThrow(expect.objectContaining({ statusCode: 400 }));
+      expect(() => fundFeeService.validateSchedule({ entryFeeRate: 'free' }, schedule())).toThrow('entryFeeRate must be a percentage');
+      expect(() => fundFeeService.validateSchedule({ earlyRedemptionDays: 1.5 }, schedule())).toThrow('earlyRedemptionDays');
+    });
+  });
+
+  describe('quoteDeposit', () => {
+    it('nets the entry fee from the invested amount', () => {
+      expect(fundFeeService.quoteDeposit(10000, schedule({ entryFeeRate: 1.5 })))
+        .toEqual({ amountRWF: 10000, entryFee: 150, netAmountRWF: 9850 });
+      expect(fundFeeService.quoteDeposit(10000, schedule())).toMatchObject({ entryFee: 0, netAmountRWF: 10000 });
+    });
+  });
+
+  describe('managementFee', () => {
+    it('accrues the annual rate daily on the growing value', () => {
+      const fees = schedule({ managementFeeRate: 1 });
+
+      // 1% a year of 365,000 is 10 a day; the second day on a value 0.1% higher
+      expect(fundFeeService.managementFee(365000, 1, fees, 0.001, 1 / 365)).toBe(10);
+      expect(fundFeeService.managementFee(365000, 2, fees, 0.001, 2 / 365)).toBe(20.01);
+      expect(fundFeeService.managementFee(365000, 2, fees, 0, 2 / 365)).toBe(20);
+    });
+
+    it('charges the year fraction of the days held', () => {
+      const fees = schedule({ managementFeeRate: 1 });
+
+      // 1% a year of 360,000 is 10 a day under ACT/360
+      expect(fundFeeService.managementFee(360000, 2, fees, 0, 2 / 360)).toBe(20);
+    });
+
+    it('charges nothing without a rate or days', () => {
+      expect(fundFeeService.managementFee(365000, 30, schedule(), 0.001, 30 / 365)).toBe(0);
+      expect(fundFeeService.managementFee(365000, 0, schedule({ managementFeeRate: 1 }), 0.001, 0)).toBe(0);
+    });
+  });
+
+  describe('quoteRedemption', () => {
+    const at = new Date('2026-03-01T10:00:00Z');
+    const investment = { amountRWF: 100000, investmentDate: at };
+
+    it('charges the exit fee on the value', () => {
+      expect(fundFeeService.quoteRedemption(investment, fund(schedule({ exitFeeRate: 0.5 })), {}, at)).toMatchObject({
+        principal: 100000,
+        grossValue: 100000,
+        fees: { management: 0, exit: 500, earlyRedemption: 0, total: 500 },
+        netValue: 99500
+      });
+    });
+
+    it('charges the management fee over the year fraction of the fund\'s day count', () => {
+      const held = { amountRWF: 100000, investmentDate: new Date('2026-01-01T10:00:00Z') };
+      const fees = schedule({ managementFeeRate: 1 });
+      const management = dayCount => fundFeeService.quoteRedemption(
+        held,
+        { annualRate: 0, feeSchedule: fees, interestConvention: { dayCount, compounding: 'daily', accrualCutoff: '00:00' } },
+        {},
+        at
+      ).fees.management;
+
+      // 59 days: 59/365, 59/360, or two 30-day months under 30/360
+      expect(management('ACT/365')).toBe(161.64);
+      expect(management('ACT/360')).toBe(163.89);
+      expect(management('30/360')).toBe(166.67);
+    });
+
+    it('charges the early redemption penalty within earlyRedemptionDays', () => {
+      const fees = fund(schedule({ exitFeeRate: 0.5, earlyRedemptionPenaltyRate: 2, earlyRedemptionDays: 30 }));
+
+      expect(fundFeeService.quoteRedemption(investment, fees, {}, at).fees)
+        .toEqual({ management: 0, exit: 500, earlyRedemption: 2000, total: 2500 });
+
+      const later = new Date(at.getTime() + 30 * 24 * 60 * 60 * 1000);
+      expect(fundFeeService.quoteRedemption(investment, fees, {}, later).fees.earlyRedemption).toBe(0);
+    });
+  });
+
+  describe('quoteRedemption at a NAV', () => {
+    const at = new Date('2026-03-01T10:00:00Z');
+    const investment = { amountRWF: 1000, tokenAmount: 100000, investmentDate: new Date('2026-01-01T10:00:00Z') };
+    const navFund = { annualRate: 0, decimals: 2, pricingModel: 'nav', feeSchedule: schedule({ managementFeeRate: 1, exitFeeRate: 0.5 }) };
+
+    it('values the units at the NAV, without a management fee', () => {
+      expect(fundFeeService.quoteRedemption(investment, navFund, { nav: { navPerUnit: 1.1 } }, at)).toMatchObject({
+        principal: 1000,
+        interestEarned: 100,
+        grossValue: 1100,
+        navPerUnit: 1.1,
+        fees: { management: 0, exit: 5.5, earlyRedemption: 0, total: 5.5 },
+        netValue: 1094.5
+      });
+    });
+
+    it('values part of the units with their share of the principal', () => {
+      expect(fundFeeService.quoteRedemption(investment, navFund, { nav: { navPerUnit: 1.1 }, tokenAmount: 40000 }, at))
+        .toMatchObject({ principal: 400, interestEarned: 40, grossValue: 440 });
+    });
+  });
+
+  describe('penaltyFreeFrom', () => {
+    it('is the cut-off completing earlyRedemptionDays of interest, or null without a penalty', () => {
+      const investment = { investmentDate: new Date('2026-03-01T12:00:00+02:00') };
+
+      expect(fundFeeService.penaltyFreeFrom(investment, fund(schedule({ earlyRedemptionPenaltyRate: 2, earlyRedemptionDays: 30 }))))
+        .toEqual(new Date('2026-03-31T00:00:00+02:00'));
+      expect(fundFeeService.penaltyFreeFrom(investment, fund(schedule({ earlyRedemptionDays: 30 })))).toBeNull();
+    });
+  });
+
+  describe('recording', () => {
+    it('assigns IDs to charged fees only', () => {
+      let next = 0;
+      const ids = fundFeeService.assignTransactionIds({ management: 12, exit: 0, earlyRedemption: 3 }, () => ++next);
+
+      expect(ids).toEqual({ management: 1, earlyRedemption: 2 });
+    });
+
+    it('records each fee once under its pre-assigned ID', async () => {
+      const managementId = new mongoose.Types.ObjectId();
+      const updateOne = jest.spyOn(Transaction, 'updateOne')
+        .mockResolvedValueOnce({ upsertedCount: 1 })
+        .mockResolvedValueOnce({ upsertedCount: 0 });
+      jest.spyOn(Transaction, 'findById').mockResolvedValue({});
+      jest.spyOn(auditService, 'recordTransaction').mockResolvedValue();
+      jest.spyOn(logger, 'info').mockImplementation(() => {});
+      const redemption = {
+        _id: new mongoose.Types.ObjectId(),
+        type: 'withdrawal',
+        metadata: { fees: { management: 12 }, feeTransactionIds: { management: managementId } }
+      };
+
+      expect(await fundFeeService.recordFees(redemption)).toBe(1);
+      expect(await fundFeeService.recordFees(redemption)).toBe(0);
+
+      const [filter, update] = updateOne.mock.calls[0];
+      expect(filter).toEqual({ _id: managementId });
+      expect(update.$setOnInsert).toMatchObject({
+        type: 'fee',
+        amountRWF: 12,
+        metadata: { feeType: 'management', sourceTransactionId: redemption._id }
+      });
+    });
+  });
+});
@@ -0,0 +1,219 @@
+const interestService = require('../../src/services/interestService');
+const logger = require('../../src/utils/logger');
+
+const InterestService = interestService.constructor;
+
+// Moment on a Kigali calendar day
+const kigali = (date, time = '12:00') => new Date(`${date}T${time}:00+02:00`);
+
+const calculator = (annualRate, convention, rateHistory = null) => new InterestService(annualRate, rateHistory, {
+  dayCount: 'ACT/365',
+  compounding: 'daily',
+  accrualCutoff: '00:00',
+  ...convention
+});
+
+const rateHistory = [
+  { annualRate: 12, effectiveFrom: kigali('2025-01-01', '00:00') },
+  { annualRate: 6, effectiveFrom: kigali('2026-02-01', '00:00') }
+];
+
+describe('interestService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('rate periods', () => {
+    it('cover the range at the fund rate without a history', () => {
+      expect(calculator(8.5).ratePeriods(kigali('2026-01-15'), kigali('2026-01-25')))
+        .toEqual([{ from: kigali('2026-01-15'), to: kigali('2026-01-25'), annualRate: 0.085 }]);
+    });
+
+    it('split the range at each rate change', () => {
+      const fund = calculator(6, {}, rateHistory);
+
+      expect(fund.ratePeriods(kigali('2026-01-15'), kigali('2026-03-01'))).toEqual([
+        { from: kigali('2026-01-15'), to: kigali('2026-02-01', '00:00'), annualRate: 0.12 },
+        { from: kigali('2026-02-01', '00:00'), to: kigali('2026-03-01'), annualRate: 0.06 }
+      ]);
+    });
+
+    it('apply the first rate to dates before the history', () => {
+      expect(calculator(6, {}, rateHistory).ratePeriods(kigali('2024-06-01'), kigali('2024-07-01'))[0].annualRate).toBe(0.12);
+    });
+  });
+
+  describe('day count', () => {
+    it('counts actual days over 365 or 360', () => {
+      const act365 = calculator(10, { dayCount: 'ACT/365' });
+      const act360 = calculator(10, { dayCount: 'ACT/360' });
+      const from = act365.accrualDay(kigali('2026-01-01'));
+      const to = act365.accrualDay(kigali('2026-03-01'));
+
+      expect(act365.yearFraction(from, to)).toBeCloseTo(59 / 365, 12);
+      expect(act360.yearFraction(from, to)).toBeCloseTo(59 / 360, 12);
+    });
+
+    it('counts 30-day months under 30/360', () => {
+      const thirty360 = calculator(10, { dayCount: '30/360' });
+      const days = (from, to) => thirty360.yearFraction(
+        thirty360.accrualDay(kigali(from)),
+        thirty360.accrualDay(kigali(to))
+      ) * 360;
+
+      expect(days('2026-01-15', '2026-03-15')).toBeCloseTo(60, 9);
+      expect(days('2026-01-30', '2026-03-31')).toBeCloseTo(60, 9);
+      expect(days('2026-02-01', '2027-02-01')).toBeCloseTo(360, 9);
+    });
+
+    it('accrues a day each time the cut-off passes', () => {
+      const fund = calculator(10, { accrualCutoff: '17:00' });
+
+      expect(fund.growth(kigali('2026-03-02', '16:59'), kigali('2026-03-02', '17:01')).days).toBe(1);
+      expect(fund.growth(kigali('2026-03-02', '17:01'), kigali('2026-03-03', '16:59')).days).toBe(0);
+      expect(fund.afterAccrualDays(kigali('2026-03-02', '09:00'), 1)).toEqual(kigali('2026-03-02', '17:00'));
+    });
+  });
+
+  describe('growth', () => {
+    it('compounds daily over the day count year', () => {
+      const fund = calculator(12, { compounding: 'daily' });
+
+      expect(fund.growth(kigali('2026-01-15'), kigali('2026-04-15')).factor)
+        .toBeCloseTo(Math.pow(1 + 0.12 / 365, 90), 12);
+    });
+
+    it('adds simple interest', () => {
+      const fund = calculator(12, { compounding: 'simple', dayCount: 'ACT/360' });
+
+      expect(fund.growth(kigali('2026-01-15'), kigali('2026-04-15')).factor).toBeCloseTo(1 + 0.12 * 90 / 360, 12);
+    });
+
+    it('credits monthly interest on monthly anniversaries', () => {
+      const fund = calculator(12, { compounding: 'monthly', dayCount: '30/360' });
+
+      expect(fund.growth(kigali('2026-01-15'), kigali('2026-04-15')).factor).toBeCloseTo(Math.pow(1.01, 3), 12);
+    });
+
+    it('accrues simple interest on the credited value since the last anniversary', () => {
+      const fund = calculator(12, { compounding: 'monthly', dayCount: '30/360' });
+
+      expect(fund.growth(kigali('2026-01-15'), kigali('2026-04-30')).factor)
+        .toBeCloseTo(Math.pow(1.01, 3) * (1 + 0.12 * 15 / 360), 12);
+      expect(fund.growth(kigali('2026-01-15'), kigali('2026-02-10')).factor).toBeCloseTo(1 + 0.12 * 25 / 360, 12);
+    });
+
+    it('credits each month its actual days under ACT/365', () => {
+      const fund = calculator(12, { compounding: 'monthly', dayCount: 'ACT/365' });
+
+      expect(fund.growth(kigali('2026-01-10'), kigali('2026-03-10')).factor)
+        .toBeCloseTo((1 + 0.12 * 31 / 365) * (1 + 0.12 * 28 / 365), 12);
+    });
+
+    it('credits the 31st on the last day of shorter months', () => {
+      const fund = calculator(12, { compounding: 'monthly' });
+      const credits = fund.monthlyCreditDays(fund.accrualDay(kigali('2026-01-31')), fund.accrualDay(kigali('2026-05-01')))
+        .map(day => new Date(day * 24 * 60 * 60 * 1000).toISOString().slice(0, 10));
+
+      expect(credits).toEqual(['2026-02-28', '2026-03-31', '2026-04-30']);
+    });
+
+    it('accrues each period of the rate history at its own rate', () => {
+      const growth = calculator(6, {}, rateHistory).growth(kigali('2026-01-15'), kigali('2026-03-01'));
+
+      expect(growth.periods.map(period => [period.days, period.annualRate])).toEqual([[17, 0.12], [28, 0.06]]);
+      expect(growth.factor).toBeCloseTo(Math.pow(1 + 0.12 / 365, 17) * Math.pow(1 + 0.06 / 365, 28), 12);
+
+      // A month spanning the change is credited once, at its anniversary
+      const monthly = calculator(6, { compounding: 'monthly', dayCount: '30/360' }, rateHistory);
+      expect(monthly.growth(kigali('2026-01-15'), kigali('2026-03-15')).factor)
+        .toBeCloseTo((1 + 0.12 * 16 / 360 + 0.06 * 14 / 360) * 1.005, 12);
+    });
+  });
+
+  describe('dailyGrowth', () => {
+    const conventions = [
+      { compounding: 'daily', dayCount: 'ACT/365' },
+      { compounding: 'simple', dayCount: 'ACT/360' },
+      { compounding: 'monthly', dayCount: '30/360', accrualCutoff: '17:00' },
+      { compounding: 'monthly', dayCount: 'ACT/365' }
+    ];
+
+    it.each(conventions)('matches growth through each day (%o)', convention => {
+      const fund = calculator(6, convention, rateHistory);
+      const start = kigali('2026-01-15', '09:30');
+      const fromDay = fund.accrualDay(kigali('2026-01-20'));
+      const toDay = fund.accrualDay(kigali('2026-04-03'));
+
+      const series = fund.dailyGrowth(start, fromDay, toDay);
+
+      expect(series).toHaveLength(toDay - fromDay + 1);
+      for (const entry of series) {
+        const growth = fund.growth(start, fund.cutoffOf(entry.day));
+        expect(entry.factor).toBe(growth.factor);
+        expect(entry.days).toBe(growth.days);
+        expect(entry.annualRate).toBe(growth.periods[growth.periods.length - 1].annualRate);
+      }
+    });
+
+    it('returns nothing for an empty range', () => {
+      expect(calculator(12).dailyGrowth(kigali('2026-01-15'), 20500, 20499)).toEqual([]);
+    });
+  });
+
+  describe('calculateInterest', () => {
+    it('values the principal across rate changes', () => {
+      const result = calculator(6, {}, rateHistory).calculateInterest(100000, kigali('2026-01-15'), kigali('2026-03-01'));
+      const totalValue = 100000 * Math.pow(1 + 0.12 / 365, 17) * Math.pow(1 + 0.06 / 365, 28);
+
+      expect(result).toMatchObject({ principal: 100000, days: 45 });
+      expect(result.totalValue).toBeCloseTo(totalValue, 2);
+      expect(result.interest).toBeCloseTo(totalValue - 100000, 2);
+      expect(result.ratePeriods.map(period => [period.days, period.annualRate])).toEqual([[17, 12], [28, 6]]);
+    });
+
+    it('returns amounts rounded to the minor unit', () => {
+      const fund = calculator(12, { compounding: 'monthly' });
+      const result = fund.calculateInterest(100000, kigali('2026-01-10'), kigali('2026-03-10'));
+
+      expect(result).toMatchObject({ principal: 100000, interest: 1949.11, totalValue: 101949.11, days: 59 });
+    });
+
+    it('returns nothing for no principal', () => {
+      expect(calculator(12).calculateInterest(0, kigali('2026-01-10'), kigali('2026-03-10')).interest).toBe(0);
+    });
+
+    it('rejects an end before the start', () => {
+      jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+      expect(() => calculator(12).calculateInterest(100, kigali('2026-03-10'), kigali('2026-01-10')))
+        .toThrow('End date cannot be before start date');
+    });
+  });
+
+  describe('APY', () => {
+    it('compounds over a calendar year', () => {
+      expect(calculator(8.5, { compounding: 'daily' }).calculateAPY().apy).toBe(8.87);
+      expect(calculator(12, { compounding: 'monthly' }).calculateAPY().apy).toBe(12.68);
+      expect(calculator(10, { compounding: 'simple', dayCount: 'ACT/360' }).calculateAPY().apy).toBe(10.14);
+    });
+  });
+
+  describe('validateConvention', () => {
+    it('fills in the current convention', () => {
+      expect(interestService.validateConvention(
+        { compounding: 'simple' },
+        { dayCount: 'ACT/360', compounding: 'daily', accrualCutoff: '17:00' }
+      )).toEqual({ dayCount: 'ACT/360', compounding: 'simple', accrualCutoff: '17:00' });
+    });
+
+    it('rejects unknown settings with a 400', () => {
+      const current = { dayCount: 'ACT/365', compounding: 'daily', accrualCutoff: '00:00' };
+
+      expect(() => interestService.validateConvention({ dayCount: 'ACT/366' }, current))
+        .toThrow(expect.objectContaining({ statusCode: 400 }));
+      expect(() => interestService.validateConvention({ compounding: 'weekly' }, current)).toThrow('compounding must be one of');
+      expect(() => interestService.validateConvention({ accrualCutoff: '24:00' }, current)).toThrow('accrualCutoff must be HH:MM');
+    });
+  });
+});
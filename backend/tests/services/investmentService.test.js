@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+const { Investment, Transaction, MultiSigRequest, User } = require('../../src/models');
+const investmentService = require('../../src/services/investmentService');
+const fundService = require('../../src/services/fundService');
+const navService = require('../../src/services/navService');
+const rateHistoryService = require('../../src/services/rateHistoryService');
+const auditService = require('../../src/services/auditService');
+const logger = require('../../src/utils/logger');
+
+const noFees = {
+  managementFeeRate: 0,
+  entryFeeRate: 0,
+  exitFeeRate: 0,
+  earlyRedemptionPenaltyRate: 0,
+  earlyRedemptionDays: 0
+};
+
+const navFund = {
+  _id: new mongoose.Types.ObjectId(),
+  code: 'RWF-NAV',
+  currency: 'RWF',
+  tokenSymbol: 'PNAV',
+  decimals: 2,
+  annualRate: 0,
+  pricingModel: 'nav',
+  feeSchedule: noFees
+};
+
+const fixedFund = { ...navFund, code: 'RWF-MMF', annualRate: 10, pricingModel: 'fixed' };
+
+const userId = new mongoose.Types.ObjectId();
+
+// 1000 RWF bought 100000 units at par
+const holding = fund => new Investment({
+  userId,
+  fundId: fund._id,
+  amountRWF: 1000,
+  tokenAmount: 100000,
+  investmentDate: new Date('2026-01-05T10:00:00Z')
+});
+
+describe('investmentService', () => {
+  beforeEach(() => {
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('startRedemption', () => {
+    const start = (fund, tokenAmount) => investmentService.startRedemption({
+      userId,
+      investment: holding(fund),
+      tokenAmount,
+      withdrawalMethod: 'mtn_momo'
+    });
+
+    beforeEach(() => {
+      jest.spyOn(Transaction, 'exists').mockResolvedValue(null);
+      jest.spyOn(MultiSigRequest, 'exists').mockResolvedValue(null);
+      jest.spyOn(navService, 'currentNav').mockResolvedValue({ navPerUnit: 1.1, valuationDate: new Date('2026-03-31T00:00:00Z') });
+      jest.spyOn(rateHistoryService, 'getHistory').mockResolvedValue(null);
+      jest.spyOn(User, 'findById').mockResolvedValue({ _id: userId });
+      jest.spyOn(Transaction.prototype, 'save').mockResolvedValue();
+      jest.spyOn(investmentService, 'resumeRedemption').mockImplementation(async transaction => ({ transaction }));
+    });
+
+    it('redeems part of a NAV investment at the NAV, recording what it keeps', async () => {
+      jest.spyOn(fundService, 'getFund').mockResolvedValue(navFund);
+
+      const { transaction } = await start(navFund, 40000);
+
+      // 40000 units at 1.1 are worth 440 for 400 of principal; 15% tax on the 40 of interest
+      expect(transaction.tokenAmount).toBe(40000);
+      expect(transaction.amountRWF).toBe(434);
+      expect(transaction.metadata).toMatchObject({
+        principal: 400,
+        interestEarned: 40,
+        grossValue: 440,
+        navPerUnit: 1.1,
+        tax: { taxableInterest: 40, tax: 6 },
+        remaining: { tokenAmount: 60000, principal: 600, interestPaid: 0, taxWithheld: 0 }
+      });
+    });
+
+    it('splits the interest paid out and the tax withheld on it pro rata', async () => {
+      jest.spyOn(fundService, 'getFund').mockResolvedValue(navFund);
+      const investment = holding(navFund);
+      investment.interestPaid = 100;
+      investment.taxWithheld = 15;
+
+      const { transaction } = await investmentService.startRedemption({ userId, investment, tokenAmount: 40000 });
+
+      // The 40 of interest was paid out, so only the 6 withheld on it is deducted
+      expect(transaction.metadata.tax).toMatchObject({ taxableInterest: 0, tax: 0, previouslyWithheld: 6, total: 6 });
+      expect(transaction.amountRWF).toBe(434);
+      expect(transaction.metadata.remaining).toEqual({ tokenAmount: 60000, principal: 600, interestPaid: 60, taxWithheld: 9 });
+    });
+
+    it('records nothing remaining when every unit is redeemed', async () => {
+      jest.spyOn(fundService, 'getFund').mockResolvedValue(navFund);
+
+      const { transaction } = await start(navFund);
+
+      expect(transaction.tokenAmount).toBe(100000);
+      expect(transaction.metadata.remaining).toBeUndefined();
+    });
+
+    it('accepts only whole units up to the investment\'s own from NAV funds', async () => {
+      jest.spyOn(fundService, 'getFund').mockResolvedValue(navFund);
+
+      for (const tokenAmount of [0, -5, 1.5, '40000', 100001]) {
+        await expect(start(navFund, tokenAmount)).rejects.toMatchObject({ statusCode: 400 });
+      }
+      expect(Transaction.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('redeems other funds in full', async () => {
+      jest.spyOn(fundService, 'getFund').mockResolvedValue(fixedFund);
+
+      await expect(start(fixedFund, 40000)).rejects.toThrow('redeemed in full');
+    });
+  });
+
+  describe('completeRedemption', () => {
+    const transferResult = { transactionId: '0.0.2@1767600000.000000001' };
+
+    beforeEach(() => {
+      jest.spyOn(Investment.prototype, 'save').mockResolvedValue();
+      jest.spyOn(Transaction.prototype, 'save').mockResolvedValue();
+      jest.spyOn(auditService, 'recordTransaction').mockResolvedValue();
+    });
+
+    const redemption = (investment, metadata) => new Transaction({
+      userId,
+      investmentId: investment._id,
+      fundId: navFund._id,
+      type: 'withdrawal',
+      amountRWF: 434,
+      tokenAmount: 40000,
+      status: 'pending',
+      metadata
+    });
+
+    it('keeps a partially redeemed investment active with its remaining share', async () => {
+      const investment = holding(navFund);
+      investment.interestPaid = 100;
+      investment.taxWithheld = 15;
+      const transaction = redemption(investment, {
+        interestEarned: 40,
+        tax: { tax: 0, previouslyWithheld: 6, total: 6 },
+        remaining: { tokenAmount: 60000, principal: 600, interestPaid: 60, taxWithheld: 9 }
+      });
+
+      await investmentService.completeRedemption(transaction, investment, transferResult);
+
+      expect(investment.status).toBe('active');
+      expect(investment.tokenAmount).toBe(60000);
+      expect(investment.amountRWF).toBe(600);
+      expect(investment.interestPaid).toBe(60);
+      expect(investment.taxWithheld).toBe(9);
+      expect(investment.redemptionDate).toBeUndefined();
+      expect(transaction.status).toBe('completed');
+      expect(transaction.hederaTransactionId).toBe(transferResult.transactionId);
+    });
+
+    it('closes a fully redeemed investment, adding the tax withheld', async () => {
+      const investment = holding(navFund);
+      investment.taxWithheld = 4;
+      const transaction = redemption(investment, { interestEarned: 100, tax: { tax: 15 } });
+
+      await investmentService.completeRedemption(transaction, investment, transferResult);
+
+      expect(investment.status).toBe('redeemed');
+      expect(investment.redemptionAmount).toBe(434);
+      expect(investment.interestAccrued).toBe(100);
+      expect(investment.taxWithheld).toBe(19);
+    });
+  });
+});
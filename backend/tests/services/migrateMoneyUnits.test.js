@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const { Investment, Transaction, Fund } = require('../../src/models');
+const fundService = require('../../src/services/fundService');
+const logger = require('../../src/utils/logger');
+
+const INVESTMENT_FIELDS = ['amountRWF', 'interestAccrued', 'interestPaid', 'redemptionAmount'];
+const LIMIT_FIELDS = ['limits.minInvestment', 'limits.maxInvestment', 'limits.maxHoldingPerInvestor'];
+
+/**
+ * In-memory collection answering the queries of the migration: find and
+ * countDocuments on the moneyUnits marker, and bulk updateOne writes
+ */
+const memoryCollection = (documents) => {
+  const matches = (document, filter) => Object.entries(filter).every(([field, condition]) => {
+    if (condition && condition.$exists === false) {
+      return document[field] === undefined;
+    }
+    return String(document[field]) === String(condition);
+  });
+
+  return {
+    documents,
+    find: filter => documents.filter(document => matches(document, filter)).map(document => ({ ...document })),
+    countDocuments: async filter => documents.filter(document => matches(document, filter)).length,
+    bulkWrite: async (operations) => {
+      let modifiedCount = 0;
+      for (const { updateOne: { filter, update } } of operations) {
+        const document = documents.find(candidate => matches(candidate, filter));
+        if (document) {
+          for (const [path, value] of Object.entries(update.$set)) {
+            const keys = path.split('.');
+            const parent = keys.slice(0, -1).reduce((object, key) => object[key], document);
+            parent[keys[keys.length - 1]] = value;
+          }
+          modifiedCount += 1;
+        }
+      }
+      return { modifiedCount };
+    }
+  };
+};
+
+describe('money migration', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('minorUnitsUpdate', () => {
+    it('converts amounts in currency units to minor units, half to even', () => {
+      const document = { amountRWF: 1234.565, interestAccrued: 0.125, interestPaid: 10, redemptionAmount: 1.005 };
+
+      expect(fundService.minorUnitsUpdate(document, INVESTMENT_FIELDS)).toEqual({
+        amountRWF: 123456,
+        interestAccrued: 12,
+        interestPaid: 1000,
+        redemptionAmount: 100,
+        moneyUnits: 'minor'
+      });
+    });
+
+    it('keeps fields that are not amounts', () => {
+      expect(fundService.minorUnitsUpdate({ amountRWF: 50, redemptionAmount: null }, INVESTMENT_FIELDS))
+        .toEqual({ amountRWF: 5000, moneyUnits: 'minor' });
+    });
+
+    it('converts nested limits', () => {
+      expect(fundService.minorUnitsUpdate({ limits: { minInvestment: 500, maxInvestment: 1000000.5 } }, LIMIT_FIELDS))
+        .toEqual({ 'limits.minInvestment': 50000, 'limits.maxInvestment': 100000050, moneyUnits: 'minor' });
+      expect(fundService.minorUnitsUpdate({ code: 'RWF-MMF' }, LIMIT_FIELDS)).toEqual({ moneyUnits: 'minor' });
+    });
+
+    it('leaves converted documents alone', () => {
+      expect(fundService.minorUnitsUpdate({ amountRWF: 123456, moneyUnits: 'minor' }, INVESTMENT_FIELDS)).toBeNull();
+    });
+  });
+
+  describe('migrateMoneyUnits', () => {
+    let collections;
+
+    beforeEach(() => {
+      const id = () => new mongoose.Types.ObjectId();
+      collections = {
+        Investment: memoryCollection([
+          { _id: id(), amountRWF: 1234.565, interestAccrued: 12.5, interestPaid: 0 },
+          { _id: id(), amountRWF: 500000, interestAccrued: 100, interestPaid: 0, moneyUnits: 'minor' }
+        ]),
+        Transaction: memoryCollection([
+          { _id: id(), type: 'deposit', amountRWF: 0.015 },
+          { _id: id(), type: 'deposit', amountRWF: 250 }
+        ]),
+        Fund: memoryCollection([{ _id: id(), code: 'RWF-MMF', limits: { minInvestment: 1000 } }])
+      };
+      for (const model of [Investment, Transaction, Fund]) {
+        jest.replaceProperty(model, 'collection', collections[model.modelName]);
+      }
+      jest.spyOn(logger, 'info').mockImplementation(() => {});
+    });
+
+    it('counts unconverted documents on a dry run without converting them', async () => {
+      expect(await fundService.migrateMoneyUnits({ dryRun: true })).toEqual({ Investment: 1, Transaction: 2, Fund: 1 });
+      expect(collections.Transaction.documents[0].amountRWF).toBe(0.015);
+    });
+
+    it('converts unconverted documents once', async () => {
+      expect(await fundService.migrateMoneyUnits()).toEqual({ Investment: 1, Transaction: 2, Fund: 1 });
+
+      expect(collections.Investment.documents[0]).toMatchObject({ amountRWF: 123456, interestAccrued: 1250, interestPaid: 0, moneyUnits: 'minor' });
+      expect(collections.Investment.documents[1]).toMatchObject({ amountRWF: 500000, interestAccrued: 100 });
+      expect(collections.Transaction.documents.map(document => document.amountRWF)).toEqual([2, 25000]);
+      expect(collections.Fund.documents[0].limits.minInvestment).toBe(100000);
+
+      expect(await fundService.migrateMoneyUnits()).toEqual({ Investment: 0, Transaction: 0, Fund: 0 });
+      expect(collections.Investment.documents[0].amountRWF).toBe(123456);
+    });
+  });
+});
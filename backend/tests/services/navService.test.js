@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const { MultiSigRequest } = require('../../src/models');
+const navService = require('../../src/services/navService');
+
+const fund = { _id: new mongoose.Types.ObjectId(), code: 'RWF-NAV', pricingModel: 'nav', decimals: 2 };
+
+const series = [
+  { valuationDate: new Date('2026-03-01T00:00:00Z'), navPerUnit: 1.01 },
+  { valuationDate: new Date('2026-03-02T00:00:00Z'), navPerUnit: 1.02 }
+];
+
+describe('navService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('tells NAV funds apart', () => {
+    expect(navService.usesNav(fund)).toBe(true);
+    expect(navService.usesNav({ pricingModel: 'fixed' })).toBe(false);
+  });
+
+  describe('navAt', () => {
+    it('is the latest NAV valued by then', () => {
+      expect(navService.navAt(series, new Date('2026-03-01T12:00:00Z'))).toEqual(series[0]);
+      expect(navService.navAt(series, new Date('2026-04-01T00:00:00Z'))).toEqual(series[1]);
+    });
+
+    it('is par before the first publication', () => {
+      expect(navService.navAt(series, new Date('2026-02-01T00:00:00Z'))).toEqual({ navPerUnit: 1, valuationDate: null });
+      expect(navService.navAt([])).toEqual({ navPerUnit: 1, valuationDate: null });
+    });
+  });
+
+  describe('units', () => {
+    it('buys whole smallest units at the NAV, leaving a residual', () => {
+      expect(navService.unitsFor(1000, 1, fund)).toEqual({ tokens: 100000, residual: 0 });
+      expect(navService.unitsFor(1000, 1.07, fund)).toEqual({ tokens: 93457, residual: 0.01 });
+    });
+
+    it('values units at the NAV', () => {
+      expect(navService.valueOf(100000, 1.1, fund)).toBe(1100);
+      expect(navService.valueOf(93457, 1.07, fund)).toBe(999.99);
+    });
+  });
+
+  describe('validatePublication', () => {
+    const published = { navPerUnit: 1.02, valuationDate: new Date('2026-03-02T00:00:00Z') };
+
+    beforeEach(() => {
+      jest.spyOn(navService, 'currentNav').mockResolvedValue(published);
+      jest.spyOn(MultiSigRequest, 'exists').mockResolvedValue(null);
+    });
+
+    it('returns the request data of a valid publication', async () => {
+      expect(await navService.validatePublication(fund, { navPerUnit: '1.03', valuationDate: '2026-03-03' })).toEqual({
+        fundId: fund._id,
+        navPerUnit: 1.03,
+        valuationDate: new Date('2026-03-03T00:00:00Z'),
+        previousNav: 1.02
+      });
+    });
+
+    it('rejects funds without NAV pricing and invalid values', async () => {
+      await expect(navService.validatePublication({ code: 'RWF-MMF' }, { navPerUnit: 1, valuationDate: '2026-03-03' }))
+        .rejects.toThrow('is not priced by NAV');
+      await expect(navService.validatePublication(fund, { navPerUnit: 0, valuationDate: '2026-03-03' }))
+        .rejects.toThrow('navPerUnit must be a positive amount');
+      await expect(navService.validatePublication(fund, { navPerUnit: 1, valuationDate: '03/03/2026' }))
+        .rejects.toThrow('valuationDate must be a date');
+      await expect(navService.validatePublication(fund, { navPerUnit: 1, valuationDate: '2999-01-01' }))
+        .rejects.toThrow('valuationDate cannot be in the future');
+    });
+
+    it('only moves valuation dates forward, one publication at a time', async () => {
+      await expect(navService.validatePublication(fund, { navPerUnit: 1, valuationDate: '2026-03-02' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+
+      MultiSigRequest.exists.mockResolvedValue({ _id: 'pending' });
+      await expect(navService.validatePublication(fund, { navPerUnit: 1, valuationDate: '2026-03-03' }))
+        .rejects.toThrow('already awaiting approval');
+    });
+  });
+});
@@ -0,0 +1,232 @@
+const mongoose = require('mongoose');
+const { Transaction, Fund } = require('../../src/models');
+const taxService = require('../../src/services/taxService');
+const auditService = require('../../src/services/auditService');
+const logger = require('../../src/utils/logger');
+
+const RATE_SETTINGS = ['TAX_RATE_INDIVIDUAL', 'TAX_RATE_COMPANY', 'TAX_RATE_NON_RESIDENT'];
+
+describe('taxService', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    RATE_SETTINGS.forEach(setting => delete process.env[setting]);
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  describe('rates', () => {
+    it('default to 15% and none for exempt investors', () => {
+      expect(taxService.rates()).toEqual({ individual: 15, company: 15, non_resident: 15, exempt: 0 });
+    });
+
+    it('come from the environment per category', () => {
+      process.env.TAX_RATE_COMPANY = '30';
+      process.env.TAX_RATE_NON_RESIDENT = 'not a rate';
+
+      expect(taxService.rates()).toMatchObject({ individual: 15, company: 30, non_resident: 15 });
+      expect(taxService.rateFor({ taxCategory: 'company' })).toEqual({ category: 'company', rate: 30 });
+    });
+
+    it('treat investors without a category as individuals', () => {
+      expect(taxService.rateFor({})).toEqual({ category: 'individual', rate: 15 });
+    });
+  });
+
+  describe('withhold', () => {
+    it('withholds the rate of the interest, rounded half to even', () => {
+      expect(taxService.withhold({ taxCategory: 'individual' }, 1000)).toEqual({
+        category: 'individual',
+        rate: 15,
+        taxableInterest: 1000,
+        tax: 150
+      });
+      // 15% of 0.50 is 0.075 and of 0.30 is 0.045
+      expect(taxService.withhold({}, 0.5).tax).toBe(0.08);
+      expect(taxService.withhold({}, 0.3).tax).toBe(0.04);
+    });
+
+    it('withholds nothing from exempt investors or losses', () => {
+      expect(taxService.withhold({ taxCategory: 'exempt' }, 1000).tax).toBe(0);
+      expect(taxService.withhold({}, -25)).toMatchObject({ taxableInterest: 0, tax: 0 });
+    });
+  });
+
+  describe('quoteRedemption', () => {
+    it('withholds on interest no distribution paid out, and deducts tax already withheld', () => {
+      const investment = { interestPaid: 600, taxWithheld: 90 };
+      const quote = { interestEarned: 1000 };
+
+      expect(taxService.quoteRedemption(investment, quote, {})).toEqual({
+        category: 'individual',
+        rate: 15,
+        taxableInterest: 400,
+        tax: 60,
+        previouslyWithheld: 90,
+        total: 150
+      });
+    });
+
+    it('taxes all interest of investments without distributions', () => {
+      expect(taxService.quoteRedemption({}, { interestEarned: 250.5 }, {})).toMatchObject({
+        taxableInterest: 250.5,
+        tax: 37.58,
+        previouslyWithheld: 0,
+        total: 37.58
+      });
+    });
+  });
+
+  describe('setCategory', () => {
+    const manager = { _id: new mongoose.Types.ObjectId() };
+    const investor = () => ({ _id: new mongoose.Types.ObjectId(), save: jest.fn() });
+
+    it('sets the category and who changed it', async () => {
+      const user = investor();
+
+      await taxService.setCategory(user, { taxCategory: 'company', taxId: '100200300' }, manager);
+
+      expect(user).toMatchObject({ taxCategory: 'company', taxId: '100200300', taxCategoryUpdatedBy: manager._id });
+      expect(user.taxExemptionReference).toBeUndefined();
+      expect(user.save).toHaveBeenCalled();
+    });
+
+    it('requires an exemption reference for exempt investors', async () => {
+      const user = investor();
+
+      await expect(taxService.setCategory(user, { taxCategory: 'exempt' }, manager))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(user.save).not.toHaveBeenCalled();
+
+      await taxService.setCategory(user, { taxCategory: 'exempt', exemptionReference: 'RRA/EX/1' }, manager);
+      expect(user.taxExemptionReference).toBe('RRA/EX/1');
+    });
+
+    it('rejects unknown categories', async () => {
+      await expect(taxService.setCategory(investor(), { taxCategory: 'charity' }, manager))
+        .rejects.toThrow('Invalid taxCategory');
+    });
+  });
+
+  describe('recordWithholding', () => {
+    const source = (metadata) => ({
+      _id: new mongoose.Types.ObjectId(),
+      userId: new mongoose.Types.ObjectId(),
+      investmentId: new mongoose.Types.ObjectId(),
+      fundId: new mongoose.Types.ObjectId(),
+      type: 'withdrawal',
+      paymentMethod: 'mtn_momo',
+      completedDate: new Date('2026-03-01T10:00:00Z'),
+      metadata
+    });
+
+    it('records the tax once under its pre-assigned ID', async () => {
+      const taxTransactionId = new mongoose.Types.ObjectId();
+      const tax = { category: 'company', rate: 30, taxableInterest: 400, tax: 120 };
+      const updateOne = jest.spyOn(Transaction, 'updateOne')
+        .mockResolvedValueOnce({ upsertedCount: 1 })
+        .mockResolvedValueOnce({ upsertedCount: 0 });
+      jest.spyOn(Transaction, 'findById').mockResolvedValue({});
+      const audit = jest.spyOn(auditService, 'recordTransaction').mockResolvedValue();
+      const redemption = source({ tax, taxTransactionId });
+
+      expect(await taxService.recordWithholding(redemption)).toBe(true);
+      expect(await taxService.recordWithholding(redemption)).toBe(false);
+
+      const [filter, update, options] = updateOne.mock.calls[0];
+      expect(filter).toEqual({ _id: taxTransactionId });
+      expect(options).toEqual({ upsert: true });
+      expect(update.$setOnInsert).toMatchObject({
+        type: 'tax',
+        amountRWF: 120,
+        status: 'completed',
+        transactionDate: redemption.completedDate,
+        metadata: { taxCategory: 'company', taxRate: 30, taxableInterest: 400, sourceTransactionId: redemption._id, sourceType: 'withdrawal' }
+      });
+      expect(audit).toHaveBeenCalledTimes(1);
+    });
+
+    it('records nothing when no tax was withheld', async () => {
+      const updateOne = jest.spyOn(Transaction, 'updateOne');
+
+      expect(await taxService.recordWithholding(source({}))).toBe(false);
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('certificates', () => {
+    const fund = { _id: new mongoose.Types.ObjectId(), code: 'RWF-MMF', name: 'Pezzy Money Market Fund', currency: 'RWF' };
+    const user = { _id: new mongoose.Types.ObjectId(), firstName: 'Aline', lastName: 'Uwase', email: 'aline@example.com', taxCategory: 'individual' };
+    const transactions = [
+      {
+        _id: new mongoose.Types.ObjectId(),
+        fundId: fund._id,
+        type: 'interest_payment',
+        amountRWF: 850,
+        completedDate: new Date('2025-01-31T23:30:00Z'), // 1 February in Kigali
+        metadata: { grossInterest: 1000, tax: { category: 'individual', rate: 15, taxableInterest: 1000, tax: 150 } }
+      },
+      {
+        _id: new mongoose.Types.ObjectId(),
+        fundId: fund._id,
+        type: 'withdrawal',
+        amountRWF: 100340,
+        completedDate: new Date('2025-06-30T08:00:00Z'),
+        metadata: { interestEarned: 1400, tax: { category: 'individual', rate: 15, taxableInterest: 400, tax: 60 } }
+      },
+      {
+        _id: new mongoose.Types.ObjectId(),
+        fundId: fund._id,
+        type: 'interest_payment',
+        amountRWF: 200,
+        completedDate: new Date('2025-03-31T08:00:00Z'),
+        metadata: { grossInterest: 200 } // Paid before withholding
+      }
+    ];
+
+    beforeEach(() => {
+      jest.spyOn(Transaction, 'find').mockReturnValue({ sort: () => Promise.resolve(transactions) });
+      jest.spyOn(Fund, 'find').mockResolvedValue([fund]);
+    });
+
+    it('show gross interest, tax withheld and net interest per payment', () => {
+      expect(taxService.certificateLine(transactions[0])).toMatchObject({
+        date: '2025-02-01',
+        type: 'distribution',
+        grossInterest: 1000,
+        taxRate: 15,
+        taxWithheld: 150,
+        netInterest: 850
+      });
+      expect(taxService.certificateLine(transactions[2])).toMatchObject({ grossInterest: 200, taxWithheld: 0, netInterest: 200 });
+    });
+
+    it('total the year per fund', async () => {
+      const certificate = await taxService.certificate(user, 2025);
+
+      expect(certificate).toMatchObject({
+        certificateNumber: `WHT-2025-${user._id}`,
+        period: { from: '2025-01-01', to: '2025-12-31' },
+        provisional: false
+      });
+      expect(certificate.funds).toHaveLength(1);
+      expect(certificate.funds[0]).toMatchObject({ grossInterest: 1600, taxWithheld: 210, netInterest: 1390 });
+    });
+
+    it('hash the same content the same way', async () => {
+      const first = await taxService.certificate(user, 2025);
+      const second = await taxService.certificate(user, '2025');
+
+      expect(second.certificateHash).toBe(first.certificateHash);
+    });
+
+    it('reject years that have not started', async () => {
+      await expect(taxService.certificate(user, new Date().getUTCFullYear() + 2)).rejects.toMatchObject({ statusCode: 400 });
+      await expect(taxService.certificate(user, 'last')).rejects.toThrow('year must be a year');
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const money = require('../../src/utils/money');
+
+describe('money', () => {
+  describe('roundHalfEven', () => {
+    it('rounds ties to the even integer', () => {
+      expect(money.roundHalfEven(0.5)).toBe(0);
+      expect(money.roundHalfEven(1.5)).toBe(2);
+      expect(money.roundHalfEven(2.5)).toBe(2);
+      expect(money.roundHalfEven(-2.5)).toBe(-2);
+      expect(money.roundHalfEven(-3.5)).toBe(-4);
+    });
+
+    it('rounds everything else to the nearest integer', () => {
+      expect(money.roundHalfEven(2.4999)).toBe(2);
+      expect(money.roundHalfEven(2.5001)).toBe(3);
+      expect(money.roundHalfEven(7)).toBe(7);
+    });
+  });
+
+  describe('toMinor and fromMinor', () => {
+    it('converts amounts to integer minor units, half to even', () => {
+      expect(money.toMinor(12.34)).toBe(1234);
+      expect(money.toMinor(0.125)).toBe(12);
+      expect(money.toMinor(0.135)).toBe(14);
+      expect(money.toMinor('5.5')).toBe(550);
+    });
+
+    it('treats floating point noise around a tie as the tie', () => {
+      // 1.005 and 1.015 are stored as 1.00499... and 1.01499...
+      expect(money.toMinor(1.005)).toBe(100);
+      expect(money.toMinor(1.015)).toBe(102);
+    });
+
+    it('converts minor units back to currency units', () => {
+      expect(money.fromMinor(1234)).toBe(12.34);
+      expect(money.fromMinor(0)).toBe(0);
+    });
+
+    it('keeps null and undefined', () => {
+      expect(money.toMinor(null)).toBeNull();
+      expect(money.toMinor(undefined)).toBeUndefined();
+      expect(money.fromMinor(null)).toBeNull();
+      expect(money.fromMinor(undefined)).toBeUndefined();
+    });
+  });
+
+  describe('arithmetic', () => {
+    it('rounds to the minor unit', () => {
+      expect(money.round(10.005)).toBe(10);
+      expect(money.round(10.015)).toBe(10.02);
+      expect(money.round(10.0051)).toBe(10.01);
+    });
+
+    it('sums and subtracts exactly', () => {
+      expect(0.1 + 0.2).not.toBe(0.3);
+      expect(money.sum([0.1, 0.2])).toBe(0.3);
+      expect(money.sum([1.1, undefined, null, 2.2])).toBe(3.3);
+      expect(money.sum([])).toBe(0);
+      expect(money.subtract(0.3, 0.1)).toBe(0.2);
+    });
+
+    it('takes percentages rounded to the minor unit', () => {
+      expect(money.percentOf(1000, 15)).toBe(150);
+      expect(money.percentOf(0.5, 15)).toBe(0.08);
+      expect(money.percentOf(0.3, 15)).toBe(0.04);
+    });
+
+    it('recognises amounts with no more than minor-unit precision', () => {
+      expect(money.isMoney(10)).toBe(true);
+      expect(money.isMoney(10.25)).toBe(true);
+      expect(money.isMoney(0.1 + 0.2)).toBe(true);
+      expect(money.isMoney(10.255)).toBe(false);
+      expect(money.isMoney('10')).toBe(false);
+      expect(money.isMoney(NaN)).toBe(false);
+      expect(money.isMoney(Infinity)).toBe(false);
+    });
+  });
+
+  describe('tokens', () => {
+    it('floors token units and records the residual', () => {
+      expect(money.toTokens(100, 2)).toEqual({ tokens: 10000, residual: 0 });
+      expect(money.toTokens(100, 0, 3)).toEqual({ tokens: 33, residual: 1 });
+      expect(money.toTokens(1000, 2, 1.07)).toEqual({ tokens: 93457, residual: 0.01 });
+      expect(money.toTokens(10, 2, 1.07)).toEqual({ tokens: 934, residual: 0.01 });
+    });
+
+    it('does not floor below exact conversions because of floating point noise', () => {
+      // 0.29 * 100 is 28.999...
+      expect(money.toTokens(0.29, 2)).toEqual({ tokens: 29, residual: 0 });
+    });
+
+    it('never returns negative tokens', () => {
+      expect(money.toTokens(-5, 2).tokens).toBe(0);
+    });
+
+    it('values token units rounded to the minor unit', () => {
+      expect(money.fromTokens(10000, 2)).toBe(100);
+      expect(money.fromTokens(934, 2, 1.07)).toBe(9.99);
+      expect(money.fromTokens(33, 0, 3)).toBe(99);
+    });
+  });
+});